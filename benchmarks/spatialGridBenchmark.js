@@ -0,0 +1,173 @@
+/**
+ * Spatial Grid Benchmark
+ * Compares SpatialGrid queries against brute-force scans over simulated frames
+ */
+
+class SpatialGridBenchmark {
+    /**
+     * Create a new benchmark
+     * @param {Object} options - Benchmark options
+     * @param {number} options.frames - Simulated frames per enemy count
+     * @param {number} options.projectiles - Projectile hit queries per frame
+     * @param {number} options.areas - Area damage queries per frame
+     * @param {number} options.worldSize - Width and height of the simulated world
+     */
+    constructor(options = {}) {
+        this.frames = options.frames || 120;
+        this.projectiles = options.projectiles || 100;
+        this.areas = options.areas || 5;
+        this.worldSize = options.worldSize || 2000;
+        this.seed = 1;
+    }
+
+    /**
+     * Deterministic pseudo-random number so runs are comparable
+     * @returns {number} - Value between 0 and 1
+     */
+    random() {
+        this.seed = (this.seed * 1664525 + 1013904223) % 4294967296;
+        return this.seed / 4294967296;
+    }
+
+    /**
+     * Create enemy-like entities spread over the world
+     * @param {number} count - Number of entities
+     * @returns {Array} - Entities with x, y, size and isAlive
+     */
+    createEnemies(count) {
+        const enemies = [];
+
+        for (let i = 0; i < count; i++) {
+            enemies.push({
+                x: (this.random() - 0.5) * this.worldSize,
+                y: (this.random() - 0.5) * this.worldSize,
+                size: ENEMY_SIZE * (0.8 + this.random() * 0.5),
+                isAlive: true
+            });
+        }
+
+        return enemies;
+    }
+
+    /**
+     * Create the query points used for one frame
+     * @returns {Object} - Player, projectile and area query positions
+     */
+    createQueries() {
+        const point = () => ({
+            x: (this.random() - 0.5) * this.worldSize,
+            y: (this.random() - 0.5) * this.worldSize
+        });
+
+        return {
+            player: point(),
+            projectiles: Array.from({ length: this.projectiles }, point),
+            areas: Array.from({ length: this.areas }, point)
+        };
+    }
+
+    /**
+     * Run one frame of queries with brute-force scans
+     * @param {Array} enemies - Entities
+     * @param {Object} queries - Query positions
+     * @returns {number} - Checksum of results
+     */
+    bruteForceFrame(enemies, queries) {
+        let checksum = 0;
+
+        // Auto-attack: nearest enemy in range
+        let nearest = null;
+        let nearestDistance = Infinity;
+        enemies.forEach(enemy => {
+            const dist = distance(queries.player, enemy);
+            if (dist <= PLAYER_BASE_ATTACK_RANGE && dist < nearestDistance) {
+                nearest = enemy;
+                nearestDistance = dist;
+            }
+        });
+        checksum += nearest ? 1 : 0;
+
+        // Projectile hits
+        queries.projectiles.forEach(projectile => {
+            enemies.forEach(enemy => {
+                if (distance(projectile, enemy) < (10 + enemy.size) / 2) checksum++;
+            });
+        });
+
+        // Area damage
+        queries.areas.forEach(area => {
+            enemies.forEach(enemy => {
+                if (distance(area, enemy) <= 150) checksum++;
+            });
+        });
+
+        return checksum;
+    }
+
+    /**
+     * Run one frame of queries through the spatial grid, including the rebuild
+     * @param {SpatialGrid} grid - Spatial grid
+     * @param {Array} enemies - Entities
+     * @param {Object} queries - Query positions
+     * @returns {number} - Checksum of results
+     */
+    gridFrame(grid, enemies, queries) {
+        let checksum = 0;
+        const results = [];
+
+        grid.rebuild(enemies);
+
+        // Auto-attack: nearest enemy in range
+        checksum += grid.nearest(queries.player.x, queries.player.y, PLAYER_BASE_ATTACK_RANGE) ? 1 : 0;
+
+        // Projectile hits
+        queries.projectiles.forEach(projectile => {
+            grid.queryRadius(projectile.x, projectile.y, (10 + grid.maxEntitySize) / 2, results).forEach(enemy => {
+                if (distance(projectile, enemy) < (10 + enemy.size) / 2) checksum++;
+            });
+        });
+
+        // Area damage
+        queries.areas.forEach(area => {
+            checksum += grid.queryRadius(area.x, area.y, 150, results).length;
+        });
+
+        return checksum;
+    }
+
+    /**
+     * Run the benchmark for several enemy counts
+     * @param {Array} counts - Enemy counts to test
+     * @returns {Array} - Result rows
+     */
+    run(counts = [500, 1000, 2000]) {
+        return counts.map(count => {
+            this.seed = count;
+            const enemies = this.createEnemies(count);
+            const frames = Array.from({ length: this.frames }, () => this.createQueries());
+            const grid = new SpatialGrid(SPATIAL_GRID_CELL_SIZE);
+
+            let bruteChecksum = 0;
+            let bruteStart = performance.now();
+            frames.forEach(queries => {
+                bruteChecksum += this.bruteForceFrame(enemies, queries);
+            });
+            const bruteTime = performance.now() - bruteStart;
+
+            let gridChecksum = 0;
+            let gridStart = performance.now();
+            frames.forEach(queries => {
+                gridChecksum += this.gridFrame(grid, enemies, queries);
+            });
+            const gridTime = performance.now() - gridStart;
+
+            return {
+                enemies: count,
+                bruteForceMsPerFrame: +(bruteTime / this.frames).toFixed(3),
+                gridMsPerFrame: +(gridTime / this.frames).toFixed(3),
+                speedup: +(bruteTime / gridTime).toFixed(1),
+                resultsMatch: bruteChecksum === gridChecksum
+            };
+        });
+    }
+}
@@ -14,6 +14,7 @@ class Ability {
      * @param {number} level - Ability level
      */
     constructor(name, description, type, element, cooldown = 0, level = 1) {
+        this.id = null; // Catalog id set by AbilityFactory, used to recognise owned abilities
         this.name = name;
         this.description = description;
         this.type = type;
@@ -21,7 +22,10 @@ class Ability {
         this.baseCooldown = cooldown;
         this.cooldown = cooldown;
         this.level = level;
-        this.lastUsedTime = 0;
+        this.maxLevel = ABILITY_MAX_LEVEL;
+        this.isEvolved = false;
+        this.recipeId = null; // Evolution recipe that created this ability
+        this.cooldownTimer = 0; // Seconds of simulation time until the ability is ready
         this.icon = null; // Path to icon image
     }
     
@@ -30,7 +34,17 @@ class Ability {
      * @returns {boolean} - True if ready
      */
     isReady() {
-        return performance.now() - this.lastUsedTime >= this.cooldown * 1000;
+        return this.cooldownTimer <= 0;
+    }
+    
+    /**
+     * Count the cooldown down by a simulation step
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    tickCooldown(deltaTime) {
+        if (this.cooldownTimer > 0) {
+            this.cooldownTimer -= deltaTime;
+        }
     }
     
     /**
@@ -42,8 +56,8 @@ class Ability {
         // Base implementation does nothing
         console.log(`${character.type} used ${this.name}`);
         
-        // Set last used time
-        this.lastUsedTime = performance.now();
+        // Start cooldown
+        this.cooldownTimer = this.cooldown;
         
         // Emit ability used event
         eventEmitter.emit('ability:used', {
@@ -76,6 +90,23 @@ class Ability {
         // Base implementation does nothing
     }
     
+    /**
+     * Called when a projectile or area created by this ability damages an enemy
+     * @param {Enemy} enemy - Enemy that was damaged
+     * @param {Object} damage - Damage object from createDamage
+     */
+    onHit(enemy, damage) {
+        // Base implementation does nothing
+    }
+    
+    /**
+     * Check if the ability has reached its maximum level
+     * @returns {boolean} - True if it cannot level further
+     */
+    isMaxLevel() {
+        return this.level >= this.maxLevel;
+    }
+    
     /**
      * Level up the ability
      */
@@ -96,6 +127,29 @@ class Ability {
     getDescription() {
         return `${this.description} (Level ${this.level})`;
     }
+    
+    /**
+     * Capture the ability's run state for a save
+     * @returns {Object} - Snapshot restored by AbilityFactory.createFromSnapshot
+     */
+    serialize() {
+        return {
+            id: this.id,
+            element: this.element,
+            recipeId: this.recipeId,
+            level: this.level,
+            cooldownRemaining: Math.max(0, this.cooldownTimer)
+        };
+    }
+    
+    /**
+     * Restore run state captured by serialize()
+     * @param {Object} snapshot - Ability snapshot
+     */
+    restore(snapshot) {
+        this.level = snapshot.level;
+        this.cooldownTimer = snapshot.cooldownRemaining;
+    }
 }
 
 // Active ability implementations
@@ -129,6 +183,14 @@ class ProjectileAbility extends Ability {
     use(character, targets) {
         super.use(character, targets);
         
+        this.fire(character);
+    }
+    
+    /**
+     * Fire one set of projectiles from the character
+     * @param {Character} character - Character firing the projectiles
+     */
+    fire(character) {
         // Create projectiles
         const projectiles = [];
         
@@ -136,18 +198,7 @@ class ProjectileAbility extends Ability {
             // Single projectile in facing direction
             const direction = character.direction;
             
-            projectiles.push({
-                x: character.x,
-                y: character.y,
-                directionX: direction.x,
-                directionY: direction.y,
-                damage: this.projectileStats.damage * (1 + 0.2 * (this.level - 1)),
-                speed: this.projectileStats.speed,
-                size: this.projectileStats.size,
-                piercing: this.projectileStats.piercing,
-                range: this.projectileStats.range,
-                distanceTraveled: 0
-            });
+            projectiles.push(this.createProjectile(character, direction.x, direction.y));
         } else {
             // Multiple projectiles in spread pattern
             const angleStep = (Math.PI * 2) / this.projectileStats.count;
@@ -163,18 +214,7 @@ class ProjectileAbility extends Ability {
                 const directionX = Math.cos(angle);
                 const directionY = Math.sin(angle);
                 
-                projectiles.push({
-                    x: character.x,
-                    y: character.y,
-                    directionX: directionX,
-                    directionY: directionY,
-                    damage: this.projectileStats.damage * (1 + 0.2 * (this.level - 1)),
-                    speed: this.projectileStats.speed,
-                    size: this.projectileStats.size,
-                    piercing: this.projectileStats.piercing,
-                    range: this.projectileStats.range,
-                    distanceTraveled: 0
-                });
+                projectiles.push(this.createProjectile(character, directionX, directionY));
             }
         }
         
@@ -186,6 +226,29 @@ class ProjectileAbility extends Ability {
         });
     }
     
+    /**
+     * Take a projectile from the pool and configure it for this ability
+     * @param {Character} character - Character firing the projectile
+     * @param {number} directionX - Normalized X direction
+     * @param {number} directionY - Normalized Y direction
+     * @returns {Projectile} - Configured projectile
+     */
+    createProjectile(character, directionX, directionY) {
+        return projectilePool.acquire().init({
+            x: character.x,
+            y: character.y,
+            directionX: directionX,
+            directionY: directionY,
+            damage: this.projectileStats.damage * (1 + 0.2 * (this.level - 1)),
+            speed: this.projectileStats.speed,
+            size: this.projectileStats.size,
+            piercing: this.projectileStats.piercing,
+            range: this.projectileStats.range,
+            element: this.element,
+            source: this
+        });
+    }
+    
     /**
      * Level up the ability
      */
@@ -216,6 +279,25 @@ class ProjectileAbility extends Ability {
     getDescription() {
         return `${this.description} (Level ${this.level})\nDamage: ${Math.floor(this.projectileStats.damage)}\nProjectiles: ${this.projectileStats.count}\nPiercing: ${this.projectileStats.piercing ? 'Yes' : 'No'}`;
     }
+    
+    /**
+     * Capture the ability's run state for a save
+     * @returns {Object} - Snapshot restored by AbilityFactory.createFromSnapshot
+     */
+    serialize() {
+        return { ...super.serialize(), projectileStats: { ...this.projectileStats } };
+    }
+    
+    /**
+     * Restore run state captured by serialize()
+     * @param {Object} snapshot - Ability snapshot
+     */
+    restore(snapshot) {
+        super.restore(snapshot);
+        
+        // Level ups scale stats in place, so the saved values replace the defaults
+        Object.assign(this.projectileStats, snapshot.projectileStats);
+    }
 }
 
 class AreaAbility extends Ability {
@@ -234,8 +316,11 @@ class AreaAbility extends Ability {
             damage: areaStats.damage || 30,
             radius: areaStats.radius || 100,
             duration: areaStats.duration || 0.5, // seconds
+            tickRate: areaStats.tickRate || AREA_DEFAULT_TICK_RATE, // damage ticks per second
             knockback: areaStats.knockback || false,
-            centered: areaStats.centered || true // if true, centered on player, otherwise at cursor position
+            pull: areaStats.pull || 0, // fraction of the radius enemies are dragged toward the center per tick
+            follow: areaStats.follow || false, // if true, the area moves with the character
+            centered: areaStats.centered !== undefined ? areaStats.centered : true // if true, centered on player, otherwise at cursor position
         };
     }
     
@@ -247,55 +332,31 @@ class AreaAbility extends Ability {
     use(character, targets) {
         super.use(character, targets);
         
-        // Create area effect
-        const area = {
-            x: character.x,
-            y: character.y,
+        // Center on the player or on the cursor
+        const position = this.areaStats.centered || !character.aimPosition
+            ? { x: character.x, y: character.y }
+            : character.aimPosition;
+        
+        // Create area effect (damage is dealt by the area on each tick)
+        const area = new AreaEffect({
+            x: position.x,
+            y: position.y,
             damage: this.areaStats.damage * (1 + 0.2 * (this.level - 1)),
             radius: this.areaStats.radius,
             duration: this.areaStats.duration,
+            tickRate: this.areaStats.tickRate,
             knockback: this.areaStats.knockback,
+            pull: this.areaStats.pull,
+            anchor: this.areaStats.follow ? character : null,
             element: this.element,
-            startTime: performance.now(),
-            active: true
-        };
-        
-        // Apply damage to enemies in range
-        const hitEnemies = targets.filter(enemy => {
-            if (!enemy.isAlive) return false;
-            
-            const dist = distance(
-                { x: area.x, y: area.y },
-                { x: enemy.x, y: enemy.y }
-            );
-            
-            return dist <= area.radius;
-        });
-        
-        hitEnemies.forEach(enemy => {
-            enemy.takeDamage(area.damage);
-            
-            // Apply knockback
-            if (area.knockback) {
-                const angle = calculateAngle(
-                    { x: area.x, y: area.y },
-                    { x: enemy.x, y: enemy.y }
-                );
-                
-                const knockbackDistance = area.radius / 2;
-                const direction = getDirectionFromAngle(angle);
-                
-                enemy.x += direction.x * knockbackDistance;
-                enemy.y += direction.y * knockbackDistance;
-            }
+            source: this
         });
         
         // Emit area effect created event
         eventEmitter.emit('area:created', {
             ability: this,
             character: character,
-            area: area,
-            hitEnemies: hitEnemies
+            area: area
         });
     }
     
@@ -327,6 +388,199 @@ class AreaAbility extends Ability {
     getDescription() {
         return `${this.description} (Level ${this.level})\nDamage: ${Math.floor(this.areaStats.damage)}\nRadius: ${Math.floor(this.areaStats.radius)}\nKnockback: ${this.areaStats.knockback ? 'Yes' : 'No'}`;
     }
+    
+    /**
+     * Capture the ability's run state for a save
+     * @returns {Object} - Snapshot restored by AbilityFactory.createFromSnapshot
+     */
+    serialize() {
+        return { ...super.serialize(), areaStats: { ...this.areaStats } };
+    }
+    
+    /**
+     * Restore run state captured by serialize()
+     * @param {Object} snapshot - Ability snapshot
+     */
+    restore(snapshot) {
+        super.restore(snapshot);
+        
+        // Level ups scale stats in place, so the saved values replace the defaults
+        Object.assign(this.areaStats, snapshot.areaStats);
+    }
+}
+
+// Evolved ability implementations
+class VolleyAbility extends ProjectileAbility {
+    /**
+     * Create a volley from a max level projectile ability
+     * @param {ProjectileAbility} base - Ability being evolved
+     * @param {Object} settings - Recipe settings {shots, interval, cooldownMultiplier}
+     */
+    constructor(base, settings) {
+        super(base.name, base.description, base.element, base.baseCooldown * settings.cooldownMultiplier, {
+            ...base.projectileStats,
+            piercing: true
+        });
+        
+        this.level = base.level;
+        this.shots = settings.shots;
+        this.shotInterval = settings.interval;
+        
+        // Follow-up shots still to fire after use()
+        this.shooter = null;
+        this.shotsRemaining = 0;
+        this.shotTimer = 0;
+    }
+    
+    /**
+     * Use the ability
+     * @param {Character} character - Character using the ability
+     * @param {Array} targets - Potential targets
+     */
+    use(character, targets) {
+        super.use(character, targets);
+        
+        this.shooter = character;
+        this.shotsRemaining = this.shots - 1;
+        this.shotTimer = this.shotInterval;
+    }
+    
+    /**
+     * Fire queued follow-up shots
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (this.shotsRemaining <= 0) return;
+        
+        this.shotTimer -= deltaTime;
+        if (this.shotTimer <= 0) {
+            this.shotTimer += this.shotInterval;
+            this.shotsRemaining--;
+            
+            if (this.shooter.isAlive) {
+                this.fire(this.shooter);
+            }
+        }
+    }
+    
+    /**
+     * Get ability description with current level stats
+     * @returns {string} - Formatted description
+     */
+    getDescription() {
+        return `${this.description}\nDamage: ${Math.floor(this.projectileStats.damage)}\nShots per volley: ${this.shots}\nPiercing: Yes`;
+    }
+}
+
+class TempestAbility extends ProjectileAbility {
+    /**
+     * Create a tempest from a max level projectile ability
+     * @param {ProjectileAbility} base - Ability being evolved
+     * @param {Object} settings - Recipe settings {minCount, rangeMultiplier}
+     */
+    constructor(base, settings) {
+        super(base.name, base.description, base.element, base.baseCooldown, {
+            ...base.projectileStats,
+            count: Math.max(settings.minCount, base.projectileStats.count),
+            range: base.projectileStats.range * settings.rangeMultiplier,
+            piercing: true
+        });
+        
+        this.level = base.level;
+        this.ringOffset = 0; // Alternates so consecutive rings cover each other's gaps
+    }
+    
+    /**
+     * Fire a full ring of projectiles
+     * @param {Character} character - Character firing the projectiles
+     */
+    fire(character) {
+        const projectiles = [];
+        const angleStep = (Math.PI * 2) / this.projectileStats.count;
+        
+        for (let i = 0; i < this.projectileStats.count; i++) {
+            const angle = this.ringOffset + angleStep * i;
+            projectiles.push(this.createProjectile(character, Math.cos(angle), Math.sin(angle)));
+        }
+        
+        this.ringOffset = this.ringOffset === 0 ? angleStep / 2 : 0;
+        
+        // Emit projectiles created event
+        eventEmitter.emit('projectiles:created', {
+            ability: this,
+            character: character,
+            projectiles: projectiles
+        });
+    }
+    
+    /**
+     * Get ability description with current level stats
+     * @returns {string} - Formatted description
+     */
+    getDescription() {
+        return `${this.description}\nDamage: ${Math.floor(this.projectileStats.damage)}\nProjectiles: ${this.projectileStats.count}\nRange: ${Math.floor(this.projectileStats.range)}`;
+    }
+}
+
+class AegisAbility extends AreaAbility {
+    /**
+     * Create an aegis from a max level area ability
+     * @param {AreaAbility} base - Ability being evolved
+     * @param {Object} settings - Recipe settings {damageMultiplier, radiusMultiplier, healPerSecond}
+     */
+    constructor(base, settings) {
+        // The aura lasts as long as the cooldown, so it is always up
+        super(base.name, base.description, base.element, base.baseCooldown, {
+            ...base.areaStats,
+            damage: base.areaStats.damage * settings.damageMultiplier,
+            radius: base.areaStats.radius * settings.radiusMultiplier,
+            duration: base.baseCooldown,
+            tickRate: 2,
+            follow: true,
+            centered: true
+        });
+        
+        this.level = base.level;
+        this.healPerSecond = settings.healPerSecond;
+        this.owner = null;
+        this.healTimer = 1;
+    }
+    
+    /**
+     * Use the ability
+     * @param {Character} character - Character using the ability
+     * @param {Array} targets - Potential targets
+     */
+    use(character, targets) {
+        super.use(character, targets);
+        
+        this.owner = character;
+    }
+    
+    /**
+     * Mend the owner once per second while the aura is up
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.owner || !this.owner.isAlive) return;
+        
+        this.healTimer -= deltaTime;
+        if (this.healTimer <= 0) {
+            this.healTimer += 1;
+            
+            if (this.owner.stats.health < this.owner.stats.maxHealth) {
+                this.owner.heal(this.healPerSecond);
+            }
+        }
+    }
+    
+    /**
+     * Get ability description with current level stats
+     * @returns {string} - Formatted description
+     */
+    getDescription() {
+        return `${this.description}\nDamage: ${Math.floor(this.areaStats.damage)} per pulse\nRadius: ${Math.floor(this.areaStats.radius)}\nHealing: ${this.healPerSecond} per second`;
+    }
 }
 
 // Passive ability implementations
@@ -345,6 +599,7 @@ class StatBoostPassive extends Ability {
         this.statType = statType;
         this.boostValue = boostValue;
         this.isPercentage = isPercentage;
+        this.owner = null; // Character the modifier is applied to
     }
     
     /**
@@ -354,14 +609,22 @@ class StatBoostPassive extends Ability {
     apply(character) {
         super.apply(character);
         
-        // Apply stat boost
-        if (this.statType in character.stats) {
-            if (this.isPercentage) {
-                character.stats[this.statType] *= (1 + this.boostValue * this.level);
-            } else {
-                character.stats[this.statType] += this.boostValue * this.level;
-            }
-        }
+        this.owner = character;
+        this.updateModifier();
+    }
+    
+    /**
+     * Set this passive's modifier on its owner for the current level
+     */
+    updateModifier() {
+        if (!this.owner || !(this.statType in this.owner.baseStats)) return;
+        
+        this.owner.addModifier({
+            stat: this.statType,
+            type: this.isPercentage ? STAT_MODIFIER_TYPES.PERCENT : STAT_MODIFIER_TYPES.FLAT,
+            value: this.boostValue * this.level,
+            source: this.id || this.name
+        });
     }
     
     /**
@@ -370,10 +633,8 @@ class StatBoostPassive extends Ability {
     levelUp() {
         super.levelUp();
         
-        // Reapply with new level
-        if (this.lastAppliedTo) {
-            this.apply(this.lastAppliedTo);
-        }
+        // Replaces the previous level's modifier rather than stacking on it
+        this.updateModifier();
     }
     
     /**
@@ -389,6 +650,47 @@ class StatBoostPassive extends Ability {
     }
 }
 
+/**
+ * Evolution Recipes
+ * A max level ability from the `ability` family (the part of its id after the element,
+ * e.g. fire_bolt -> bolt) evolves while the player owns the `passive` (a catalog id).
+ * The evolved ability keeps the element and is created by AbilityFactory.createEvolution.
+ */
+const EVOLUTION_RECIPES = [
+    {
+        id: 'volley',
+        name: 'Volley',
+        ability: 'bolt',
+        passive: 'attackSpeed_boost',
+        description: 'Fire a rapid stream of piercing bolts',
+        settings: { shots: 5, interval: 0.1, cooldownMultiplier: 0.6 }
+    },
+    {
+        id: 'tempest',
+        name: 'Tempest',
+        ability: 'burst',
+        passive: 'attackRange_boost',
+        description: 'Fire full rings of long-range piercing projectiles',
+        settings: { minCount: 12, rangeMultiplier: 1.5 }
+    },
+    {
+        id: 'aegis',
+        name: 'Aegis',
+        ability: 'nova',
+        passive: 'maxHealth_boost',
+        description: 'A lasting aura that follows you, repels enemies and mends your wounds',
+        settings: { damageMultiplier: 0.3, radiusMultiplier: 0.8, healPerSecond: 2 }
+    },
+    {
+        id: 'maelstrom',
+        name: 'Maelstrom',
+        ability: 'field',
+        passive: 'damage_boost',
+        description: 'A long-lasting field that drags enemies into its eye',
+        settings: { damageMultiplier: 1.5, durationMultiplier: 1.5, pull: 0.15 }
+    }
+];
+
 // Ability factory
 class AbilityFactory {
     /**
@@ -400,7 +702,7 @@ class AbilityFactory {
         const name = `${element.charAt(0).toUpperCase() + element.slice(1)} Bolt`;
         const description = `Fire a ${element} bolt that damages enemies`;
         
-        return new ProjectileAbility(name, description, element, 3, {
+        const ability = new ProjectileAbility(name, description, element, 3, {
             damage: 20,
             speed: 10,
             size: 10,
@@ -408,6 +710,9 @@ class AbilityFactory {
             piercing: false,
             range: 500
         });
+        ability.id = `${element}_bolt`;
+        
+        return ability;
     }
     
     /**
@@ -419,7 +724,7 @@ class AbilityFactory {
         const name = `${element.charAt(0).toUpperCase() + element.slice(1)} Burst`;
         const description = `Fire multiple ${element} projectiles in a spread pattern`;
         
-        return new ProjectileAbility(name, description, element, 5, {
+        const ability = new ProjectileAbility(name, description, element, 5, {
             damage: 15,
             speed: 8,
             size: 8,
@@ -427,6 +732,9 @@ class AbilityFactory {
             piercing: false,
             range: 400
         });
+        ability.id = `${element}_burst`;
+        
+        return ability;
     }
     
     /**
@@ -438,13 +746,65 @@ class AbilityFactory {
         const name = `${element.charAt(0).toUpperCase() + element.slice(1)} Nova`;
         const description = `Release a ${element} explosion around you`;
         
-        return new AreaAbility(name, description, element, 8, {
+        const ability = new AreaAbility(name, description, element, 8, {
             damage: 40,
             radius: 150,
             duration: 0.5,
             knockback: false,
             centered: true
         });
+        ability.id = `${element}_nova`;
+        
+        return ability;
+    }
+    
+    /**
+     * Create a lingering area ability placed at the cursor
+     * @param {string} element - Element type
+     * @returns {Ability} - New ability instance
+     */
+    static createLingeringArea(element = ELEMENT_TYPES.PHYSICAL) {
+        const name = `${element.charAt(0).toUpperCase() + element.slice(1)} Field`;
+        const description = `Create a ${element} field at the cursor that damages enemies over time`;
+        
+        const ability = new AreaAbility(name, description, element, 10, {
+            damage: 8,
+            radius: 120,
+            duration: 3,
+            tickRate: 2,
+            knockback: false,
+            centered: false
+        });
+        ability.id = `${element}_field`;
+        
+        return ability;
+    }
+    
+    /**
+     * Create a signature weapon
+     * @param {string} type - Weapon type from WEAPON_DEFINITIONS
+     * @param {string} element - Element type
+     * @returns {WeaponAbility} - New weapon instance
+     */
+    static createWeapon(type, element = ELEMENT_TYPES.PHYSICAL) {
+        const definition = WEAPON_DEFINITIONS[type];
+        const name = `${element.charAt(0).toUpperCase() + element.slice(1)} ${definition.name}`;
+        let weapon;
+        
+        switch (type) {
+            case 'cleave':
+                weapon = new CleaveWeapon(name, definition.description, element, definition);
+                break;
+            case 'orb':
+                weapon = new HomingOrbWeapon(name, definition.description, element, definition);
+                break;
+            case 'volley':
+                weapon = new ArrowVolleyWeapon(name, definition.description, element, definition);
+                break;
+        }
+        weapon.id = `${element}_${type}_weapon`;
+        
+        return weapon;
     }
     
     /**
@@ -493,7 +853,129 @@ class AbilityFactory {
                 isPercentage = true;
         }
         
-        return new StatBoostPassive(name, description, statType, value, isPercentage);
+        const passive = new StatBoostPassive(name, description, statType, value, isPercentage);
+        passive.id = `${statType}_boost`;
+        
+        return passive;
+    }
+    
+    /**
+     * Get every ability and passive that can be offered as an upgrade
+     * Entries carry the id and kind of what they create, so offers can be filtered
+     * without building every ability
+     * @returns {Array} - Catalog entries {id, isPassive, rarity, create}
+     */
+    static getCatalog() {
+        const catalog = [];
+        
+        Object.values(ELEMENT_TYPES).forEach(element => {
+            catalog.push({ id: `${element}_bolt`, isPassive: false, rarity: 'common', create: () => this.createBasicProjectile(element) });
+            catalog.push({ id: `${element}_burst`, isPassive: false, rarity: 'uncommon', create: () => this.createMultiProjectile(element) });
+            catalog.push({ id: `${element}_nova`, isPassive: false, rarity: 'uncommon', create: () => this.createBasicArea(element) });
+            catalog.push({ id: `${element}_field`, isPassive: false, rarity: 'rare', create: () => this.createLingeringArea(element) });
+        });
+        
+        ['maxHealth', 'damage', 'attackSpeed', 'attackRange', 'speed'].forEach(statType => {
+            catalog.push({ id: `${statType}_boost`, isPassive: true, rarity: 'common', create: () => this.createStatBoost(statType) });
+        });
+        
+        return catalog;
+    }
+    
+    /**
+     * Find the evolution recipe for an owned ability
+     * @param {Ability} ability - Ability to check
+     * @returns {Object|null} - Recipe from EVOLUTION_RECIPES or null
+     */
+    static getEvolutionRecipe(ability) {
+        if (!ability.id || ability.isEvolved) return null;
+        
+        const family = ability.id.slice(ability.element.length + 1);
+        return EVOLUTION_RECIPES.find(recipe => recipe.ability === family) || null;
+    }
+    
+    /**
+     * Create the evolved form of an ability
+     * @param {Ability} ability - Max level ability to evolve
+     * @returns {Ability|null} - Evolved ability or null if it has no recipe
+     */
+    static createEvolution(ability) {
+        const recipe = this.getEvolutionRecipe(ability);
+        if (!recipe) return null;
+        
+        const settings = recipe.settings;
+        let evolved;
+        
+        switch (recipe.id) {
+            case 'volley':
+                evolved = new VolleyAbility(ability, settings);
+                break;
+            case 'tempest':
+                evolved = new TempestAbility(ability, settings);
+                break;
+            case 'aegis':
+                evolved = new AegisAbility(ability, settings);
+                break;
+            case 'maelstrom':
+                evolved = new AreaAbility(ability.name, ability.description, ability.element, ability.baseCooldown, {
+                    ...ability.areaStats,
+                    damage: ability.areaStats.damage * settings.damageMultiplier,
+                    duration: ability.areaStats.duration * settings.durationMultiplier,
+                    pull: settings.pull
+                });
+                evolved.level = ability.level;
+                break;
+        }
+        
+        const element = ability.element;
+        evolved.id = `${element}_${recipe.id}`;
+        evolved.name = `${element.charAt(0).toUpperCase() + element.slice(1)} ${recipe.name}`;
+        evolved.description = recipe.description;
+        evolved.recipeId = recipe.id;
+        evolved.isEvolved = true;
+        evolved.maxLevel = evolved.level; // Evolved abilities do not level further
+        
+        return evolved;
+    }
+    
+    /**
+     * Create a catalog ability or passive by id
+     * @param {string} id - Catalog id such as fire_bolt or damage_boost
+     * @returns {Ability|null} - New ability instance or null if the id is unknown
+     */
+    static createFromId(id) {
+        const entry = this.getCatalog().find(candidate => candidate.id === id);
+        return entry ? entry.create() : null;
+    }
+    
+    /**
+     * Recreate an ability from a run save snapshot
+     * Evolved abilities are rebuilt by evolving their base ability at the saved level
+     * @param {Object} snapshot - Snapshot from Ability.serialize()
+     * @returns {Ability} - Restored ability
+     */
+    static createFromSnapshot(snapshot) {
+        let ability;
+        
+        if (snapshot.recipeId) {
+            const recipe = EVOLUTION_RECIPES.find(entry => entry.id === snapshot.recipeId);
+            const base = recipe ? this.createFromId(`${snapshot.element}_${recipe.ability}`) : null;
+            
+            if (base) {
+                base.level = snapshot.level;
+                ability = this.createEvolution(base);
+            }
+        } else {
+            ability = this.createFromId(snapshot.id);
+        }
+        
+        if (!ability) {
+            throw new Error(`Unknown ability in save: ${snapshot.id}`);
+        }
+        
+        ability.restore(snapshot);
+        
+        return ability;
     }
     
     /**
@@ -502,24 +984,26 @@ class AbilityFactory {
      * @returns {Ability} - New ability instance
      */
     static createRandomAbility(character) {
-        const abilityType = Math.random() < 0.7 ? ABILITY_TYPES.ACTIVE : ABILITY_TYPES.PASSIVE;
+        const abilityType = rng.loot.chance(0.7) ? ABILITY_TYPES.ACTIVE : ABILITY_TYPES.PASSIVE;
         
         if (abilityType === ABILITY_TYPES.ACTIVE) {
             const elements = Object.values(ELEMENT_TYPES);
-            const element = elements[Math.floor(Math.random() * elements.length)];
+            const element = rng.loot.pick(elements);
             
-            const abilitySubtype = Math.random() < 0.7 ? 'projectile' : 'area';
+            const abilitySubtype = rng.loot.chance(0.7) ? 'projectile' : 'area';
             
             if (abilitySubtype === 'projectile') {
-                return Math.random() < 0.7 
+                return rng.loot.chance(0.7)
                     ? this.createBasicProjectile(element)
                     : this.createMultiProjectile(element);
             } else {
-                return this.createBasicArea(element);
+                return rng.loot.chance(0.5)
+                    ? this.createBasicArea(element)
+                    : this.createLingeringArea(element);
             }
         } else {
             const statTypes = ['maxHealth', 'damage', 'attackSpeed', 'attackRange', 'speed'];
-            const statType = statTypes[Math.floor(Math.random() * statTypes.length)];
+            const statType = rng.loot.pick(statTypes);
             
             return this.createStatBoost(statType);
         }
@@ -0,0 +1,200 @@
+/**
+ * AreaEffect Class
+ * Lingering damage zone created by area abilities
+ */
+
+class AreaEffect {
+    /**
+     * Create a new area effect
+     * @param {Object} options - Area options
+     * @param {number} options.x - Center X position
+     * @param {number} options.y - Center Y position
+     * @param {number} options.damage - Damage dealt to each enemy per tick
+     * @param {number} options.radius - Area radius
+     * @param {number} options.duration - Lifetime in seconds
+     * @param {number} options.tickRate - Damage ticks per second
+     * @param {boolean} options.knockback - Whether enemies are pushed out on their first hit
+     * @param {number} options.pull - Fraction of the radius enemies are dragged toward the center per tick
+     * @param {Object} options.anchor - Optional entity the area stays centered on
+     * @param {string} options.element - Element type from ELEMENT_TYPES
+     * @param {Ability} options.source - Ability that created the area
+     */
+    constructor(options) {
+        this.x = options.x;
+        this.y = options.y;
+        this.damage = options.damage;
+        this.radius = options.radius;
+        this.duration = options.duration;
+        this.tickRate = options.tickRate || AREA_DEFAULT_TICK_RATE;
+        this.tickInterval = 1 / this.tickRate;
+        this.knockback = options.knockback || false;
+        this.pull = options.pull || 0;
+        this.anchor = options.anchor || null;
+        this.element = options.element || ELEMENT_TYPES.PHYSICAL;
+        this.source = options.source || null;
+
+        // State
+        this.elapsed = 0;
+        this.tickTimer = 0; // First tick happens on the first update
+        this.tickCount = 0;
+        this.knockedBack = new Set();
+        this.isExpired = false;
+    }
+
+    /**
+     * Update area state
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Array} enemies - Array of enemies
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies
+     * @param {Array} enemyProjectiles - Hostile projectiles the area can destroy
+     */
+    update(deltaTime, enemies = [], enemyGrid = null, enemyProjectiles = []) {
+        if (this.isExpired) return;
+
+        // Expire once the duration has passed (the epsilon absorbs float drift so
+        // a tick scheduled exactly at the end of the duration is not dealt)
+        this.elapsed += deltaTime;
+        if (this.elapsed >= this.duration - 1e-6 && this.tickCount > 0) {
+            this.isExpired = true;
+            this.knockedBack.clear();
+            return;
+        }
+
+        // Follow the anchor
+        if (this.anchor) {
+            this.x = this.anchor.x;
+            this.y = this.anchor.y;
+        }
+
+        // Destroy hostile projectiles that fly into the area
+        this.destroyProjectiles(enemyProjectiles);
+
+        // Tick damage at the configured rate
+        this.tickTimer -= deltaTime;
+        if (this.tickTimer <= 0) {
+            this.tick(enemyGrid ? enemyGrid.queryRadius(this.x, this.y, this.radius) : enemies);
+            this.tickTimer += this.tickInterval;
+        }
+    }
+
+    /**
+     * Damage every enemy inside the area
+     * @param {Array} enemies - Array of candidate enemies
+     * @returns {Array} - Enemies hit by this tick
+     */
+    tick(enemies) {
+        const hitEnemies = enemies.filter(enemy => enemy.isAlive && this.contains(enemy));
+
+        hitEnemies.forEach(enemy => {
+            const damage = createDamage(this.damage, this.element, this.source);
+            enemy.takeDamage(damage);
+
+            if (this.source) {
+                this.source.onHit(enemy, damage);
+            }
+
+            if (this.knockback && !this.knockedBack.has(enemy)) {
+                this.applyKnockback(enemy);
+            } else if (this.pull > 0) {
+                this.applyPull(enemy);
+            }
+        });
+
+        this.tickCount++;
+
+        // Emit area tick event
+        eventEmitter.emit('area:tick', {
+            area: this,
+            hitEnemies: hitEnemies
+        });
+
+        return hitEnemies;
+    }
+
+    /**
+     * Destroy every hostile projectile inside the area
+     * @param {Array} enemyProjectiles - Hostile projectiles
+     */
+    destroyProjectiles(enemyProjectiles) {
+        enemyProjectiles.forEach(projectile => {
+            if (!projectile.isExpired && this.contains(projectile)) {
+                projectile.destroy(this);
+            }
+        });
+    }
+
+    /**
+     * Check if an entity is inside the area
+     * @param {Object} entity - Entity with x and y properties
+     * @returns {boolean} - True if inside
+     */
+    contains(entity) {
+        return distance({ x: this.x, y: this.y }, { x: entity.x, y: entity.y }) <= this.radius;
+    }
+
+    /**
+     * Push an enemy away from the area center
+     * @param {Enemy} enemy - Enemy to push
+     */
+    applyKnockback(enemy) {
+        const direction = getDirectionFromAngle(angle({ x: this.x, y: this.y }, { x: enemy.x, y: enemy.y }));
+        const knockbackDistance = this.radius / 2;
+
+        enemy.x += direction.x * knockbackDistance;
+        enemy.y += direction.y * knockbackDistance;
+
+        this.knockedBack.add(enemy);
+    }
+
+    /**
+     * Drag an enemy toward the area center
+     * @param {Enemy} enemy - Enemy to pull
+     */
+    applyPull(enemy) {
+        const dist = distance({ x: this.x, y: this.y }, { x: enemy.x, y: enemy.y });
+        if (dist === 0) return;
+
+        const step = Math.min(this.radius * this.pull, dist);
+        enemy.x += ((this.x - enemy.x) / dist) * step;
+        enemy.y += ((this.y - enemy.y) / dist) * step;
+    }
+
+    /**
+     * Draw the area
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        if (this.isExpired) return;
+
+        const color = ELEMENT_COLORS[this.element] || ELEMENT_COLORS[ELEMENT_TYPES.PHYSICAL];
+        const progress = Math.min(this.elapsed / this.duration, 1);
+        const fade = 1 - progress;
+
+        ctx.save();
+
+        // Draw filled zone
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 0.15 * fade;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw outer ring
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.globalAlpha = 0.8 * fade;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Draw pulse ring that resets on every tick
+        const tickProgress = 1 - Math.max(this.tickTimer, 0) / this.tickInterval;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 0.5 * fade * (1 - tickProgress);
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.radius * tickProgress, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.restore();
+    }
+}
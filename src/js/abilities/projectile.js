@@ -0,0 +1,208 @@
+/**
+ * Projectile Class
+ * Pooled projectile fired by abilities that travels in a straight line and damages enemies
+ */
+
+class Projectile {
+    /**
+     * Create a new projectile
+     * Projectiles are normally obtained from projectilePool and configured with init()
+     */
+    constructor() {
+        this.hitEnemies = new Set();
+        this.hitCandidates = []; // Reused for spatial grid queries
+        this.reset();
+    }
+
+    /**
+     * Configure the projectile for a new shot
+     * @param {Object} options - Projectile options
+     * @param {number} options.x - Start X position
+     * @param {number} options.y - Start Y position
+     * @param {number} options.directionX - Normalized X direction
+     * @param {number} options.directionY - Normalized Y direction
+     * @param {number} options.damage - Damage dealt on hit
+     * @param {number} options.speed - Speed in pixels per frame at the target FPS
+     * @param {number} options.size - Projectile diameter
+     * @param {boolean} options.piercing - Whether the projectile passes through enemies
+     * @param {number} options.range - Maximum travel distance
+     * @param {string} options.element - Element type from ELEMENT_TYPES
+     * @param {Ability} options.source - Ability that fired the projectile
+     * @param {boolean} options.isCrit - Whether the damage is a critical hit
+     * @param {Enemy} options.target - Optional enemy the projectile homes in on
+     * @param {number} options.turnRate - Maximum homing turn in radians per second
+     * @returns {Projectile} - This projectile
+     */
+    init(options) {
+        this.x = options.x;
+        this.y = options.y;
+        this.directionX = options.directionX;
+        this.directionY = options.directionY;
+        this.damage = options.damage;
+        this.speed = options.speed;
+        this.size = options.size;
+        this.piercing = options.piercing || false;
+        this.range = options.range;
+        this.element = options.element || ELEMENT_TYPES.PHYSICAL;
+        this.source = options.source || null;
+        this.isCrit = options.isCrit || false;
+        this.target = options.target || null;
+        this.turnRate = options.turnRate || 0;
+
+        this.distanceTraveled = 0;
+        this.lifetime = 0;
+        this.isExpired = false;
+        this.hitEnemies.clear();
+
+        return this;
+    }
+
+    /**
+     * Clear projectile state before returning it to the pool
+     */
+    reset() {
+        this.x = 0;
+        this.y = 0;
+        this.directionX = 0;
+        this.directionY = 0;
+        this.damage = 0;
+        this.speed = 0;
+        this.size = 0;
+        this.piercing = false;
+        this.range = 0;
+        this.element = ELEMENT_TYPES.PHYSICAL;
+        this.source = null;
+        this.isCrit = false;
+        this.target = null;
+        this.turnRate = 0;
+        this.distanceTraveled = 0;
+        this.lifetime = 0;
+        this.isExpired = true;
+        this.hitEnemies.clear();
+        this.hitCandidates.length = 0;
+    }
+
+    /**
+     * Update projectile state
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Array} enemies - Array of enemies
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies
+     */
+    update(deltaTime, enemies = [], enemyGrid = null) {
+        if (this.isExpired) return;
+
+        // Steer toward a living target
+        if (this.target && this.target.isAlive) {
+            this.steer(deltaTime);
+        }
+
+        // Move along direction (speed is per frame at the target FPS)
+        const step = this.speed * FPS * deltaTime;
+        this.x += this.directionX * step;
+        this.y += this.directionY * step;
+        this.distanceTraveled += step;
+        this.lifetime += deltaTime;
+
+        // Expire once out of range
+        if (this.distanceTraveled >= this.range || this.lifetime >= PROJECTILE_MAX_LIFETIME) {
+            this.isExpired = true;
+            return;
+        }
+
+        // Only test enemies whose circles could overlap this projectile
+        const candidates = enemyGrid
+            ? enemyGrid.queryRadius(this.x, this.y, (this.size + enemyGrid.maxEntitySize) / 2, this.hitCandidates)
+            : enemies;
+
+        // Check for enemy hits
+        for (const enemy of candidates) {
+            if (!enemy.isAlive || this.hitEnemies.has(enemy)) continue;
+
+            if (checkCollision(this, enemy)) {
+                this.hit(enemy);
+
+                if (this.isExpired) break;
+            }
+        }
+    }
+
+    /**
+     * Turn the direction toward the target by at most the turn rate
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    steer(deltaTime) {
+        const current = Math.atan2(this.directionY, this.directionX);
+        const turn = clamp(angleDifference(current, angle(this, this.target)), -this.turnRate * deltaTime, this.turnRate * deltaTime);
+        const direction = getDirectionFromAngle(current + turn);
+
+        this.directionX = direction.x;
+        this.directionY = direction.y;
+    }
+
+    /**
+     * Hit an enemy
+     * @param {Enemy} enemy - Enemy that was hit
+     */
+    hit(enemy) {
+        const damage = createDamage(this.damage, this.element, this.source, this.isCrit);
+
+        this.hitEnemies.add(enemy);
+        enemy.takeDamage(damage);
+
+        if (this.source) {
+            this.source.onHit(enemy, damage);
+        }
+
+        // Emit projectile hit event
+        eventEmitter.emit('projectile:hit', {
+            projectile: this,
+            enemy: enemy,
+            damage: this.damage
+        });
+
+        // Non-piercing projectiles stop at the first enemy
+        if (!this.piercing) {
+            this.isExpired = true;
+        }
+    }
+
+    /**
+     * Draw the projectile
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        if (this.isExpired) return;
+
+        const color = ELEMENT_COLORS[this.element] || ELEMENT_COLORS[ELEMENT_TYPES.PHYSICAL];
+        const radius = this.size / 2;
+
+        ctx.save();
+
+        // Draw short trail behind the projectile
+        ctx.strokeStyle = color;
+        ctx.lineWidth = radius;
+        ctx.globalAlpha = 0.4;
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        ctx.lineTo(this.x - this.directionX * this.size * 1.5, this.y - this.directionY * this.size * 1.5);
+        ctx.stroke();
+
+        // Draw glow
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 0.3;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, radius * 1.6, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw core
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
+
+// Create a global projectile pool
+const projectilePool = new ObjectPool(() => new Projectile(), PROJECTILE_POOL_SIZE);
@@ -0,0 +1,351 @@
+/**
+ * UpgradeManager Class
+ * Builds level-up offers from the ability catalog and the player's loadout,
+ * and tracks the run's reroll, banish and skip charges
+ */
+
+class UpgradeManager {
+    /**
+     * Create a new upgrade manager for a run
+     * @param {Character} player - Player character
+     */
+    constructor(player) {
+        this.player = player;
+        this.charges = { ...UPGRADE_STARTING_CHARGES };
+        this.banished = new Set(); // Ability ids that will never be offered again this run
+        this.currentOffers = [];
+    }
+
+    /**
+     * Collect every offer the player is currently eligible for
+     * @param {Set} excludeIds - Ability ids to leave out
+     * @returns {Array} - Candidate offers; new abilities have a create() function instead of an ability
+     */
+    getCandidates(excludeIds = new Set()) {
+        const candidates = [];
+        const isAvailable = id => !this.banished.has(id) && !excludeIds.has(id);
+        const catalog = AbilityFactory.getCatalog();
+        const rarityById = {};
+
+        // New abilities and passives, while slots remain
+        const hasAbilitySlot = this.player.abilities.length < MAX_ABILITY_SLOTS;
+        const hasPassiveSlot = this.player.passives.length < MAX_PASSIVE_SLOTS;
+
+        // New abilities are built by drawOffers() once chosen, not for every candidate
+        catalog.forEach(entry => {
+            rarityById[entry.id] = entry.rarity;
+
+            if (!isAvailable(entry.id) || this.player.getAbilityById(entry.id)) return;
+            if (entry.isPassive ? !hasPassiveSlot : !hasAbilitySlot) return;
+
+            candidates.push({
+                id: entry.id,
+                kind: entry.isPassive ? 'newPassive' : 'newAbility',
+                rarity: entry.rarity,
+                create: entry.create
+            });
+        });
+
+        // Evolutions for maxed abilities whose recipe passive is owned
+        candidates.push(...this.getEvolutionCandidates().filter(offer => isAvailable(offer.id)));
+
+        // Level ups for owned abilities and passives
+        [...this.player.abilities, ...this.player.passives].forEach(ability => {
+            if (!isAvailable(ability.id) || ability.isMaxLevel()) return;
+
+            candidates.push({
+                id: ability.id,
+                kind: 'levelUp',
+                rarity: rarityById[ability.id] || 'common',
+                ability: ability
+            });
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Collect evolution offers for every ability that is ready to evolve
+     * @returns {Array} - Evolution offers
+     */
+    getEvolutionCandidates() {
+        const candidates = [];
+
+        this.player.abilities.forEach(ability => {
+            const recipe = AbilityFactory.getEvolutionRecipe(ability);
+            if (!recipe || !ability.isMaxLevel() || !this.player.getAbilityById(recipe.passive)) return;
+
+            const evolution = AbilityFactory.createEvolution(ability);
+            if (this.banished.has(evolution.id)) return;
+
+            candidates.push({
+                id: evolution.id,
+                kind: 'evolution',
+                rarity: 'evolution',
+                ability: ability,
+                evolution: evolution
+            });
+        });
+
+        return candidates;
+    }
+
+    /**
+     * Draw a set of distinct offers weighted by rarity
+     * @param {number} count - Number of offers
+     * @returns {Array} - Offers
+     */
+    generateOffers(count = UPGRADES_PER_LEVEL) {
+        this.currentOffers = this.drawOffers(count, new Set());
+
+        // Emit offered event
+        eventEmitter.emit('upgrade:offered', {
+            player: this.player,
+            offers: this.currentOffers
+        });
+
+        return this.currentOffers;
+    }
+
+    /**
+     * Draw distinct offers without replacement
+     * @param {number} count - Number of offers
+     * @param {Set} excludeIds - Ability ids to leave out
+     * @returns {Array} - Offers (a heal when nothing else is available)
+     */
+    drawOffers(count, excludeIds) {
+        const candidates = this.getCandidates(excludeIds);
+        const offers = [];
+
+        while (offers.length < count && candidates.length > 0) {
+            const index = this.pickWeightedIndex(candidates);
+            const offer = candidates.splice(index, 1)[0];
+
+            if (!offer.ability) {
+                offer.ability = offer.create();
+            }
+
+            offers.push(offer);
+        }
+
+        if (offers.length === 0 && !excludeIds.has('heal')) {
+            offers.push(this.createHealOffer());
+        }
+
+        return offers;
+    }
+
+    /**
+     * Pick a candidate index using rarity weights
+     * @param {Array} candidates - Candidate offers
+     * @returns {number} - Chosen index
+     */
+    pickWeightedIndex(candidates) {
+        const totalWeight = candidates.reduce((sum, offer) => sum + UPGRADE_RARITIES[offer.rarity].weight, 0);
+        let roll = rng.loot.range(0, totalWeight);
+
+        for (let i = 0; i < candidates.length; i++) {
+            roll -= UPGRADE_RARITIES[candidates[i].rarity].weight;
+            if (roll < 0) return i;
+        }
+
+        return candidates.length - 1;
+    }
+
+    /**
+     * Create the fallback heal offer
+     * @returns {Object} - Heal offer
+     */
+    createHealOffer() {
+        return {
+            id: 'heal',
+            kind: 'heal',
+            rarity: 'common',
+            ability: null
+        };
+    }
+
+    /**
+     * Get the display name of an offer
+     * @param {Object} offer - Offer
+     * @returns {string} - Name
+     */
+    getOfferName(offer) {
+        switch (offer.kind) {
+            case 'levelUp':
+                return `${offer.ability.name} Lv ${offer.ability.level + 1}`;
+            case 'evolution':
+                return `${offer.ability.name} \u2192 ${offer.evolution.name}`;
+            case 'heal':
+                return 'Mend';
+            default:
+                return offer.ability.name;
+        }
+    }
+
+    /**
+     * Get the display description of an offer
+     * @param {Object} offer - Offer
+     * @returns {string} - Description
+     */
+    getOfferDescription(offer) {
+        if (offer.kind === 'heal') {
+            return `Restore ${Math.round(UPGRADE_HEAL_FRACTION * 100)}% of maximum health`;
+        }
+
+        if (offer.kind === 'evolution') {
+            return offer.evolution.getDescription();
+        }
+
+        return offer.ability.getDescription();
+    }
+
+    /**
+     * Apply a chosen offer to the player
+     * @param {Object} offer - One of the current offers
+     */
+    choose(offer) {
+        this.applyOffer(offer);
+        this.currentOffers = [];
+
+        // Emit chosen event
+        eventEmitter.emit('upgrade:chosen', {
+            player: this.player,
+            offer: offer
+        });
+    }
+
+    /**
+     * Apply an offer's effect to the player
+     * @param {Object} offer - Offer
+     */
+    applyOffer(offer) {
+        switch (offer.kind) {
+            case 'newAbility':
+            case 'newPassive':
+                this.player.addAbility(offer.ability);
+                break;
+
+            case 'levelUp':
+                offer.ability.levelUp();
+                break;
+
+            case 'evolution':
+                this.player.evolveAbility(offer.ability, offer.evolution);
+                break;
+
+            case 'heal':
+                this.player.heal(this.player.stats.maxHealth * UPGRADE_HEAL_FRACTION);
+                break;
+        }
+    }
+
+    /**
+     * Open a treasure chest: evolve a ready ability, otherwise level up an owned one
+     * @returns {Object} - Offer that was applied
+     */
+    openChest() {
+        const evolutions = this.getEvolutionCandidates();
+        const levelUps = this.getCandidates().filter(offer => offer.kind === 'levelUp');
+        const pool = evolutions.length > 0 ? evolutions : levelUps;
+
+        const reward = pool.length > 0 ? pool[this.pickWeightedIndex(pool)] : this.createHealOffer();
+        this.applyOffer(reward);
+
+        // Emit chest reward event
+        eventEmitter.emit('chest:reward', {
+            player: this.player,
+            offer: reward
+        });
+
+        return reward;
+    }
+
+    /**
+     * Replace all current offers with a fresh draw
+     * @returns {boolean} - Whether a reroll charge was spent
+     */
+    reroll() {
+        if (this.charges.reroll <= 0) return false;
+
+        this.charges.reroll--;
+        this.generateOffers(this.currentOffers.length || UPGRADES_PER_LEVEL);
+
+        eventEmitter.emit('upgrade:rerolled', {
+            player: this.player,
+            offers: this.currentOffers
+        });
+
+        return true;
+    }
+
+    /**
+     * Remove an offer's ability from the pool for the rest of the run
+     * and replace it with another offer
+     * @param {Object} offer - One of the current offers
+     * @returns {boolean} - Whether a banish charge was spent
+     */
+    banish(offer) {
+        if (this.charges.banish <= 0 || offer.kind === 'heal') return false;
+
+        const index = this.currentOffers.indexOf(offer);
+        if (index === -1) return false;
+
+        this.charges.banish--;
+        this.banished.add(offer.id);
+
+        // Fill the slot with something not already on offer
+        const shownIds = new Set(this.currentOffers.map(current => current.id));
+        const replacement = this.drawOffers(1, shownIds)[0];
+
+        if (replacement) {
+            this.currentOffers[index] = replacement;
+        } else {
+            this.currentOffers.splice(index, 1);
+        }
+
+        eventEmitter.emit('upgrade:banished', {
+            player: this.player,
+            offer: offer
+        });
+
+        return true;
+    }
+
+    /**
+     * Decline every offer
+     * @returns {boolean} - Whether a skip charge was spent
+     */
+    skip() {
+        if (this.charges.skip <= 0) return false;
+
+        this.charges.skip--;
+        this.currentOffers = [];
+
+        eventEmitter.emit('upgrade:skipped', {
+            player: this.player
+        });
+
+        return true;
+    }
+
+    /**
+     * Capture the run's charges and banished abilities for a save
+     * @returns {Object} - Snapshot restored by restore()
+     */
+    serialize() {
+        return {
+            charges: { ...this.charges },
+            banished: Array.from(this.banished)
+        };
+    }
+
+    /**
+     * Restore charges and banished abilities captured by serialize()
+     * @param {Object} snapshot - Upgrade manager snapshot
+     */
+    restore(snapshot) {
+        this.charges = { ...this.charges, ...snapshot.charges };
+        this.banished = new Set(snapshot.banished);
+    }
+}
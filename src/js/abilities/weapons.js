@@ -0,0 +1,261 @@
+/**
+ * Weapon Abilities
+ * Signature weapons that replace Character.autoAttack. Weapons fire at the nearest enemy in
+ * attack range on the owner's attack speed, scale with the owner's damage and crit stats,
+ * and emit 'player:attack' (and 'critical:hit') for every enemy they damage
+ *
+ * Weapon definition fields:
+ * - name, description: Display text; name is prefixed with the element
+ * - damageMultiplier: Fraction of the owner's damage dealt per hit
+ * - remaining fields are read by the weapon class for that type
+ */
+
+const WEAPON_DEFINITIONS = {
+    cleave: {
+        name: 'Cleave',
+        description: 'Sweep an arc in front of you, hitting every enemy inside it',
+        damageMultiplier: 1,
+        arc: Math.PI * 2 / 3
+    },
+    orb: {
+        name: 'Orb',
+        description: 'Launch an orb that homes in on the nearest enemy',
+        damageMultiplier: 1.4,
+        speed: 6,
+        size: 14,
+        turnRate: Math.PI * 1.5, // radians per second
+        rangeMultiplier: 2 // travel distance as a multiple of attack range
+    },
+    volley: {
+        name: 'Arrow Volley',
+        description: 'Loose a spread of piercing arrows',
+        damageMultiplier: 0.6,
+        count: 3,
+        spread: Math.PI / 18, // radians between arrows
+        speed: 14,
+        size: 6,
+        rangeMultiplier: 1.5
+    }
+};
+
+class WeaponAbility extends Ability {
+    /**
+     * Create a new weapon
+     * @param {string} name - Weapon name
+     * @param {string} description - Weapon description
+     * @param {string} element - Element type from ELEMENT_TYPES
+     * @param {Object} weaponStats - Definition from WEAPON_DEFINITIONS
+     */
+    constructor(name, description, element, weaponStats) {
+        super(name, description, ABILITY_TYPES.ACTIVE, element, 0);
+
+        this.owner = null; // Set by Character.equipWeapon
+        this.weaponStats = { ...weaponStats };
+        this.maxLevel = 1; // Weapons scale through the owner's stats instead of levels
+    }
+
+    /**
+     * Attack the nearest enemy in range if the weapon is ready
+     * @param {Character} character - Character wielding the weapon
+     * @param {Array} enemies - Array of enemies
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies
+     * @returns {boolean} - True if the weapon attacked
+     */
+    tryAttack(character, enemies, enemyGrid = null) {
+        if (!this.isReady()) return false;
+
+        const target = character.findNearestEnemy(enemies, character.stats.attackRange, enemyGrid);
+        if (!target) return false;
+
+        this.strike(character, target, enemies, enemyGrid);
+
+        // The cooldown follows the owner's attack speed
+        this.cooldownTimer = 1 / character.stats.attackSpeed;
+
+        // Emit ability used event
+        eventEmitter.emit('ability:used', {
+            ability: this,
+            character: character,
+            targets: [target]
+        });
+
+        return true;
+    }
+
+    /**
+     * Perform one attack toward a target
+     * @param {Character} character - Character wielding the weapon
+     * @param {Enemy} target - Nearest enemy in range
+     * @param {Array} enemies - Array of enemies
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies
+     */
+    strike(character, target, enemies, enemyGrid) {
+        // Implemented by each weapon type
+    }
+
+    /**
+     * Roll damage for one hit from the owner's damage and crit stats
+     * @param {Character} character - Character wielding the weapon
+     * @returns {Object} - Damage object from createDamage
+     */
+    rollDamage(character) {
+        const isCrit = rng.combat.chance(character.stats.critChance);
+        const amount = character.stats.damage * this.weaponStats.damageMultiplier * (isCrit ? character.stats.critMultiplier : 1);
+
+        return createDamage(amount, this.element, this, isCrit);
+    }
+
+    /**
+     * Report a hit with the same events as Character.attack
+     * @param {Enemy} enemy - Enemy that was damaged
+     * @param {Object} damage - Damage object from createDamage
+     */
+    onHit(enemy, damage) {
+        if (damage.isCrit) {
+            eventEmitter.emit('critical:hit', {
+                source: this.owner,
+                target: enemy,
+                damage: damage.amount
+            });
+        }
+
+        // Emit attack event
+        eventEmitter.emit('player:attack', {
+            player: this.owner,
+            target: enemy,
+            damage: damage.amount
+        });
+    }
+
+    /**
+     * Take a projectile from the pool and aim it along an angle
+     * @param {Character} character - Character firing the projectile
+     * @param {number} radians - Direction in radians
+     * @param {Object} options - Extra Projectile.init options
+     * @returns {Projectile} - Configured projectile
+     */
+    createProjectile(character, radians, options = {}) {
+        const direction = getDirectionFromAngle(radians);
+        const damage = this.rollDamage(character);
+
+        return projectilePool.acquire().init({
+            x: character.x,
+            y: character.y,
+            directionX: direction.x,
+            directionY: direction.y,
+            damage: damage.amount,
+            isCrit: damage.isCrit,
+            speed: this.weaponStats.speed,
+            size: this.weaponStats.size,
+            range: character.stats.attackRange * this.weaponStats.rangeMultiplier,
+            element: this.element,
+            source: this,
+            ...options
+        });
+    }
+
+    /**
+     * Get weapon description
+     * @returns {string} - Formatted description
+     */
+    getDescription() {
+        return `${this.description}\nDamage: ${Math.round(this.weaponStats.damageMultiplier * 100)}% of attack`;
+    }
+}
+
+class CleaveWeapon extends WeaponAbility {
+    /**
+     * Create a new cleave weapon
+     * @param {string} name - Weapon name
+     * @param {string} description - Weapon description
+     * @param {string} element - Element type from ELEMENT_TYPES
+     * @param {Object} weaponStats - Definition from WEAPON_DEFINITIONS
+     */
+    constructor(name, description, element, weaponStats) {
+        super(name, description, element, weaponStats);
+
+        this.candidates = []; // Reused for spatial grid queries
+    }
+
+    /**
+     * Damage every enemy in an arc facing the target
+     * @param {Character} character - Character wielding the weapon
+     * @param {Enemy} target - Nearest enemy in range
+     * @param {Array} enemies - Array of enemies
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies
+     */
+    strike(character, target, enemies, enemyGrid) {
+        const range = character.stats.attackRange;
+        const facing = angle(character, target);
+        const halfArc = this.weaponStats.arc / 2;
+
+        const candidates = enemyGrid
+            ? enemyGrid.queryRadius(character.x, character.y, range + enemyGrid.maxEntitySize / 2, this.candidates)
+            : enemies;
+
+        candidates.forEach(enemy => {
+            if (!enemy.isAlive) return;
+
+            // The target is always hit; others need their edge in range and their center in the arc
+            if (enemy !== target) {
+                if (distance(character, enemy) > range + getEntitySize(enemy) / 2) return;
+                if (Math.abs(angleDifference(facing, angle(character, enemy))) > halfArc) return;
+            }
+
+            const damage = this.rollDamage(character);
+            enemy.takeDamage(damage);
+            this.onHit(enemy, damage);
+        });
+    }
+}
+
+class HomingOrbWeapon extends WeaponAbility {
+    /**
+     * Launch an orb that steers toward the target
+     * @param {Character} character - Character wielding the weapon
+     * @param {Enemy} target - Nearest enemy in range
+     * @param {Array} enemies - Array of enemies
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies
+     */
+    strike(character, target, enemies, enemyGrid) {
+        const orb = this.createProjectile(character, angle(character, target), {
+            target: target,
+            turnRate: this.weaponStats.turnRate
+        });
+
+        // Emit projectiles created event
+        eventEmitter.emit('projectiles:created', {
+            ability: this,
+            character: character,
+            projectiles: [orb]
+        });
+    }
+}
+
+class ArrowVolleyWeapon extends WeaponAbility {
+    /**
+     * Loose a spread of piercing arrows centered on the target
+     * @param {Character} character - Character wielding the weapon
+     * @param {Enemy} target - Nearest enemy in range
+     * @param {Array} enemies - Array of enemies
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies
+     */
+    strike(character, target, enemies, enemyGrid) {
+        const count = this.weaponStats.count;
+        const startAngle = angle(character, target) - this.weaponStats.spread * (count - 1) / 2;
+        const arrows = [];
+
+        for (let i = 0; i < count; i++) {
+            arrows.push(this.createProjectile(character, startAngle + this.weaponStats.spread * i, {
+                piercing: true
+            }));
+        }
+
+        // Emit projectiles created event
+        eventEmitter.emit('projectiles:created', {
+            ability: this,
+            character: character,
+            projectiles: arrows
+        });
+    }
+}
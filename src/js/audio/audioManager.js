@@ -0,0 +1,459 @@
+/**
+ * Audio Manager Class
+ * Plays sound effects for game events and adaptive music through the Web Audio API
+ *
+ * Every sound is synthesized into a buffer when audio starts, so the game has sound
+ * without any asset files; files listed in AUDIO_FILES replace the synthesized buffers
+ * once they load. Sounds are panned by where they happen on screen and limited
+ * to a number of voices each. Music is a set of looping layers that fade in as more
+ * enemies crowd the screen. Browsers only allow audio after the player interacts with
+ * the page, so nothing is created until the first click, touch or key press.
+ */
+
+class AudioManager {
+    /**
+     * Create a new audio manager and subscribe to game events
+     * @param {Camera} camera - Camera used to pan sounds by their screen position
+     */
+    constructor(camera) {
+        this.camera = camera;
+        this.volumes = { ...AUDIO_DEFAULT_VOLUMES };
+        this.load();
+
+        // Web Audio graph, created by start()
+        this.context = null;
+        this.buses = null;
+        this.buffers = {};
+        this.musicBuffers = {};
+
+        // Voices playing per sound {source, endTime}, and when each sound last started
+        this.voices = {};
+        this.lastStartTimes = {};
+
+        // Looping music layers {source, gain, level} while a run is playing
+        this.music = null;
+
+        // Pitch variation only; never drawn from the run's seeded streams
+        this.random = new RandomStream(RandomService.createSeed());
+
+        // Create the audio graph on the first interaction the browser accepts as a gesture
+        const AudioContextClass = typeof window.AudioContext !== 'undefined' ? window.AudioContext : window.webkitAudioContext;
+        this.isSupported = !!AudioContextClass;
+
+        if (this.isSupported) {
+            const unlock = () => this.start(AudioContextClass);
+            window.addEventListener('pointerdown', unlock, true);
+            window.addEventListener('keydown', unlock, true);
+        }
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Play sounds for game events
+     */
+    setupEventListeners() {
+        eventEmitter.on('player:attack', (data) => {
+            this.play('attack', data.target || data.player);
+        });
+
+        eventEmitter.on('enemy:death', (data) => {
+            this.play('enemyDeath', data.enemy);
+        });
+
+        eventEmitter.on('player:dashStart', (data) => {
+            this.play('dash', data.player);
+        });
+
+        eventEmitter.on('player:levelUp', () => {
+            this.play('levelUp');
+        });
+
+        eventEmitter.on('wave:start', () => {
+            this.play('waveStart');
+        });
+
+        eventEmitter.on('player:damage', (data) => {
+            this.play('playerDamage', data.player);
+        });
+    }
+
+    /**
+     * Load volumes from storage, keeping the defaults for anything missing
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY));
+        } catch (error) {
+            console.error('Could not load audio settings:', error);
+        }
+
+        Object.keys(this.volumes).forEach(bus => {
+            if (saved && typeof saved[bus] === 'number') {
+                this.volumes[bus] = clamp(saved[bus], 0, 1);
+            }
+        });
+    }
+
+    /**
+     * Save volumes to storage
+     */
+    save() {
+        try {
+            localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(this.volumes));
+        } catch (error) {
+            console.error('Could not save audio settings:', error);
+        }
+    }
+
+    /**
+     * Set the volume of a bus
+     * @param {string} bus - 'master', 'music' or 'sfx'
+     * @param {number} volume - Gain (0-1)
+     */
+    setVolume(bus, volume) {
+        if (!(bus in this.volumes)) return;
+
+        this.volumes[bus] = clamp(volume, 0, 1);
+        this.save();
+
+        if (this.buses) {
+            this.buses[bus].gain.setTargetAtTime(this.volumes[bus], this.context.currentTime, 0.02);
+        }
+    }
+
+    /**
+     * Create the audio graph and every sound, or resume audio the browser suspended
+     * @param {Function} AudioContextClass - AudioContext constructor
+     */
+    start(AudioContextClass) {
+        if (this.context) {
+            if (this.context.state === 'suspended') {
+                this.context.resume();
+            }
+            return;
+        }
+
+        this.context = new AudioContextClass();
+
+        // Music and effects have their own volume under the master volume
+        const master = this.context.createGain();
+        master.connect(this.context.destination);
+        this.buses = { master };
+
+        ['music', 'sfx'].forEach(bus => {
+            this.buses[bus] = this.context.createGain();
+            this.buses[bus].connect(master);
+        });
+
+        Object.keys(this.buses).forEach(bus => {
+            this.buses[bus].gain.value = this.volumes[bus];
+        });
+
+        // Every load uses the same noise, so sounds do not change between sessions
+        const noise = new RandomStream(AUDIO_NOISE_SEED);
+        const sampleRate = this.context.sampleRate;
+
+        Object.keys(SOUND_DEFINITIONS).forEach(id => {
+            const sound = SOUND_DEFINITIONS[id];
+            this.buffers[id] = this.createBuffer(AudioManager.renderTones(sound.tones, sampleRate, noise));
+            this.loadFile(AUDIO_FILES.sounds[id], this.buffers, id);
+        });
+
+        const loopLength = Math.round(AudioManager.getMusicLoopDuration() * sampleRate);
+        Object.keys(MUSIC_LAYER_DEFINITIONS).forEach(id => {
+            const layer = MUSIC_LAYER_DEFINITIONS[id];
+            const samples = AudioManager.renderTones(AudioManager.getMusicTones(layer), sampleRate, noise, loopLength);
+            this.musicBuffers[id] = this.createBuffer(samples);
+            this.loadFile(AUDIO_FILES.music[id], this.musicBuffers, id);
+        });
+    }
+
+    /**
+     * Wrap samples in a mono audio buffer
+     * @param {Float32Array} samples - Samples at the context's sample rate
+     * @returns {AudioBuffer} - Buffer for buffer sources
+     */
+    createBuffer(samples) {
+        const buffer = this.context.createBuffer(1, Math.max(1, samples.length), this.context.sampleRate);
+        buffer.getChannelData(0).set(samples);
+        return buffer;
+    }
+
+    /**
+     * Replace a synthesized buffer with an audio file from AUDIO_FILES
+     * @param {string} file - File path, or undefined for none
+     * @param {Object} buffers - Buffers by id to update
+     * @param {string} id - Sound or music layer id
+     */
+    loadFile(file, buffers, id) {
+        if (!file || typeof fetch === 'undefined') return;
+
+        fetch(file)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+                return response.arrayBuffer();
+            })
+            .then(data => this.context.decodeAudioData(data))
+            .then(buffer => {
+                buffers[id] = buffer;
+            })
+            .catch(() => {
+                // The synthesized sound stays in place
+            });
+    }
+
+    /**
+     * Get the length of one music loop
+     * @returns {number} - Loop duration in seconds
+     */
+    static getMusicLoopDuration() {
+        return AUDIO_MUSIC_LOOP_STEPS * AudioManager.getMusicStepDuration();
+    }
+
+    /**
+     * Get the length of one music step, a sixteenth note
+     * @returns {number} - Step duration in seconds
+     */
+    static getMusicStepDuration() {
+        return 60 / AUDIO_MUSIC_TEMPO / 4;
+    }
+
+    /**
+     * Turn a music layer's notes into tones
+     * @param {Object} layer - Music layer definition from MUSIC_LAYER_DEFINITIONS
+     * @returns {Array} - Tones in the SOUND_DEFINITIONS tone format
+     */
+    static getMusicTones(layer) {
+        const step = AudioManager.getMusicStepDuration();
+        const slideRatio = Math.pow(2, (layer.slide || 0) / 12);
+
+        return layer.notes.map(([start, length, semitones]) => {
+            const frequency = AUDIO_MUSIC_ROOT_FREQUENCY * Math.pow(2, semitones / 12);
+
+            return {
+                wave: layer.wave,
+                frequency,
+                endFrequency: frequency * slideRatio,
+                start: start * step,
+                duration: length * step,
+                attack: layer.attack,
+                release: layer.release,
+                volume: 1
+            };
+        });
+    }
+
+    /**
+     * Synthesize tones into samples
+     * @param {Array} tones - Tones in the SOUND_DEFINITIONS tone format
+     * @param {number} sampleRate - Samples per second
+     * @param {RandomStream} noise - Stream for 'noise' tones
+     * @param {number} length - Sample count; defaults to the end of the last tone
+     * @returns {Float32Array} - Mixed samples in [-1, 1]
+     */
+    static renderTones(tones, sampleRate, noise, length = null) {
+        const end = Math.max(...tones.map(tone => tone.start + tone.duration));
+        const samples = new Float32Array(length !== null ? length : Math.round(end * sampleRate));
+
+        tones.forEach(tone => {
+            const first = Math.floor(tone.start * sampleRate);
+            const count = Math.min(Math.floor(tone.duration * sampleRate), samples.length - first);
+            const attack = tone.attack !== undefined ? tone.attack : 0.005;
+            const release = tone.release !== undefined ? tone.release : tone.duration - attack;
+            const endFrequency = tone.endFrequency !== undefined ? tone.endFrequency : tone.frequency;
+            const volume = tone.volume !== undefined ? tone.volume : 1;
+            const sweep = tone.frequency > 0 ? endFrequency / tone.frequency : 1;
+            let phase = 0;
+
+            for (let i = 0; i < count; i++) {
+                const time = i / sampleRate;
+
+                // Exponential sweeps sound even across octaves
+                const frequency = tone.frequency * Math.pow(sweep, time / tone.duration);
+                phase = (phase + frequency / sampleRate) % 1;
+
+                let value;
+                switch (tone.wave) {
+                    case 'square':
+                        value = phase < 0.5 ? 1 : -1;
+                        break;
+                    case 'triangle':
+                        value = 1 - 4 * Math.abs(phase - 0.5);
+                        break;
+                    case 'sawtooth':
+                        value = 2 * phase - 1;
+                        break;
+                    case 'noise':
+                        value = noise.range(-1, 1);
+                        break;
+                    default:
+                        value = Math.sin(phase * Math.PI * 2);
+                }
+
+                // Rise over the attack and fall over the release, squared for a natural decay
+                let envelope = 1;
+                if (time < attack) {
+                    envelope = time / attack;
+                } else if (time > tone.duration - release) {
+                    envelope = Math.pow(Math.max(0, tone.duration - time) / release, 2);
+                }
+
+                samples[first + i] += value * envelope * volume;
+            }
+        });
+
+        // Overlapping tones are clipped rather than wrapping around
+        for (let i = 0; i < samples.length; i++) {
+            samples[i] = clamp(samples[i], -1, 1);
+        }
+
+        return samples;
+    }
+
+    /**
+     * Get the stereo pan of a world position from where it is on screen
+     * @param {Object} position - World position {x, y}, or null for a centred sound
+     * @returns {number} - Pan from -1 (left) to 1 (right)
+     */
+    getPan(position) {
+        if (!position || !this.camera.width) return 0;
+
+        const screen = this.camera.worldToScreen(position.x, position.y);
+        return clamp((screen.x / this.camera.width) * 2 - 1, -1, 1) * AUDIO_PAN_WIDTH;
+    }
+
+    /**
+     * Play a sound effect
+     * @param {string} id - Sound id from SOUND_DEFINITIONS
+     * @param {Object} position - World position the sound comes from, or null for a centred sound
+     * @returns {boolean} - True if a voice was started
+     */
+    play(id, position = null) {
+        if (!this.context || this.context.state !== 'running') return false;
+
+        const sound = SOUND_DEFINITIONS[id];
+        const now = this.context.currentTime;
+
+        // Hits landing on the same frame would only add up to one loud, phasing sound
+        const lastStartTime = this.lastStartTimes[id];
+        if (lastStartTime !== undefined && now - lastStartTime < sound.minInterval) {
+            return false;
+        }
+
+        // Make room by cutting off the oldest voice
+        const voices = (this.voices[id] || []).filter(voice => voice.endTime > now);
+        if (voices.length >= sound.maxVoices) {
+            voices.shift().source.stop();
+        }
+
+        const source = this.context.createBufferSource();
+        source.buffer = this.buffers[id];
+        source.playbackRate.value = 1 + this.random.range(-sound.pitchVariation, sound.pitchVariation);
+
+        const gain = this.context.createGain();
+        gain.gain.value = sound.volume;
+        source.connect(gain);
+
+        // Older Safari has no stereo panner; its sounds stay centred
+        if (this.context.createStereoPanner) {
+            const panner = this.context.createStereoPanner();
+            panner.pan.value = this.getPan(position);
+            gain.connect(panner);
+            panner.connect(this.buses.sfx);
+        } else {
+            gain.connect(this.buses.sfx);
+        }
+
+        source.start();
+        voices.push({ source, endTime: now + source.buffer.duration / source.playbackRate.value });
+        this.voices[id] = voices;
+        this.lastStartTimes[id] = now;
+
+        return true;
+    }
+
+    /**
+     * Start every music layer in sync, silent until the intensity calls for it
+     */
+    startMusic() {
+        const startTime = this.context.currentTime + 0.05;
+        this.music = {};
+
+        Object.keys(MUSIC_LAYER_DEFINITIONS).forEach(id => {
+            const source = this.context.createBufferSource();
+            source.buffer = this.musicBuffers[id];
+            source.loop = true;
+
+            const gain = this.context.createGain();
+            gain.gain.value = 0;
+            source.connect(gain);
+            gain.connect(this.buses.music);
+            source.start(startTime);
+
+            this.music[id] = { source, gain, level: 0 };
+        });
+    }
+
+    /**
+     * Fade the music out and stop it
+     */
+    stopMusic() {
+        const now = this.context.currentTime;
+
+        Object.values(this.music).forEach(layer => {
+            layer.gain.gain.setTargetAtTime(0, now, AUDIO_MUSIC_FADE_TIME / 3);
+            layer.source.stop(now + AUDIO_MUSIC_FADE_TIME * 2);
+        });
+
+        this.music = null;
+    }
+
+    /**
+     * Get how intense the music should be
+     * @param {Game} game - Game instance
+     * @returns {number} - Intensity (0-1)
+     */
+    static getMusicIntensity(game) {
+        // Pauses and the upgrade panel drop back to the calmest layer
+        if (!game.isSimulationRunning()) return 0;
+        if (game.activeBoss) return 1;
+
+        return Math.min(1, game.enemies.length / AUDIO_MUSIC_FULL_INTENSITY_ENEMIES);
+    }
+
+    /**
+     * Start, stop and fade music layers to follow the game, once per frame
+     * @param {Game} game - Game instance
+     */
+    update(game) {
+        if (!this.context) return;
+
+        const inRun = game.state === GAME_STATES.PLAYING || game.state === GAME_STATES.UPGRADE;
+        if (inRun && !this.music) {
+            this.startMusic();
+        } else if (!inRun && this.music) {
+            this.stopMusic();
+        }
+
+        if (!this.music) return;
+
+        const intensity = AudioManager.getMusicIntensity(game);
+        const now = this.context.currentTime;
+
+        // Only changes are scheduled, so fades are not restarted every frame
+        Object.keys(this.music).forEach(id => {
+            const layer = this.music[id];
+            const definition = MUSIC_LAYER_DEFINITIONS[id];
+            const level = intensity >= definition.threshold ? 1 : 0;
+
+            if (level !== layer.level) {
+                layer.level = level;
+                layer.gain.gain.setTargetAtTime(level * definition.volume, now, AUDIO_MUSIC_FADE_TIME);
+            }
+        });
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Sound Definitions
+ * Data-driven sound effects and music layers consumed by AudioManager
+ *
+ * Every sound and layer is synthesized. AUDIO_FILES lists the recorded files that replace
+ * them; only files committed under assets/audio/ belong there, so nothing is fetched in vain.
+ *
+ * Sound effects (SOUND_DEFINITIONS) are plain JSON-shaped objects:
+ * - volume: Gain of every voice (0-1)
+ * - maxVoices: Copies that may play at once; the oldest is cut off to make room
+ * - minInterval: Seconds after a start during which the same sound is not started again
+ * - pitchVariation: Random playback rate change per voice, as a fraction (0.1 is +-10%)
+ * - tones: Synthesized sound, mixed together. Each tone has a wave ('sine', 'square',
+ *   'triangle', 'sawtooth' or 'noise'), frequency and optional endFrequency in Hz (swept
+ *   exponentially), start and duration in seconds, and optional attack and release in
+ *   seconds (release defaults to the rest of the tone, a plain decay) and volume (0-1)
+ *
+ * Music layers (MUSIC_LAYER_DEFINITIONS) loop together, AUDIO_MUSIC_LOOP_STEPS sixteenth
+ * notes long at AUDIO_MUSIC_TEMPO:
+ * - threshold: Music intensity (0-1) at which the layer fades in
+ * - volume, wave, attack, release: As for tones, shared by the layer's notes
+ * - slide: Semitones each note bends by over its length (drums drop in pitch)
+ * - notes: [step, length in steps, semitones above AUDIO_MUSIC_ROOT_FREQUENCY]
+ */
+
+const SOUND_DEFINITIONS = {
+    attack: {
+        volume: 0.25,
+        maxVoices: 4,
+        minInterval: 0.04,
+        pitchVariation: 0.08,
+        tones: [
+            { wave: 'square', frequency: 660, endFrequency: 330, start: 0, duration: 0.07, volume: 0.5 }
+        ]
+    },
+    enemyDeath: {
+        volume: 0.35,
+        maxVoices: 6,
+        minInterval: 0.03,
+        pitchVariation: 0.15,
+        tones: [
+            { wave: 'noise', frequency: 0, start: 0, duration: 0.18, volume: 0.4 },
+            { wave: 'sine', frequency: 220, endFrequency: 60, start: 0, duration: 0.15, volume: 0.8 }
+        ]
+    },
+    dash: {
+        volume: 0.3,
+        maxVoices: 1,
+        minInterval: 0.1,
+        pitchVariation: 0.05,
+        tones: [
+            { wave: 'noise', frequency: 0, start: 0, duration: 0.25, attack: 0.06, volume: 0.35 },
+            { wave: 'sine', frequency: 300, endFrequency: 900, start: 0, duration: 0.2, volume: 0.4 }
+        ]
+    },
+    levelUp: {
+        volume: 0.4,
+        maxVoices: 1,
+        minInterval: 0.2,
+        pitchVariation: 0,
+        tones: [
+            { wave: 'triangle', frequency: 523.25, start: 0, duration: 0.18, volume: 0.6 },
+            { wave: 'triangle', frequency: 659.25, start: 0.08, duration: 0.18, volume: 0.6 },
+            { wave: 'triangle', frequency: 783.99, start: 0.16, duration: 0.18, volume: 0.6 },
+            { wave: 'triangle', frequency: 1046.5, start: 0.24, duration: 0.35, volume: 0.6 }
+        ]
+    },
+    waveStart: {
+        volume: 0.3,
+        maxVoices: 1,
+        minInterval: 1,
+        pitchVariation: 0,
+        tones: [
+            { wave: 'sawtooth', frequency: 110, start: 0, duration: 0.8, attack: 0.08, release: 0.5, volume: 0.5 },
+            { wave: 'sawtooth', frequency: 165, start: 0, duration: 0.8, attack: 0.08, release: 0.5, volume: 0.3 }
+        ]
+    },
+    playerDamage: {
+        volume: 0.4,
+        maxVoices: 2,
+        minInterval: 0.1,
+        pitchVariation: 0.05,
+        tones: [
+            { wave: 'square', frequency: 220, endFrequency: 70, start: 0, duration: 0.22, volume: 0.5 },
+            { wave: 'noise', frequency: 0, start: 0, duration: 0.08, volume: 0.4 }
+        ]
+    }
+};
+
+const MUSIC_LAYER_DEFINITIONS = {
+    // A minor and F major chords, always playing during a run
+    pad: {
+        threshold: 0,
+        volume: 0.3,
+        wave: 'triangle',
+        attack: 0.4,
+        release: 0.6,
+        slide: 0,
+        notes: [
+            [0, 16, 12], [0, 16, 15], [0, 16, 19],
+            [16, 16, 8], [16, 16, 12], [16, 16, 15]
+        ]
+    },
+    bass: {
+        threshold: 0.2,
+        volume: 0.18,
+        wave: 'sawtooth',
+        attack: 0.01,
+        release: 0.1,
+        slide: 0,
+        notes: [
+            [0, 1.5, -12], [2, 1.5, -12], [4, 1.5, -12], [6, 1.5, -12],
+            [8, 1.5, -12], [10, 1.5, -12], [12, 1.5, -12], [14, 1.5, 0],
+            [16, 1.5, -16], [18, 1.5, -16], [20, 1.5, -16], [22, 1.5, -16],
+            [24, 1.5, -16], [26, 1.5, -16], [28, 1.5, -16], [30, 1.5, -4]
+        ]
+    },
+    kick: {
+        threshold: 0.4,
+        volume: 0.6,
+        wave: 'sine',
+        attack: 0.002,
+        slide: -24,
+        notes: [[0, 2, 7], [8, 2, 7], [16, 2, 7], [24, 2, 7]]
+    },
+    hats: {
+        threshold: 0.6,
+        volume: 0.1,
+        wave: 'noise',
+        attack: 0.002,
+        slide: 0,
+        notes: [
+            [2, 0.5, 0], [6, 0.5, 0], [10, 0.5, 0], [14, 0.5, 0],
+            [18, 0.5, 0], [22, 0.5, 0], [26, 0.5, 0], [30, 0.5, 0]
+        ]
+    },
+    // Arpeggio over the chords, only when the screen is crowded or a boss is out
+    lead: {
+        threshold: 0.8,
+        volume: 0.08,
+        wave: 'square',
+        attack: 0.005,
+        slide: 0,
+        notes: [
+            [0, 1, 24], [1, 1, 27], [2, 1, 31], [3, 1, 27], [4, 1, 24], [5, 1, 27], [6, 1, 31], [7, 1, 27],
+            [8, 1, 24], [9, 1, 27], [10, 1, 31], [11, 1, 27], [12, 1, 24], [13, 1, 27], [14, 1, 31], [15, 1, 36],
+            [16, 1, 20], [17, 1, 24], [18, 1, 27], [19, 1, 24], [20, 1, 20], [21, 1, 24], [22, 1, 27], [23, 1, 24],
+            [24, 1, 20], [25, 1, 24], [26, 1, 27], [27, 1, 24], [28, 1, 20], [29, 1, 24], [30, 1, 27], [31, 1, 32]
+        ]
+    }
+};
+
+// Files that replace synthesized buffers once they load, by sound or music layer id.
+// Music files must be exactly one loop long. Example: sounds: { attack: 'assets/audio/attack.ogg' }
+const AUDIO_FILES = {
+    sounds: {},
+    music: {}
+};
@@ -6,7 +6,7 @@
 class Character {
     /**
      * Create a new character
-     * @param {string} type - Character type from CHARACTER_TYPES
+     * @param {string} type - Character type id from CHARACTER_DEFINITIONS
      * @param {Object} stats - Character stats
      */
     constructor(type, stats = {}) {
@@ -15,18 +15,31 @@ class Character {
         this.experience = 0;
         this.experienceToNextLevel = PLAYER_XP_TO_LEVEL;
         
-        // Set base stats with defaults
-        this.stats = {
-            health: stats.health || PLAYER_BASE_HEALTH,
+        // Base stats from the factory never change; this.stats is derived from them
+        this.baseStats = Object.freeze({
             maxHealth: stats.maxHealth || PLAYER_BASE_HEALTH,
             damage: stats.damage || PLAYER_BASE_DAMAGE,
             attackSpeed: stats.attackSpeed || PLAYER_BASE_ATTACK_SPEED,
             attackRange: stats.attackRange || PLAYER_BASE_ATTACK_RANGE,
             pickupRange: stats.pickupRange || PLAYER_BASE_PICKUP_RANGE,
+            critChance: stats.critChance || PLAYER_BASE_CRIT_CHANCE,
+            critMultiplier: stats.critMultiplier || PLAYER_BASE_CRIT_MULTIPLIER,
             speed: stats.speed || PLAYER_SPEED,
             size: stats.size || PLAYER_SIZE,
             acceleration: stats.acceleration || 8.0,  // New: acceleration rate
             deceleration: stats.deceleration || 12.0  // New: deceleration rate
+        });
+        
+        // Ordered stat modifiers {stat, type, value, source}
+        this.modifiers = [];
+        
+        // Meta upgrade levels the factory applied, saved so a continued run gets the same ones
+        this.metaUpgradeLevels = {};
+        
+        // Derived stats; health is the current value and is not modified
+        this.stats = {
+            ...this.baseStats,
+            health: stats.health || this.baseStats.maxHealth
         };
         
         // Position
@@ -51,19 +64,24 @@ class Character {
         this.movementTrail = new MovementTrail(15, 0.6);
         
         // Combat
-        this.lastAttackTime = 0;
+        this.attackTimer = 0; // Seconds until the plain auto-attack is ready
         this.abilities = [];
+        this.weapon = null; // Signature WeaponAbility that replaces the auto-attack
         this.passives = [];
         
         // State
         this.isAlive = true;
         this.direction = { x: 0, y: 1 }; // Facing down by default
         this.isMoving = false;
+        this.aimPosition = null; // World position of the cursor, used by cursor-targeted abilities
         
         // Visual feedback
         this.dashEffect = 0;  // For movement visual effect
         this.hitEffect = 0;   // For damage visual effect
         
+        // Damage immunity after being hit or while dashing
+        this.invulnerabilityTimer = 0;
+        
         // Animation
         this.animationFrame = 0;
         this.animationTime = 0;
@@ -75,8 +93,9 @@ class Character {
      * @param {number} deltaTime - Time since last update in seconds
      * @param {Array} enemies - Array of enemies
      * @param {Object} worldBounds - World boundaries
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies
      */
-    update(deltaTime, enemies, worldBounds = null) {
+    update(deltaTime, enemies, worldBounds = null, enemyGrid = null) {
         if (!this.isAlive) return;
         
         // Update animation
@@ -102,11 +121,17 @@ class Character {
         // Update visual effects
         this.updateEffects(deltaTime);
         
-        // Auto-attack nearest enemy
-        this.autoAttack(enemies, deltaTime);
+        // Attack with the signature weapon, falling back to the plain auto-attack
+        if (this.weapon) {
+            this.weapon.tickCooldown(deltaTime);
+            this.weapon.tryAttack(this, enemies, enemyGrid);
+        } else {
+            this.autoAttack(enemies, deltaTime, enemyGrid);
+        }
         
         // Update abilities
         this.abilities.forEach(ability => {
+            ability.tickCooldown(deltaTime);
             if (ability.isReady()) {
                 ability.use(this, enemies);
             }
@@ -250,27 +275,84 @@ class Character {
         
         // Apply world boundaries if provided
         if (worldBounds) {
-            const radius = this.stats.size / 2;
+            this.applyWorldBounds(worldBounds);
+        }
+    }
+    
+    /**
+     * Keep the character inside the world boundaries
+     * @param {Object} worldBounds - World boundaries
+     */
+    applyWorldBounds(worldBounds) {
+        const radius = this.stats.size / 2;
+        
+        if (this.x - radius < worldBounds.minX) {
+            this.x = worldBounds.minX + radius;
+            this.velocityX = 0;
+            this.momentum.x = 0;
+        } else if (this.x + radius > worldBounds.maxX) {
+            this.x = worldBounds.maxX - radius;
+            this.velocityX = 0;
+            this.momentum.x = 0;
+        }
+        
+        if (this.y - radius < worldBounds.minY) {
+            this.y = worldBounds.minY + radius;
+            this.velocityY = 0;
+            this.momentum.y = 0;
+        } else if (this.y + radius > worldBounds.maxY) {
+            this.y = worldBounds.maxY - radius;
+            this.velocityY = 0;
+            this.momentum.y = 0;
+        }
+    }
+    
+    /**
+     * Push the character out of overlapping enemies
+     * Dashing passes through enemies, so no response is applied while dashing
+     * @param {SpatialGrid} enemyGrid - Spatial index of enemies
+     * @param {Object} worldBounds - World boundaries
+     */
+    resolveEnemyCollisions(enemyGrid, worldBounds = null) {
+        if (this.isDashing) return;
+        
+        const radius = this.stats.size / 2;
+        const nearby = enemyGrid.queryRadius(this.x, this.y, radius + enemyGrid.maxEntitySize / 2);
+        
+        nearby.forEach(enemy => {
+            if (!enemy.isAlive) return;
+            
+            const dx = this.x - enemy.x;
+            const dy = this.y - enemy.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            const contactDistance = radius + enemy.size / 2;
             
-            if (this.x - radius < worldBounds.minX) {
-                this.x = worldBounds.minX + radius;
-                this.velocityX = 0;
-                this.momentum.x = 0;
-            } else if (this.x + radius > worldBounds.maxX) {
-                this.x = worldBounds.maxX - radius;
-                this.velocityX = 0;
-                this.momentum.x = 0;
+            if (dist >= contactDistance || dist === 0) return;
+            
+            // Move out along the contact normal
+            const normalX = dx / dist;
+            const normalY = dy / dist;
+            const overlap = contactDistance - dist;
+            
+            this.x += normalX * overlap;
+            this.y += normalY * overlap;
+            
+            // Cancel velocity and momentum heading into the enemy
+            const velocityDot = this.velocityX * normalX + this.velocityY * normalY;
+            if (velocityDot < 0) {
+                this.velocityX -= velocityDot * normalX;
+                this.velocityY -= velocityDot * normalY;
             }
             
-            if (this.y - radius < worldBounds.minY) {
-                this.y = worldBounds.minY + radius;
-                this.velocityY = 0;
-                this.momentum.y = 0;
-            } else if (this.y + radius > worldBounds.maxY) {
-                this.y = worldBounds.maxY - radius;
-                this.velocityY = 0;
-                this.momentum.y = 0;
+            const momentumDot = this.momentum.x * normalX + this.momentum.y * normalY;
+            if (momentumDot < 0) {
+                this.momentum.x -= momentumDot * normalX;
+                this.momentum.y -= momentumDot * normalY;
             }
+        });
+        
+        if (worldBounds) {
+            this.applyWorldBounds(worldBounds);
         }
     }
     
@@ -290,17 +372,31 @@ class Character {
             this.hitEffect -= deltaTime * 3;
             if (this.hitEffect < 0) this.hitEffect = 0;
         }
+        
+        // Update invulnerability
+        if (this.invulnerabilityTimer > 0) {
+            this.invulnerabilityTimer -= deltaTime;
+            if (this.invulnerabilityTimer < 0) this.invulnerabilityTimer = 0;
+        }
+    }
+    
+    /**
+     * Check if the character currently ignores damage
+     * @returns {boolean} - True if invulnerable
+     */
+    isInvulnerable() {
+        return this.isDashing || this.invulnerabilityTimer > 0;
     }
     
     /**
      * Set movement direction
-     * @param {number} x - Horizontal direction (-1, 0, 1)
-     * @param {number} y - Vertical direction (-1, 0, 1)
+     * @param {number} x - Horizontal direction (-1 to 1; analog sticks give values in between)
+     * @param {number} y - Vertical direction (-1 to 1; analog sticks give values in between)
      */
     setMovement(x, y) {
-        // Normalize if moving diagonally
-        if (x !== 0 && y !== 0) {
-            const length = Math.sqrt(x * x + y * y);
+        // Keep a partly pushed stick's slower speed, but never move faster than full speed diagonally
+        const length = Math.sqrt(x * x + y * y);
+        if (length > 1) {
             x /= length;
             y /= length;
         }
@@ -309,6 +405,15 @@ class Character {
         this.targetVelocityY = y;
     }
     
+    /**
+     * Set the world position the character is aiming at
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     */
+    setAimPosition(x, y) {
+        this.aimPosition = { x, y };
+    }
+    
     /**
      * Perform a dash in the current movement direction
      * @returns {boolean} - Whether the dash was successful
@@ -352,6 +457,9 @@ class Character {
         this.maxSpeed = this.stats.speed * PLAYER_DASH_SPEED;
         this.dashEffect = 1.0;
         
+        // Dashing grants invulnerability for its duration
+        this.invulnerabilityTimer = Math.max(this.invulnerabilityTimer, PLAYER_DASH_DURATION);
+        
         // Emit dash start event
         eventEmitter.emit('player:dashStart', {
             player: this,
@@ -373,17 +481,37 @@ class Character {
      * Auto-attack the nearest enemy
      * @param {Array} enemies - Array of enemies
      * @param {number} deltaTime - Time since last update in seconds
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies
      */
-    autoAttack(enemies, deltaTime) {
-        const currentTime = performance.now();
-        const attackCooldown = 1000 / this.stats.attackSpeed;
-        
+    autoAttack(enemies, deltaTime, enemyGrid = null) {
         // Check if attack is ready
-        if (currentTime - this.lastAttackTime < attackCooldown) {
+        if (this.attackTimer > 0) {
+            this.attackTimer -= deltaTime;
             return;
         }
         
         // Find nearest enemy within range
+        const nearestEnemy = this.findNearestEnemy(enemies, this.stats.attackRange, enemyGrid);
+        
+        // Attack if enemy found
+        if (nearestEnemy) {
+            this.attack(nearestEnemy);
+            this.attackTimer = 1 / this.stats.attackSpeed;
+        }
+    }
+    
+    /**
+     * Find the nearest living enemy within a range
+     * @param {Array} enemies - Array of enemies
+     * @param {number} range - Maximum distance
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies
+     * @returns {Enemy|null} - Nearest enemy or null
+     */
+    findNearestEnemy(enemies, range, enemyGrid = null) {
+        if (enemyGrid) {
+            return enemyGrid.nearest(this.x, this.y, range, enemy => enemy.isAlive);
+        }
+        
         let nearestEnemy = null;
         let nearestDistance = Infinity;
         
@@ -391,17 +519,13 @@ class Character {
             if (!enemy.isAlive) return;
             
             const dist = distance({ x: this.x, y: this.y }, { x: enemy.x, y: enemy.y });
-            if (dist <= this.stats.attackRange && dist < nearestDistance) {
+            if (dist <= range && dist < nearestDistance) {
                 nearestEnemy = enemy;
                 nearestDistance = dist;
             }
         });
         
-        // Attack if enemy found
-        if (nearestEnemy) {
-            this.attack(nearestEnemy);
-            this.lastAttackTime = currentTime;
-        }
+        return nearestEnemy;
     }
     
     /**
@@ -409,26 +533,46 @@ class Character {
      * @param {Enemy} enemy - Enemy to attack
      */
     attack(enemy) {
-        enemy.takeDamage(this.stats.damage);
+        const isCrit = rng.combat.chance(this.stats.critChance);
+        const amount = this.stats.damage * (isCrit ? this.stats.critMultiplier : 1);
+        const damage = createDamage(amount, ELEMENT_TYPES.PHYSICAL, this, isCrit);
+        
+        enemy.takeDamage(damage);
+        
+        if (isCrit) {
+            eventEmitter.emit('critical:hit', {
+                source: this,
+                target: enemy,
+                damage: amount
+            });
+        }
         
         // Emit attack event
         eventEmitter.emit('player:attack', {
             player: this,
             target: enemy,
-            damage: this.stats.damage
+            damage: amount
         });
     }
     
     /**
      * Take damage
      * @param {number} amount - Amount of damage
+     * @returns {boolean} - Whether the damage was applied
      */
     takeDamage(amount) {
+        if (!this.isAlive || this.isInvulnerable()) {
+            return false;
+        }
+        
         this.stats.health -= amount;
         
         // Visual feedback
         this.hitEffect = 1.0;
         
+        // Brief invulnerability after a hit
+        this.invulnerabilityTimer = PLAYER_INVULNERABILITY_DURATION;
+        
         // Emit damage event
         eventEmitter.emit('player:damage', {
             player: this,
@@ -440,6 +584,8 @@ class Character {
         if (this.stats.health <= 0) {
             this.die();
         }
+        
+        return true;
     }
     
     /**
@@ -468,12 +614,176 @@ class Character {
             total: this.experience
         });
         
-        // Check for level up
-        if (this.experience >= this.experienceToNextLevel) {
+        // Check for level up, possibly more than once for a large gain
+        while (this.experience >= this.experienceToNextLevel) {
             this.levelUp();
         }
     }
     
+    /**
+     * Add an ability or passive to the character
+     * Passives take effect immediately
+     * @param {Ability} ability - Ability to add
+     */
+    addAbility(ability) {
+        if (ability.type === ABILITY_TYPES.PASSIVE) {
+            this.passives.push(ability);
+            ability.apply(this);
+        } else {
+            this.abilities.push(ability);
+        }
+        
+        // Emit ability added event
+        eventEmitter.emit('ability:added', {
+            ability: ability,
+            character: this
+        });
+    }
+    
+    /**
+     * Equip a signature weapon; it does not take an ability slot
+     * @param {WeaponAbility} weapon - Weapon from AbilityFactory.createWeapon
+     */
+    equipWeapon(weapon) {
+        this.weapon = weapon;
+        weapon.owner = this;
+        
+        // Emit weapon equipped event
+        eventEmitter.emit('weapon:equipped', {
+            weapon: weapon,
+            character: this
+        });
+    }
+    
+    /**
+     * Replace an owned ability with its evolved form in the same slot
+     * @param {Ability} ability - Owned ability
+     * @param {Ability} evolved - Evolved ability from AbilityFactory.createEvolution
+     */
+    evolveAbility(ability, evolved) {
+        const index = this.abilities.indexOf(ability);
+        if (index === -1) return;
+        
+        this.abilities[index] = evolved;
+        
+        // Emit ability evolved event
+        eventEmitter.emit('ability:evolved', {
+            ability: ability,
+            evolved: evolved,
+            character: this
+        });
+    }
+    
+    /**
+     * Find an owned ability or passive by catalog id
+     * @param {string} id - Ability id
+     * @returns {Ability|null} - Owned ability or null
+     */
+    getAbilityById(id) {
+        return this.abilities.find(ability => ability.id === id) ||
+            this.passives.find(passive => passive.id === id) ||
+            null;
+    }
+    
+    /**
+     * Add a stat modifier, replacing any existing modifier for the same source and stat
+     * @param {Object} modifier - Modifier {stat, type, value, source}
+     */
+    addModifier(modifier) {
+        const index = this.modifiers.findIndex(existing =>
+            existing.source === modifier.source && existing.stat === modifier.stat);
+        
+        if (index === -1) {
+            this.modifiers.push({ ...modifier });
+        } else {
+            this.modifiers[index] = { ...modifier };
+        }
+        
+        this.recalculateStats();
+    }
+    
+    /**
+     * Remove every modifier from a source
+     * @param {string} source - Source tag
+     */
+    removeModifiers(source) {
+        const count = this.modifiers.length;
+        this.modifiers = this.modifiers.filter(modifier => modifier.source !== source);
+        
+        if (this.modifiers.length !== count) {
+            this.recalculateStats();
+        }
+    }
+    
+    /**
+     * Get the value of a stat with every modifier applied
+     * @param {string} stat - Stat name from baseStats
+     * @returns {number} - Derived value
+     */
+    getModifiedStat(stat) {
+        let flat = 0;
+        let percent = 0;
+        let multiplier = 1;
+        
+        this.modifiers.forEach(modifier => {
+            if (modifier.stat !== stat) return;
+            
+            switch (modifier.type) {
+                case STAT_MODIFIER_TYPES.FLAT:
+                    flat += modifier.value;
+                    break;
+                case STAT_MODIFIER_TYPES.PERCENT:
+                    percent += modifier.value;
+                    break;
+                case STAT_MODIFIER_TYPES.MULTIPLY:
+                    multiplier *= modifier.value;
+                    break;
+            }
+        });
+        
+        return (this.baseStats[stat] + flat) * (1 + percent) * multiplier;
+    }
+    
+    /**
+     * Recompute derived stats from base stats and modifiers
+     */
+    recalculateStats() {
+        const previous = { ...this.stats };
+        
+        Object.keys(this.baseStats).forEach(stat => {
+            this.stats[stat] = this.getModifiedStat(stat);
+        });
+        
+        // Raising max health grants the difference; lowering it only clamps
+        const maxHealthGain = this.stats.maxHealth - previous.maxHealth;
+        this.stats.health = Math.min(this.stats.health + Math.max(0, maxHealthGain), this.stats.maxHealth);
+        
+        // Movement reads maxSpeed, so keep it in step with the speed stat
+        this.maxSpeed = this.isDashing ? this.stats.speed * PLAYER_DASH_SPEED : this.stats.speed;
+        
+        // Emit stats changed event
+        eventEmitter.emit('stats:changed', {
+            player: this,
+            stats: this.stats,
+            previous: previous
+        });
+    }
+    
+    /**
+     * Restore health without exceeding the maximum
+     * @param {number} amount - Health to restore
+     */
+    heal(amount) {
+        this.stats.health = Math.min(this.stats.health + amount, this.stats.maxHealth);
+        
+        // Emit heal event
+        eventEmitter.emit('player:heal', {
+            player: this,
+            amount: amount,
+            health: this.stats.health
+        });
+    }
+    
     /**
      * Level up
      */
@@ -492,6 +802,27 @@ class Character {
         });
     }
     
+    /**
+     * Capture the character's run state for a save
+     * Stats are not saved; they are rebuilt from the definition, passives and the meta upgrade levels applied
+     * @returns {Object} - Snapshot restored by CharacterFactory.createFromSnapshot
+     */
+    serialize() {
+        return {
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            health: this.stats.health,
+            level: this.level,
+            experience: this.experience,
+            experienceToNextLevel: this.experienceToNextLevel,
+            dashCooldown: this.dashCooldown,
+            metaUpgradeLevels: { ...this.metaUpgradeLevels },
+            abilities: this.abilities.map(ability => ability.serialize()),
+            passives: this.passives.map(passive => passive.serialize())
+        };
+    }
+    
     /**
      * Draw the character
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -521,10 +852,13 @@ class Character {
             ctx.fill();
         }
         
+        // Flicker while invulnerable after a hit
+        if (this.invulnerabilityTimer > 0 && !this.isDashing) {
+            ctx.globalAlpha = Math.floor(this.invulnerabilityTimer * 20) % 2 === 0 ? 0.4 : 1;
+        }
+        
         // Draw character
-        ctx.fillStyle = this.type === CHARACTER_TYPES.WARRIOR ? '#ff5555' : 
-                        this.type === CHARACTER_TYPES.MAGE ? '#5555ff' : 
-                        this.type === CHARACTER_TYPES.RANGER ? '#55ff55' : '#ffffff';
+        ctx.fillStyle = CharacterRegistry.getColor(this.type);
         
         ctx.beginPath();
         ctx.arc(this.x, this.y, this.stats.size / 2, 0, Math.PI * 2);
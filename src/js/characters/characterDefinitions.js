@@ -0,0 +1,236 @@
+/**
+ * Character Definitions
+ * Data-driven playable characters consumed by CharacterFactory, Character, UI and effects
+ *
+ * Each definition is a plain JSON-shaped object:
+ * - name, description: Selection screen text
+ * - color: CSS color used for the body and attack animations
+ * - attackAnimation: Auto-attack animation ('slash', 'burst', 'shot' or 'basic')
+ * - statMultipliers: Multipliers applied to the PLAYER_BASE_* stats; missing stats use 1
+ *   (maxHealth, damage, attackSpeed, attackRange, pickupRange, critChance, critMultiplier, speed, size)
+ * - weapon: Signature weapon type (from WEAPON_DEFINITIONS) and element; it replaces the auto-attack
+ * - passive: Unique passive (name, description and stat modifiers {stat, type, value})
+ *   applied by CharacterFactory and never offered as an upgrade
+ * - unlock: null when available from the start, otherwise a condition on run records
+ *   { stat, character, target, description }; stat is 'bestTime' (seconds), 'kills' or
+ *   'bossesDefeated' and character limits it to runs as that character (null counts every run)
+ */
+
+const CHARACTER_DEFINITIONS = {
+    warrior: {
+        name: 'Warrior',
+        description: 'High health and damage, slow attack speed',
+        color: '#ff5555',
+        attackAnimation: 'slash',
+        statMultipliers: { maxHealth: 1.3, damage: 1.2, attackSpeed: 0.8, attackRange: 0.7, speed: 0.9, size: 1.1 },
+        weapon: { type: 'cleave', element: ELEMENT_TYPES.PHYSICAL },
+        passive: {
+            name: 'Bulwark',
+            description: '+15% maximum health',
+            modifiers: [{ stat: 'maxHealth', type: STAT_MODIFIER_TYPES.PERCENT, value: 0.15 }]
+        },
+        unlock: null
+    },
+    mage: {
+        name: 'Mage',
+        description: 'Low health, high damage and range',
+        color: '#5555ff',
+        attackAnimation: 'burst',
+        statMultipliers: { maxHealth: 0.8, damage: 1.5, attackSpeed: 0.7, attackRange: 1.5, speed: 1.0, size: 0.9 },
+        weapon: { type: 'orb', element: ELEMENT_TYPES.ARCANE },
+        passive: {
+            name: 'Arcane Focus',
+            description: '+10% critical hit chance',
+            modifiers: [{ stat: 'critChance', type: STAT_MODIFIER_TYPES.FLAT, value: 0.1 }]
+        },
+        unlock: null
+    },
+    ranger: {
+        name: 'Ranger',
+        description: 'Medium health, fast attack speed',
+        color: '#55ff55',
+        attackAnimation: 'shot',
+        statMultipliers: { maxHealth: 0.9, damage: 0.9, attackSpeed: 1.5, attackRange: 1.2, speed: 1.2, size: 0.95 },
+        weapon: { type: 'volley', element: ELEMENT_TYPES.PHYSICAL },
+        passive: {
+            name: 'Fleet Foot',
+            description: '+10% movement speed',
+            modifiers: [{ stat: 'speed', type: STAT_MODIFIER_TYPES.PERCENT, value: 0.1 }]
+        },
+        unlock: null
+    },
+    spellblade: {
+        name: 'Spellblade',
+        description: 'Close-range caster with devastating critical hits',
+        color: '#aa55ff',
+        attackAnimation: 'slash',
+        statMultipliers: { maxHealth: 1.0, damage: 1.3, attackSpeed: 1.0, attackRange: 0.8, speed: 1.05, size: 1.0 },
+        weapon: { type: 'cleave', element: ELEMENT_TYPES.LIGHTNING },
+        passive: {
+            name: 'Spellstrike',
+            description: '+50% critical hit damage',
+            modifiers: [{ stat: 'critMultiplier', type: STAT_MODIFIER_TYPES.FLAT, value: 0.5 }]
+        },
+        unlock: { stat: 'bestTime', character: 'mage', target: 600, description: 'Survive 10 minutes as Mage' }
+    },
+    rogue: {
+        name: 'Rogue',
+        description: 'Fragile and fast, strikes often',
+        color: '#ffcc44',
+        attackAnimation: 'shot',
+        statMultipliers: { maxHealth: 0.7, damage: 1.0, attackSpeed: 1.8, attackRange: 1.0, speed: 1.3, size: 0.85 },
+        weapon: { type: 'volley', element: ELEMENT_TYPES.PHYSICAL },
+        passive: {
+            name: 'Ambush',
+            description: '+15% critical hit chance',
+            modifiers: [{ stat: 'critChance', type: STAT_MODIFIER_TYPES.FLAT, value: 0.15 }]
+        },
+        unlock: { stat: 'kills', character: null, target: 1000, description: 'Defeat 1000 enemies' }
+    },
+    warden: {
+        name: 'Warden',
+        description: 'Slow and sturdy, controls the field',
+        color: '#55cccc',
+        attackAnimation: 'burst',
+        statMultipliers: { maxHealth: 1.5, damage: 1.0, attackSpeed: 0.8, attackRange: 1.0, speed: 0.85, size: 1.2 },
+        weapon: { type: 'orb', element: ELEMENT_TYPES.ICE },
+        passive: {
+            name: 'Watchful',
+            description: '+40% pickup range',
+            modifiers: [{ stat: 'pickupRange', type: STAT_MODIFIER_TYPES.PERCENT, value: 0.4 }]
+        },
+        unlock: { stat: 'bossesDefeated', character: 'warrior', target: 1, description: 'Defeat a boss as Warrior' }
+    }
+};
+
+/**
+ * Character Registry Class
+ * Looks up character definitions and evaluates unlock conditions against run records
+ */
+class CharacterRegistry {
+    /**
+     * Register or replace a character definition
+     * @param {string} type - Character type id
+     * @param {Object} definition - Character definition
+     */
+    static register(type, definition) {
+        CHARACTER_DEFINITIONS[type] = definition;
+    }
+
+    /**
+     * Check if a character type is registered
+     * @param {string} type - Character type id
+     * @returns {boolean} - True if registered
+     */
+    static has(type) {
+        return type in CHARACTER_DEFINITIONS;
+    }
+
+    /**
+     * Get the definition for a character type, falling back to the default character
+     * @param {string} type - Character type id
+     * @returns {Object} - Character definition
+     */
+    static get(type) {
+        return CHARACTER_DEFINITIONS[type] || CHARACTER_DEFINITIONS[DEFAULT_CHARACTER_TYPE];
+    }
+
+    /**
+     * Get all registered character type ids
+     * @returns {Array} - Character type ids
+     */
+    static getTypes() {
+        return Object.keys(CHARACTER_DEFINITIONS);
+    }
+
+    /**
+     * Get the color for a character type
+     * @param {string} type - Character type id
+     * @returns {string} - CSS color
+     */
+    static getColor(type) {
+        return this.get(type).color;
+    }
+
+    /**
+     * Build the starting stats of a character type
+     * @param {string} type - Character type id
+     * @returns {Object} - Stats for the Character constructor
+     */
+    static getBaseStats(type) {
+        const multipliers = this.get(type).statMultipliers;
+        const baseValues = {
+            maxHealth: PLAYER_BASE_HEALTH,
+            damage: PLAYER_BASE_DAMAGE,
+            attackSpeed: PLAYER_BASE_ATTACK_SPEED,
+            attackRange: PLAYER_BASE_ATTACK_RANGE,
+            pickupRange: PLAYER_BASE_PICKUP_RANGE,
+            critChance: PLAYER_BASE_CRIT_CHANCE,
+            critMultiplier: PLAYER_BASE_CRIT_MULTIPLIER,
+            speed: PLAYER_SPEED,
+            size: PLAYER_SIZE
+        };
+
+        const stats = {};
+        Object.keys(baseValues).forEach(stat => {
+            stats[stat] = baseValues[stat] * (multipliers[stat] || 1);
+        });
+        stats.health = stats.maxHealth;
+
+        return stats;
+    }
+
+    /**
+     * Get progress toward a character's unlock condition
+     * @param {string} type - Character type id
+     * @returns {Object} - Progress {current, target, isUnlocked, description}
+     */
+    static getUnlockProgress(type) {
+        const unlock = this.get(type).unlock;
+
+        if (!unlock) {
+            return { current: 0, target: 0, isUnlocked: true, description: '' };
+        }
+
+        const current = metaProgression.getRecordValue(unlock.stat, unlock.character);
+
+        return {
+            current: Math.min(current, unlock.target),
+            target: unlock.target,
+            isUnlocked: current >= unlock.target,
+            description: unlock.description
+        };
+    }
+
+    /**
+     * Check if a character can be selected
+     * @param {string} type - Character type id
+     * @returns {boolean} - True if unlocked
+     */
+    static isUnlocked(type) {
+        return this.getUnlockProgress(type).isUnlocked;
+    }
+
+    /**
+     * Get the character types that are still locked
+     * @returns {Array} - Character type ids
+     */
+    static getLockedTypes() {
+        return this.getTypes().filter(type => !this.isUnlocked(type));
+    }
+
+    /**
+     * Emit an unlock event for every previously locked character that is now unlocked
+     * @param {Array} previouslyLocked - Result of getLockedTypes() before the records changed
+     */
+    static announceUnlocks(previouslyLocked) {
+        previouslyLocked
+            .filter(type => this.isUnlocked(type))
+            .forEach(type => {
+                eventEmitter.emit('character:unlocked', {
+                    type: type,
+                    definition: this.get(type)
+                });
+            });
+    }
+}
@@ -6,59 +6,86 @@
 class CharacterFactory {
     /**
      * Create a new character based on character type
-     * @param {string} type - Character type from CHARACTER_TYPES
+     * @param {string} type - Character type id from CHARACTER_DEFINITIONS
+     * @param {Object} upgradeLevels - Optional meta upgrade levels to apply instead of the purchased ones
      * @returns {Character} - New character instance
      */
-    static createCharacter(type) {
+    static createCharacter(type, upgradeLevels = null) {
         // Validate character type
-        if (!Object.values(CHARACTER_TYPES).includes(type)) {
+        if (!CharacterRegistry.has(type)) {
             console.error(`Invalid character type: ${type}`);
-            // Default to warrior if invalid type
-            type = CHARACTER_TYPES.WARRIOR;
+            // Fall back to the default character if invalid type
+            type = DEFAULT_CHARACTER_TYPE;
         }
         
-        // Create base stats based on character type
-        let stats = {};
+        const definition = CharacterRegistry.get(type);
         
-        switch (type) {
-            case CHARACTER_TYPES.WARRIOR:
-                stats = {
-                    health: PLAYER_BASE_HEALTH * 1.3,
-                    maxHealth: PLAYER_BASE_HEALTH * 1.3,
-                    damage: PLAYER_BASE_DAMAGE * 1.2,
-                    attackSpeed: PLAYER_BASE_ATTACK_SPEED * 0.8,
-                    attackRange: PLAYER_BASE_ATTACK_RANGE * 0.7,
-                    speed: PLAYER_SPEED * 0.9,
-                    size: PLAYER_SIZE * 1.1
-                };
-                break;
-                
-            case CHARACTER_TYPES.MAGE:
-                stats = {
-                    health: PLAYER_BASE_HEALTH * 0.8,
-                    maxHealth: PLAYER_BASE_HEALTH * 0.8,
-                    damage: PLAYER_BASE_DAMAGE * 1.5,
-                    attackSpeed: PLAYER_BASE_ATTACK_SPEED * 0.7,
-                    attackRange: PLAYER_BASE_ATTACK_RANGE * 1.5,
-                    speed: PLAYER_SPEED * 1.0,
-                    size: PLAYER_SIZE * 0.9
-                };
-                break;
-                
-            case CHARACTER_TYPES.RANGER:
-                stats = {
-                    health: PLAYER_BASE_HEALTH * 0.9,
-                    maxHealth: PLAYER_BASE_HEALTH * 0.9,
-                    damage: PLAYER_BASE_DAMAGE * 0.9,
-                    attackSpeed: PLAYER_BASE_ATTACK_SPEED * 1.5,
-                    attackRange: PLAYER_BASE_ATTACK_RANGE * 1.2,
-                    speed: PLAYER_SPEED * 1.2,
-                    size: PLAYER_SIZE * 0.95
-                };
-                break;
+        // Create new character with the definition's base stats
+        const character = new Character(type, CharacterRegistry.getBaseStats(type));
+        
+        // Apply the character's unique passive
+        this.applyUniquePassive(character, definition.passive);
+        
+        // Apply permanent upgrades bought with threads
+        this.applyMetaUpgrades(character, upgradeLevels);
+        
+        // Equip the character's signature weapon
+        character.equipWeapon(AbilityFactory.createWeapon(definition.weapon.type, definition.weapon.element));
+        
+        return character;
+    }
+    
+    /**
+     * Recreate a character from a run save snapshot
+     * @param {Object} snapshot - Snapshot from Character.serialize()
+     * @returns {Character} - Restored character
+     */
+    static createFromSnapshot(snapshot) {
+        if (!CharacterRegistry.has(snapshot.type)) {
+            throw new Error(`Unknown character type in save: ${snapshot.type}`);
         }
         
-        // Create and return new character
-        return new Character(type, stats);
+        // Apply the meta upgrades the run started with, not ones bought since it was saved
+        const character = this.createCharacter(snapshot.type, snapshot.metaUpgradeLevels);
+        
+        character.x = snapshot.x;
+        character.y = snapshot.y;
+        character.level = snapshot.level;
+        character.experience = snapshot.experience;
+        character.experienceToNextLevel = snapshot.experienceToNextLevel;
+        character.dashCooldown = snapshot.dashCooldown;
+        
+        // Passives add their modifiers as they are applied, so add them before setting health
+        snapshot.abilities.concat(snapshot.passives).forEach(abilitySnapshot => {
+            character.addAbility(AbilityFactory.createFromSnapshot(abilitySnapshot));
+        });
+        
+        character.stats.health = clamp(snapshot.health, 1, character.stats.maxHealth);
+        
+        return character;
+    }
+    
+    /**
+     * Apply a character's unique passive as stat modifiers
+     * @param {Character} character - Newly created character
+     * @param {Object} passive - Passive from the character definition
+     */
+    static applyUniquePassive(character, passive) {
+        passive.modifiers.forEach(modifier => {
+            character.addModifier({ ...modifier, source: `character:${passive.name}` });
+        });
+    }
+    
+    /**
+     * Apply permanent upgrades from meta progression as stat modifiers
+     * @param {Character} character - Newly created character
+     * @param {Object} upgradeLevels - Optional meta upgrade levels to apply instead of the purchased ones
+     */
+    static applyMetaUpgrades(character, upgradeLevels = null) {
+        character.metaUpgradeLevels = { ...(upgradeLevels || metaProgression.getUpgradeLevels()) };
+        
+        metaProgression.getStatModifiers(character.metaUpgradeLevels).forEach(modifier => {
+            character.addModifier(modifier);
+        });
     }
 }
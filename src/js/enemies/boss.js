@@ -0,0 +1,395 @@
+/**
+ * Boss Class
+ * Named boss enemy with health-threshold phases and scripted attack patterns
+ *
+ * Patterns (settings come from the definition's encounter.patterns):
+ * - charge: Wind up, then dash at the player's position (windUp, speed, duration, damageMultiplier)
+ * - ring: Wind up, then fire a ring of hostile projectiles (windUp, count, speed, size, range, damageMultiplier)
+ * - summon: Wind up, then call minions through EnemyFactory (windUp, type, count, radius)
+ */
+
+class Boss extends Enemy {
+    /**
+     * Create a new boss
+     * @param {string} type - Boss type id from ENEMY_DEFINITIONS
+     * @param {number} wave - Current wave number
+     * @param {Object} position - Spawn position {x, y}
+     */
+    constructor(type, wave = 1, position = null) {
+        super(type, wave, position);
+
+        const encounter = this.getDefinition().encounter;
+        this.title = encounter.title;
+        this.phases = encounter.phases;
+        this.patterns = encounter.patterns;
+
+        // Phase and pattern state
+        this.phaseIndex = 0;
+        this.patternIndex = 0;
+        this.patternTimer = this.getPhase().patternCooldown;
+        this.pattern = null; // Active pattern {name, settings, stage, timer, directionX, directionY, hasHit}
+        this.ringOffset = 0; // Alternates so consecutive rings leave different gaps
+    }
+
+    /**
+     * Get the current phase settings
+     * @returns {Object} - Phase settings
+     */
+    getPhase() {
+        return this.phases[this.phaseIndex];
+    }
+
+    /**
+     * Update boss state
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Character} player - Player character
+     * @param {Object} worldBounds - World boundaries
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies for crowd separation
+     */
+    update(deltaTime, player, worldBounds = null, enemyGrid = null) {
+        if (!this.isAlive) return;
+
+        // Patterns take over movement and attacks until they finish
+        if (this.pattern) {
+            this.updateEffects(deltaTime);
+            if (!this.isAlive) return;
+
+            this.target = player;
+            this.updatePattern(deltaTime, worldBounds);
+            return;
+        }
+
+        super.update(deltaTime, player, worldBounds, enemyGrid);
+
+        // Start the next scripted pattern unless a regular attack is being telegraphed
+        this.patternTimer -= deltaTime;
+        if (this.patternTimer <= 0 && this.attackState !== 'windup' && player && player.isAlive) {
+            this.startPattern(this.getNextPatternName());
+        }
+    }
+
+    /**
+     * Enter the deepest phase whose health threshold has been reached
+     */
+    updatePhase() {
+        const healthRatio = this.health / this.maxHealth;
+        let nextPhase = this.phaseIndex;
+
+        while (nextPhase + 1 < this.phases.length && healthRatio <= this.phases[nextPhase + 1].threshold) {
+            nextPhase++;
+        }
+
+        if (nextPhase !== this.phaseIndex) {
+            this.enterPhase(nextPhase);
+        }
+    }
+
+    /**
+     * Switch to a new phase
+     * @param {number} phaseIndex - Index into this.phases
+     */
+    enterPhase(phaseIndex) {
+        const previousPhase = this.phaseIndex;
+        const speedRatio = this.phases[phaseIndex].speedMultiplier / this.phases[previousPhase].speedMultiplier;
+
+        this.phaseIndex = phaseIndex;
+        this.patternIndex = 0;
+        this.maxSpeed *= speedRatio;
+        this.speed *= speedRatio;
+
+        // Open the new phase with its first pattern soon after the transition
+        this.patternTimer = Math.min(this.patternTimer, 1);
+
+        // Emit phase event
+        eventEmitter.emit('boss:phase', {
+            boss: this,
+            phase: phaseIndex,
+            previousPhase: previousPhase
+        });
+    }
+
+    /**
+     * Get the next pattern in the current phase's script
+     * @returns {string} - Pattern name
+     */
+    getNextPatternName() {
+        const script = this.getPhase().patterns;
+        const name = script[this.patternIndex % script.length];
+        this.patternIndex++;
+        return name;
+    }
+
+    /**
+     * Begin telegraphing a pattern
+     * @param {string} name - Pattern name
+     */
+    startPattern(name) {
+        const settings = this.patterns[name];
+
+        this.pattern = {
+            name: name,
+            settings: settings,
+            stage: 'windup',
+            timer: settings.windUp,
+            directionX: 0,
+            directionY: 0,
+            hasHit: false
+        };
+
+        // Plant feet while winding up
+        this.velocityX = 0;
+        this.velocityY = 0;
+
+        // Emit prepare event so the telegraph animation plays
+        eventEmitter.emit('enemy:prepare', {
+            enemy: this,
+            target: this.target,
+            duration: settings.windUp
+        });
+
+        eventEmitter.emit('boss:pattern', {
+            boss: this,
+            pattern: name,
+            phase: this.phaseIndex
+        });
+    }
+
+    /**
+     * Advance the active pattern
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Object} worldBounds - World boundaries
+     */
+    updatePattern(deltaTime, worldBounds) {
+        const pattern = this.pattern;
+        pattern.timer -= deltaTime;
+
+        if (pattern.stage === 'windup') {
+            if (pattern.timer <= 0) {
+                this.executePattern(pattern);
+            }
+            return;
+        }
+
+        // Only charges have an active stage
+        this.updateCharge(deltaTime, worldBounds);
+
+        if (pattern.timer <= 0) {
+            this.endPattern();
+        }
+    }
+
+    /**
+     * Resolve a pattern once its wind-up ends
+     * @param {Object} pattern - Active pattern
+     */
+    executePattern(pattern) {
+        switch (pattern.name) {
+            case 'charge':
+                this.beginCharge(pattern);
+                break;
+
+            case 'ring':
+                this.fireRing(pattern.settings);
+                this.endPattern();
+                break;
+
+            case 'summon':
+                this.summonMinions(pattern.settings);
+                this.endPattern();
+                break;
+
+            default:
+                this.endPattern();
+        }
+    }
+
+    /**
+     * Finish the active pattern and restart the phase cooldown
+     */
+    endPattern() {
+        this.pattern = null;
+        this.patternTimer = this.getPhase().patternCooldown;
+    }
+
+    /**
+     * Lock the charge direction onto the target's current position
+     * @param {Object} pattern - Active charge pattern
+     */
+    beginCharge(pattern) {
+        const dx = this.target ? this.target.x - this.x : 0;
+        const dy = this.target ? this.target.y - this.y : 0;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+
+        pattern.stage = 'active';
+        pattern.timer = pattern.settings.duration;
+        pattern.directionX = dx / dist;
+        pattern.directionY = dy / dist;
+    }
+
+    /**
+     * Move along the charge direction and hit the target once on contact
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Object} worldBounds - World boundaries
+     */
+    updateCharge(deltaTime, worldBounds) {
+        const pattern = this.pattern;
+        const settings = pattern.settings;
+
+        // Speed is per frame at the target FPS, like projectiles
+        const step = settings.speed * FPS * deltaTime;
+        this.x += pattern.directionX * step;
+        this.y += pattern.directionY * step;
+
+        if (worldBounds) {
+            const radius = this.size / 2;
+            this.x = clamp(this.x, worldBounds.minX + radius, worldBounds.maxX - radius);
+            this.y = clamp(this.y, worldBounds.minY + radius, worldBounds.maxY - radius);
+        }
+
+        if (!pattern.hasHit && this.target && this.target.isAlive && checkCollision(this, this.target)) {
+            pattern.hasHit = true;
+
+            const damage = this.damage * settings.damageMultiplier;
+            if (this.target.takeDamage(damage)) {
+                eventEmitter.emit('enemy:attack', {
+                    enemy: this,
+                    target: this.target,
+                    damage: damage
+                });
+            }
+        }
+    }
+
+    /**
+     * Fire a ring of hostile projectiles
+     * @param {Object} settings - Ring pattern settings
+     */
+    fireRing(settings) {
+        const projectiles = [];
+        const angleStep = (Math.PI * 2) / settings.count;
+
+        for (let i = 0; i < settings.count; i++) {
+            const angle = this.ringOffset + i * angleStep;
+
+            projectiles.push(enemyProjectilePool.acquire().init({
+                x: this.x,
+                y: this.y,
+                directionX: Math.cos(angle),
+                directionY: Math.sin(angle),
+                damage: this.damage * settings.damageMultiplier,
+                speed: settings.speed,
+                size: settings.size,
+                range: settings.range,
+                color: this.getEnemyColor(),
+                source: this
+            }));
+        }
+
+        this.ringOffset = this.ringOffset === 0 ? angleStep / 2 : 0;
+
+        // Emit projectiles created event so the game can track them
+        eventEmitter.emit('enemyProjectiles:created', {
+            enemy: this,
+            projectiles: projectiles
+        });
+    }
+
+    /**
+     * Summon minions in a circle around the boss
+     * @param {Object} settings - Summon pattern settings
+     * @returns {Array} - Summoned enemies
+     */
+    summonMinions(settings) {
+        const minions = [];
+
+        for (let i = 0; i < settings.count; i++) {
+            const angle = (i / settings.count) * Math.PI * 2;
+            const position = {
+                x: this.x + Math.cos(angle) * settings.radius,
+                y: this.y + Math.sin(angle) * settings.radius
+            };
+
+            const minion = EnemyFactory.createEnemyOfType(settings.type, this.wave, position);
+            minions.push(minion);
+
+            eventEmitter.emit('enemy:spawn', {
+                enemy: minion
+            });
+        }
+
+        // Emit summon event so the game can track the minions
+        eventEmitter.emit('enemies:summoned', {
+            summoner: this,
+            enemies: minions
+        });
+
+        return minions;
+    }
+
+    /**
+     * Take damage and advance phases when health thresholds are crossed
+     * @param {Object|number} damage - Damage payload from createDamage() or a plain physical amount
+     */
+    takeDamage(damage) {
+        super.takeDamage(damage);
+
+        if (this.isAlive) {
+            this.updatePhase();
+        }
+    }
+
+    /**
+     * Die
+     */
+    die() {
+        this.pattern = null;
+
+        super.die();
+
+        // Emit defeated event
+        eventEmitter.emit('boss:defeated', {
+            boss: this,
+            wave: this.wave
+        });
+    }
+
+    /**
+     * Capture the boss's run state for a save
+     * @returns {Object} - Snapshot restored by EnemyFactory.createFromSnapshot
+     */
+    serialize() {
+        return { ...super.serialize(), isBoss: true };
+    }
+
+    /**
+     * Restore run state captured by serialize(), re-entering the phase for the saved health
+     * @param {Object} snapshot - Boss snapshot
+     */
+    restore(snapshot) {
+        super.restore(snapshot);
+
+        this.updatePhase();
+    }
+
+    /**
+     * Draw the boss
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        super.draw(ctx);
+
+        if (!this.isAlive) return;
+
+        // Outline marks the boss in crowds and thickens while charging
+        const isCharging = this.pattern && this.pattern.stage === 'active';
+
+        ctx.save();
+        ctx.strokeStyle = '#ffffff';
+        ctx.globalAlpha = isCharging ? 0.9 : 0.5;
+        ctx.lineWidth = isCharging ? 4 : 2;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, this.size / 2 + 3, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+}
@@ -42,11 +42,13 @@ class Enemy {
         this.maxSpeed = this.speed;
         this.pathUpdateTime = 0;
         this.pathUpdateInterval = 0.5; // Update path every 0.5 seconds
+        this.neighbors = []; // Reused for spatial grid queries
+        this.enemyGrid = null; // Latest spatial index, used for chain lightning
         
         // AI behavior
         this.behavior = this.getDefaultBehavior();
         this.targetPosition = null;
-        this.wanderAngle = Math.random() * Math.PI * 2;
+        this.wanderAngle = rng.ai.range(0, Math.PI * 2);
         this.wanderRadius = 100;
         this.wanderDistance = 50;
         this.wanderJitter = 5.0;
@@ -56,6 +58,18 @@ class Enemy {
         this.target = null;
         this.xpValue = 10 + (wave - 1) * 2;
         
+        // Attack timing
+        this.attackState = 'idle'; // idle, windup or cooldown
+        this.attackTimer = 0;
+        this.attackCooldown = this.getDefinition().attack.cooldown;
+        this.attackWindUp = this.getDefaultAttackWindUp();
+        this.ranged = this.getDefinition().ranged || null; // Ranged enemies fire projectiles instead
+        this.strafeDirection = rng.ai.chance(0.5) ? 1 : -1; // Orbit direction while kiting
+        
+        // Elemental resistances (negative values are weaknesses) and status effects
+        this.resistances = this.getDefinition().resistances || {};
+        this.statusEffects = new StatusEffects(this);
+        
         // Visual effects
         this.hitEffect = 0;
         this.spawnEffect = 1.0;
@@ -66,33 +80,88 @@ class Enemy {
         this.animationSpeed = 0.15;
     }
     
+    /**
+     * Get the registry definition for this enemy's type
+     * @returns {Object} - Enemy definition
+     */
+    getDefinition() {
+        return EnemyRegistry.get(this.type);
+    }
+    
     /**
      * Get default behavior based on enemy type
      * @returns {string} - Behavior type
      */
     getDefaultBehavior() {
-        switch (this.type) {
-            case 'basic':
-                return 'seek'; // Direct path to player
-            case 'fast':
-                return 'intercept'; // Try to intercept player's movement
-            case 'tank':
-                return 'approach'; // Slow approach with pauses
-            case 'boss':
-                return 'complex'; // Mix of behaviors
-            default:
-                return 'seek';
-        }
+        return this.getDefinition().behavior;
+    }
+    
+    /**
+     * Get attack wind-up duration based on enemy type
+     * Matches the length of the type's prepare animation
+     * @returns {number} - Wind-up duration in seconds
+     */
+    getDefaultAttackWindUp() {
+        return this.getDefinition().attack.windUp;
+    }
+    
+    /**
+     * Get enemy mass, derived from size so larger enemies push smaller ones aside
+     * @returns {number} - Mass relative to a standard-size enemy
+     */
+    getMass() {
+        const relativeSize = this.size / ENEMY_SIZE;
+        return relativeSize * relativeSize;
     }
     
     /**
      * Update enemy state
      * @param {number} deltaTime - Time since last update in seconds
      * @param {Character} player - Player character
+     * @param {Object} worldBounds - World boundaries
+     * @param {SpatialGrid} enemyGrid - Optional spatial index of enemies for crowd separation
      */
-    update(deltaTime, player) {
+    update(deltaTime, player, worldBounds = null, enemyGrid = null) {
+        if (!this.isAlive) return;
+        
+        this.enemyGrid = enemyGrid;
+        
+        // Update status and visual effects (burn can kill)
+        this.updateEffects(deltaTime);
         if (!this.isAlive) return;
         
+        // Set player as target
+        this.target = player;
+        
+        // Update path to target
+        this.pathUpdateTime += deltaTime;
+        if (this.pathUpdateTime >= this.pathUpdateInterval) {
+            this.updatePath(deltaTime);
+            this.pathUpdateTime = 0;
+        }
+        
+        // Keep distance from neighboring enemies
+        if (enemyGrid) {
+            this.applySeparation(deltaTime, enemyGrid);
+        }
+        
+        // Move towards target (slowly while winding up an attack)
+        if (this.target && this.target.isAlive) {
+            const speedMultiplier = this.attackState === 'windup' ? ENEMY_WINDUP_SPEED_FACTOR : 1;
+            this.moveTowardsTarget(deltaTime, speedMultiplier);
+            
+            this.updateAttack(deltaTime);
+        }
+    }
+    
+    /**
+     * Update status effects, spawn and hit effects and the walk animation
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateEffects(deltaTime) {
+        // Update status effects
+        this.statusEffects.update(deltaTime);
+        
         // Update spawn effect
         if (this.spawnEffect > 0) {
             this.spawnEffect -= deltaTime * 2;
@@ -107,28 +176,112 @@ class Enemy {
         
         // Update animation
         this.updateAnimation(deltaTime);
-        
-        // Set player as target
-        this.target = player;
-        
-        // Update path to target
-        this.pathUpdateTime += deltaTime;
-        if (this.pathUpdateTime >= this.pathUpdateInterval) {
-            this.updatePath(deltaTime);
-            this.pathUpdateTime = 0;
+    }
+    
+    /**
+     * Check if the target is close enough to be hit
+     * @param {Character} target - Target to check
+     * @returns {boolean} - True if in reach
+     */
+    isInAttackReach(target) {
+        if (this.ranged) {
+            return distance({ x: this.x, y: this.y }, { x: target.x, y: target.y }) <= this.ranged.range;
         }
         
-        // Move towards target
-        if (this.target && this.target.isAlive) {
-            this.moveTowardsTarget(deltaTime);
-            
-            // Check collision with player
-            if (checkCollision(this, this.target)) {
-                this.attack(this.target);
-            }
+        const reach = (this.size + getEntitySize(target)) / 2 + ENEMY_ATTACK_REACH;
+        return distance({ x: this.x, y: this.y }, { x: target.x, y: target.y }) <= reach;
+    }
+    
+    /**
+     * Advance the attack cycle: idle -> windup (telegraph) -> attack -> cooldown
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateAttack(deltaTime) {
+        switch (this.attackState) {
+            case 'idle':
+                if (this.isInAttackReach(this.target)) {
+                    this.startWindUp();
+                }
+                break;
+                
+            case 'windup':
+                this.attackTimer -= deltaTime;
+                if (this.attackTimer <= 0) {
+                    // Ranged enemies always release their shot; the projectile can still miss
+                    // Melee damage only lands if the target is still in reach
+                    if (this.ranged) {
+                        this.fireProjectile(this.target);
+                    } else if (this.isInAttackReach(this.target)) {
+                        this.attack(this.target);
+                    } else {
+                        eventEmitter.emit('enemy:attackMissed', {
+                            enemy: this,
+                            target: this.target
+                        });
+                    }
+                    
+                    this.attackState = 'cooldown';
+                    this.attackTimer = this.attackCooldown;
+                }
+                break;
+                
+            case 'cooldown':
+                this.attackTimer -= deltaTime;
+                if (this.attackTimer <= 0) {
+                    this.attackState = 'idle';
+                    this.attackTimer = 0;
+                }
+                break;
         }
     }
     
+    /**
+     * Begin telegraphing an attack
+     */
+    startWindUp() {
+        this.attackState = 'windup';
+        this.attackTimer = this.attackWindUp;
+        
+        // Emit prepare event so the telegraph animation plays
+        eventEmitter.emit('enemy:prepare', {
+            enemy: this,
+            target: this.target,
+            duration: this.attackWindUp
+        });
+    }
+    
+    /**
+     * Fire a hostile projectile at the target's current position
+     * @param {Character} target - Target to shoot at
+     * @returns {EnemyProjectile} - The fired projectile
+     */
+    fireProjectile(target) {
+        const dx = target.x - this.x;
+        const dy = target.y - this.y;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        
+        const projectile = enemyProjectilePool.acquire().init({
+            x: this.x,
+            y: this.y,
+            directionX: dx / dist,
+            directionY: dy / dist,
+            damage: this.damage,
+            speed: this.ranged.projectileSpeed,
+            size: this.ranged.projectileSize,
+            range: this.ranged.range * 1.5, // Keeps flying past a target that moved
+            color: this.getEnemyColor(),
+            source: this
+        });
+        
+        // Emit projectiles created event so the game can track them
+        eventEmitter.emit('enemyProjectiles:created', {
+            enemy: this,
+            projectiles: [projectile]
+        });
+        
+        return projectile;
+    }
+    
     /**
      * Update enemy animation
      * @param {number} deltaTime - Time since last update in seconds
@@ -185,7 +338,7 @@ class Enemy {
                     { x: this.target.x, y: this.target.y }
                 );
                 
-                if (dist < 200 && Math.random() < 0.3) {
+                if (dist < 200 && rng.ai.chance(0.3)) {
                     // Occasionally pause when close
                     this.targetPosition = {
                         x: this.x,
@@ -199,9 +352,30 @@ class Enemy {
                 }
                 break;
                 
+            case 'kite':
+                // Hold the preferred distance, backing off or closing in as needed
+                const preferredDistance = this.ranged ? this.ranged.preferredDistance : 200;
+                const kiteDistance = distance(
+                    { x: this.x, y: this.y },
+                    { x: this.target.x, y: this.target.y }
+                );
+                
+                let kiteAngle = Math.atan2(this.y - this.target.y, this.x - this.target.x);
+                
+                if (Math.abs(kiteDistance - preferredDistance) <= preferredDistance * ENEMY_KITE_TOLERANCE) {
+                    // In position - strafe around the target
+                    kiteAngle += ENEMY_KITE_STRAFE_ANGLE * this.strafeDirection;
+                }
+                
+                this.targetPosition = {
+                    x: this.target.x + Math.cos(kiteAngle) * preferredDistance,
+                    y: this.target.y + Math.sin(kiteAngle) * preferredDistance
+                };
+                break;
+                
             case 'wander':
                 // Random wandering behavior
-                this.wanderAngle += (Math.random() * 2 - 1) * this.wanderJitter;
+                this.wanderAngle += rng.ai.range(-1, 1) * this.wanderJitter;
                 
                 const wanderX = Math.cos(this.wanderAngle) * this.wanderRadius;
                 const wanderY = Math.sin(this.wanderAngle) * this.wanderRadius;
@@ -254,11 +428,67 @@ class Enemy {
         }
     }
     
+    /**
+     * Steer away from nearby enemies and resolve overlaps, weighted by mass
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {SpatialGrid} enemyGrid - Spatial index of enemies
+     */
+    applySeparation(deltaTime, enemyGrid) {
+        const queryRadius = (this.size + enemyGrid.maxEntitySize) / 2 * ENEMY_SEPARATION_RADIUS;
+        const neighbors = enemyGrid.queryRadius(this.x, this.y, queryRadius, this.neighbors);
+        const mass = this.getMass();
+        
+        let steerX = 0;
+        let steerY = 0;
+        
+        neighbors.forEach(other => {
+            if (other === this || !other.isAlive) return;
+            
+            let dx = this.x - other.x;
+            let dy = this.y - other.y;
+            let dist = Math.sqrt(dx * dx + dy * dy);
+            
+            // Pick an arbitrary direction for enemies stacked on the same point
+            if (dist === 0) {
+                const randomAngle = rng.ai.range(0, Math.PI * 2);
+                dx = Math.cos(randomAngle);
+                dy = Math.sin(randomAngle);
+                dist = 1;
+            }
+            
+            const contactDistance = (this.size + other.size) / 2;
+            const separationDistance = contactDistance * ENEMY_SEPARATION_RADIUS;
+            if (dist >= separationDistance) return;
+            
+            // Lighter enemies take the larger share of the push
+            const otherMass = other.getMass();
+            const share = otherMass / (mass + otherMass);
+            const dirX = dx / dist;
+            const dirY = dy / dist;
+            
+            // Steering grows as neighbors get closer
+            const strength = (separationDistance - dist) / separationDistance;
+            steerX += dirX * strength * share;
+            steerY += dirY * strength * share;
+            
+            // Resolve actual overlap directly so crowds never stack
+            if (dist < contactDistance) {
+                const correction = (contactDistance - dist) * share * ENEMY_OVERLAP_CORRECTION;
+                this.x += dirX * correction;
+                this.y += dirY * correction;
+            }
+        });
+        
+        this.velocityX += steerX * ENEMY_SEPARATION_FORCE * deltaTime;
+        this.velocityY += steerY * ENEMY_SEPARATION_FORCE * deltaTime;
+    }
+    
     /**
      * Move towards target position
      * @param {number} deltaTime - Time since last update in seconds
+     * @param {number} speedMultiplier - Multiplier applied to the speed limit
      */
-    moveTowardsTarget(deltaTime) {
+    moveTowardsTarget(deltaTime, speedMultiplier = 1) {
         if (!this.targetPosition) return;
         
         // Calculate direction to target
@@ -278,28 +508,38 @@ class Enemy {
             this.velocityY += dirY * this.acceleration * deltaTime;
             
             // Limit speed
+            const speedLimit = this.maxSpeed * speedMultiplier;
             const currentSpeed = Math.sqrt(this.velocityX * this.velocityX + this.velocityY * this.velocityY);
-            if (currentSpeed > this.maxSpeed) {
-                this.velocityX = (this.velocityX / currentSpeed) * this.maxSpeed;
-                this.velocityY = (this.velocityY / currentSpeed) * this.maxSpeed;
+            if (currentSpeed > speedLimit) {
+                this.velocityX = (this.velocityX / currentSpeed) * speedLimit;
+                this.velocityY = (this.velocityY / currentSpeed) * speedLimit;
             }
         } else {
             // Slow down when reaching target
-            this.velocityX *= 0.9;
-            this.velocityY *= 0.9;
+            const damping = Math.pow(0.9, FPS * deltaTime);
+            this.velocityX *= damping;
+            this.velocityY *= damping;
         }
         
-        // Apply velocity
-        this.x += this.velocityX;
-        this.y += this.velocityY;
+        // Apply velocity (velocity is per frame at the target FPS)
+        this.x += this.velocityX * FPS * deltaTime;
+        this.y += this.velocityY * FPS * deltaTime;
     }
     
     /**
      * Attack the target
      * @param {Character} target - Target to attack
+     * @returns {boolean} - Whether the attack dealt damage
      */
     attack(target) {
-        target.takeDamage(this.damage);
+        if (!target.takeDamage(this.damage)) {
+            // Target was invulnerable
+            eventEmitter.emit('enemy:attackMissed', {
+                enemy: this,
+                target: target
+            });
+            return false;
+        }
         
         // Emit attack event
         eventEmitter.emit('enemy:attack', {
@@ -307,13 +547,33 @@ class Enemy {
             target: target,
             damage: this.damage
         });
+        
+        return true;
+    }
+    
+    /**
+     * Get resistance to an element
+     * @param {string} element - Element type from ELEMENT_TYPES
+     * @returns {number} - Fraction of damage resisted (negative for weaknesses)
+     */
+    getResistance(element) {
+        return this.resistances[element] || 0;
     }
     
     /**
      * Take damage
-     * @param {number} amount - Amount of damage
+     * @param {Object|number} damage - Damage payload from createDamage() or a plain physical amount
      */
-    takeDamage(amount) {
+    takeDamage(damage) {
+        if (!this.isAlive) return;
+        
+        if (typeof damage === 'number') {
+            damage = createDamage(damage);
+        }
+        
+        const resistance = this.getResistance(damage.element);
+        const amount = damage.amount * (1 - resistance) * this.statusEffects.getDamageMultiplier();
+        
         this.health -= amount;
         
         // Visual feedback
@@ -323,13 +583,73 @@ class Enemy {
         eventEmitter.emit('enemy:damage', {
             enemy: this,
             damage: amount,
-            remainingHealth: this.health
+            remainingHealth: this.health,
+            element: damage.element,
+            isCrit: damage.isCrit,
+            source: damage.source
         });
         
         // Check if dead
         if (this.health <= 0) {
             this.die();
+            return;
+        }
+        
+        // Status ticks and chain jumps do not trigger further effects
+        if (!damage.isStatus && !damage.isChain) {
+            this.applyElementEffect(damage, resistance);
+        }
+    }
+    
+    /**
+     * Apply the status effect for a hit's element
+     * @param {Object} damage - Damage payload
+     * @param {number} resistance - Resistance to the damage's element
+     */
+    applyElementEffect(damage, resistance) {
+        const effect = ELEMENT_STATUS_EFFECTS[damage.element];
+        if (!effect || resistance >= 1) return;
+        
+        if (effect === 'chain') {
+            this.chainLightning(damage);
+        } else {
+            this.statusEffects.apply(effect, damage, 1 - resistance);
         }
+        
+        // Emit status event
+        eventEmitter.emit('enemy:status', {
+            enemy: this,
+            effect: effect,
+            source: damage.source
+        });
+    }
+    
+    /**
+     * Arc part of a lightning hit to the nearest other enemies
+     * @param {Object} damage - Lightning damage payload
+     */
+    chainLightning(damage) {
+        if (!this.enemyGrid) return;
+        
+        const settings = STATUS_EFFECT_SETTINGS.chain;
+        const targets = this.enemyGrid.queryRadius(this.x, this.y, settings.range)
+            .filter(other => other !== this && other.isAlive)
+            .sort((a, b) => distance(this, a) - distance(this, b))
+            .slice(0, settings.targets);
+        
+        targets.forEach(other => {
+            const chainDamage = createDamage(damage.amount * settings.damageRatio, ELEMENT_TYPES.LIGHTNING, damage.source);
+            chainDamage.isChain = true;
+            
+            // Emit chain event for the arc visual
+            eventEmitter.emit('enemy:chain', {
+                from: this,
+                to: other,
+                damage: chainDamage
+            });
+            
+            other.takeDamage(chainDamage);
+        });
     }
     
     /**
@@ -345,6 +665,29 @@ class Enemy {
         });
     }
     
+    /**
+     * Capture the enemy's run state for a save
+     * @returns {Object} - Snapshot restored by EnemyFactory.createFromSnapshot
+     */
+    serialize() {
+        return {
+            type: this.type,
+            wave: this.wave,
+            isBoss: false,
+            x: this.x,
+            y: this.y,
+            health: this.health
+        };
+    }
+    
+    /**
+     * Restore run state captured by serialize()
+     * @param {Object} snapshot - Enemy snapshot
+     */
+    restore(snapshot) {
+        this.health = clamp(snapshot.health, 1, this.maxHealth);
+    }
+    
     /**
      * Draw the enemy
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -404,6 +747,9 @@ class Enemy {
         ctx.fillStyle = '#ff3333';
         ctx.fillRect(healthBarX, healthBarY, healthBarWidth * healthPercentage, healthBarHeight);
         
+        // Draw status effect icons above the health bar
+        this.statusEffects.draw(ctx, this.x, healthBarY - 6);
+        
         // Restore context
         ctx.restore();
     }
@@ -413,122 +759,6 @@ class Enemy {
      * @returns {string} - CSS color
      */
     getEnemyColor() {
-        switch (this.type) {
-            case 'basic':
-                return '#aa3333';
-            case 'fast':
-                return '#33aa33';
-            case 'tank':
-                return '#3333aa';
-            case 'boss':
-                return '#aa33aa';
-            default:
-                return '#aa3333';
-        }
-    }
-}
-
-// Enemy factory
-class EnemyFactory {
-    /**
-     * Create an enemy of the specified type
-     * @param {string} type - Enemy type
-     * @param {number} wave - Current wave number
-     * @param {Object} position - Spawn position {x, y}
-     * @returns {Enemy} - New enemy instance
-     */
-    static createEnemy(type, wave = 1, position = null) {
-        const enemy = new Enemy(type, wave, position);
-        
-        // Modify stats based on type
-        switch (type) {
-            case 'fast':
-                enemy.health *= 0.7;
-                enemy.maxHealth *= 0.7;
-                enemy.damage *= 0.8;
-                enemy.speed *= 1.5;
-                enemy.maxSpeed *= 1.5;
-                enemy.size *= 0.8;
-                enemy.acceleration *= 1.5;
-                break;
-            case 'tank':
-                enemy.health *= 2;
-                enemy.maxHealth *= 2;
-                enemy.damage *= 0.7;
-                enemy.speed *= 0.7;
-                enemy.maxSpeed *= 0.7;
-                enemy.size *= 1.3;
-                enemy.acceleration *= 0.7;
-                break;
-            case 'boss':
-                enemy.health *= 5;
-                enemy.maxHealth *= 5;
-                enemy.damage *= 2;
-                enemy.speed *= 0.5;
-                enemy.maxSpeed *= 0.5;
-                enemy.size *= 2;
-                enemy.xpValue *= 5;
-                enemy.acceleration *= 0.5;
-                break;
-        }
-        
-        return enemy;
-    }
-    
-    /**
-     * Create a random enemy
-     * @param {number} wave - Current wave number
-     * @returns {Enemy} - New enemy instance
-     */
-    static createRandomEnemy(wave) {
-        let types = ['basic'];
-        
-        // Unlock more enemy types as waves progress
-        if (wave >= 3) types.push('fast');
-        if (wave >= 5) types.push('tank');
-        if (wave >= 10 && wave % 5 === 0) return this.createEnemy('boss', wave);
-        
-        const randomType = types[Math.floor(Math.random() * types.length)];
-        return this.createEnemy(randomType, wave);
-    }
-    
-    /**
-     * Create multiple enemies in a wave
-     * @param {number} count - Number of enemies to create
-     * @param {number} wave - Current wave number
-     * @returns {Array} - Array of new enemy instances
-     */
-    static createEnemyWave(count, wave) {
-        const enemies = [];
-        
-        for (let i = 0; i < count; i++) {
-            // Create enemies at different spawn points around the screen
-            const spawnPoint = this.getSpawnPoint(i, count);
-            enemies.push(this.createRandomEnemy(wave, spawnPoint));
-        }
-        
-        return enemies;
-    }
-    
-    /**
-     * Get a spawn point around the screen
-     * @param {number} index - Spawn point index
-     * @param {number} total - Total number of spawn points
-     * @returns {Object} - Spawn position {x, y}
-     */
-    static getSpawnPoint(index, total) {
-        // Distribute spawn points evenly around the screen
-        const angle = (index / total) * Math.PI * 2;
-        const distance = 100 + Math.random() * 200; // Random distance from screen edge
-        
-        // Calculate position relative to screen center
-        const centerX = GAME_WIDTH / 2;
-        const centerY = GAME_HEIGHT / 2;
-        const maxDist = Math.max(GAME_WIDTH, GAME_HEIGHT) / 2 + distance;
-        
-        return {
-            x: centerX + Math.cos(angle) * maxDist,
-            y: centerY + Math.sin(angle) * maxDist
-        };
+        return this.getDefinition().color;
     }
 }
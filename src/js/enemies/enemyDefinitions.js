@@ -0,0 +1,250 @@
+/**
+ * Enemy Definitions
+ * Data-driven enemy archetypes consumed by EnemyFactory, Enemy, effects and debug tools
+ *
+ * Each definition is a plain JSON-shaped object:
+ * - name: Display name
+ * - behavior: Movement behavior used by Enemy.updatePath()
+ * - color: CSS color used for the body, spawn rings and attack effects
+ * - statMultipliers: Multipliers applied to the wave-scaled base stats
+ *   (health, damage, speed, size, acceleration, xp)
+ * - attack: windUp (seconds), cooldown (seconds), telegraph ('pulse', 'aim' or 'boss'),
+ *   pulses (telegraph pulse count) and animation ('basic', 'quick', 'heavy' or 'boss')
+ * - resistances: Optional fraction of each element's damage resisted, e.g. { fire: 0.5 };
+ *   negative values are weaknesses and 1 grants immunity to the element's status effect
+ * - ranged: Optional; makes the enemy fire EnemyProjectiles instead of attacking on contact
+ *   (range, preferredDistance, projectileSpeed, projectileSize)
+ * - firstWave: First wave the archetype can spawn in
+ * - spawnWeight: Weight curve for regular spawns, base + perWave * (wave - firstWave)
+ *   clamped to [min, max]; a weight of 0 keeps it out of the regular pool
+ * - isBoss: Spawned by boss waves instead of the regular pool
+ * - encounter: Boss only; title, health-threshold phases and attack pattern settings
+ *   - phases: [{ threshold, patterns, patternCooldown, speedMultiplier }] entered once
+ *     health / maxHealth drops to the threshold; patterns run in the listed order
+ *   - patterns: settings for 'charge', 'ring' and 'summon' (see Boss)
+ */
+
+const ENEMY_DEFINITIONS = {
+    basic: {
+        name: 'Husk',
+        behavior: 'seek',
+        color: '#aa3333',
+        statMultipliers: { health: 1, damage: 1, speed: 1, size: 1, acceleration: 1, xp: 1 },
+        resistances: {},
+        attack: { windUp: 0.4, cooldown: 1.0, telegraph: 'pulse', pulses: 2, animation: 'basic' },
+        firstWave: 1,
+        spawnWeight: { base: 8, perWave: -0.5, min: 4, max: 8 },
+        isBoss: false
+    },
+    fast: {
+        name: 'Skitter',
+        behavior: 'intercept',
+        color: '#33aa33',
+        statMultipliers: { health: 0.7, damage: 0.8, speed: 1.5, size: 0.8, acceleration: 1.5, xp: 1 },
+        resistances: { ice: -0.25 },
+        attack: { windUp: 0.24, cooldown: 1.0, telegraph: 'pulse', pulses: 1, animation: 'quick' },
+        firstWave: 1,
+        spawnWeight: { base: 2, perWave: 0.5, min: 2, max: 3 },
+        isBoss: false
+    },
+    tank: {
+        name: 'Brute',
+        behavior: 'approach',
+        color: '#3333aa',
+        statMultipliers: { health: 2, damage: 1.2, speed: 0.7, size: 1.3, acceleration: 0.7, xp: 2 },
+        resistances: { physical: 0.3, fire: -0.25 },
+        attack: { windUp: 0.8, cooldown: 1.0, telegraph: 'pulse', pulses: 3, animation: 'heavy' },
+        firstWave: 3,
+        spawnWeight: { base: 2, perWave: 0.25, min: 2, max: 3 },
+        isBoss: false
+    },
+    caster: {
+        name: 'Weaver',
+        behavior: 'kite',
+        color: '#dd8833',
+        statMultipliers: { health: 0.8, damage: 0.9, speed: 0.9, size: 0.9, acceleration: 1, xp: 1.5 },
+        resistances: { arcane: 0.5, physical: -0.2 },
+        attack: { windUp: 0.6, cooldown: 2.0, telegraph: 'aim', pulses: 2, animation: 'basic' },
+        ranged: { range: 450, preferredDistance: 260, projectileSpeed: 5, projectileSize: 10 },
+        firstWave: 5,
+        spawnWeight: { base: 1, perWave: 0.25, min: 1, max: 3 },
+        isBoss: false
+    },
+    boss: {
+        name: 'Unraveler',
+        behavior: 'complex',
+        color: '#aa33aa',
+        statMultipliers: { health: 5, damage: 1.5, speed: 0.7, size: 2, acceleration: 0.5, xp: 10 },
+        resistances: { physical: 0.2 },
+        attack: { windUp: 1.2, cooldown: 1.0, telegraph: 'boss', pulses: 3, animation: 'boss' },
+        firstWave: 10,
+        spawnWeight: { base: 0, perWave: 0, min: 0, max: 0 },
+        isBoss: true,
+        encounter: {
+            title: 'Unraveler, the Frayed End',
+            phases: [
+                { threshold: 1.0, patterns: ['charge'], patternCooldown: 4, speedMultiplier: 1 },
+                { threshold: 0.6, patterns: ['ring', 'charge'], patternCooldown: 3.5, speedMultiplier: 1.1 },
+                { threshold: 0.3, patterns: ['summon', 'ring', 'charge'], patternCooldown: 2.5, speedMultiplier: 1.3 }
+            ],
+            patterns: {
+                charge: { windUp: 0.8, speed: 12, duration: 0.6, damageMultiplier: 1.5 },
+                ring: { windUp: 0.6, count: 12, speed: 4, size: 12, range: 600, damageMultiplier: 0.5 },
+                summon: { windUp: 0.8, type: 'fast', count: 4, radius: 80 }
+            }
+        }
+    },
+    loomwarden: {
+        name: 'Loom Warden',
+        behavior: 'approach',
+        color: '#5577cc',
+        statMultipliers: { health: 8, damage: 1.8, speed: 0.6, size: 2.4, acceleration: 0.4, xp: 15 },
+        resistances: { fire: 0.5, ice: 0.25 },
+        attack: { windUp: 1.2, cooldown: 1.0, telegraph: 'boss', pulses: 3, animation: 'boss' },
+        firstWave: 20,
+        spawnWeight: { base: 0, perWave: 0, min: 0, max: 0 },
+        isBoss: true,
+        encounter: {
+            title: 'The Loom Warden',
+            phases: [
+                { threshold: 1.0, patterns: ['summon', 'ring'], patternCooldown: 4, speedMultiplier: 1 },
+                { threshold: 0.5, patterns: ['ring', 'summon', 'ring'], patternCooldown: 3, speedMultiplier: 1 },
+                { threshold: 0.2, patterns: ['ring', 'charge'], patternCooldown: 2, speedMultiplier: 1.4 }
+            ],
+            patterns: {
+                charge: { windUp: 1.0, speed: 10, duration: 0.8, damageMultiplier: 2 },
+                ring: { windUp: 0.8, count: 16, speed: 3.5, size: 14, range: 650, damageMultiplier: 0.5 },
+                summon: { windUp: 1.0, type: 'tank', count: 3, radius: 100 }
+            }
+        }
+    },
+    matriarch: {
+        name: 'Spinner Matriarch',
+        behavior: 'kite',
+        color: '#cc4466',
+        statMultipliers: { health: 10, damage: 2, speed: 0.9, size: 2.2, acceleration: 0.8, xp: 20 },
+        resistances: { arcane: 0.5, lightning: 0.25 },
+        attack: { windUp: 1.0, cooldown: 1.0, telegraph: 'boss', pulses: 3, animation: 'boss' },
+        ranged: { range: 500, preferredDistance: 300, projectileSpeed: 6, projectileSize: 14 },
+        firstWave: 30,
+        spawnWeight: { base: 0, perWave: 0, min: 0, max: 0 },
+        isBoss: true,
+        encounter: {
+            title: 'The Spinner Matriarch',
+            phases: [
+                { threshold: 1.0, patterns: ['summon', 'ring'], patternCooldown: 3.5, speedMultiplier: 1 },
+                { threshold: 0.6, patterns: ['ring', 'ring', 'summon'], patternCooldown: 3, speedMultiplier: 1.1 },
+                { threshold: 0.25, patterns: ['charge', 'ring', 'summon'], patternCooldown: 2, speedMultiplier: 1.3 }
+            ],
+            patterns: {
+                charge: { windUp: 0.6, speed: 14, duration: 0.5, damageMultiplier: 1.5 },
+                ring: { windUp: 0.5, count: 20, speed: 4.5, size: 10, range: 700, damageMultiplier: 0.4 },
+                summon: { windUp: 0.8, type: 'caster', count: 3, radius: 120 }
+            }
+        }
+    }
+};
+
+/**
+ * Enemy Registry Class
+ * Looks up enemy definitions and evaluates their spawn weights
+ */
+class EnemyRegistry {
+    /**
+     * Register or replace an enemy definition
+     * @param {string} type - Enemy type id
+     * @param {Object} definition - Enemy definition
+     */
+    static register(type, definition) {
+        ENEMY_DEFINITIONS[type] = definition;
+    }
+
+    /**
+     * Check if an enemy type is registered
+     * @param {string} type - Enemy type id
+     * @returns {boolean} - True if registered
+     */
+    static has(type) {
+        return type in ENEMY_DEFINITIONS;
+    }
+
+    /**
+     * Get the definition for an enemy type, falling back to basic
+     * @param {string} type - Enemy type id
+     * @returns {Object} - Enemy definition
+     */
+    static get(type) {
+        return ENEMY_DEFINITIONS[type] || ENEMY_DEFINITIONS.basic;
+    }
+
+    /**
+     * Get all registered enemy type ids
+     * @returns {Array} - Enemy type ids
+     */
+    static getTypes() {
+        return Object.keys(ENEMY_DEFINITIONS);
+    }
+
+    /**
+     * Get the color for an enemy type
+     * @param {string} type - Enemy type id
+     * @returns {string} - CSS color
+     */
+    static getColor(type) {
+        return this.get(type).color;
+    }
+
+    /**
+     * Get the regular spawn weight of an enemy type for a wave
+     * @param {string} type - Enemy type id
+     * @param {number} wave - Current wave number
+     * @returns {number} - Spawn weight (0 if it cannot spawn)
+     */
+    static getSpawnWeight(type, wave) {
+        const definition = ENEMY_DEFINITIONS[type];
+        if (!definition || definition.isBoss || wave < definition.firstWave) return 0;
+
+        const curve = definition.spawnWeight;
+        const weight = curve.base + curve.perWave * (wave - definition.firstWave);
+        return clamp(weight, curve.min, curve.max);
+    }
+
+    /**
+     * Pick a regular enemy type for a wave using the spawn weight curves
+     * @param {number} wave - Current wave number
+     * @returns {string} - Enemy type id
+     */
+    static pickRegularType(wave) {
+        const weighted = this.getTypes()
+            .map(type => ({ type, weight: this.getSpawnWeight(type, wave) }))
+            .filter(entry => entry.weight > 0);
+
+        const totalWeight = weighted.reduce((sum, entry) => sum + entry.weight, 0);
+        if (totalWeight === 0) return 'basic';
+
+        let roll = rng.spawns.range(0, totalWeight);
+        for (const entry of weighted) {
+            roll -= entry.weight;
+            if (roll < 0) return entry.type;
+        }
+
+        return weighted[weighted.length - 1].type;
+    }
+
+    /**
+     * Get the boss type for a wave
+     * Bosses rotate in order of their first wave among those already unlocked
+     * @param {number} wave - Current wave number
+     * @returns {string} - Enemy type id
+     */
+    static getBossType(wave) {
+        const bosses = this.getTypes()
+            .filter(type => ENEMY_DEFINITIONS[type].isBoss && wave >= ENEMY_DEFINITIONS[type].firstWave)
+            .sort((a, b) => ENEMY_DEFINITIONS[a].firstWave - ENEMY_DEFINITIONS[b].firstWave);
+
+        if (bosses.length === 0) return 'boss';
+
+        const bossIndex = Math.max(0, Math.floor(wave / BOSS_WAVE_INTERVAL) - 1);
+        return bosses[bossIndex % bosses.length];
+    }
+}
@@ -0,0 +1,164 @@
+/**
+ * EnemyProjectile Class
+ * Pooled hostile projectile fired by ranged enemies that damages the player
+ */
+
+class EnemyProjectile {
+    /**
+     * Create a new enemy projectile
+     * Projectiles are normally obtained from enemyProjectilePool and configured with init()
+     */
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Configure the projectile for a new shot
+     * @param {Object} options - Projectile options
+     * @param {number} options.x - Start X position
+     * @param {number} options.y - Start Y position
+     * @param {number} options.directionX - Normalized X direction
+     * @param {number} options.directionY - Normalized Y direction
+     * @param {number} options.damage - Damage dealt to the player on hit
+     * @param {number} options.speed - Speed in pixels per frame at the target FPS
+     * @param {number} options.size - Projectile diameter
+     * @param {number} options.range - Maximum travel distance
+     * @param {string} options.color - CSS color
+     * @param {Enemy} options.source - Enemy that fired the projectile
+     * @returns {EnemyProjectile} - This projectile
+     */
+    init(options) {
+        this.x = options.x;
+        this.y = options.y;
+        this.directionX = options.directionX;
+        this.directionY = options.directionY;
+        this.damage = options.damage;
+        this.speed = options.speed;
+        this.size = options.size;
+        this.range = options.range;
+        this.color = options.color;
+        this.source = options.source || null;
+
+        this.distanceTraveled = 0;
+        this.lifetime = 0;
+        this.isExpired = false;
+
+        return this;
+    }
+
+    /**
+     * Clear projectile state before returning it to the pool
+     */
+    reset() {
+        this.x = 0;
+        this.y = 0;
+        this.directionX = 0;
+        this.directionY = 0;
+        this.damage = 0;
+        this.speed = 0;
+        this.size = 0;
+        this.range = 0;
+        this.color = '#ffffff';
+        this.source = null;
+        this.distanceTraveled = 0;
+        this.lifetime = 0;
+        this.isExpired = true;
+    }
+
+    /**
+     * Update projectile state
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Character} player - Player character
+     */
+    update(deltaTime, player) {
+        if (this.isExpired) return;
+
+        // Move along direction (speed is per frame at the target FPS)
+        const step = this.speed * FPS * deltaTime;
+        this.x += this.directionX * step;
+        this.y += this.directionY * step;
+        this.distanceTraveled += step;
+        this.lifetime += deltaTime;
+
+        // Expire once out of range
+        if (this.distanceTraveled >= this.range || this.lifetime >= PROJECTILE_MAX_LIFETIME) {
+            this.isExpired = true;
+            return;
+        }
+
+        // Check for player hit (dashing or invulnerable players pass through)
+        if (player && player.isAlive && checkCollision(this, player)) {
+            this.hit(player);
+        }
+    }
+
+    /**
+     * Hit the player
+     * @param {Character} player - Player that was hit
+     */
+    hit(player) {
+        if (!player.takeDamage(this.damage)) return;
+
+        this.isExpired = true;
+
+        // Emit hit event
+        eventEmitter.emit('enemy:projectileHit', {
+            projectile: this,
+            enemy: this.source,
+            target: player,
+            damage: this.damage
+        });
+    }
+
+    /**
+     * Destroy the projectile before it reaches its target
+     * @param {Object} destroyer - What destroyed it (e.g. an AreaEffect)
+     */
+    destroy(destroyer) {
+        if (this.isExpired) return;
+
+        this.isExpired = true;
+
+        // Emit destroyed event
+        eventEmitter.emit('enemy:projectileDestroyed', {
+            projectile: this,
+            destroyer: destroyer,
+            x: this.x,
+            y: this.y
+        });
+    }
+
+    /**
+     * Draw the projectile
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        if (this.isExpired) return;
+
+        const radius = this.size / 2;
+
+        ctx.save();
+
+        // Draw glow
+        ctx.fillStyle = this.color;
+        ctx.globalAlpha = 0.35;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, radius * 1.8, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw core with a dark rim so hostile shots read differently from the player's
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.arc(this.x, this.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.strokeStyle = '#220000';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        ctx.restore();
+    }
+}
+
+// Create a global enemy projectile pool
+const enemyProjectilePool = new ObjectPool(() => new EnemyProjectile(), ENEMY_PROJECTILE_POOL_SIZE);
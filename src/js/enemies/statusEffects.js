@@ -0,0 +1,148 @@
+/**
+ * StatusEffects Class
+ * Tracks elemental status effects (burn, slow, vulnerable) on a single enemy
+ */
+
+class StatusEffects {
+    /**
+     * Create a new status effect container
+     * @param {Enemy} owner - Enemy the effects are applied to
+     */
+    constructor(owner) {
+        this.owner = owner;
+        this.effects = new Map(); // Effect name -> state
+    }
+
+    /**
+     * Apply or refresh a status effect
+     * @param {string} name - Effect name from STATUS_EFFECT_SETTINGS
+     * @param {Object} damage - Damage payload that caused the effect
+     * @param {number} durationScale - Duration multiplier from the owner's resistance
+     */
+    apply(name, damage, durationScale = 1) {
+        const settings = STATUS_EFFECT_SETTINGS[name];
+        const duration = settings.duration * durationScale;
+        if (duration <= 0) return;
+
+        const existing = this.effects.get(name);
+
+        switch (name) {
+            case 'burn': {
+                // Stronger burns replace weaker ones; the timer always refreshes
+                const tickDamage = damage.amount * settings.damageRatio / settings.tickRate;
+                this.effects.set(name, {
+                    timer: duration,
+                    tickTimer: existing ? existing.tickTimer : 1 / settings.tickRate,
+                    tickDamage: existing ? Math.max(existing.tickDamage, tickDamage) : tickDamage,
+                    source: damage.source
+                });
+                break;
+            }
+
+            case 'slow':
+                if (!existing) {
+                    this.owner.maxSpeed *= settings.speedMultiplier;
+                }
+                this.effects.set(name, { timer: duration });
+                break;
+
+            default:
+                this.effects.set(name, { timer: duration });
+        }
+    }
+
+    /**
+     * Remove a status effect and undo its stat changes
+     * @param {string} name - Effect name
+     */
+    remove(name) {
+        if (!this.effects.has(name)) return;
+
+        if (name === 'slow') {
+            this.owner.maxSpeed /= STATUS_EFFECT_SETTINGS.slow.speedMultiplier;
+        }
+
+        this.effects.delete(name);
+    }
+
+    /**
+     * Check if an effect is active
+     * @param {string} name - Effect name
+     * @returns {boolean} - True if active
+     */
+    has(name) {
+        return this.effects.has(name);
+    }
+
+    /**
+     * Get the incoming damage multiplier from active effects
+     * @returns {number} - Damage multiplier
+     */
+    getDamageMultiplier() {
+        return this.effects.has('vulnerable') ? STATUS_EFFECT_SETTINGS.vulnerable.damageMultiplier : 1;
+    }
+
+    /**
+     * Tick effect timers and deal burn damage
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.effects.forEach((state, name) => {
+            if (name === 'burn') {
+                state.tickTimer -= deltaTime;
+
+                while (state.tickTimer <= 0 && this.owner.isAlive) {
+                    state.tickTimer += 1 / STATUS_EFFECT_SETTINGS.burn.tickRate;
+
+                    const damage = createDamage(state.tickDamage, ELEMENT_TYPES.FIRE, state.source);
+                    damage.isStatus = true; // Burn ticks do not re-apply burn
+                    this.owner.takeDamage(damage);
+                }
+            }
+
+            state.timer -= deltaTime;
+            if (state.timer <= 0) {
+                this.remove(name);
+            }
+        });
+    }
+
+    /**
+     * Remove every effect
+     */
+    clear() {
+        Array.from(this.effects.keys()).forEach(name => this.remove(name));
+    }
+
+    /**
+     * Draw one icon per active effect in a row centered above the owner
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Row center X
+     * @param {number} y - Row center Y
+     */
+    draw(ctx, x, y) {
+        if (this.effects.size === 0) return;
+
+        const spacing = 10;
+        let iconX = x - ((this.effects.size - 1) * spacing) / 2;
+
+        this.effects.forEach((state, name) => {
+            const element = Object.keys(ELEMENT_STATUS_EFFECTS).find(key => ELEMENT_STATUS_EFFECTS[key] === name);
+
+            // Fade out during the last half second
+            ctx.globalAlpha = Math.min(1, state.timer * 2);
+            ctx.fillStyle = ELEMENT_COLORS[element];
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 1;
+
+            ctx.beginPath();
+            ctx.arc(iconX, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+
+            iconX += spacing;
+        });
+
+        ctx.globalAlpha = 1;
+    }
+}
@@ -16,13 +16,17 @@ class Game {
         this.player = null;
         this.enemies = [];
         this.projectiles = [];
+        this.enemyProjectiles = [];
         this.areas = [];
+        this.xpGems = [];
+        this.treasureChests = [];
         
         // Game stats
         this.stats = {
             timeSurvived: 0,
             wavesCompleted: 0,
             enemiesDefeated: 0,
+            bossesDefeated: 0,
             levelReached: 1
         };
         
@@ -31,6 +35,19 @@ class Game {
         this.waveTimer = 0;
         this.enemySpawnTimer = 0;
         this.enemySpawnRate = ENEMY_SPAWN_RATE;
+        this.activeBoss = null;
+        
+        // Level-up offers for the current run
+        this.upgrades = null;
+        
+        // Seed identifying the current run, stored with run saves
+        this.seed = null;
+        
+        // Fixed simulation steps since the run started, used to line up replay inputs
+        this.tick = 0;
+        
+        // Spatial index of living enemies, rebuilt every update
+        this.enemyGrid = new SpatialGrid(SPATIAL_GRID_CELL_SIZE);
         
         // Canvas setup
         this.canvas = document.getElementById('game-canvas');
@@ -38,19 +55,27 @@ class Game {
         
         // Game systems
         this.timeManager = new TimeManager(FPS);
+        this.renderInterpolator = new RenderInterpolator();
         this.camera = new Camera(window.innerWidth, window.innerHeight);
         this.resizeHandler = new ResizeHandler(this.canvas, this);
         this.debugRenderer = new DebugRenderer(this);
         this.attackAnimations = new AttackAnimationManager();
         this.enemyAttackEffects = new EnemyAttackEffects(this.attackAnimations);
         this.damageEffects = new DamageEffects(this.attackAnimations);
+        this.input = new InputManager();
+        this.audio = new AudioManager(this.camera);
         
         // UI
         this.ui = new UI(this);
         
         // Input handling
-        this.keys = {};
         this.mouse = { x: 0, y: 0 };
+        this.dashRequested = false; // Dash presses wait for the next simulation step
+        
+        // Replays
+        this.recorder = new InputRecorder(this);
+        this.replay = null; // ReplayPlayer while a replay is playing
+        this.isLoopRunning = false;
         
         // Initialize
         this.init();
@@ -61,33 +86,13 @@ class Game {
      */
     init() {
         // Set up event listeners
-        window.addEventListener('keydown', (e) => {
-            this.keys[e.key] = true;
-            
-            // Debug controls
-            if (e.key === 'F1') {
-                this.debugRenderer.toggle();
-                e.preventDefault();
-            } else if (e.key === 'F2') {
-                this.debugRenderer.toggleOption('showColliders');
-                e.preventDefault();
-            } else if (e.key === 'F3') {
-                this.debugRenderer.toggleOption('showGrid');
-                e.preventDefault();
-            } else if (e.key === 'F4') {
-                this.debugRenderer.toggleOption('showSpawnPoints');
-                e.preventDefault();
-            } else if (e.key === ' ' && this.player) {
-                // Space bar for dash
-                this.player.dash();
-                e.preventDefault();
+        // The upgrade panel sees presses first, so confirming a choice does not also dash
+        eventEmitter.on('input:pressed', (data) => {
+            if (!this.ui.navigateUpgradePanel(data.action)) {
+                this.handleAction(data.action);
             }
         });
         
-        window.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
-        });
-        
         this.canvas.addEventListener('mousemove', (e) => {
             const rect = this.canvas.getBoundingClientRect();
             this.mouse.x = e.clientX - rect.left;
@@ -122,8 +127,22 @@ class Game {
         eventEmitter.on('enemy:death', (data) => {
             this.stats.enemiesDefeated++;
             
-            if (this.player && this.player.isAlive) {
-                this.player.gainExperience(data.xpValue);
+            // Drop experience where the enemy died
+            this.dropXpGem(data.enemy.x, data.enemy.y, data.xpValue);
+        });
+        
+        eventEmitter.on('enemies:summoned', (data) => {
+            this.enemies.push(...data.enemies);
+        });
+        
+        eventEmitter.on('boss:defeated', (data) => {
+            this.stats.bossesDefeated++;
+            
+            // Bosses leave a treasure chest behind
+            this.treasureChests.push(new TreasureChest(data.boss.x, data.boss.y));
+            
+            if (this.activeBoss === data.boss) {
+                this.activeBoss = null;
             }
         });
         
@@ -131,19 +150,57 @@ class Game {
             this.stats.levelReached = data.level;
         });
         
+        eventEmitter.on('player:death', (data) => {
+            // Replays only show a finished run again
+            if (this.replay) return;
+            
+            // Keep the recording so the run can be exported
+            this.recorder.stop();
+            
+            // A finished run cannot be continued
+            runSave.clear();
+            
+            // Turn the finished run into threads and records, which may unlock characters
+            const lockedTypes = CharacterRegistry.getLockedTypes();
+            metaProgression.awardRun(this.stats, this.player.type);
+            CharacterRegistry.announceUnlocks(lockedTypes);
+        });
+        
+        eventEmitter.on('chest:opened', (data) => {
+            this.upgrades.openChest();
+        });
+        
         eventEmitter.on('projectiles:created', (data) => {
             this.projectiles.push(...data.projectiles);
         });
         
+        eventEmitter.on('enemyProjectiles:created', (data) => {
+            this.enemyProjectiles.push(...data.projectiles);
+        });
+        
         eventEmitter.on('area:created', (data) => {
             this.areas.push(data.area);
         });
         
         eventEmitter.on('canvas:resize', (data) => {
+            // Replays keep the recorded camera size, which spawn positions depend on
+            if (this.replay) {
+                this.replay.applyViewport();
+                return;
+            }
+            
             // Update camera dimensions
             if (this.camera) {
                 this.camera.width = data.width;
                 this.camera.height = data.height;
+                this.recorder.recordViewport(data.width, data.height);
+            }
+        });
+        
+        // Save the run when the tab is hidden, which is the last chance before it closes
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveRun();
             }
         });
         
@@ -157,54 +214,263 @@ class Game {
             // Visual or audio feedback for dash end
             console.log('Dash ended');
         });
+    }
+    
+    /**
+     * Start a new game
+     * @param {string} characterType - Character type id from CHARACTER_DEFINITIONS
+     * @param {number} seed - Optional run seed; the same seed replays the same waves and offers
+     */
+    startGame(characterType, seed = null) {
+        // Starting over abandons any saved run
+        runSave.clear();
+        
+        this.beginRun(characterType, seed !== null ? seed : RandomService.createSeed());
+        
+        // Record the run so it can be exported as a replay
+        this.recorder.start({
+            seed: this.seed,
+            characterType: this.player.type,
+            upgradeLevels: metaProgression.getUpgradeLevels(),
+            viewport: { width: this.camera.width, height: this.camera.height }
+        });
+        
+        // Start game loop
+        this.startLoop();
+    }
+    
+    /**
+     * Set up a fresh run without touching saves or recordings
+     * @param {string} characterType - Character type id from CHARACTER_DEFINITIONS
+     * @param {number} seed - Run seed
+     * @param {Object} upgradeLevels - Optional meta upgrade levels to apply instead of the purchased ones
+     */
+    beginRun(characterType, seed, upgradeLevels = null) {
+        this.resetRun();
+        this.seed = seed;
+        rng.setSeed(this.seed);
+        
+        // Create player
+        this.player = CharacterFactory.createCharacter(characterType, upgradeLevels);
+        this.upgrades = new UpgradeManager(this.player);
+        
+        // Set camera target to player
+        this.camera.setTarget(this.player);
+        
+        // Start first wave
+        this.startWave(1);
+    }
+    
+    /**
+     * Start the game loop unless it is already running
+     */
+    startLoop() {
+        if (this.isLoopRunning) return;
         
-        // Enemy attack event listener
-        eventEmitter.on('enemy:attack', (data) => {
-            // Handle enemy attack event
-            console.log(`Enemy attacked player for ${data.damage} damage`);
+        this.isLoopRunning = true;
+        requestAnimationFrame((timestamp) => this.gameLoop(timestamp));
+    }
+    
+    /**
+     * Play a replay from its first step
+     * Invalid replays are rejected and the current state is left untouched
+     * @param {Object} replay - Parsed replay file from InputRecorder.export()
+     * @returns {boolean} - True if playback started
+     */
+    startReplay(replay) {
+        const problem = ReplayPlayer.validate(replay);
+        if (problem) {
+            console.warn(`Cannot play replay: ${problem}`);
             
-            // Visual feedback for enemy attack
-            if (this.enemyAttackEffects) {
-                this.enemyAttackEffects.createPrepareAnimation(data.enemy, data.target);
-            }
+            // Emit rejected event
+            eventEmitter.emit('replay:rejected', {
+                reason: problem
+            });
+            
+            return false;
+        }
+        
+        this.recorder.clear();
+        this.replay = new ReplayPlayer(this, replay);
+        this.replay.restart();
+        
+        // Emit started event
+        eventEmitter.emit('replay:started', {
+            replay: this.replay
         });
+        
+        // Start game loop
+        this.startLoop();
+        
+        return true;
     }
     
     /**
-     * Start a new game
-     * @param {string} characterType - Character type from CHARACTER_TYPES
+     * Stop the replay and return to the menu
      */
-    startGame(characterType) {
+    stopReplay() {
+        if (!this.replay) return;
+        
+        this.replay = null;
+        this.state = GAME_STATES.MENU;
+        this.timeManager.setTimeScale(1);
+        this.ui.resetUpgradePanel();
+        this.ui.hideBossBar();
+        
+        // Give the camera back the canvas size
+        this.resizeHandler.resize();
+        
+        // Emit stopped event
+        eventEmitter.emit('replay:stopped', {});
+    }
+    
+    /**
+     * Clear every object and stat left over from the previous run
+     */
+    resetRun() {
         // Reset game state
         this.state = GAME_STATES.PLAYING;
         this.isPaused = false;
         this.enemies = [];
+        this.activeBoss = null;
+        this.enemyGrid.clear();
+        projectilePool.releaseAll(this.projectiles);
         this.projectiles = [];
+        enemyProjectilePool.releaseAll(this.enemyProjectiles);
+        this.enemyProjectiles = [];
         this.areas = [];
+        this.xpGems = [];
+        this.treasureChests = [];
         this.gameTime = 0;
+        this.tick = 0;
+        this.dashRequested = false;
+        
+        // Reset wave timers so the first spawn comes as early as in the first run
+        this.currentWave = 0;
+        this.waveTimer = 0;
+        this.enemySpawnTimer = 0;
         
         // Reset stats
         this.stats = {
             timeSurvived: 0,
             wavesCompleted: 0,
             enemiesDefeated: 0,
+            bossesDefeated: 0,
             levelReached: 1
         };
         
         // Reset time manager
         this.timeManager.reset();
+        this.renderInterpolator.clear();
+    }
+    
+    /**
+     * Capture the in-progress run for a save
+     * Projectiles, areas and animations are short-lived and are not saved
+     * @returns {Object} - Snapshot for RunSave
+     */
+    createSnapshot() {
+        return {
+            version: RUN_SAVE_VERSION,
+            savedAt: Date.now(),
+            seed: this.seed,
+            rngState: rng.getState(),
+            gameTime: this.gameTime,
+            stats: { ...this.stats },
+            wave: {
+                current: this.currentWave,
+                timer: this.waveTimer,
+                spawnTimer: this.enemySpawnTimer
+            },
+            player: this.player.serialize(),
+            upgrades: this.upgrades.serialize(),
+            pendingLevelUps: (this.ui.isUpgradePanelOpen ? 1 : 0) + this.ui.pendingUpgrades,
+            enemies: this.enemies.filter(enemy => enemy.isAlive).map(enemy => enemy.serialize()),
+            xpGems: this.xpGems.filter(gem => !gem.isCollected).map(gem => ({ x: gem.x, y: gem.y, value: gem.value })),
+            treasureChests: this.treasureChests.filter(chest => !chest.isCollected).map(chest => ({ x: chest.x, y: chest.y }))
+        };
+    }
+    
+    /**
+     * Save the in-progress run, if there is one
+     * @returns {boolean} - True if saved
+     */
+    saveRun() {
+        if (this.state !== GAME_STATES.PLAYING || !this.player || !this.player.isAlive || this.replay) {
+            return false;
+        }
         
-        // Create player
-        this.player = CharacterFactory.createCharacter(characterType);
+        return runSave.save(this.createSnapshot());
+    }
+    
+    /**
+     * Continue the saved run
+     * Corrupt or incompatible saves are discarded and the current state is left untouched
+     * @returns {boolean} - True if the run was restored
+     */
+    continueRun() {
+        const snapshot = runSave.load();
+        if (!snapshot) return false;
         
-        // Set camera target to player
-        this.camera.setTarget(this.player);
+        try {
+            this.restoreSnapshot(snapshot);
+        } catch (error) {
+            console.error('Could not restore run:', error);
+            runSave.reject(error.message);
+            return false;
+        }
         
-        // Start first wave
-        this.startWave(1);
+        // The start of a continued run was not recorded, so it cannot be replayed
+        this.recorder.clear();
         
         // Start game loop
-        requestAnimationFrame((timestamp) => this.gameLoop(timestamp));
+        this.startLoop();
+        
+        return true;
+    }
+    
+    /**
+     * Rebuild a run from a validated snapshot
+     * @param {Object} snapshot - Snapshot from createSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        // Build everything first so a bad entry throws before the current state is replaced
+        const player = CharacterFactory.createFromSnapshot(snapshot.player);
+        const enemies = snapshot.enemies.map(enemySnapshot => EnemyFactory.createFromSnapshot(enemySnapshot));
+        const upgrades = new UpgradeManager(player);
+        upgrades.restore(snapshot.upgrades || {});
+        
+        this.resetRun();
+        this.seed = snapshot.seed;
+        rng.setSeed(this.seed);
+        rng.setState(snapshot.rngState || {});
+        this.gameTime = snapshot.gameTime;
+        this.stats = { ...this.stats, ...snapshot.stats };
+        
+        this.player = player;
+        this.upgrades = upgrades;
+        this.enemies = enemies;
+        this.activeBoss = enemies.find(enemy => enemy instanceof Boss) || null;
+        this.xpGems = snapshot.xpGems.map(gem => new XPGem(gem.x, gem.y, gem.value));
+        this.treasureChests = snapshot.treasureChests.map(chest => new TreasureChest(chest.x, chest.y));
+        
+        // Resume the wave where it was saved
+        this.currentWave = snapshot.wave.current;
+        this.waveTimer = snapshot.wave.timer;
+        this.enemySpawnTimer = snapshot.wave.spawnTimer;
+        this.enemySpawnRate = ENEMY_SPAWN_RATE * (1 + (this.currentWave - 1) * ENEMY_SPAWN_INCREASE_RATE);
+        
+        // Set camera target to player
+        this.camera.setTarget(this.player);
+        
+        // Emit restored event
+        eventEmitter.emit('run:restored', {
+            player: this.player,
+            wave: this.currentWave,
+            time: this.gameTime,
+            boss: this.activeBoss,
+            pendingLevelUps: snapshot.pendingLevelUps || 0
+        });
     }
     
     /**
@@ -220,6 +486,11 @@ class Game {
         eventEmitter.emit('wave:start', {
             wave: waveNumber
         });
+        
+        // Every Nth wave opens with a boss
+        if (waveNumber % BOSS_WAVE_INTERVAL === 0) {
+            this.spawnBoss();
+        }
     }
     
     /**
@@ -228,20 +499,65 @@ class Game {
      */
     gameLoop(timestamp) {
         // Update time manager
-        const deltaTime = this.timeManager.update(timestamp);
+        this.timeManager.update(timestamp);
         
-        // Update game if not paused
-        if (this.state === GAME_STATES.PLAYING && !this.isPaused) {
-            this.update(deltaTime);
+        // Simulate in fixed steps so gameplay does not depend on the display's frame rate
+        if (this.isSimulationRunning()) {
+            const steps = this.timeManager.consumeFixedSteps();
+            
+            // A level up can pause the game part way through the frame's steps
+            for (let i = 0; i < steps && this.isSimulationRunning(); i++) {
+                this.fixedUpdate(this.timeManager.fixedTimeStep);
+            }
+        } else {
+            this.timeManager.clearAccumulatedTime();
         }
         
-        // Draw game
+        // Fade music layers in and out with the fight
+        this.audio.update(this);
+        
+        // Draw game between the last two steps
+        this.renderInterpolator.apply(this.timeManager.getInterpolationAlpha());
         this.draw();
+        this.renderInterpolator.restore();
         
         // Continue loop
         requestAnimationFrame((timestamp) => this.gameLoop(timestamp));
     }
     
+    /**
+     * Check if simulation steps should run
+     * @returns {boolean} - True while a run is playing and neither it nor its replay is paused
+     */
+    isSimulationRunning() {
+        return this.state === GAME_STATES.PLAYING && !this.isPaused && !(this.replay && this.replay.isPaused);
+    }
+    
+    /**
+     * Advance the simulation by one fixed step, remembering positions for interpolation
+     * @param {number} deltaTime - Fixed step length in seconds
+     */
+    fixedUpdate(deltaTime) {
+        this.tick++;
+        
+        this.renderInterpolator.capture([
+            this.player,
+            this.camera,
+            ...this.enemies,
+            ...this.projectiles,
+            ...this.enemyProjectiles,
+            ...this.xpGems
+        ]);
+        
+        this.update(deltaTime);
+        
+        // Replays apply the upgrade choices and viewport changes made after this step
+        if (this.replay) {
+            this.replay.applyDecisions(this.tick);
+            this.replay.applyViewport();
+        }
+    }
+    
     /**
      * Update game state
      * @param {number} deltaTime - Time since last update in seconds
@@ -256,13 +572,16 @@ class Game {
             time: this.gameTime
         });
         
+        // Rebuild enemy spatial index for the player's attacks; updateEnemies() rebuilds it again after moving
+        this.enemyGrid.rebuild(this.enemies);
+        
         // Update player
         if (this.player && this.player.isAlive) {
             // Handle player movement
             this.handlePlayerInput();
             
             // Update player
-            this.player.update(deltaTime, this.enemies, this.worldBounds);
+            this.player.update(deltaTime, this.enemies, this.worldBounds, this.enemyGrid);
         }
         
         // Update camera
@@ -279,9 +598,18 @@ class Game {
         // Update projectiles
         this.updateProjectiles(deltaTime);
         
+        // Update hostile projectiles
+        this.updateEnemyProjectiles(deltaTime);
+        
         // Update areas
         this.updateAreas(deltaTime);
         
+        // Update XP gems
+        this.updateXpGems(deltaTime);
+        
+        // Update treasure chests
+        this.updateTreasureChests(deltaTime);
+        
         // Update attack animations
         this.attackAnimations.update(deltaTime);
         
@@ -292,19 +620,87 @@ class Game {
     }
     
     /**
-     * Handle player input
+     * Handle player input, from the keyboard, a gamepad or the replay being played
      */
     handlePlayerInput() {
+        const input = this.replay ? this.replay.getInput(this.tick) : this.readInput();
+        this.recorder.recordInput(this.tick, input);
+        
         // Movement
-        let moveX = 0;
-        let moveY = 0;
+        this.player.setMovement(input.moveX, input.moveY);
+        
+        // Aim at the cursor in world space (camera may have moved since the last mousemove)
+        const aim = this.camera.screenToWorld(input.mouseX, input.mouseY);
+        this.mouse.worldX = aim.x;
+        this.mouse.worldY = aim.y;
+        this.player.setAimPosition(this.mouse.worldX, this.mouse.worldY);
+        
+        // Dash
+        if (input.dash) {
+            this.player.dash();
+        }
+    }
+    
+    /**
+     * React to a pressed action from the keyboard or a gamepad
+     * @param {string} action - Action id from INPUT_ACTIONS
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'dash':
+                // Applied on the next simulation step
+                if (this.player) {
+                    this.dashRequested = true;
+                }
+                break;
+                
+            case 'pause':
+                // Replays have their own play and pause controls
+                if (this.state === GAME_STATES.PLAYING && !this.replay) {
+                    this.togglePause();
+                }
+                break;
+                
+            case 'debug':
+                this.debugRenderer.toggle();
+                break;
+                
+            case 'debugColliders':
+                this.debugRenderer.toggleOption('showColliders');
+                break;
+                
+            case 'debugGrid':
+                this.debugRenderer.toggleOption('showGrid');
+                break;
+                
+            case 'debugSpawnPoints':
+                this.debugRenderer.toggleOption('showSpawnPoints');
+                break;
+                
+            case 'debugSpatialGrid':
+                this.debugRenderer.toggleOption('showSpatialGrid');
+                break;
+        }
+    }
+    
+    /**
+     * Read the live input for this step
+     * @returns {Object} - Input {moveX, moveY, mouseX, mouseY, dash}
+     */
+    readInput() {
+        const movement = this.input.getMovement();
         
-        if (this.keys['w'] || this.keys['ArrowUp']) moveY -= 1;
-        if (this.keys['s'] || this.keys['ArrowDown']) moveY += 1;
-        if (this.keys['a'] || this.keys['ArrowLeft']) moveX -= 1;
-        if (this.keys['d'] || this.keys['ArrowRight']) moveX += 1;
+        const dash = this.dashRequested;
+        this.dashRequested = false;
         
-        this.player.setMovement(moveX, moveY);
+        // Whole pixels keep recordings compact and replay the same aim
+        return {
+            moveX: movement.x,
+            moveY: movement.y,
+            mouseX: Math.round(this.mouse.x),
+            mouseY: Math.round(this.mouse.y),
+            dash
+        };
     }
     
     /**
@@ -315,15 +711,17 @@ class Game {
         // Update wave timer
         this.waveTimer -= deltaTime;
         
-        // Spawn enemies
+        // Spawn enemies (fewer while a boss is alive)
         this.enemySpawnTimer -= deltaTime;
         if (this.enemySpawnTimer <= 0) {
             this.spawnEnemy();
-            this.enemySpawnTimer = 1 / this.enemySpawnRate;
+            
+            const spawnRate = this.activeBoss ? this.enemySpawnRate * BOSS_WAVE_SPAWN_RATE_MULTIPLIER : this.enemySpawnRate;
+            this.enemySpawnTimer = 1 / spawnRate;
         }
         
-        // Check if wave is over
-        if (this.waveTimer <= 0) {
+        // Check if wave is over (boss waves last until the boss is defeated)
+        if (this.waveTimer <= 0 && !this.activeBoss) {
             this.waveTimer = 0;
             this.startWave(this.currentWave + 1);
             this.stats.wavesCompleted++;
@@ -331,32 +729,65 @@ class Game {
     }
     
     /**
-     * Spawn a new enemy
+     * Get a random spawn position outside of the camera view
+     * @returns {Object} - Spawn position {x, y}
      */
-    spawnEnemy() {
-        // Calculate spawn position outside of camera view
+    getSpawnPosition() {
         const spawnDistance = 100; // Distance outside of camera view
-        const angle = Math.random() * Math.PI * 2;
+        const angle = rng.spawns.range(0, Math.PI * 2);
         
-        const spawnX = this.player.x + Math.cos(angle) * (this.camera.width / this.camera.scale / 2 + spawnDistance);
-        const spawnY = this.player.y + Math.sin(angle) * (this.camera.height / this.camera.scale / 2 + spawnDistance);
+        return {
+            x: this.player.x + Math.cos(angle) * (this.camera.width / this.camera.scale / 2 + spawnDistance),
+            y: this.player.y + Math.sin(angle) * (this.camera.height / this.camera.scale / 2 + spawnDistance)
+        };
+    }
+    
+    /**
+     * Spawn a new enemy
+     */
+    spawnEnemy() {
+        const position = this.getSpawnPosition();
         
         // Create enemy
-        const enemy = EnemyFactory.createEnemy(this.currentWave, spawnX, spawnY);
+        const enemy = EnemyFactory.createEnemy(this.currentWave, position.x, position.y);
         this.enemies.push(enemy);
     }
     
+    /**
+     * Spawn the boss for the current wave
+     */
+    spawnBoss() {
+        const boss = EnemyFactory.createBossEnemy(this.currentWave, this.getSpawnPosition());
+        this.enemies.push(boss);
+        this.activeBoss = boss;
+        
+        // Emit boss spawn event
+        eventEmitter.emit('boss:spawn', {
+            boss: boss,
+            wave: this.currentWave
+        });
+    }
+    
     /**
      * Update enemies
      * @param {number} deltaTime - Time since last update in seconds
      */
     updateEnemies(deltaTime) {
+        // Separation queries the grid built before anyone moved; a step's movement is far smaller than a cell
         this.enemies.forEach(enemy => {
             if (enemy.isAlive) {
-                enemy.update(deltaTime, this.player, this.worldBounds);
+                enemy.update(deltaTime, this.player, this.worldBounds, this.enemyGrid);
             }
         });
         
+        // Index where enemies moved to, including this step's spawns, for collisions, projectiles and areas
+        this.enemyGrid.rebuild(this.enemies);
+        
+        // Push the player out of any enemies it overlaps
+        if (this.player && this.player.isAlive) {
+            this.player.resolveEnemyCollisions(this.enemyGrid, this.worldBounds);
+        }
+        
         // Remove dead enemies
         this.enemies = this.enemies.filter(enemy => {
             if (!enemy.isAlive && enemy.deathTimer <= 0) {
@@ -372,11 +803,36 @@ class Game {
      */
     updateProjectiles(deltaTime) {
         this.projectiles.forEach(projectile => {
-            projectile.update(deltaTime);
+            projectile.update(deltaTime, this.enemies, this.enemyGrid);
         });
         
-        // Remove expired projectiles
-        this.projectiles = this.projectiles.filter(projectile => !projectile.isExpired);
+        // Remove expired projectiles and return them to the pool
+        this.projectiles = this.projectiles.filter(projectile => {
+            if (projectile.isExpired) {
+                projectilePool.release(projectile);
+                return false;
+            }
+            return true;
+        });
+    }
+    
+    /**
+     * Update hostile projectiles fired by enemies
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateEnemyProjectiles(deltaTime) {
+        this.enemyProjectiles.forEach(projectile => {
+            projectile.update(deltaTime, this.player);
+        });
+        
+        // Remove expired projectiles and return them to the pool
+        this.enemyProjectiles = this.enemyProjectiles.filter(projectile => {
+            if (projectile.isExpired) {
+                enemyProjectilePool.release(projectile);
+                return false;
+            }
+            return true;
+        });
     }
     
     /**
@@ -385,13 +841,78 @@ class Game {
      */
     updateAreas(deltaTime) {
         this.areas.forEach(area => {
-            area.update(deltaTime);
+            area.update(deltaTime, this.enemies, this.enemyGrid, this.enemyProjectiles);
         });
         
         // Remove expired areas
         this.areas = this.areas.filter(area => !area.isExpired);
     }
     
+    /**
+     * Drop an XP gem, merging it into a nearby resting gem, or the closest one when many pile up
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} value - Experience value
+     */
+    dropXpGem(x, y, value) {
+        // Merge into a resting gem that is close enough
+        const nearbyGem = this.xpGems.find(gem => 
+            !gem.isMagnetized && distance({ x, y }, { x: gem.x, y: gem.y }) <= XP_GEM_MERGE_RADIUS
+        );
+        
+        if (nearbyGem) {
+            nearbyGem.addValue(value);
+            return;
+        }
+        
+        // Too many gems on the field - fold the value into the closest resting one
+        if (this.xpGems.length >= XP_GEM_MAX_COUNT) {
+            let closestGem = null;
+            let closestDistance = Infinity;
+            this.xpGems.forEach(gem => {
+                const gemDistance = distance({ x, y }, { x: gem.x, y: gem.y });
+                if (!gem.isMagnetized && gemDistance < closestDistance) {
+                    closestGem = gem;
+                    closestDistance = gemDistance;
+                }
+            });
+            
+            // Gems already flying to the player are collected soon, so a new one may go over the cap
+            if (closestGem) {
+                closestGem.addValue(value);
+                return;
+            }
+        }
+        
+        this.xpGems.push(new XPGem(x, y, value));
+    }
+    
+    /**
+     * Update XP gems
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateXpGems(deltaTime) {
+        this.xpGems.forEach(gem => {
+            gem.update(deltaTime, this.player);
+        });
+        
+        // Remove collected gems
+        this.xpGems = this.xpGems.filter(gem => !gem.isCollected);
+    }
+    
+    /**
+     * Update treasure chests
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateTreasureChests(deltaTime) {
+        this.treasureChests.forEach(chest => {
+            chest.update(deltaTime, this.player);
+        });
+        
+        // Remove opened chests
+        this.treasureChests = this.treasureChests.filter(chest => !chest.isCollected);
+    }
+    
     /**
      * Draw game
      */
@@ -468,6 +989,18 @@ class Game {
             area.draw(this.ctx);
         });
         
+        // Draw XP gems
+        this.xpGems.forEach(gem => {
+            if (this.camera.isVisible(gem)) {
+                gem.draw(this.ctx);
+            }
+        });
+        
+        // Draw treasure chests
+        this.treasureChests.forEach(chest => {
+            chest.draw(this.ctx);
+        });
+        
         // Draw projectiles
         this.projectiles.forEach(projectile => {
             projectile.draw(this.ctx);
@@ -480,6 +1013,11 @@ class Game {
             }
         });
         
+        // Draw hostile projectiles above enemies so they stay readable in crowds
+        this.enemyProjectiles.forEach(projectile => {
+            projectile.draw(this.ctx);
+        });
+        
         // Draw player
         if (this.player && this.player.isAlive) {
             this.player.draw(this.ctx);
@@ -489,11 +1027,20 @@ class Game {
         this.attackAnimations.draw(this.ctx);
     }
     
+    /**
+     * Get the current run's statistics
+     * @returns {Object} - Copy of {timeSurvived, wavesCompleted, enemiesDefeated, bossesDefeated, levelReached}
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+    
     /**
      * Pause game
      */
     pause() {
         this.isPaused = true;
+        this.saveRun();
     }
     
     /**
@@ -501,12 +1048,19 @@ class Game {
      */
     resume() {
         this.isPaused = false;
+        
+        // Drop dash presses made while paused
+        this.dashRequested = false;
     }
     
     /**
      * Toggle pause state
      */
     togglePause() {
-        this.isPaused = !this.isPaused;
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
     }
 }
@@ -5,9 +5,6 @@
 
 // Wait for DOM to load
 document.addEventListener('DOMContentLoaded', () => {
-    // Create global event emitter
-    window.eventEmitter = new EventEmitter();
-    
     // Create game instance
     const game = new Game();
     
@@ -39,17 +36,90 @@ document.addEventListener('DOMContentLoaded', () => {
         // Show game UI
         document.getElementById('game-ui').style.display = 'block';
         
-        // Start game
-        game.startGame(characterType);
+        // Start game, replaying the entered seed if there is one
+        game.startGame(characterType, RandomService.parseSeed(document.getElementById('seed-input').value));
     });
     
-    // Add event listener for pause button
-    document.getElementById('pause-button').addEventListener('click', () => {
-        game.togglePause();
+    // Add event listener for continue button
+    document.getElementById('continue-button').addEventListener('click', () => {
+        // Corrupt saves are discarded and the menu stays open
+        if (!game.continueRun()) {
+            return;
+        }
+        
+        // Hide menu
+        document.getElementById('menu').style.display = 'none';
+        
+        // Show game UI
+        document.getElementById('game-ui').style.display = 'block';
+    });
+    
+    // Add event listeners for loading a replay file
+    const replayFileInput = document.getElementById('replay-file-input');
+    
+    document.getElementById('replay-load-button').addEventListener('click', () => {
+        replayFileInput.click();
+    });
+    
+    replayFileInput.addEventListener('change', () => {
+        const file = replayFileInput.files[0];
+        replayFileInput.value = '';
+        if (!file) return;
+        
+        file.text().then(text => {
+            let replay;
+            try {
+                replay = JSON.parse(text);
+            } catch (error) {
+                alert('That file is not a valid replay');
+                return;
+            }
+            
+            // Invalid replays are rejected and the menu stays open
+            if (!game.startReplay(replay)) {
+                alert('That replay cannot be played');
+                return;
+            }
+            
+            // Hide menu
+            document.getElementById('menu').style.display = 'none';
+            
+            // Show game UI
+            document.getElementById('game-ui').style.display = 'block';
+        }).catch(error => {
+            console.error('Could not load replay:', error);
+            alert('That file is not a valid replay');
+        });
+    });
+    
+    // Add event listener for exiting a replay
+    document.getElementById('replay-exit-button').addEventListener('click', () => {
+        game.stopReplay();
         
-        // Update button text
+        // Hide game UI
+        document.getElementById('game-ui').style.display = 'none';
+        
+        // Show menu
+        document.getElementById('menu').style.display = 'flex';
+    });
+    
+    // Show whether the pause button resumes or pauses
+    const updatePauseButton = () => {
         const pauseButton = document.getElementById('pause-button');
         pauseButton.textContent = game.isPaused ? 'Resume' : 'Pause';
+    };
+    
+    // Add event listener for pause button
+    document.getElementById('pause-button').addEventListener('click', () => {
+        game.togglePause();
+        updatePauseButton();
+    });
+    
+    // The pause action is handled by the game; keep the button text in step with it
+    eventEmitter.on('input:pressed', (data) => {
+        if (data.action === 'pause') {
+            updatePauseButton();
+        }
     });
     
     // Add event listener for restart button
@@ -61,16 +131,25 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('menu').style.display = 'flex';
     });
     
-    // Add keyboard controls info
+    // Add controls info, listing the current bindings
     const controlsInfo = document.createElement('div');
     controlsInfo.className = 'controls-info';
-    controlsInfo.innerHTML = `
-        <h3>Controls:</h3>
-        <p>WASD or Arrow Keys: Move</p>
-        <p>Space: Dash</p>
-        <p>Auto-attack: Automatic</p>
-        <p>F1: Toggle Debug Mode</p>
-    `;
+    const renderControlsInfo = () => {
+        controlsInfo.innerHTML = `
+            <h3>Controls:</h3>
+            <p>Move Up: ${game.input.describeAction('moveUp')}</p>
+            <p>Move Down: ${game.input.describeAction('moveDown')}</p>
+            <p>Move Left: ${game.input.describeAction('moveLeft')}</p>
+            <p>Move Right: ${game.input.describeAction('moveRight')}</p>
+            <p>Left Stick: Move</p>
+            <p>Dash: ${game.input.describeAction('dash')}</p>
+            <p>Pause: ${game.input.describeAction('pause')}</p>
+            <p>Auto-attack: Automatic</p>
+            <p>Debug Mode: ${game.input.describeAction('debug')}</p>
+        `;
+    };
+    renderControlsInfo();
+    eventEmitter.on('input:bindingsChanged', renderControlsInfo);
     document.getElementById('menu').appendChild(controlsInfo);
     
     // Add dash info to game UI
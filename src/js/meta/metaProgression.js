@@ -0,0 +1,307 @@
+/**
+ * Meta Progression
+ * Threads earned at the end of each run and the permanent upgrades they buy
+ *
+ * Upgrade fields:
+ * - name, description: Shop text
+ * - stat: Character stat the upgrade multiplies
+ * - bonus: Multiplier gained per level (0.05 = +5% per level)
+ * - maxLevel: Highest purchasable level
+ * - baseCost, costGrowth: Threads for the next level are baseCost * costGrowth ^ level
+ */
+
+const META_UPGRADES = {
+    might: {
+        name: 'Might',
+        description: 'Increase damage',
+        stat: 'damage',
+        bonus: 0.05,
+        maxLevel: 5,
+        baseCost: 20,
+        costGrowth: 1.5
+    },
+    resilience: {
+        name: 'Resilience',
+        description: 'Increase maximum health',
+        stat: 'maxHealth',
+        bonus: 0.1,
+        maxLevel: 5,
+        baseCost: 20,
+        costGrowth: 1.5
+    },
+    haste: {
+        name: 'Haste',
+        description: 'Increase movement speed',
+        stat: 'speed',
+        bonus: 0.03,
+        maxLevel: 5,
+        baseCost: 25,
+        costGrowth: 1.6
+    },
+    fervor: {
+        name: 'Fervor',
+        description: 'Increase attack speed',
+        stat: 'attackSpeed',
+        bonus: 0.05,
+        maxLevel: 5,
+        baseCost: 30,
+        costGrowth: 1.6
+    },
+    attraction: {
+        name: 'Attraction',
+        description: 'Increase pickup range',
+        stat: 'pickupRange',
+        bonus: 0.1,
+        maxLevel: 3,
+        baseCost: 15,
+        costGrowth: 1.5
+    }
+};
+
+class MetaProgression {
+    /**
+     * Create the meta progression store and load any saved data
+     */
+    constructor() {
+        // Set when the stored save comes from a newer version of the game
+        this.isReadOnly = false;
+        this.data = this.load();
+    }
+
+    /**
+     * Create an empty save
+     * @returns {Object} - Save data for the current schema version
+     */
+    createDefaultData() {
+        return {
+            version: META_SAVE_VERSION,
+            threads: 0,
+            lifetimeThreads: 0,
+            runs: 0,
+            upgrades: {}, // Upgrade id -> purchased level
+            records: {} // Character type -> { runs, bestTime, kills, bossesDefeated }
+        };
+    }
+
+    /**
+     * Load saved data from storage
+     * @returns {Object} - Save data
+     */
+    load() {
+        try {
+            return this.migrate(JSON.parse(localStorage.getItem(META_STORAGE_KEY)));
+        } catch (error) {
+            console.error('Could not load meta progression:', error);
+            return this.createDefaultData();
+        }
+    }
+
+    /**
+     * Bring saved data up to the current schema version
+     * @param {Object} data - Parsed save data (may be null)
+     * @returns {Object} - Save data for the current schema version
+     */
+    migrate(data) {
+        if (!data || typeof data.version !== 'number') {
+            return this.createDefaultData();
+        }
+
+        // A newer save cannot be read safely; play on defaults and leave it untouched
+        if (data.version > META_SAVE_VERSION) {
+            console.warn(`Meta progression save version ${data.version} is newer than ${META_SAVE_VERSION}; progress will not be saved`);
+            this.isReadOnly = true;
+            return this.createDefaultData();
+        }
+
+        // Upgrade older saves one version at a time
+        if (data.version < 2) {
+            // Version 1 saves predate per-character run records
+            data = { ...data, records: {}, version: 2 };
+        }
+
+        return {
+            ...this.createDefaultData(),
+            ...data,
+            upgrades: { ...data.upgrades },
+            records: { ...data.records },
+            version: META_SAVE_VERSION
+        };
+    }
+
+    /**
+     * Save data to storage
+     */
+    save() {
+        if (this.isReadOnly) return;
+
+        try {
+            localStorage.setItem(META_STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.error('Could not save meta progression:', error);
+        }
+    }
+
+    /**
+     * Calculate the threads a run is worth
+     * @param {Object} stats - Run stats from Game.stats
+     * @returns {number} - Threads earned
+     */
+    calculateThreads(stats) {
+        return Math.floor(
+            stats.timeSurvived / 60 * META_THREAD_RATES.perMinute +
+            stats.wavesCompleted * META_THREAD_RATES.perWave +
+            stats.enemiesDefeated * META_THREAD_RATES.perKill +
+            (stats.levelReached - 1) * META_THREAD_RATES.perLevel +
+            (stats.bossesDefeated || 0) * META_THREAD_RATES.perBoss
+        );
+    }
+
+    /**
+     * Award threads for a finished run and record it
+     * @param {Object} stats - Run stats from Game.stats
+     * @param {string} characterType - Character the run was played as
+     * @returns {number} - Threads earned
+     */
+    awardRun(stats, characterType) {
+        const threads = this.calculateThreads(stats);
+
+        this.data.threads += threads;
+        this.data.lifetimeThreads += threads;
+        this.data.runs++;
+        this.recordRun(stats, characterType);
+        this.save();
+
+        // Emit threads earned event
+        eventEmitter.emit('meta:threadsEarned', {
+            threads: threads,
+            total: this.data.threads
+        });
+
+        return threads;
+    }
+
+    /**
+     * Add a finished run to the character's records
+     * @param {Object} stats - Run stats from Game.stats
+     * @param {string} characterType - Character the run was played as
+     */
+    recordRun(stats, characterType) {
+        const record = this.data.records[characterType] || { runs: 0, bestTime: 0, kills: 0, bossesDefeated: 0 };
+
+        record.runs++;
+        record.bestTime = Math.max(record.bestTime, stats.timeSurvived);
+        record.kills += stats.enemiesDefeated;
+        record.bossesDefeated += stats.bossesDefeated || 0;
+
+        this.data.records[characterType] = record;
+    }
+
+    /**
+     * Get a run record value for one character or across all characters
+     * @param {string} stat - Record field ('runs', 'bestTime', 'kills' or 'bossesDefeated')
+     * @param {string} characterType - Character type, or null for every character
+     * @returns {number} - Best time across characters, otherwise the total
+     */
+    getRecordValue(stat, characterType = null) {
+        const records = characterType
+            ? [this.data.records[characterType]].filter(Boolean)
+            : Object.values(this.data.records);
+
+        if (stat === 'bestTime') {
+            return records.reduce((best, record) => Math.max(best, record.bestTime), 0);
+        }
+
+        return records.reduce((total, record) => total + record[stat], 0);
+    }
+
+    /**
+     * Get the purchased level of an upgrade
+     * @param {string} id - Upgrade id from META_UPGRADES
+     * @returns {number} - Purchased level
+     */
+    getUpgradeLevel(id) {
+        return this.data.upgrades[id] || 0;
+    }
+
+    /**
+     * Get the cost of an upgrade's next level
+     * @param {string} id - Upgrade id from META_UPGRADES
+     * @returns {number} - Cost in threads, or Infinity when maxed
+     */
+    getUpgradeCost(id) {
+        const upgrade = META_UPGRADES[id];
+        const level = this.getUpgradeLevel(id);
+
+        if (level >= upgrade.maxLevel) return Infinity;
+
+        return Math.floor(upgrade.baseCost * Math.pow(upgrade.costGrowth, level));
+    }
+
+    /**
+     * Check if the next level of an upgrade can be bought
+     * @param {string} id - Upgrade id from META_UPGRADES
+     * @returns {boolean} - True if affordable and not maxed
+     */
+    canPurchase(id) {
+        return this.data.threads >= this.getUpgradeCost(id);
+    }
+
+    /**
+     * Buy the next level of an upgrade
+     * @param {string} id - Upgrade id from META_UPGRADES
+     * @returns {boolean} - True if purchased
+     */
+    purchase(id) {
+        if (!META_UPGRADES[id] || !this.canPurchase(id)) return false;
+
+        const cost = this.getUpgradeCost(id);
+        this.data.threads -= cost;
+        this.data.upgrades[id] = this.getUpgradeLevel(id) + 1;
+        this.save();
+
+        // Emit purchase event
+        eventEmitter.emit('meta:purchase', {
+            upgradeId: id,
+            level: this.data.upgrades[id],
+            cost: cost,
+            threads: this.data.threads
+        });
+
+        return true;
+    }
+
+    /**
+     * Get the purchased level of every upgrade, e.g. to record them with a replay
+     * @returns {Object} - Upgrade id -> purchased level
+     */
+    getUpgradeLevels() {
+        const levels = {};
+
+        Object.keys(META_UPGRADES).forEach(id => {
+            levels[id] = this.getUpgradeLevel(id);
+        });
+
+        return levels;
+    }
+
+    /**
+     * Get the stat modifiers granted by purchased upgrades
+     * @param {Object} levels - Optional upgrade levels to use instead of the purchased ones
+     * @returns {Array} - Modifiers {stat, type, value, source} for Character.addModifier
+     */
+    getStatModifiers(levels = null) {
+        const getLevel = id => (levels ? levels[id] || 0 : this.getUpgradeLevel(id));
+
+        return Object.keys(META_UPGRADES)
+            .filter(id => getLevel(id) > 0)
+            .map(id => ({
+                stat: META_UPGRADES[id].stat,
+                type: STAT_MODIFIER_TYPES.MULTIPLY,
+                value: 1 + META_UPGRADES[id].bonus * getLevel(id),
+                source: `meta:${id}`
+            }));
+    }
+}
+
+// Shared store so the factory and UI read the same save
+const metaProgression = new MetaProgression();
@@ -0,0 +1,131 @@
+/**
+ * Run Save
+ * Stores a snapshot of the in-progress run so it can be continued after the tab closes
+ *
+ * Snapshots are built by Game.createSnapshot() and restored through the character,
+ * ability and enemy factories. Only RUN_SAVE_VERSION snapshots are accepted; anything
+ * else, or a snapshot that fails validation, is discarded rather than half-restored.
+ */
+
+class RunSave {
+    /**
+     * Load the saved snapshot
+     * @returns {Object|null} - Valid snapshot, or null if there is none or it was rejected
+     */
+    load() {
+        let snapshot;
+
+        try {
+            snapshot = JSON.parse(localStorage.getItem(RUN_SAVE_STORAGE_KEY));
+        } catch (error) {
+            this.reject('Save data is not valid JSON');
+            return null;
+        }
+
+        if (snapshot === null) return null;
+
+        const problem = this.validate(snapshot);
+        if (problem) {
+            this.reject(problem);
+            return null;
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Check that a snapshot has the shape the factories expect
+     * @param {Object} snapshot - Parsed snapshot
+     * @returns {string|null} - Description of the first problem found, or null if valid
+     */
+    validate(snapshot) {
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (!snapshot || typeof snapshot !== 'object') return 'Save is not an object';
+        if (snapshot.version !== RUN_SAVE_VERSION) return `Unsupported save version ${snapshot.version}`;
+
+        const player = snapshot.player;
+        if (!player || typeof player.type !== 'string') return 'Save has no player';
+        if (![player.x, player.y, player.health, player.level, player.experience, player.experienceToNextLevel].every(isNumber)) {
+            return 'Player values are missing or not numbers';
+        }
+        if (!Array.isArray(player.abilities) || !Array.isArray(player.passives)) return 'Player abilities are missing';
+        if (!player.metaUpgradeLevels || !Object.values(player.metaUpgradeLevels).every(isNumber)) return 'Player meta upgrades are missing';
+
+        const wave = snapshot.wave;
+        if (!wave || ![wave.current, wave.timer, wave.spawnTimer].every(isNumber)) return 'Wave state is missing';
+        if (!isNumber(snapshot.gameTime) || !snapshot.stats) return 'Run timers are missing';
+        if (!isNumber(snapshot.seed)) return 'Run seed is missing';
+
+        if (![snapshot.enemies, snapshot.xpGems, snapshot.treasureChests].every(Array.isArray)) return 'Entity lists are missing';
+        if (!snapshot.enemies.every(enemy => enemy && [enemy.x, enemy.y, enemy.health, enemy.wave].every(isNumber))) {
+            return 'Enemy values are missing or not numbers';
+        }
+
+        return null;
+    }
+
+    /**
+     * Save a snapshot
+     * @param {Object} snapshot - Snapshot from Game.createSnapshot()
+     * @returns {boolean} - True if saved
+     */
+    save(snapshot) {
+        try {
+            localStorage.setItem(RUN_SAVE_STORAGE_KEY, JSON.stringify(snapshot));
+        } catch (error) {
+            console.error('Could not save run:', error);
+            return false;
+        }
+
+        // Emit saved event
+        eventEmitter.emit('run:saved', {
+            snapshot: snapshot
+        });
+
+        return true;
+    }
+
+    /**
+     * Check if a snapshot is stored; it may still be rejected when loaded
+     * @returns {boolean} - True if a snapshot is stored
+     */
+    hasSave() {
+        try {
+            return localStorage.getItem(RUN_SAVE_STORAGE_KEY) !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Delete the stored snapshot
+     */
+    clear() {
+        try {
+            localStorage.removeItem(RUN_SAVE_STORAGE_KEY);
+        } catch (error) {
+            console.error('Could not clear run save:', error);
+        }
+
+        // Emit cleared event
+        eventEmitter.emit('run:cleared', {});
+    }
+
+    /**
+     * Discard a snapshot that cannot be restored
+     * @param {string} reason - Why the snapshot was rejected
+     */
+    reject(reason) {
+        console.warn(`Discarding run save: ${reason}`);
+        this.clear();
+
+        // Emit rejected event
+        eventEmitter.emit('run:rejected', {
+            reason: reason
+        });
+    }
+}
+
+// Shared store so the game and menu read the same save
+const runSave = new RunSave();
@@ -0,0 +1,91 @@
+/**
+ * TreasureChest Class
+ * Chest dropped by defeated bosses; the reward is resolved by UpgradeManager.openChest
+ */
+
+class TreasureChest {
+    /**
+     * Create a new treasure chest
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     */
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        this.size = TREASURE_CHEST_SIZE;
+
+        // State
+        this.isCollected = false;
+
+        // Animation
+        this.animationTime = 0;
+    }
+
+    /**
+     * Update chest state
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Character} player - Player character
+     */
+    update(deltaTime, player) {
+        if (this.isCollected) return;
+
+        this.animationTime += deltaTime * 3;
+
+        // Chests do not magnetize; the player has to walk over them
+        if (player && player.isAlive && checkCollision(this, player)) {
+            this.collect(player);
+        }
+    }
+
+    /**
+     * Open the chest
+     * @param {Character} player - Player character
+     */
+    collect(player) {
+        this.isCollected = true;
+
+        // Emit opened event
+        eventEmitter.emit('chest:opened', {
+            chest: this,
+            player: player
+        });
+    }
+
+    /**
+     * Draw the chest
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        if (this.isCollected) return;
+
+        const half = this.size / 2;
+        const glow = 0.3 + Math.sin(this.animationTime) * 0.15;
+
+        ctx.save();
+        ctx.translate(this.x, this.y);
+
+        // Draw glow
+        ctx.fillStyle = TREASURE_CHEST_COLOR;
+        ctx.globalAlpha = glow;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.size, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw body and lid
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = '#7a4a1e';
+        ctx.fillRect(-half, -half * 0.6, this.size, this.size * 0.8);
+        ctx.fillStyle = TREASURE_CHEST_COLOR;
+        ctx.fillRect(-half, -half * 0.6, this.size, this.size * 0.25);
+
+        // Draw lock
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(-2, -half * 0.2, 4, 6);
+
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(-half, -half * 0.6, this.size, this.size * 0.8);
+
+        ctx.restore();
+    }
+}
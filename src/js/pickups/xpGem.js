@@ -0,0 +1,133 @@
+/**
+ * XPGem Class
+ * Experience orb dropped by defeated enemies and pulled toward the player
+ */
+
+class XPGem {
+    /**
+     * Create a new XP gem
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} value - Experience value
+     */
+    constructor(x, y, value) {
+        this.x = x;
+        this.y = y;
+        this.value = 0;
+        this.size = 0;
+        this.color = null;
+        this.addValue(value);
+
+        // Movement
+        this.speed = 0;
+        this.isMagnetized = false;
+
+        // State
+        this.isCollected = false;
+
+        // Animation
+        this.animationTime = rng.cosmetic.range(0, Math.PI * 2);
+    }
+
+    /**
+     * Merge additional experience into this gem
+     * @param {number} value - Experience value to add
+     */
+    addValue(value) {
+        this.value += value;
+
+        // Pick the highest tier the value qualifies for
+        const tier = XP_GEM_TIERS.reduce((best, current) => (this.value >= current.minValue ? current : best), XP_GEM_TIERS[0]);
+        this.size = tier.size;
+        this.color = tier.color;
+    }
+
+    /**
+     * Update gem state
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {Character} player - Player character
+     */
+    update(deltaTime, player) {
+        if (this.isCollected) return;
+
+        this.animationTime += deltaTime * 4;
+
+        if (!player || !player.isAlive) return;
+
+        const dist = distance({ x: this.x, y: this.y }, { x: player.x, y: player.y });
+
+        // Start moving once inside pickup range and keep following afterwards
+        if (!this.isMagnetized && dist <= player.stats.pickupRange) {
+            this.isMagnetized = true;
+        }
+
+        if (this.isMagnetized) {
+            this.speed = Math.min(this.speed + XP_GEM_MAGNET_ACCELERATION * deltaTime, XP_GEM_MAX_SPEED);
+
+            const step = Math.min(this.speed * deltaTime, dist);
+            if (dist > 0) {
+                this.x += ((player.x - this.x) / dist) * step;
+                this.y += ((player.y - this.y) / dist) * step;
+            }
+        }
+
+        // Collect on contact
+        if (checkCollision(this, player)) {
+            this.collect(player);
+        }
+    }
+
+    /**
+     * Give the gem's experience to the player
+     * @param {Character} player - Player character
+     */
+    collect(player) {
+        this.isCollected = true;
+
+        // Emit collection event
+        eventEmitter.emit('xp:collected', {
+            gem: this,
+            player: player,
+            value: this.value
+        });
+
+        player.gainExperience(this.value);
+    }
+
+    /**
+     * Draw the gem
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        if (this.isCollected) return;
+
+        const bob = Math.sin(this.animationTime) * 2;
+        const half = this.size / 2;
+
+        ctx.save();
+        ctx.translate(this.x, this.y + bob);
+
+        // Draw glow
+        ctx.fillStyle = this.color;
+        ctx.globalAlpha = 0.25;
+        ctx.beginPath();
+        ctx.arc(0, 0, this.size, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Draw diamond
+        ctx.globalAlpha = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, -half);
+        ctx.lineTo(half * 0.7, 0);
+        ctx.lineTo(0, half);
+        ctx.lineTo(-half * 0.7, 0);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 1;
+        ctx.stroke();
+
+        ctx.restore();
+    }
+}
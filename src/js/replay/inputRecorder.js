@@ -0,0 +1,172 @@
+/**
+ * Input Recorder
+ * Records the player's input on every fixed simulation step so a run can be replayed
+ *
+ * A run is fully determined by its seed, character, meta upgrades, viewport size,
+ * the input sampled each step and the upgrade choices made in between. Inputs are
+ * stored run-length encoded as [count, moveX, moveY, mouseX, mouseY, dash], since
+ * they rarely change from one step to the next. Upgrade choices are stored as
+ * [tick, action, offerId] and applied right after the step they followed, and so are
+ * viewport changes, stored as [tick, width, height], since spawns are placed off screen.
+ */
+
+class InputRecorder {
+    /**
+     * Create a new input recorder
+     * @param {Game} game - Game whose runs are recorded
+     */
+    constructor(game) {
+        this.game = game;
+        this.isRecording = false;
+        this.header = null;
+        this.inputs = [];
+        this.decisions = [];
+        this.viewports = [];
+        this.ticks = 0;
+
+        // Upgrade choices are made through the UI while the game is paused
+        eventEmitter.on('upgrade:chosen', (data) => {
+            this.recordDecision('choose', data.offer.id);
+        });
+
+        eventEmitter.on('upgrade:banished', (data) => {
+            this.recordDecision('banish', data.offer.id);
+        });
+
+        eventEmitter.on('upgrade:rerolled', () => {
+            this.recordDecision('reroll', null);
+        });
+
+        eventEmitter.on('upgrade:skipped', () => {
+            this.recordDecision('skip', null);
+        });
+    }
+
+    /**
+     * Encode an input sample as a compact array
+     * @param {Object} input - Input {moveX, moveY, mouseX, mouseY, dash}
+     * @returns {Array} - [moveX, moveY, mouseX, mouseY, dash]
+     */
+    static encodeInput(input) {
+        return [input.moveX, input.moveY, input.mouseX, input.mouseY, input.dash ? 1 : 0];
+    }
+
+    /**
+     * Decode an input sample written by encodeInput()
+     * @param {Array} values - [moveX, moveY, mouseX, mouseY, dash]
+     * @returns {Object} - Input {moveX, moveY, mouseX, mouseY, dash}
+     */
+    static decodeInput(values) {
+        return {
+            moveX: values[0],
+            moveY: values[1],
+            mouseX: values[2],
+            mouseY: values[3],
+            dash: values[4] === 1
+        };
+    }
+
+    /**
+     * Start recording a new run, discarding the previous recording
+     * @param {Object} settings - Run settings {seed, characterType, upgradeLevels, viewport}
+     */
+    start(settings) {
+        this.header = { ...settings };
+        this.inputs = [];
+        this.decisions = [];
+        this.viewports = [];
+        this.ticks = 0;
+        this.isRecording = true;
+    }
+
+    /**
+     * Stop recording, keeping what was recorded so it can still be exported
+     */
+    stop() {
+        this.isRecording = false;
+    }
+
+    /**
+     * Stop recording and discard the recording, e.g. for a continued run whose start is missing
+     */
+    clear() {
+        this.stop();
+        this.header = null;
+        this.inputs = [];
+        this.decisions = [];
+        this.viewports = [];
+        this.ticks = 0;
+    }
+
+    /**
+     * Record the input used by a simulation step
+     * @param {number} tick - Step the input was used on
+     * @param {Object} input - Input {moveX, moveY, mouseX, mouseY, dash}
+     */
+    recordInput(tick, input) {
+        if (!this.isRecording) return;
+
+        const values = InputRecorder.encodeInput(input);
+        const last = this.inputs[this.inputs.length - 1];
+
+        // Extend the last run if nothing changed
+        if (last && values.every((value, i) => value === last[i + 1])) {
+            last[0]++;
+        } else {
+            this.inputs.push([1, ...values]);
+        }
+
+        this.ticks = tick;
+    }
+
+    /**
+     * Record an upgrade panel action
+     * @param {string} action - 'choose', 'banish', 'reroll' or 'skip'
+     * @param {string|null} offerId - Id of the offer acted on, if any
+     */
+    recordDecision(action, offerId) {
+        if (!this.isRecording) return;
+
+        this.decisions.push([this.game.tick, action, offerId]);
+    }
+
+    /**
+     * Record a change of camera size
+     * @param {number} width - New camera width
+     * @param {number} height - New camera height
+     */
+    recordViewport(width, height) {
+        if (!this.isRecording) return;
+
+        const last = this.viewports[this.viewports.length - 1];
+        const current = last ? { width: last[1], height: last[2] } : this.header.viewport;
+        if (current.width === width && current.height === height) return;
+
+        this.viewports.push([this.game.tick, width, height]);
+    }
+
+    /**
+     * Check if there is a recording to export
+     * @returns {boolean} - True if at least one step was recorded
+     */
+    hasRecording() {
+        return this.header !== null && this.ticks > 0;
+    }
+
+    /**
+     * Export the recording as a replay
+     * @returns {Object} - Replay played back by ReplayPlayer
+     */
+    export() {
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            recordedAt: Date.now(),
+            ...this.header,
+            ticks: this.ticks,
+            inputs: this.inputs.map(run => run.slice()),
+            decisions: this.decisions.map(decision => decision.slice()),
+            viewports: this.viewports.map(change => change.slice())
+        };
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * Replay Player
+ * Plays a recorded run back by feeding its inputs and upgrade choices into Game
+ *
+ * Playback re-runs the simulation from the replay's seed, so it only matches the
+ * original run while the game rules are unchanged. Seeking backwards restarts the
+ * run and re-simulates up to the requested step without drawing.
+ */
+
+class ReplayPlayer {
+    /**
+     * Create a new replay player
+     * @param {Game} game - Game to play the replay in
+     * @param {Object} replay - Replay validated by ReplayPlayer.validate()
+     */
+    constructor(game, replay) {
+        this.game = game;
+        this.replay = replay;
+        this.speed = 1;
+        this.isPaused = false;
+        this.isFinished = false;
+
+        // Expand the run-length encoded inputs into one entry per step
+        this.inputs = [];
+        replay.inputs.forEach(run => {
+            const input = InputRecorder.decodeInput(run.slice(1));
+            for (let i = 0; i < run[0]; i++) {
+                this.inputs.push(input);
+            }
+        });
+
+        this.length = this.inputs.length;
+        this.decisionIndex = 0;
+    }
+
+    /**
+     * Check that a replay has the shape the player expects
+     * @param {Object} replay - Parsed replay file
+     * @returns {string|null} - Description of the first problem found, or null if valid
+     */
+    static validate(replay) {
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        if (!replay || typeof replay !== 'object') return 'Replay is not an object';
+        if (replay.format !== REPLAY_FORMAT) return 'File is not a replay';
+        if (replay.version !== REPLAY_VERSION) return `Unsupported replay version ${replay.version}`;
+        if (!isNumber(replay.seed)) return 'Replay seed is missing';
+        if (!CharacterRegistry.has(replay.characterType)) return `Unknown character in replay: ${replay.characterType}`;
+
+        const viewport = replay.viewport;
+        if (!viewport || ![viewport.width, viewport.height].every(isNumber)) return 'Replay viewport is missing';
+
+        if (!Array.isArray(replay.inputs) || !replay.inputs.every(run => Array.isArray(run) && run.length === 6 && run.every(isNumber))) {
+            return 'Replay inputs are missing or not numbers';
+        }
+
+        // Every step is expanded in memory, so bound the length before trusting it
+        const maxTicks = REPLAY_MAX_DURATION * FPS;
+        if (!replay.inputs.every(run => Number.isInteger(run[0]) && run[0] > 0 && run[0] <= maxTicks)) {
+            return 'Replay input lengths are invalid';
+        }
+        if (replay.inputs.reduce((ticks, run) => ticks + run[0], 0) > maxTicks) {
+            return 'Replay is too long';
+        }
+        if (!Array.isArray(replay.decisions) || !replay.decisions.every(decision => Array.isArray(decision) && isNumber(decision[0]))) {
+            return 'Replay upgrade choices are missing';
+        }
+        if (!Array.isArray(replay.viewports) || !replay.viewports.every(change => Array.isArray(change) && change.length === 3 && change.every(isNumber))) {
+            return 'Replay viewport changes are missing';
+        }
+
+        return null;
+    }
+
+    /**
+     * Start the replayed run from its first step
+     */
+    restart() {
+        // Panels left open by the previous pass would swallow this pass's level ups
+        this.game.ui.resetUpgradePanel();
+        this.game.ui.hideBossBar();
+
+        this.game.beginRun(this.replay.characterType, this.replay.seed, this.replay.upgradeLevels || {});
+        this.applyViewport();
+        this.setSpeed(this.speed);
+
+        this.decisionIndex = 0;
+        this.isFinished = false;
+    }
+
+    /**
+     * Size the camera like the recording's at the current step, since spawn positions and aim depend on it
+     */
+    applyViewport() {
+        let { width, height } = this.replay.viewport;
+
+        // Changes are in step order; each one holds from the step it was recorded after
+        this.replay.viewports.forEach(([tick, changedWidth, changedHeight]) => {
+            if (tick <= this.game.tick) {
+                width = changedWidth;
+                height = changedHeight;
+            }
+        });
+
+        this.game.camera.width = width;
+        this.game.camera.height = height;
+    }
+
+    /**
+     * Get the recorded input for a step
+     * @param {number} tick - Step being simulated
+     * @returns {Object} - Input {moveX, moveY, mouseX, mouseY, dash}
+     */
+    getInput(tick) {
+        if (tick > this.length) {
+            this.finish();
+
+            // Stand still, aiming where the recording ended
+            const last = this.inputs[this.length - 1];
+            return { moveX: 0, moveY: 0, mouseX: last ? last.mouseX : 0, mouseY: last ? last.mouseY : 0, dash: false };
+        }
+
+        return this.inputs[tick - 1];
+    }
+
+    /**
+     * Apply the upgrade choices recorded after a step
+     * @param {number} tick - Step that just finished
+     */
+    applyDecisions(tick) {
+        const ui = this.game.ui;
+        const upgrades = this.game.upgrades;
+
+        while (this.decisionIndex < this.replay.decisions.length && this.replay.decisions[this.decisionIndex][0] <= tick) {
+            const [, action, offerId] = this.replay.decisions[this.decisionIndex];
+            this.decisionIndex++;
+
+            const offer = upgrades.currentOffers.find(current => current.id === offerId);
+            if ((action === 'choose' || action === 'banish') && !offer) {
+                this.desync(`Offer ${offerId} was not offered at step ${tick}`);
+                return;
+            }
+
+            switch (action) {
+                case 'choose':
+                    ui.chooseUpgrade(offer);
+                    break;
+
+                case 'banish':
+                    ui.banishUpgrade(offer);
+                    break;
+
+                case 'reroll':
+                    ui.rerollUpgrades();
+                    break;
+
+                case 'skip':
+                    ui.skipUpgrades();
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Stop at the end of the recording
+     */
+    finish() {
+        if (this.isFinished) return;
+
+        this.isFinished = true;
+        this.isPaused = true;
+
+        // Emit finished event
+        eventEmitter.emit('replay:finished', {
+            replay: this
+        });
+    }
+
+    /**
+     * Stop following the recording once the run no longer matches it
+     * @param {string} reason - What did not match
+     */
+    desync(reason) {
+        console.warn(`Replay out of sync: ${reason}`);
+        this.decisionIndex = this.replay.decisions.length;
+        this.isPaused = true;
+
+        // Emit desync event
+        eventEmitter.emit('replay:desync', {
+            replay: this,
+            reason: reason
+        });
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} speed - Speed multiplier, e.g. one of REPLAY_SPEEDS
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        this.game.timeManager.setTimeScale(speed);
+    }
+
+    /**
+     * Pause or resume playback
+     * @returns {boolean} - True if now paused
+     */
+    togglePause() {
+        // Playing again after the end starts over
+        if (this.isPaused && this.isFinished) {
+            this.seek(0);
+        }
+
+        this.isPaused = !this.isPaused;
+        return this.isPaused;
+    }
+
+    /**
+     * Jump to a step by re-simulating the run up to it
+     * @param {number} targetTick - Step to jump to
+     */
+    seek(targetTick) {
+        targetTick = clamp(Math.round(targetTick), 0, this.length);
+
+        // Earlier steps cannot be undone, so start over and simulate forward
+        if (targetTick < this.game.tick) {
+            this.restart();
+        }
+
+        const step = this.game.timeManager.fixedTimeStep;
+        while (this.game.tick < targetTick && this.game.state === GAME_STATES.PLAYING) {
+            this.game.fixedUpdate(step);
+        }
+
+        // Draw the target step as it is, without blending from the skipped ones
+        this.game.renderInterpolator.clear();
+
+        // Emit seeked event
+        eventEmitter.emit('replay:seeked', {
+            replay: this,
+            tick: this.game.tick
+        });
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Codex Class
+ * Lists every evolution recipe and remembers which ones the player has discovered
+ */
+
+class Codex {
+    /**
+     * Create a new codex
+     * @param {HTMLElement} container - Element the entries are rendered into
+     * @param {Game} game - Game whose evolutions are recorded
+     */
+    constructor(container, game) {
+        this.container = container;
+        this.game = game;
+        this.discovered = new Set(this.load());
+
+        // Record evolutions as they happen; watching a replay discovers nothing
+        eventEmitter.on('ability:evolved', (data) => {
+            if (this.game.replay) return;
+
+            this.discover(data.evolved.recipeId);
+        });
+    }
+
+    /**
+     * Load discovered recipe ids from storage
+     * @returns {Array} - Recipe ids
+     */
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(CODEX_STORAGE_KEY)) || [];
+        } catch (error) {
+            console.error('Could not load codex:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save discovered recipe ids to storage
+     */
+    save() {
+        try {
+            localStorage.setItem(CODEX_STORAGE_KEY, JSON.stringify(Array.from(this.discovered)));
+        } catch (error) {
+            console.error('Could not save codex:', error);
+        }
+    }
+
+    /**
+     * Mark a recipe as discovered
+     * @param {string} recipeId - Recipe id from EVOLUTION_RECIPES
+     */
+    discover(recipeId) {
+        if (!recipeId || this.discovered.has(recipeId)) return;
+
+        this.discovered.add(recipeId);
+        this.save();
+
+        // Emit discovery event
+        eventEmitter.emit('codex:discovered', {
+            recipeId: recipeId
+        });
+    }
+
+    /**
+     * Get the display name of a catalog ability family or passive
+     * @param {string} catalogId - Passive id or ability family
+     * @returns {string} - Display name
+     */
+    getIngredientName(catalogId) {
+        const passive = AbilityFactory.createFromId(catalogId);
+
+        return passive ? passive.name : catalogId.charAt(0).toUpperCase() + catalogId.slice(1);
+    }
+
+    /**
+     * Render every recipe; undiscovered evolutions keep their name hidden
+     */
+    render() {
+        this.container.innerHTML = '';
+
+        EVOLUTION_RECIPES.forEach(recipe => {
+            const isDiscovered = this.discovered.has(recipe.id);
+            const element = document.createElement('div');
+            element.className = `codex-entry${isDiscovered ? ' discovered' : ''}`;
+
+            element.innerHTML = `
+                <h3>${isDiscovered ? recipe.name : '???'}</h3>
+                <p>Any max level ${this.getIngredientName(recipe.ability)} + ${this.getIngredientName(recipe.passive)}</p>
+                <p>${isDiscovered ? recipe.description : 'Not yet discovered'}</p>
+            `;
+
+            this.container.appendChild(element);
+        });
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Controls Screen Class
+ * Lists every action with its keys and gamepad button and lets the player rebind them
+ *
+ * Clicking a binding waits for the next key or gamepad button press through
+ * InputManager.captureNext(); Escape cancels and Backspace clears the binding.
+ * Changes are saved by the input manager as soon as they are made.
+ */
+
+class ControlsScreen {
+    /**
+     * Create a new controls screen
+     * @param {InputManager} input - Input manager whose bindings are shown
+     * @param {HTMLElement} container - Element the screen is rendered into
+     */
+    constructor(input, container) {
+        this.input = input;
+        this.container = container;
+        this.statusElement = null;
+
+        // Binding waiting for a press {action, device, slot}, if any
+        this.waiting = null;
+
+        eventEmitter.on('input:gamepadConnected', () => {
+            this.updateStatus();
+        });
+
+        eventEmitter.on('input:gamepadDisconnected', () => {
+            this.updateStatus();
+        });
+    }
+
+    /**
+     * Render the gamepad status, binding table, dead zone slider and reset button
+     */
+    render() {
+        this.container.innerHTML = '';
+
+        this.statusElement = document.createElement('p');
+        this.statusElement.className = 'controls-status';
+        this.container.appendChild(this.statusElement);
+        this.updateStatus();
+
+        const table = document.createElement('div');
+        table.className = 'controls-table';
+
+        ['Action', 'Key', 'Alt Key', 'Gamepad'].forEach(heading => {
+            const cell = document.createElement('span');
+            cell.className = 'controls-heading';
+            cell.textContent = heading;
+            table.appendChild(cell);
+        });
+
+        Object.keys(INPUT_ACTIONS).forEach(action => {
+            const label = document.createElement('span');
+            label.textContent = INPUT_ACTIONS[action].label;
+            table.appendChild(label);
+
+            for (let slot = 0; slot < INPUT_KEY_SLOTS; slot++) {
+                table.appendChild(this.createBindingButton(action, 'keyboard', slot));
+            }
+            table.appendChild(this.createBindingButton(action, 'gamepad', 0));
+        });
+
+        this.container.appendChild(table);
+        this.container.appendChild(this.createDeadZoneSlider());
+
+        const resetButton = document.createElement('button');
+        resetButton.className = 'controls-reset';
+        resetButton.textContent = 'Reset to Defaults';
+        resetButton.addEventListener('click', () => {
+            this.input.cancelCapture();
+            this.input.resetToDefaults();
+            this.render();
+        });
+        this.container.appendChild(resetButton);
+    }
+
+    /**
+     * Show which gamepad is connected, if any
+     */
+    updateStatus() {
+        if (!this.statusElement) return;
+
+        this.statusElement.textContent = this.input.gamepadId
+            ? `Gamepad: ${this.input.gamepadId}`
+            : 'No gamepad connected. Press a button on one to connect it.';
+    }
+
+    /**
+     * Create the button showing one binding slot
+     * @param {string} action - Action id from INPUT_ACTIONS
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {number} slot - Binding slot
+     * @returns {HTMLElement} - Button that starts rebinding the slot
+     */
+    createBindingButton(action, device, slot) {
+        const bindings = device === 'keyboard' ? this.input.keyBindings[action] : this.input.gamepadBindings[action];
+        const binding = bindings[slot];
+        const waiting = this.waiting;
+        const isWaiting = waiting && waiting.action === action && waiting.device === device && waiting.slot === slot;
+
+        const button = document.createElement('button');
+        button.className = isWaiting ? 'binding-button waiting' : 'binding-button';
+
+        if (isWaiting) {
+            button.textContent = device === 'keyboard' ? 'Press a key...' : 'Press a button...';
+        } else {
+            button.textContent = binding !== undefined ? InputManager.getBindingLabel(device, binding) : '-';
+        }
+
+        button.addEventListener('click', () => {
+            this.startCapture(action, device, slot);
+        });
+
+        return button;
+    }
+
+    /**
+     * Wait for the next press and bind it to a slot
+     * @param {string} action - Action id from INPUT_ACTIONS
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {number} slot - Binding slot
+     */
+    startCapture(action, device, slot) {
+        // Starting a capture cancels the previous one, which clears this.waiting
+        this.input.captureNext(device, (binding) => {
+            this.waiting = null;
+
+            if (binding !== undefined) {
+                this.input.setBinding(action, device, slot, binding);
+            }
+
+            this.render();
+        });
+
+        this.waiting = { action, device, slot };
+        this.render();
+    }
+
+    /**
+     * Create the stick dead zone slider
+     * @returns {HTMLElement} - Labelled slider
+     */
+    createDeadZoneSlider() {
+        const label = document.createElement('label');
+        label.className = 'controls-dead-zone';
+
+        const value = document.createElement('span');
+        const showValue = () => {
+            value.textContent = `${Math.round(this.input.deadZone * 100)}%`;
+        };
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = 0;
+        slider.max = INPUT_MAX_DEAD_ZONE;
+        slider.step = 0.01;
+        slider.value = this.input.deadZone;
+
+        // Only the label is updated so the slider is not replaced while being dragged
+        slider.addEventListener('input', () => {
+            this.input.setDeadZone(Number(slider.value));
+            showValue();
+        });
+
+        label.appendChild(document.createTextNode('Stick Dead Zone '));
+        label.appendChild(slider);
+        label.appendChild(value);
+        showValue();
+
+        return label;
+    }
+}
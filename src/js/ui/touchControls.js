@@ -0,0 +1,239 @@
+/**
+ * Touch Controls Class
+ * Draws a virtual joystick and dash button on the canvas and reads them with Pointer Events
+ *
+ * Each finger is tracked by its pointer id, so the player can steer with one thumb
+ * while dashing or aiming with the other. A touch on the left half of the screen
+ * places the joystick under the thumb; the dash button sits in the bottom-right
+ * corner, and touches anywhere else on the right half aim cursor-targeted abilities.
+ * The joystick feeds InputManager.setTouchStick() and the button emits the dash
+ * action, so recordings and replays see touch input like any other device.
+ */
+
+class TouchControls {
+    /**
+     * Create the touch controls and start listening for touches on the canvas
+     * @param {Game} game - Game instance whose input manager and canvas are used
+     */
+    constructor(game) {
+        this.game = game;
+        this.input = game.input;
+        this.canvas = game.canvas;
+
+        // Shown on phones and tablets, and on any other device once it is touched
+        this.isVisible = game.resizeHandler.isTouchDevice;
+
+        // Joystick held by a finger {pointerId, originX, originY, knobX, knobY}, if any
+        this.joystick = null;
+        this.dashPointerId = null;
+
+        this.layout(game.camera.width, game.camera.height);
+
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+        eventEmitter.on('canvas:resize', (data) => {
+            if (data.isTouchDevice) {
+                this.isVisible = true;
+            }
+
+            this.layout(data.width, data.height);
+        });
+    }
+
+    /**
+     * Place the resting joystick and the dash button in the canvas corners
+     * @param {number} width - Canvas width in CSS pixels
+     * @param {number} height - Canvas height in CSS pixels
+     */
+    layout(width, height) {
+        this.width = width;
+        this.height = height;
+        this.joystickHome = { x: TOUCH_JOYSTICK_MARGIN, y: height - TOUCH_JOYSTICK_MARGIN };
+        this.dashButton = {
+            x: width - TOUCH_DASH_BUTTON_MARGIN,
+            y: height - TOUCH_DASH_BUTTON_MARGIN,
+            radius: TOUCH_DASH_BUTTON_RADIUS
+        };
+    }
+
+    /**
+     * Check if touches should control the player
+     * @returns {boolean} - True while a run is being played, not watched as a replay
+     */
+    isActive() {
+        return this.isVisible && this.game.state === GAME_STATES.PLAYING && !this.game.replay;
+    }
+
+    /**
+     * Get a pointer's position on the canvas
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Object} - Position {x, y} in CSS pixels
+     */
+    getCanvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * Handle a finger touching the canvas
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerDown(e) {
+        if (e.pointerType === 'mouse') return;
+
+        // A touchscreen laptop reports a fine pointer, so its first touch brings the controls up
+        this.isVisible = true;
+        if (!this.isActive()) return;
+
+        e.preventDefault();
+        const point = this.getCanvasPoint(e);
+
+        // The hit area is a little larger than the drawn button to forgive imprecise thumbs
+        const dashHitArea = { x: this.dashButton.x, y: this.dashButton.y, radius: this.dashButton.radius * 1.3 };
+
+        if (this.dashPointerId === null && pointInCircle(point, dashHitArea)) {
+            this.dashPointerId = e.pointerId;
+            this.input.emitPress('dash', 'touch');
+        } else if (!this.joystick && point.x < this.width / 2) {
+            this.joystick = { pointerId: e.pointerId, originX: point.x, originY: point.y, knobX: point.x, knobY: point.y };
+        } else {
+            // Aim like the mouse cursor would
+            this.game.mouse.x = point.x;
+            this.game.mouse.y = point.y;
+            return;
+        }
+
+        // Keep receiving the finger's moves after it slides off the canvas
+        if (this.canvas.setPointerCapture) {
+            this.canvas.setPointerCapture(e.pointerId);
+        }
+    }
+
+    /**
+     * Handle a finger moving, steering if it holds the joystick
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerMove(e) {
+        if (!this.joystick || e.pointerId !== this.joystick.pointerId) return;
+
+        e.preventDefault();
+        const point = this.getCanvasPoint(e);
+        let dx = point.x - this.joystick.originX;
+        let dy = point.y - this.joystick.originY;
+
+        // The knob stops at the edge of the base
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length > TOUCH_JOYSTICK_RADIUS) {
+            dx *= TOUCH_JOYSTICK_RADIUS / length;
+            dy *= TOUCH_JOYSTICK_RADIUS / length;
+        }
+
+        this.joystick.knobX = this.joystick.originX + dx;
+        this.joystick.knobY = this.joystick.originY + dy;
+
+        const direction = this.applyDeadZone(dx / TOUCH_JOYSTICK_RADIUS, dy / TOUCH_JOYSTICK_RADIUS);
+        this.input.setTouchStick(direction.x, direction.y);
+    }
+
+    /**
+     * Handle a finger lifting or being cancelled, releasing what it held
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerUp(e) {
+        if (this.joystick && e.pointerId === this.joystick.pointerId) {
+            this.releaseJoystick();
+        }
+
+        if (e.pointerId === this.dashPointerId) {
+            this.dashPointerId = null;
+        }
+    }
+
+    /**
+     * Return the joystick to rest and stop moving
+     */
+    releaseJoystick() {
+        this.joystick = null;
+        this.input.setTouchStick(0, 0);
+    }
+
+    /**
+     * Scale a knob offset so a resting thumb reads as centred and the rest spans 0-1
+     * @param {number} x - Horizontal knob offset (-1 to 1)
+     * @param {number} y - Vertical knob offset (-1 to 1)
+     * @returns {Object} - Direction {x, y} with length 0-1
+     */
+    applyDeadZone(x, y) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude <= TOUCH_JOYSTICK_DEAD_ZONE) {
+            return { x: 0, y: 0 };
+        }
+
+        const scale = Math.min(1, (magnitude - TOUCH_JOYSTICK_DEAD_ZONE) / (1 - TOUCH_JOYSTICK_DEAD_ZONE)) / magnitude;
+        return { x: x * scale, y: y * scale };
+    }
+
+    /**
+     * Draw the joystick and dash button over the game
+     * @param {CanvasRenderingContext2D} ctx - Canvas context, without the camera transform
+     */
+    draw(ctx) {
+        if (!this.isActive()) {
+            // A run that ended while a finger was down must not leave the player walking
+            if (this.joystick) {
+                this.releaseJoystick();
+            }
+            return;
+        }
+
+        ctx.save();
+
+        // Joystick base and knob, resting in the corner until a thumb picks it up
+        const base = this.joystick ? { x: this.joystick.originX, y: this.joystick.originY } : this.joystickHome;
+        const knob = this.joystick ? { x: this.joystick.knobX, y: this.joystick.knobY } : this.joystickHome;
+
+        ctx.globalAlpha = this.joystick ? 0.6 : 0.3;
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 3;
+
+        ctx.beginPath();
+        ctx.arc(base.x, base.y, TOUCH_JOYSTICK_RADIUS, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(knob.x, knob.y, TOUCH_JOYSTICK_RADIUS * 0.45, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Dash button, with the remaining cooldown swept around its edge
+        const player = this.game.player;
+        const cooldownRatio = player ? player.dashCooldown / PLAYER_DASH_COOLDOWN : 0;
+        const { x, y, radius } = this.dashButton;
+
+        ctx.globalAlpha = this.dashPointerId !== null ? 0.7 : 0.4;
+        ctx.fillStyle = cooldownRatio > 0 ? '#555555' : '#88ccff';
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (cooldownRatio > 0) {
+            ctx.strokeStyle = '#88ccff';
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.arc(x, y, radius - 2, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * (1 - cooldownRatio));
+            ctx.stroke();
+        }
+
+        ctx.globalAlpha = 0.9;
+        ctx.fillStyle = '#ffffff';
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('DASH', x, y);
+
+        ctx.restore();
+    }
+}
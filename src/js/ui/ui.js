@@ -18,12 +18,62 @@ class UI {
         this.timeCounter = document.getElementById('time-counter');
         this.upgradePanel = document.getElementById('upgrade-panel');
         this.upgradeOptions = document.getElementById('upgrade-options');
+        this.rerollButton = document.getElementById('reroll-button');
+        this.skipButton = document.getElementById('skip-button');
         this.gameOverScreen = document.getElementById('game-over-screen');
         this.scoreSummary = document.getElementById('score-summary');
-        this.restartButton = document.getElementById('restart-button');
-        this.startScreen = document.getElementById('start-screen');
-        this.characterOptions = document.getElementById('character-options');
-        this.startButton = document.getElementById('start-button');
+        this.characterOptions = document.getElementById('character-selection');
+        this.seedInput = document.getElementById('seed-input');
+        this.dailySeedButton = document.getElementById('daily-seed-button');
+        this.continueButton = document.getElementById('continue-button');
+        this.bossBar = document.getElementById('boss-bar');
+        this.bossName = document.getElementById('boss-name');
+        this.bossFill = document.getElementById('boss-fill');
+        this.finalThreads = document.getElementById('final-threads');
+        this.shopButton = document.getElementById('shop-button');
+        this.shopPanel = document.getElementById('shop-panel');
+        this.shopThreads = document.getElementById('shop-threads');
+        this.shopItems = document.getElementById('shop-items');
+        this.shopCloseButton = document.getElementById('shop-close');
+        this.codexButton = document.getElementById('codex-button');
+        this.codexPanel = document.getElementById('codex-panel');
+        this.codexCloseButton = document.getElementById('codex-close');
+        this.controlsButton = document.getElementById('controls-button');
+        this.controlsPanel = document.getElementById('controls-panel');
+        this.controlsCloseButton = document.getElementById('controls-close');
+        this.audioButton = document.getElementById('audio-button');
+        this.audioPanel = document.getElementById('audio-panel');
+        this.audioCloseButton = document.getElementById('audio-close');
+        this.volumeSliders = {
+            master: document.getElementById('master-volume'),
+            music: document.getElementById('music-volume'),
+            sfx: document.getElementById('sfx-volume')
+        };
+        this.replayControls = document.getElementById('replay-controls');
+        this.replayPlayButton = document.getElementById('replay-play-button');
+        this.replaySpeed = document.getElementById('replay-speed');
+        this.replaySeek = document.getElementById('replay-seek');
+        this.replayTime = document.getElementById('replay-time');
+        this.replayDownloadButton = document.getElementById('replay-download-button');
+        
+        // Evolution codex
+        this.codex = new Codex(document.getElementById('codex-entries'), game);
+        
+        // Key and gamepad remapping
+        this.controls = new ControlsScreen(game.input, document.getElementById('controls-list'));
+        
+        // On-screen joystick and dash button for phones and tablets
+        this.touchControls = new TouchControls(game);
+        
+        // Boss currently shown in the boss health bar
+        this.trackedBoss = null;
+        
+        // Level ups waiting behind the open upgrade panel
+        this.isUpgradePanelOpen = false;
+        this.pendingUpgrades = 0;
+        
+        // Upgrade panel element selected with the D-pad or arrow keys
+        this.upgradeFocusIndex = 0;
         
         // Initialize UI
         this.init();
@@ -34,30 +84,130 @@ class UI {
      */
     init() {
         // Set up event listeners
-        this.restartButton.addEventListener('click', () => {
-            this.hideGameOverScreen();
-            this.showStartScreen();
-        });
-        
-        this.startButton.addEventListener('click', () => {
-            const selectedCharacter = document.querySelector('.character-option.selected');
-            if (selectedCharacter) {
-                const characterType = selectedCharacter.dataset.type;
-                this.hideStartScreen();
-                this.game.startGame(characterType);
-            } else {
-                alert('Please select a character');
+        // Starting and restarting runs is handled in main.js, which owns the menu
+        this.rerollButton.addEventListener('click', () => {
+            this.rerollUpgrades();
+        });
+        
+        this.skipButton.addEventListener('click', () => {
+            this.skipUpgrades();
+        });
+        
+        this.dailySeedButton.addEventListener('click', () => {
+            this.seedInput.value = RandomService.getDailySeed();
+        });
+        
+        this.shopButton.addEventListener('click', () => {
+            this.showShop();
+        });
+        
+        this.shopCloseButton.addEventListener('click', () => {
+            this.hideShop();
+        });
+        
+        this.codexButton.addEventListener('click', () => {
+            this.showCodex();
+        });
+        
+        this.codexCloseButton.addEventListener('click', () => {
+            this.hideCodex();
+        });
+        
+        this.controlsButton.addEventListener('click', () => {
+            this.showControls();
+        });
+        
+        this.controlsCloseButton.addEventListener('click', () => {
+            this.hideControls();
+        });
+        
+        this.audioButton.addEventListener('click', () => {
+            this.showAudioSettings();
+        });
+        
+        this.audioCloseButton.addEventListener('click', () => {
+            this.hideAudioSettings();
+        });
+        
+        Object.keys(this.volumeSliders).forEach(bus => {
+            this.volumeSliders[bus].addEventListener('input', () => {
+                this.game.audio.setVolume(bus, Number(this.volumeSliders[bus].value));
+            });
+        });
+        
+        this.replayDownloadButton.addEventListener('click', () => {
+            this.downloadReplay();
+        });
+        
+        this.replayPlayButton.addEventListener('click', () => {
+            if (this.game.replay) {
+                this.game.replay.togglePause();
+                this.updateReplayControls();
+            }
+        });
+        
+        this.replaySpeed.addEventListener('change', () => {
+            if (this.game.replay) {
+                this.game.replay.setSpeed(Number(this.replaySpeed.value));
             }
         });
         
+        this.replaySeek.addEventListener('change', () => {
+            if (this.game.replay) {
+                this.game.replay.seek(Number(this.replaySeek.value));
+            }
+        });
+        
+        // Set up replay speeds
+        this.populateReplaySpeeds();
+        
         // Set up character selection
         this.populateCharacterSelection();
         
+        // Only offer Continue while a run is saved
+        this.updateContinueButton();
+        
+        eventEmitter.on('run:saved', () => {
+            this.updateContinueButton();
+        });
+        
+        eventEmitter.on('run:cleared', () => {
+            this.updateContinueButton();
+        });
+        
+        eventEmitter.on('run:restored', (data) => {
+            this.restoreRunDisplay(data);
+        });
+        
+        eventEmitter.on('replay:started', (data) => {
+            this.showReplayControls(data.replay);
+        });
+        
+        eventEmitter.on('replay:stopped', () => {
+            this.hideReplayControls();
+        });
+        
+        eventEmitter.on('replay:seeked', () => {
+            this.updateReplayControls();
+        });
+        
+        eventEmitter.on('replay:finished', () => {
+            this.updateReplayControls();
+        });
+        
+        eventEmitter.on('replay:desync', () => {
+            this.updateReplayControls();
+        });
+        
         // Subscribe to game events
         eventEmitter.on('player:damage', (data) => {
             this.updateHealthBar(data.player);
         });
         
+        eventEmitter.on('stats:changed', (data) => {
+            this.updateHealthBar(data.player);
+        });
+        
         eventEmitter.on('player:experience', (data) => {
             this.updateXPBar(data.player);
         });
@@ -67,56 +217,219 @@ class UI {
         });
         
         eventEmitter.on('player:death', (data) => {
+            this.hideBossBar();
             this.showGameOverScreen();
         });
         
+        eventEmitter.on('meta:threadsEarned', (data) => {
+            this.finalThreads.textContent = data.threads;
+            
+            // Run records changed, so refresh unlock progress
+            this.populateCharacterSelection();
+        });
+        
+        eventEmitter.on('boss:spawn', (data) => {
+            this.showBossBar(data.boss);
+        });
+        
+        eventEmitter.on('enemy:damage', (data) => {
+            if (data.enemy === this.trackedBoss) {
+                this.updateBossBar(data.enemy);
+            }
+        });
+        
+        eventEmitter.on('boss:phase', (data) => {
+            this.updateBossBar(data.boss);
+        });
+        
+        eventEmitter.on('boss:defeated', (data) => {
+            if (data.boss === this.trackedBoss) {
+                this.hideBossBar();
+            }
+        });
+        
         eventEmitter.on('wave:start', (data) => {
             this.updateWaveCounter(data.wave);
         });
         
         eventEmitter.on('game:timeUpdate', (data) => {
             this.updateTimeCounter(data.time);
+            
+            if (this.game.replay) {
+                this.updateReplayControls();
+            }
         });
     }
     
     /**
-     * Populate character selection
+     * Populate character selection from the character registry
+     * Locked characters are greyed out with their progress toward unlocking
      */
     populateCharacterSelection() {
-        const characterTypes = [
-            { type: CHARACTER_TYPES.WARRIOR, name: 'Warrior', description: 'High health and damage, slow attack speed' },
-            { type: CHARACTER_TYPES.MAGE, name: 'Mage', description: 'Low health, high damage and range' },
-            { type: CHARACTER_TYPES.RANGER, name: 'Ranger', description: 'Medium health, fast attack speed' }
-        ];
-        
         this.characterOptions.innerHTML = '';
         
-        characterTypes.forEach(character => {
-            const element = document.createElement('div');
-            element.className = 'character-option';
-            element.dataset.type = character.type;
+        CharacterRegistry.getTypes().forEach(type => {
+            const definition = CharacterRegistry.get(type);
+            const progress = CharacterRegistry.getUnlockProgress(type);
+            
+            const element = document.createElement('label');
+            element.className = `character-option${progress.isUnlocked ? '' : ' locked'}`;
+            element.dataset.type = type;
+            
+            const details = progress.isUnlocked
+                ? `<p>${definition.description}</p>
+                <p>${definition.passive.name}: ${definition.passive.description}</p>`
+                : `<p>Locked: ${progress.description}</p>
+                <p>Progress: ${this.formatUnlockProgress(type, progress)}</p>`;
             
             element.innerHTML = `
-                <div class="character-icon ${character.type}"></div>
-                <h3>${character.name}</h3>
-                <p>${character.description}</p>
+                <input type="radio" name="character-type" value="${type}"${progress.isUnlocked ? '' : ' disabled'}>
+                <h3>${definition.name}</h3>
+                ${details}
             `;
             
             element.addEventListener('click', () => {
-                // Remove selected class from all options
-                document.querySelectorAll('.character-option').forEach(option => {
-                    option.classList.remove('selected');
-                });
+                if (!CharacterRegistry.isUnlocked(type)) return;
                 
-                // Add selected class to clicked option
-                element.classList.add('selected');
+                this.selectCharacterOption(element);
             });
             
             this.characterOptions.appendChild(element);
         });
         
-        // Select first character by default
-        this.characterOptions.firstChild.classList.add('selected');
+        // Select the first unlocked character by default
+        const firstUnlocked = Array.from(this.characterOptions.children)
+            .find(option => CharacterRegistry.isUnlocked(option.dataset.type));
+        this.selectCharacterOption(firstUnlocked);
+    }
+    
+    /**
+     * Mark a character option as selected
+     * @param {HTMLElement} element - Character option element
+     */
+    selectCharacterOption(element) {
+        // Remove selected class from all options
+        Array.from(this.characterOptions.children).forEach(option => {
+            option.classList.remove('selected');
+        });
+        
+        // Add selected class to the option and check its radio
+        element.classList.add('selected');
+        element.querySelector('input').checked = true;
+    }
+    
+    /**
+     * Format progress toward a character unlock
+     * @param {string} type - Character type id
+     * @param {Object} progress - Progress from CharacterRegistry.getUnlockProgress
+     * @returns {string} - Progress text
+     */
+    formatUnlockProgress(type, progress) {
+        if (CharacterRegistry.get(type).unlock.stat === 'bestTime') {
+            return `${formatTime(progress.current)} / ${formatTime(progress.target)}`;
+        }
+        
+        return `${Math.floor(progress.current)} / ${progress.target}`;
+    }
+    
+    /**
+     * Show the Continue button only while a run is saved
+     */
+    updateContinueButton() {
+        this.continueButton.classList.toggle('hidden', !runSave.hasSave());
+    }
+    
+    /**
+     * Bring the HUD up to date with a restored run and reopen its unspent level ups
+     * @param {Object} data - Payload of the 'run:restored' event
+     */
+    restoreRunDisplay(data) {
+        this.resetUpgradePanel();
+        
+        this.updateHealthBar(data.player);
+        this.updateXPBar(data.player);
+        this.updateWaveCounter(data.wave);
+        this.updateTimeCounter(data.time);
+        
+        if (data.boss) {
+            this.showBossBar(data.boss);
+        } else {
+            this.hideBossBar();
+        }
+        
+        for (let i = 0; i < data.pendingLevelUps; i++) {
+            this.showUpgradePanel();
+        }
+    }
+    
+    /**
+     * Close the upgrade panel and forget queued level ups, e.g. when a run is replaced
+     */
+    resetUpgradePanel() {
+        this.hideUpgradePanel();
+        this.isUpgradePanelOpen = false;
+        this.pendingUpgrades = 0;
+    }
+    
+    /**
+     * Fill the replay speed selector from REPLAY_SPEEDS
+     */
+    populateReplaySpeeds() {
+        REPLAY_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}x`;
+            option.selected = speed === 1;
+            this.replaySpeed.appendChild(option);
+        });
+    }
+    
+    /**
+     * Show the replay controls for a replay that just started
+     * @param {ReplayPlayer} replay - Replay being played
+     */
+    showReplayControls(replay) {
+        this.replaySeek.max = replay.length;
+        this.replaySpeed.value = replay.speed;
+        this.updateReplayControls();
+        
+        this.replayControls.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the replay controls
+     */
+    hideReplayControls() {
+        this.replayControls.classList.add('hidden');
+    }
+    
+    /**
+     * Update the replay play button, seek bar and time
+     */
+    updateReplayControls() {
+        const replay = this.game.replay;
+        if (!replay) return;
+        
+        this.replayPlayButton.textContent = replay.isPaused ? (replay.isFinished ? 'Restart' : 'Play') : 'Pause';
+        this.replaySeek.value = this.game.tick;
+        this.replayTime.textContent = `${formatTime(this.game.tick / FPS)} / ${formatTime(replay.length / FPS)}`;
+    }
+    
+    /**
+     * Download the last recorded run as a replay file
+     */
+    downloadReplay() {
+        if (!this.game.recorder.hasRecording()) return;
+        
+        const replay = this.game.recorder.export();
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `weave-replay-${replay.characterType}-${replay.seed}.json`;
+        link.click();
+        
+        URL.revokeObjectURL(link.href);
     }
     
     /**
@@ -163,37 +476,232 @@ class UI {
     }
     
     /**
-     * Show upgrade panel
+     * Show the boss health bar
+     * @param {Boss} boss - Boss to track
+     */
+    showBossBar(boss) {
+        this.trackedBoss = boss;
+        this.bossBar.style.display = 'block';
+        this.updateBossBar(boss);
+    }
+    
+    /**
+     * Update boss health bar and phase label
+     * @param {Boss} boss - Tracked boss
+     */
+    updateBossBar(boss) {
+        const healthPercentage = Math.max(0, boss.health / boss.maxHealth * 100);
+        this.bossFill.style.width = `${healthPercentage}%`;
+        this.bossName.textContent = `${boss.title} - Phase ${boss.phaseIndex + 1}/${boss.phases.length}`;
+    }
+    
+    /**
+     * Hide the boss health bar
+     */
+    hideBossBar() {
+        this.trackedBoss = null;
+        this.bossBar.style.display = 'none';
+    }
+    
+    /**
+     * Show upgrade panel, queueing it if one is already open
      */
     showUpgradePanel() {
+        if (this.isUpgradePanelOpen) {
+            this.pendingUpgrades++;
+            return;
+        }
+        
+        this.isUpgradePanelOpen = true;
+        
         // Pause game
         this.game.pause();
         
-        // Generate upgrade options
-        const abilities = AbilityFactory.createRandomAbilities(this.game.player, UPGRADES_PER_LEVEL);
+        // Generate upgrade offers
+        this.game.upgrades.generateOffers(UPGRADES_PER_LEVEL);
+        this.upgradeFocusIndex = 0;
+        this.renderUpgradeOffers();
+        
+        // Show panel
+        this.upgradePanel.classList.remove('hidden');
+    }
+    
+    /**
+     * Render the current upgrade offers and charge buttons
+     */
+    renderUpgradeOffers() {
+        const upgrades = this.game.upgrades;
         
         this.upgradeOptions.innerHTML = '';
         
-        abilities.forEach(ability => {
+        upgrades.currentOffers.forEach(offer => {
             const element = document.createElement('div');
-            element.className = 'upgrade-option';
+            element.className = `upgrade-option ${offer.rarity}`;
+            element.style.borderColor = UPGRADE_RARITIES[offer.rarity].color;
+            
+            const description = upgrades.getOfferDescription(offer).replace(/\n/g, '<br>');
             
             element.innerHTML = `
-                <h3>${ability.name}</h3>
-                <p>${ability.getDescription()}</p>
+                <span class="upgrade-kind">${UPGRADE_KIND_LABELS[offer.kind]}</span>
+                <h3>${upgrades.getOfferName(offer)}</h3>
+                <p>${description}</p>
             `;
             
             element.addEventListener('click', () => {
-                this.game.player.addAbility(ability);
-                this.hideUpgradePanel();
-                this.game.resume();
+                this.chooseUpgrade(offer);
             });
             
+            // Banish removes this offer's ability from the rest of the run
+            if (offer.kind !== 'heal') {
+                const banishButton = document.createElement('button');
+                banishButton.className = 'banish-button';
+                banishButton.textContent = `Banish (${upgrades.charges.banish})`;
+                banishButton.disabled = upgrades.charges.banish <= 0;
+                
+                banishButton.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    this.banishUpgrade(offer);
+                });
+                
+                element.appendChild(banishButton);
+            }
+            
             this.upgradeOptions.appendChild(element);
         });
         
-        // Show panel
-        this.upgradePanel.classList.remove('hidden');
+        this.rerollButton.textContent = `Reroll (${upgrades.charges.reroll})`;
+        this.rerollButton.disabled = upgrades.charges.reroll <= 0;
+        this.skipButton.textContent = `Skip (${upgrades.charges.skip})`;
+        this.skipButton.disabled = upgrades.charges.skip <= 0;
+        
+        // Keep the highlight in place when offers are replaced
+        this.focusUpgradeElement(this.upgradeFocusIndex);
+    }
+    
+    /**
+     * Get the upgrade panel elements that can be highlighted, in navigation order
+     * @returns {Array} - Offers with their banish buttons, then the reroll and skip buttons
+     */
+    getUpgradeFocusables() {
+        const elements = [];
+        
+        this.upgradeOptions.querySelectorAll('.upgrade-option').forEach(option => {
+            elements.push(option);
+            
+            const banishButton = option.querySelector('.banish-button');
+            if (banishButton) {
+                elements.push(banishButton);
+            }
+        });
+        
+        elements.push(this.rerollButton, this.skipButton);
+        
+        return elements.filter(element => !element.disabled);
+    }
+    
+    /**
+     * Highlight one upgrade panel element
+     * @param {number} index - Index into getUpgradeFocusables(), wrapped around
+     */
+    focusUpgradeElement(index) {
+        const elements = this.getUpgradeFocusables();
+        if (elements.length === 0) return;
+        
+        this.upgradeFocusIndex = (index + elements.length) % elements.length;
+        
+        this.upgradePanel.querySelectorAll('.focused').forEach(element => element.classList.remove('focused'));
+        elements[this.upgradeFocusIndex].classList.add('focused');
+    }
+    
+    /**
+     * Move the upgrade panel highlight or activate the highlighted element
+     * @param {string} action - Pressed action from INPUT_ACTIONS
+     * @returns {boolean} - True if the panel used the press
+     */
+    navigateUpgradePanel(action) {
+        // Replays make their recorded choices themselves
+        if (!this.isUpgradePanelOpen || this.game.replay) return false;
+        
+        switch (action) {
+            case 'moveLeft':
+            case 'moveUp':
+                this.focusUpgradeElement(this.upgradeFocusIndex - 1);
+                break;
+                
+            case 'moveRight':
+            case 'moveDown':
+                this.focusUpgradeElement(this.upgradeFocusIndex + 1);
+                break;
+                
+            case 'confirm': {
+                const element = this.getUpgradeFocusables()[this.upgradeFocusIndex];
+                if (element) {
+                    element.click();
+                }
+                break;
+            }
+            
+            case 'pause':
+                // The panel keeps the game paused until a choice is made
+                break;
+            
+            default:
+                return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Take an offer and close the upgrade panel
+     * @param {Object} offer - One of the current offers
+     */
+    chooseUpgrade(offer) {
+        this.game.upgrades.choose(offer);
+        this.closeUpgradePanel();
+    }
+    
+    /**
+     * Banish an offer and show its replacement
+     * @param {Object} offer - One of the current offers
+     */
+    banishUpgrade(offer) {
+        if (this.game.upgrades.banish(offer)) {
+            this.renderUpgradeOffers();
+        }
+    }
+    
+    /**
+     * Replace the current offers
+     */
+    rerollUpgrades() {
+        if (this.game.upgrades.reroll()) {
+            this.renderUpgradeOffers();
+        }
+    }
+    
+    /**
+     * Decline every offer and close the upgrade panel
+     */
+    skipUpgrades() {
+        if (this.game.upgrades.skip()) {
+            this.closeUpgradePanel();
+        }
+    }
+    
+    /**
+     * Close the upgrade panel, then show the next queued one or resume the game
+     */
+    closeUpgradePanel() {
+        this.hideUpgradePanel();
+        this.isUpgradePanelOpen = false;
+        
+        if (this.pendingUpgrades > 0) {
+            this.pendingUpgrades--;
+            this.showUpgradePanel();
+        } else {
+            this.game.resume();
+        }
     }
     
     /**
@@ -203,6 +711,115 @@ class UI {
         this.upgradePanel.classList.add('hidden');
     }
     
+    /**
+     * Show the permanent upgrade shop
+     */
+    showShop() {
+        this.renderShop();
+        this.shopPanel.classList.remove('hidden');
+    }
+    
+    /**
+     * Render shop items and the thread balance
+     */
+    renderShop() {
+        this.shopThreads.textContent = metaProgression.data.threads;
+        this.shopItems.innerHTML = '';
+        
+        Object.keys(META_UPGRADES).forEach(id => {
+            const upgrade = META_UPGRADES[id];
+            const level = metaProgression.getUpgradeLevel(id);
+            const cost = metaProgression.getUpgradeCost(id);
+            const isMaxed = level >= upgrade.maxLevel;
+            
+            const element = document.createElement('div');
+            element.className = 'shop-item';
+            
+            element.innerHTML = `
+                <h3>${upgrade.name}</h3>
+                <p>${upgrade.description} by ${Math.round(upgrade.bonus * 100)}% per level</p>
+                <p>Level ${level}/${upgrade.maxLevel}</p>
+            `;
+            
+            const buyButton = document.createElement('button');
+            buyButton.textContent = isMaxed ? 'Maxed' : `Buy (${cost})`;
+            buyButton.disabled = !metaProgression.canPurchase(id);
+            
+            buyButton.addEventListener('click', () => {
+                if (metaProgression.purchase(id)) {
+                    this.renderShop();
+                }
+            });
+            
+            element.appendChild(buyButton);
+            this.shopItems.appendChild(element);
+        });
+    }
+    
+    /**
+     * Hide the permanent upgrade shop
+     */
+    hideShop() {
+        this.shopPanel.classList.add('hidden');
+    }
+    
+    /**
+     * Show the evolution codex
+     */
+    showCodex() {
+        this.codex.render();
+        this.codexPanel.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the evolution codex
+     */
+    hideCodex() {
+        this.codexPanel.classList.add('hidden');
+    }
+    
+    /**
+     * Show the controls remapping screen
+     */
+    showControls() {
+        this.controls.render();
+        this.controlsPanel.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the controls remapping screen, abandoning any binding being waited for
+     */
+    hideControls() {
+        this.game.input.cancelCapture();
+        this.controlsPanel.classList.add('hidden');
+    }
+    
+    /**
+     * Show the volume settings
+     */
+    showAudioSettings() {
+        Object.keys(this.volumeSliders).forEach(bus => {
+            this.volumeSliders[bus].value = this.game.audio.volumes[bus];
+        });
+        
+        this.audioPanel.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the volume settings
+     */
+    hideAudioSettings() {
+        this.audioPanel.classList.add('hidden');
+    }
+    
+    /**
+     * Draw the parts of the UI that live on the canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas context, without the camera transform
+     */
+    draw(ctx) {
+        this.touchControls.draw(ctx);
+    }
+    
     /**
      * Show game over screen
      */
@@ -215,6 +832,7 @@ class UI {
             <p>Waves Completed: ${stats.wavesCompleted}</p>
             <p>Enemies Defeated: ${stats.enemiesDefeated}</p>
             <p>Level Reached: ${stats.levelReached}</p>
+            <p>Seed: ${this.game.seed}</p>
         `;
         
         // Show screen
@@ -227,18 +845,4 @@ class UI {
     hideGameOverScreen() {
         this.gameOverScreen.classList.add('hidden');
     }
-    
-    /**
-     * Show start screen
-     */
-    showStartScreen() {
-        this.startScreen.classList.remove('hidden');
-    }
-    
-    /**
-     * Hide start screen
-     */
-    hideStartScreen() {
-        this.startScreen.classList.add('hidden');
-    }
 }
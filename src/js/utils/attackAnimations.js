@@ -58,19 +58,21 @@ class AttackAnimationManager {
      * @param {number} damage - Damage amount
      */
     createPlayerAttackAnimation(player, target, damage) {
-        // Create different animations based on character type
-        switch (player.type) {
-            case CHARACTER_TYPES.WARRIOR:
-                this.createMeleeSlashAnimation(player, target, damage, '#ff5555');
+        // Create the animation named by the character definition
+        const definition = CharacterRegistry.get(player.type);
+        
+        switch (definition.attackAnimation) {
+            case 'slash':
+                this.createMeleeSlashAnimation(player, target, damage, definition.color);
                 break;
-            case CHARACTER_TYPES.MAGE:
-                this.createMagicBurstAnimation(player, target, damage, '#5555ff');
+            case 'burst':
+                this.createMagicBurstAnimation(player, target, damage, definition.color);
                 break;
-            case CHARACTER_TYPES.RANGER:
-                this.createRangedShotAnimation(player, target, damage, '#55ff55');
+            case 'shot':
+                this.createRangedShotAnimation(player, target, damage, definition.color);
                 break;
             default:
-                this.createBasicAttackAnimation(player, target, damage, '#ffffff');
+                this.createBasicAttackAnimation(player, target, damage, definition.color);
         }
         
         // Create damage number animation
@@ -84,22 +86,22 @@ class AttackAnimationManager {
      * @param {number} damage - Damage amount
      */
     createEnemyAttackAnimation(enemy, target, damage) {
-        // Create different animations based on enemy type
-        switch (enemy.type) {
-            case 'basic':
-                this.createBasicAttackAnimation(enemy, target, damage, '#aa3333');
-                break;
-            case 'fast':
-                this.createQuickStrikeAnimation(enemy, target, damage, '#33aa33');
+        const definition = EnemyRegistry.get(enemy.type);
+        
+        // Create different animations based on the enemy's attack style
+        switch (definition.attack.animation) {
+            case 'quick':
+                this.createQuickStrikeAnimation(enemy, target, damage, definition.color);
                 break;
-            case 'tank':
-                this.createHeavyAttackAnimation(enemy, target, damage, '#3333aa');
+            case 'heavy':
+                this.createHeavyAttackAnimation(enemy, target, damage, definition.color);
                 break;
             case 'boss':
-                this.createBossAttackAnimation(enemy, target, damage, '#aa33aa');
+                this.createBossAttackAnimation(enemy, target, damage, definition.color);
                 break;
+            case 'basic':
             default:
-                this.createBasicAttackAnimation(enemy, target, damage, '#aa3333');
+                this.createBasicAttackAnimation(enemy, target, damage, definition.color);
         }
         
         // Create damage number animation
@@ -434,7 +436,7 @@ class MagicBurstAnimation extends Animation {
             this.particles.push({
                 angle: angle,
                 distance: 0,
-                size: 3 + Math.random() * 3
+                size: rng.cosmetic.range(3, 6)
             });
         }
     }
@@ -849,7 +851,7 @@ class BossAttackAnimation extends Animation {
             
             // Skip last point to ensure it connects to target
             if (i < segments) {
-                const offset = (Math.random() * 2 - 1) * maxOffset * (1 - t);
+                const offset = rng.cosmetic.range(-1, 1) * maxOffset * (1 - t);
                 const offsetX = (perpX / length) * offset;
                 const offsetY = (perpY / length) * offset;
                 
@@ -883,15 +885,15 @@ class ImpactAnimation extends Animation {
         // Create particles
         const particleCount = Math.min(Math.floor(damage / 2), 12);
         for (let i = 0; i < particleCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 50 + Math.random() * 50;
+            const angle = rng.cosmetic.range(0, Math.PI * 2);
+            const speed = rng.cosmetic.range(50, 100);
             
             this.particles.push({
                 x: target.x,
                 y: target.y,
                 vx: Math.cos(angle) * speed,
                 vy: Math.sin(angle) * speed,
-                size: 2 + Math.random() * 3,
+                size: rng.cosmetic.range(2, 5),
                 color: this.color
             });
         }
@@ -967,8 +969,8 @@ class DamageNumberAnimation extends Animation {
         this.x = target.x;
         this.y = target.y - target.size / 2;
         this.color = damage > 10 ? '#ff3333' : '#ffaa33';
-        this.offsetX = (Math.random() * 2 - 1) * 10;
-        this.offsetY = -20 - Math.random() * 10;
+        this.offsetX = rng.cosmetic.range(-1, 1) * 10;
+        this.offsetY = -rng.cosmetic.range(20, 30);
     }
     
     /**
@@ -3,9 +3,9 @@
  * This file contains all the constant values used throughout the game
  */
 
-// Game Settings
-const GAME_WIDTH = window.innerWidth;
-const GAME_HEIGHT = window.innerHeight;
+// Game Settings (a 1280x720 viewport is assumed where there is no window, e.g. in Node)
+const GAME_WIDTH = typeof window !== 'undefined' ? window.innerWidth : 1280;
+const GAME_HEIGHT = typeof window !== 'undefined' ? window.innerHeight : 720;
 const FPS = 60;
 const FRAME_TIME = 1000 / FPS;
 
@@ -18,6 +18,8 @@ const PLAYER_BASE_ATTACK_SPEED = 1; // attacks per second
 const PLAYER_BASE_ATTACK_RANGE = 200;
 const PLAYER_BASE_PICKUP_RANGE = 100;
 const PLAYER_XP_TO_LEVEL = 100; // Base XP needed for first level
+const PLAYER_BASE_CRIT_CHANCE = 0.05; // Chance for auto-attacks to crit
+const PLAYER_BASE_CRIT_MULTIPLIER = 2; // Damage multiplier on crits
 
 // Movement Settings
 const PLAYER_DASH_SPEED = 15; // Speed multiplier during dash
@@ -25,6 +27,7 @@ const PLAYER_DASH_DURATION = 0.2; // Seconds
 const PLAYER_DASH_COOLDOWN = 1.5; // Seconds
 const PLAYER_MOMENTUM_FACTOR = 0.8; // How much momentum is preserved (0-1)
 const PLAYER_FRICTION = 0.05; // Friction applied when not actively moving
+const PLAYER_INVULNERABILITY_DURATION = 0.5; // Seconds of invulnerability after taking a hit
 
 // Enemy Settings
 const ENEMY_BASE_HEALTH = 50;
@@ -36,26 +39,203 @@ const ENEMY_SPAWN_INCREASE_RATE = 0.1; // increase per wave
 const ENEMY_HEALTH_INCREASE_RATE = 0.1; // increase per wave
 const ENEMY_DAMAGE_INCREASE_RATE = 0.1; // increase per wave
 
+// Enemy Attack Settings (per-type wind-up and cooldown live in enemyDefinitions.js)
+const ENEMY_ATTACK_REACH = 8; // Extra distance beyond contact at which attacks still land
+const ENEMY_WINDUP_SPEED_FACTOR = 0.3; // Movement speed multiplier while winding up
+
+// Boss Settings
+const BOSS_WAVE_INTERVAL = 10; // Every Nth wave is a boss wave
+const BOSS_WAVE_SPAWN_RATE_MULTIPLIER = 0.5; // Regular spawn rate while a boss is alive
+
+// Crowd Physics Settings
+const ENEMY_SEPARATION_RADIUS = 1.5; // Neighbor range as a multiple of combined radii
+const ENEMY_SEPARATION_FORCE = 12; // Steering strength away from crowded neighbors
+const ENEMY_OVERLAP_CORRECTION = 0.5; // Fraction of overlap resolved per update
+
 // Wave Settings
 const WAVE_DURATION = 30; // seconds
 const WAVE_BREAK_DURATION = 5; // seconds
 
+// Projectile Settings
+const PROJECTILE_POOL_SIZE = 100; // Projectiles preallocated at load time
+const PROJECTILE_MAX_LIFETIME = 10; // Seconds before a projectile is force-expired
+const ENEMY_PROJECTILE_POOL_SIZE = 50; // Hostile projectiles preallocated at load time
+
+// Ranged Enemy Settings
+const ENEMY_KITE_TOLERANCE = 0.2; // Fraction of the preferred distance treated as "in position"
+const ENEMY_KITE_STRAFE_ANGLE = Math.PI / 6; // Angle stepped around the target per path update while in position
+
+// Area Effect Settings
+const AREA_DEFAULT_TICK_RATE = 2; // Damage ticks per second
+
+// Spatial Grid Settings
+const SPATIAL_GRID_CELL_SIZE = 64; // World units per grid cell
+
+// XP Gem Settings
+const XP_GEM_MAGNET_ACCELERATION = 1200; // Pixels per second squared once pulled in
+const XP_GEM_MAX_SPEED = 900; // Pixels per second
+const XP_GEM_MERGE_RADIUS = 40; // Drops this close to an existing gem merge into it
+const XP_GEM_MAX_COUNT = 200; // Beyond this, new drops merge into the closest resting gem
+const XP_GEM_TIERS = [
+    { minValue: 0, size: 10, color: '#55ccff' },
+    { minValue: 50, size: 14, color: '#55ff55' },
+    { minValue: 200, size: 18, color: '#ff5555' }
+];
+
 // Upgrade Settings
 const UPGRADES_PER_LEVEL = 3; // Number of upgrade options to show
+const MAX_ABILITY_SLOTS = 4; // Active abilities a character can hold
+const MAX_PASSIVE_SLOTS = 4; // Passives a character can hold
+const ABILITY_MAX_LEVEL = 8; // Owned abilities stop being offered at this level
+const UPGRADE_HEAL_FRACTION = 0.3; // Fallback offer when nothing else can be offered
+
+// Upgrade Rarities (weight is the relative chance of an offer being drawn)
+const UPGRADE_RARITIES = {
+    common: { weight: 60, color: '#cccccc' },
+    uncommon: { weight: 30, color: '#55cc55' },
+    rare: { weight: 10, color: '#5599ff' },
+    evolution: { weight: 200, color: '#ffaa33' } // Ready evolutions are almost always offered
+};
 
-// Character Types
-const CHARACTER_TYPES = {
-    WARRIOR: 'warrior',
-    MAGE: 'mage',
-    RANGER: 'ranger'
+// Card labels for each kind of upgrade offer
+const UPGRADE_KIND_LABELS = {
+    newAbility: 'New Ability',
+    newPassive: 'New Passive',
+    levelUp: 'Level Up',
+    evolution: 'Evolution',
+    heal: 'Restore'
 };
 
+// Reroll, banish and skip charges available at the start of a run
+const UPGRADE_STARTING_CHARGES = {
+    reroll: 2,
+    banish: 1,
+    skip: 1
+};
+
+// Treasure Chest Settings (dropped by bosses; opens an evolution when one is ready)
+const TREASURE_CHEST_SIZE = 28;
+const TREASURE_CHEST_COLOR = '#ddaa33';
+
+// Codex Settings
+const CODEX_STORAGE_KEY = 'lastOfTheWeave.codex'; // localStorage key for discovered evolutions
+
+// Meta Progression Settings
+const META_STORAGE_KEY = 'lastOfTheWeave.meta'; // localStorage key for threads and permanent upgrades
+const META_SAVE_VERSION = 2; // Bump and add a migration step when the save schema changes
+const META_THREAD_RATES = {
+    perMinute: 5, // Threads per minute survived
+    perWave: 3,
+    perKill: 0.1,
+    perLevel: 2, // Per level gained above 1
+    perBoss: 25
+};
+
+// Run Save Settings
+const RUN_SAVE_STORAGE_KEY = 'lastOfTheWeave.run'; // localStorage key for the in-progress run snapshot
+const RUN_SAVE_VERSION = 2; // Saves with any other version are rejected rather than migrated
+
+// Replay Settings
+const REPLAY_FORMAT = 'lastOfTheWeave.replay'; // Identifies exported replay files
+const REPLAY_VERSION = 2; // Replays with any other version are rejected
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4]; // Playback speeds offered by the replay controls
+const REPLAY_MAX_DURATION = 2 * 60 * 60; // Longest replay accepted, in seconds; longer files are treated as corrupt
+
+// Input Settings
+const INPUT_STORAGE_KEY = 'lastOfTheWeave.controls'; // localStorage key for remapped bindings and the dead zone
+const INPUT_DEFAULT_DEAD_ZONE = 0.2; // Stick deflection ignored as drift (0-1)
+const INPUT_MAX_DEAD_ZONE = 0.5;
+const INPUT_STICK_PRESS_THRESHOLD = 0.5; // Stick deflection that counts as a direction press in menus
+const INPUT_KEY_SLOTS = 2; // Keys that can be bound to each action
+const INPUT_ANALOG_PRECISION = 100; // Stick values are rounded to 1/100 so replays stay compact
+
+// Actions players can bind, in the order the controls screen lists them
+// context: 'play' actions only matter during a run and 'menu' ones only in panels, so a
+// play and a menu action may share a binding; 'both' actions share with neither
+const INPUT_ACTIONS = {
+    moveUp: { label: 'Move Up', context: 'both' },
+    moveDown: { label: 'Move Down', context: 'both' },
+    moveLeft: { label: 'Move Left', context: 'both' },
+    moveRight: { label: 'Move Right', context: 'both' },
+    dash: { label: 'Dash', context: 'play' },
+    pause: { label: 'Pause', context: 'play' },
+    confirm: { label: 'Confirm', context: 'menu' },
+    debug: { label: 'Debug Mode', context: 'both' },
+    debugColliders: { label: 'Debug Colliders', context: 'both' },
+    debugGrid: { label: 'Debug Grid', context: 'both' },
+    debugSpawnPoints: { label: 'Debug Spawn Points', context: 'both' },
+    debugSpatialGrid: { label: 'Debug Spatial Grid', context: 'both' }
+};
+
+// Default keys per action, as KeyboardEvent.key values (letters lower case)
+const DEFAULT_KEY_BINDINGS = {
+    moveUp: ['w', 'ArrowUp'],
+    moveDown: ['s', 'ArrowDown'],
+    moveLeft: ['a', 'ArrowLeft'],
+    moveRight: ['d', 'ArrowRight'],
+    dash: [' '],
+    pause: ['Escape', 'p'],
+    confirm: ['Enter'],
+    debug: ['F1'],
+    debugColliders: ['F2'],
+    debugGrid: ['F3'],
+    debugSpawnPoints: ['F4'],
+    debugSpatialGrid: ['F5']
+};
+
+// Default gamepad buttons per action, as standard mapping button indices
+const DEFAULT_GAMEPAD_BINDINGS = {
+    moveUp: [12],
+    moveDown: [13],
+    moveLeft: [14],
+    moveRight: [15],
+    dash: [0],
+    pause: [9],
+    confirm: [0],
+    debug: [],
+    debugColliders: [],
+    debugGrid: [],
+    debugSpawnPoints: [],
+    debugSpatialGrid: []
+};
+
+// Standard mapping button names, by index
+const GAMEPAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home'];
+
+// Touch Control Settings (sizes in CSS pixels)
+const TOUCH_JOYSTICK_RADIUS = 60; // Knob travel from the joystick centre at full speed
+const TOUCH_JOYSTICK_MARGIN = 110; // Resting joystick centre distance from the bottom-left corner
+const TOUCH_JOYSTICK_DEAD_ZONE = 0.1; // Knob travel ignored as a resting thumb (0-1)
+const TOUCH_DASH_BUTTON_RADIUS = 45;
+const TOUCH_DASH_BUTTON_MARGIN = 90; // Dash button centre distance from the bottom-right corner
+
+// Audio Settings (sounds and music layers live in soundDefinitions.js)
+const AUDIO_STORAGE_KEY = 'lastOfTheWeave.audio'; // localStorage key for volume settings
+const AUDIO_DEFAULT_VOLUMES = { master: 0.8, music: 0.5, sfx: 0.8 }; // Gain per bus (0-1)
+const AUDIO_PAN_WIDTH = 0.8; // Pan of sounds at the screen edges (0 centred, 1 fully to one side)
+const AUDIO_NOISE_SEED = 0x5eed; // Noise in synthesized sounds is the same on every load
+const AUDIO_MUSIC_TEMPO = 120; // Beats per minute; music layer steps are sixteenth notes
+const AUDIO_MUSIC_ROOT_FREQUENCY = 110; // A2, the note music layer semitones count from
+const AUDIO_MUSIC_LOOP_STEPS = 32; // Length of every music layer loop (two bars)
+const AUDIO_MUSIC_FULL_INTENSITY_ENEMIES = 60; // Living enemies at which every music layer plays
+const AUDIO_MUSIC_FADE_TIME = 1.5; // Time constant in seconds of music layer fades
+
+// Character used when a requested type is not registered (see CHARACTER_DEFINITIONS)
+const DEFAULT_CHARACTER_TYPE = 'warrior';
+
 // Ability Types
 const ABILITY_TYPES = {
     ACTIVE: 'active',
     PASSIVE: 'passive'
 };
 
+// Stat Modifier Types, applied in this order: (base + flat) * (1 + sum of percents) * product of multipliers
+const STAT_MODIFIER_TYPES = {
+    FLAT: 'flat',
+    PERCENT: 'percent',
+    MULTIPLY: 'multiply'
+};
+
 // Element Types
 const ELEMENT_TYPES = {
     PHYSICAL: 'physical',
@@ -65,6 +245,31 @@ const ELEMENT_TYPES = {
     ARCANE: 'arcane'
 };
 
+// Element Colors
+const ELEMENT_COLORS = {
+    physical: '#dddddd',
+    fire: '#ff6633',
+    ice: '#66ccff',
+    lightning: '#ffee55',
+    arcane: '#cc66ff'
+};
+
+// Status effect each element applies on hit
+const ELEMENT_STATUS_EFFECTS = {
+    fire: 'burn',
+    ice: 'slow',
+    lightning: 'chain',
+    arcane: 'vulnerable'
+};
+
+// Status Effect Settings (durations are scaled down by the target's resistance)
+const STATUS_EFFECT_SETTINGS = {
+    burn: { duration: 3, tickRate: 2, damageRatio: 0.3 }, // Damage per second as a fraction of the hit
+    slow: { duration: 2, speedMultiplier: 0.5 }, // Applied to maxSpeed
+    chain: { targets: 2, range: 120, damageRatio: 0.5 }, // Jumps to nearby enemies on hit
+    vulnerable: { duration: 3, damageMultiplier: 1.25 } // Incoming damage multiplier
+};
+
 // Game States
 const GAME_STATES = {
     MENU: 'menu',
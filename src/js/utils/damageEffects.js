@@ -23,6 +23,10 @@ class DamageEffects {
         eventEmitter.on('critical:hit', (data) => {
             this.createCriticalHitEffect(data.target, data.damage);
         });
+        
+        eventEmitter.on('enemy:chain', (data) => {
+            this.createChainLightningEffect(data.from, data.to);
+        });
     }
     
     /**
@@ -84,6 +88,16 @@ class DamageEffects {
         const animation = new CriticalHitAnimation(target, damage);
         this.animationManager.animations.push(animation);
     }
+    
+    /**
+     * Create chain lightning arc effect
+     * @param {Object} from - Enemy the lightning jumped from
+     * @param {Object} to - Enemy the lightning jumped to
+     */
+    createChainLightningEffect(from, to) {
+        const animation = new ChainLightningAnimation(from, to);
+        this.animationManager.animations.push(animation);
+    }
 }
 
 /**
@@ -113,8 +127,8 @@ class ScreenShakeAnimation extends Animation {
         const remainingIntensity = this.intensity * (1 - progress);
         
         // Calculate random offset
-        this.offsetX = (Math.random() * 2 - 1) * remainingIntensity * 10;
-        this.offsetY = (Math.random() * 2 - 1) * remainingIntensity * 10;
+        this.offsetX = rng.cosmetic.range(-1, 1) * remainingIntensity * 10;
+        this.offsetY = rng.cosmetic.range(-1, 1) * remainingIntensity * 10;
     }
     
     /**
@@ -155,10 +169,10 @@ class BloodSplatterAnimation extends Animation {
         // Create particles
         const particleCount = Math.min(Math.floor(damage / 2) + 5, 20);
         for (let i = 0; i < particleCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 30 + Math.random() * 70;
-            const size = 2 + Math.random() * (damage / 5);
-            const lifetime = 0.3 + Math.random() * 0.5;
+            const angle = rng.cosmetic.range(0, Math.PI * 2);
+            const speed = rng.cosmetic.range(30, 100);
+            const size = rng.cosmetic.range(2, 2 + damage / 5);
+            const lifetime = rng.cosmetic.range(0.3, 0.8);
             
             this.particles.push({
                 x: target.x,
@@ -266,9 +280,9 @@ class EnhancedDamageNumberAnimation extends Animation {
         this.y = target.y - target.size / 2;
         this.color = this.getDamageColor(damage, isPlayer);
         this.scale = this.getDamageScale(damage);
-        this.offsetX = (Math.random() * 2 - 1) * 15;
-        this.offsetY = -20 - Math.random() * 15;
-        this.rotation = (Math.random() * 2 - 1) * 0.2;
+        this.offsetX = rng.cosmetic.range(-1, 1) * 15;
+        this.offsetY = -rng.cosmetic.range(20, 35);
+        this.rotation = rng.cosmetic.range(-1, 1) * 0.2;
     }
     
     /**
@@ -447,3 +461,66 @@ class CriticalHitAnimation extends Animation {
         ctx.lineCap = 'butt';
     }
 }
+
+/**
+ * Chain Lightning Animation
+ * Jagged arc between two enemies when lightning chains
+ */
+class ChainLightningAnimation extends Animation {
+    /**
+     * Create a new chain lightning animation
+     * @param {Object} from - Arc start
+     * @param {Object} to - Arc end
+     */
+    constructor(from, to) {
+        super(0.25);
+        this.fromX = from.x;
+        this.fromY = from.y;
+        this.toX = to.x;
+        this.toY = to.y;
+        this.color = ELEMENT_COLORS.lightning;
+        
+        // Precompute jagged offsets so the arc does not flicker every frame
+        this.segments = 6;
+        this.offsets = [];
+        for (let i = 1; i < this.segments; i++) {
+            this.offsets.push(rng.cosmetic.range(-1, 1) * 10);
+        }
+    }
+    
+    /**
+     * Draw animation
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        const progress = this.getProgress();
+        const dx = this.toX - this.fromX;
+        const dy = this.toY - this.fromY;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        
+        // Perpendicular used to offset the jagged points
+        const normalX = -dy / length;
+        const normalY = dx / length;
+        
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.globalAlpha = 1 - progress;
+        
+        ctx.beginPath();
+        ctx.moveTo(this.fromX, this.fromY);
+        
+        this.offsets.forEach((offset, index) => {
+            const t = (index + 1) / this.segments;
+            ctx.lineTo(
+                this.fromX + dx * t + normalX * offset,
+                this.fromY + dy * t + normalY * offset
+            );
+        });
+        
+        ctx.lineTo(this.toX, this.toY);
+        ctx.stroke();
+        
+        // Reset alpha
+        ctx.globalAlpha = 1;
+    }
+}
@@ -17,7 +17,8 @@ class DebugRenderer {
             showGrid: true,
             showPaths: false,
             showSpawnPoints: true,
-            showBounds: true
+            showBounds: true,
+            showSpatialGrid: false
         };
         this.colors = {
             collider: 'rgba(255, 0, 0, 0.3)',
@@ -25,6 +26,8 @@ class DebugRenderer {
             grid: 'rgba(50, 50, 50, 0.5)',
             path: 'rgba(0, 255, 0, 0.5)',
             spawnPoint: 'rgba(255, 255, 0, 0.7)',
+            spatialCell: 'rgba(255, 128, 0, 0.15)',
+            spatialCellStroke: 'rgba(255, 128, 0, 0.6)',
             bounds: 'rgba(0, 0, 255, 0.5)',
             text: 'rgba(255, 255, 255, 0.8)',
             background: 'rgba(0, 0, 0, 0.7)'
@@ -48,6 +51,14 @@ class DebugRenderer {
         }
     }
 
+    /**
+     * Draw debug information using the game's time manager and camera
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        this.render(ctx, this.game.timeManager, this.game.camera);
+    }
+
     /**
      * Render debug information
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -104,6 +115,11 @@ class DebugRenderer {
         if (this.options.showPaths) {
             this.renderPaths(ctx);
         }
+
+        // Draw occupied spatial grid cells
+        if (this.options.showSpatialGrid) {
+            this.renderSpatialGrid(ctx);
+        }
     }
 
     /**
@@ -120,6 +136,9 @@ class DebugRenderer {
         // Draw game state info
         this.renderGameInfo(ctx);
 
+        // Draw enemy archetype breakdown
+        this.renderEnemyTypes(ctx);
+
         // Draw controls help
         this.renderControlsHelp(ctx);
     }
@@ -152,7 +171,8 @@ class DebugRenderer {
             `State: ${this.game.state}`,
             `Wave: ${this.game.currentWave}`,
             `Enemies: ${this.game.enemies.length}`,
-            `Projectiles: ${this.game.projectiles.length}`
+            `Projectiles: ${this.game.projectiles.length}`,
+            `Hostile Projectiles: ${this.game.enemyProjectiles.length}`
         ];
         
         if (this.game.player) {
@@ -173,6 +193,49 @@ class DebugRenderer {
         });
     }
 
+    /**
+     * Render live count and current spawn chance for each registered enemy type
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    renderEnemyTypes(ctx) {
+        const canvas = ctx.canvas;
+        const types = EnemyRegistry.getTypes();
+        const wave = this.game.currentWave;
+
+        const counts = {};
+        this.game.enemies.forEach(enemy => {
+            if (enemy.isAlive) {
+                counts[enemy.type] = (counts[enemy.type] || 0) + 1;
+            }
+        });
+
+        const totalWeight = types.reduce((sum, type) => sum + EnemyRegistry.getSpawnWeight(type, wave), 0);
+        const panelHeight = 30 + types.length * 20;
+        const panelY = canvas.height - panelHeight - 10;
+
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(10, panelY, 260, panelHeight);
+
+        ctx.font = '14px monospace';
+        ctx.fillStyle = this.colors.text;
+        ctx.fillText('Enemy Types:', 20, panelY + 20);
+
+        types.forEach((type, index) => {
+            const definition = EnemyRegistry.get(type);
+            const weight = EnemyRegistry.getSpawnWeight(type, wave);
+            const chance = totalWeight > 0 ? Math.round((weight / totalWeight) * 100) : 0;
+            const spawnText = definition.isBoss ? 'boss' : `${chance}%`;
+            const rowY = panelY + 40 + index * 20;
+
+            // Color swatch
+            ctx.fillStyle = definition.color;
+            ctx.fillRect(20, rowY - 10, 10, 10);
+
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(`${type}: ${counts[type] || 0} (${spawnText})`, 38, rowY);
+        });
+    }
+
     /**
      * Render controls help
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -184,7 +247,8 @@ class DebugRenderer {
             'F1: Toggle Debug',
             'F2: Toggle Colliders',
             'F3: Toggle Grid',
-            'F4: Toggle Spawn Points'
+            'F4: Toggle Spawn Points',
+            'F5: Toggle Spatial Grid'
         ];
         
         ctx.fillStyle = this.colors.background;
@@ -256,6 +320,12 @@ class DebugRenderer {
             ctx.beginPath();
             ctx.arc(this.game.player.x, this.game.player.y, this.game.player.stats.attackRange, 0, Math.PI * 2);
             ctx.stroke();
+            
+            // Draw pickup range
+            ctx.strokeStyle = 'rgba(85, 204, 255, 0.3)';
+            ctx.beginPath();
+            ctx.arc(this.game.player.x, this.game.player.y, this.game.player.stats.pickupRange, 0, Math.PI * 2);
+            ctx.stroke();
         }
         
         // Draw enemy colliders
@@ -285,6 +355,31 @@ class DebugRenderer {
         });
     }
 
+    /**
+     * Render occupied spatial grid cells, shaded by entity count
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    renderSpatialGrid(ctx) {
+        const grid = this.game.enemyGrid;
+        if (!grid) return;
+
+        ctx.strokeStyle = this.colors.spatialCellStroke;
+        ctx.lineWidth = 1;
+        ctx.font = '10px monospace';
+
+        grid.getOccupiedCells().forEach(cell => {
+            ctx.fillStyle = this.colors.spatialCell;
+            ctx.globalAlpha = Math.min(0.3 + cell.count * 0.15, 1);
+            ctx.fillRect(cell.x, cell.y, cell.size, cell.size);
+
+            ctx.globalAlpha = 1;
+            ctx.strokeRect(cell.x, cell.y, cell.size, cell.size);
+
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(cell.count.toString(), cell.x + 4, cell.y + 12);
+        });
+    }
+
     /**
      * Render spawn points
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -18,7 +18,7 @@ class EnemyAttackEffects {
         });
         
         eventEmitter.on('enemy:prepare', (data) => {
-            this.createPrepareAnimation(data.enemy, data.target);
+            this.createPrepareAnimation(data.enemy, data.target, data.duration);
         });
     }
     
@@ -35,19 +35,24 @@ class EnemyAttackEffects {
      * Create a preparation animation for an enemy attack
      * @param {Enemy} enemy - The enemy preparing to attack
      * @param {Character} target - The target of the attack
+     * @param {number} duration - Wind-up duration, so the telegraph ends when damage resolves
      */
-    createPrepareAnimation(enemy, target) {
-        // Different preparation animations based on enemy type
-        switch (enemy.type) {
-            case 'tank':
-                const animation = new EnemyPrepareAnimation(enemy, target, 0.8, '#3333aa');
-                this.animationManager.animations.push(animation);
-                break;
-            case 'boss':
-                const bossAnimation = new BossPrepareAnimation(enemy, target, 1.2, '#aa33aa');
-                this.animationManager.animations.push(bossAnimation);
-                break;
+    createPrepareAnimation(enemy, target, duration) {
+        const definition = EnemyRegistry.get(enemy.type);
+        const attack = definition.attack;
+        
+        // Different preparation animations based on the enemy's telegraph style
+        let animation;
+        if (attack.telegraph === 'boss') {
+            animation = new BossPrepareAnimation(enemy, target, duration || attack.windUp, definition.color);
+        } else if (attack.telegraph === 'aim') {
+            animation = new RangedPrepareAnimation(enemy, target, duration || attack.windUp, definition.color);
+        } else {
+            animation = new EnemyPrepareAnimation(enemy, target, duration || attack.windUp, definition.color);
+            animation.pulseCount = attack.pulses;
         }
+        
+        this.animationManager.animations.push(animation);
     }
 }
 
@@ -82,13 +87,7 @@ class EnemySpawnAnimation extends Animation {
      * @returns {string} - Color for the enemy type
      */
     getColorForEnemyType(type) {
-        switch (type) {
-            case 'basic': return '#aa3333';
-            case 'fast': return '#33aa33';
-            case 'tank': return '#3333aa';
-            case 'boss': return '#aa33aa';
-            default: return '#aa3333';
-        }
+        return EnemyRegistry.getColor(type);
     }
     
     /**
@@ -157,6 +156,19 @@ class EnemyPrepareAnimation extends Animation {
         this.pulseCount = 3;
     }
     
+    /**
+     * Update animation
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        super.update(deltaTime);
+        
+        // Cancel the telegraph if the enemy dies mid wind-up
+        if (!this.enemy.isAlive) {
+            this.isComplete = true;
+        }
+    }
+    
     /**
      * Draw animation
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -209,6 +221,81 @@ class EnemyPrepareAnimation extends Animation {
     }
 }
 
+/**
+ * Ranged Prepare Animation
+ * Aim line and charging orb shown while a ranged enemy lines up a shot
+ */
+class RangedPrepareAnimation extends Animation {
+    /**
+     * Create a new ranged prepare animation
+     * @param {Enemy} enemy - The enemy preparing to fire
+     * @param {Character} target - The target of the shot
+     * @param {number} duration - Animation duration
+     * @param {string} color - Animation color
+     */
+    constructor(enemy, target, duration = 0.6, color = '#dd8833') {
+        super(duration);
+        this.enemy = enemy;
+        this.target = target;
+        this.color = color;
+        this.orbSize = enemy.ranged ? enemy.ranged.projectileSize : 10;
+        this.lineLength = enemy.ranged ? enemy.ranged.range : 300;
+    }
+    
+    /**
+     * Update animation
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        super.update(deltaTime);
+        
+        // Cancel the telegraph if the enemy dies mid wind-up
+        if (!this.enemy.isAlive) {
+            this.isComplete = true;
+        }
+    }
+    
+    /**
+     * Draw animation
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        const progress = this.getProgress();
+        const dx = this.target.x - this.enemy.x;
+        const dy = this.target.y - this.enemy.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        ctx.save();
+        
+        // Draw aim line that tracks the target and firms up as the shot nears
+        if (distance > 0) {
+            const dirX = dx / distance;
+            const dirY = dy / distance;
+            
+            ctx.strokeStyle = this.color;
+            ctx.lineWidth = 1 + progress * 2;
+            ctx.globalAlpha = 0.2 + 0.5 * progress;
+            ctx.setLineDash([8, 6]);
+            
+            ctx.beginPath();
+            ctx.moveTo(this.enemy.x, this.enemy.y);
+            ctx.lineTo(this.enemy.x + dirX * this.lineLength, this.enemy.y + dirY * this.lineLength);
+            ctx.stroke();
+            
+            ctx.setLineDash([]);
+        }
+        
+        // Draw charging orb
+        ctx.fillStyle = this.color;
+        ctx.globalAlpha = 0.8;
+        ctx.beginPath();
+        ctx.arc(this.enemy.x, this.enemy.y, (this.orbSize / 2) * progress, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
+    }
+}
+
 /**
  * Boss Prepare Animation
  * Special visual effect when a boss enemy is preparing to attack
@@ -235,8 +322,8 @@ class BossPrepareAnimation extends Animation {
             const angle = (i / particleCount) * Math.PI * 2;
             this.particles.push({
                 angle: angle,
-                speed: 50 + Math.random() * 30,
-                size: 3 + Math.random() * 2
+                speed: rng.cosmetic.range(50, 80),
+                size: rng.cosmetic.range(3, 5)
             });
         }
     }
@@ -252,6 +339,11 @@ class BossPrepareAnimation extends Animation {
         this.particles.forEach(particle => {
             particle.angle += deltaTime * particle.speed / 100;
         });
+        
+        // Cancel the telegraph if the boss dies mid wind-up
+        if (!this.enemy.isAlive) {
+            this.isComplete = true;
+        }
     }
     
     /**
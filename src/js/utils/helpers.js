@@ -25,6 +25,28 @@ function angle(point1, point2) {
     return Math.atan2(point2.y - point1.y, point2.x - point1.x);
 }
 
+/**
+ * Get the signed smallest difference between two angles
+ * @param {number} from - Start angle in radians
+ * @param {number} to - End angle in radians
+ * @returns {number} - Difference in radians between -PI and PI
+ */
+function angleDifference(from, to) {
+    return Math.atan2(Math.sin(to - from), Math.cos(to - from));
+}
+
+/**
+ * Get a unit direction vector from an angle
+ * @param {number} radians - Angle in radians
+ * @returns {Object} - Direction with x and y properties
+ */
+function getDirectionFromAngle(radians) {
+    return {
+        x: Math.cos(radians),
+        y: Math.sin(radians)
+    };
+}
+
 /**
  * Clamp a value between min and max
  * @param {number} value - Value to clamp
@@ -79,6 +101,16 @@ function pointInCircle(point, circle) {
     return dist < circle.radius;
 }
 
+/**
+ * Get the collision size of a game entity
+ * Characters keep their size in stats, enemies and projectiles on the entity itself
+ * @param {Object} entity - Entity with a size or stats.size property
+ * @returns {number} - Entity diameter
+ */
+function getEntitySize(entity) {
+    return entity.stats ? entity.stats.size : entity.size;
+}
+
 /**
  * Check if two game entities are colliding
  * @param {Object} entity1 - First entity with x, y, and size properties
@@ -87,8 +119,8 @@ function pointInCircle(point, circle) {
  */
 function checkCollision(entity1, entity2) {
     // Convert entity size to radius (assuming size is diameter)
-    const radius1 = entity1.stats.size / 2;
-    const radius2 = entity2.stats.size / 2;
+    const radius1 = getEntitySize(entity1) / 2;
+    const radius2 = getEntitySize(entity2) / 2;
     
     // Create circle objects for collision check
     const circle1 = {
@@ -185,3 +217,15 @@ function createVector(x, y) {
         }
     };
 }
+
+/**
+ * Create a damage payload
+ * @param {number} amount - Damage before resistances
+ * @param {string} element - Element type from ELEMENT_TYPES
+ * @param {Object} source - What dealt the damage (character, ability or enemy)
+ * @param {boolean} isCrit - Whether the hit was a critical hit
+ * @returns {Object} - Damage payload {amount, element, source, isCrit}
+ */
+function createDamage(amount, element = ELEMENT_TYPES.PHYSICAL, source = null, isCrit = false) {
+    return { amount, element, source, isCrit };
+}
@@ -0,0 +1,467 @@
+/**
+ * Input Manager
+ * Turns keyboard and gamepad input into named actions the player can rebind
+ *
+ * Held actions (movement) are read when the simulation needs them through
+ * isActionDown() and getMovement(). Presses are announced as 'input:pressed'
+ * events, so the game, the UI and the controls screen react to the same action
+ * whether it came from a key, a gamepad button or a touch control. Gamepads are
+ * polled once per animation frame while one is connected; the left stick and the
+ * on-screen joystick (see TouchControls) always move the player.
+ */
+
+class InputManager {
+    /**
+     * Create a new input manager and start listening for input
+     */
+    constructor() {
+        this.keyBindings = {};
+        this.gamepadBindings = {};
+        this.deadZone = INPUT_DEFAULT_DEAD_ZONE;
+        this.load();
+
+        // Current device state
+        this.keysDown = new Set();
+        this.buttonsDown = new Set();
+        this.stick = { x: 0, y: 0 };
+        this.touchStick = { x: 0, y: 0 }; // Set by the on-screen joystick
+        this.stickDirection = null; // Action of the stick's last menu press, until it re-centres
+        this.gamepadId = null;
+        this.isPolling = false;
+
+        // Set by captureNext() while the controls screen waits for a new binding
+        this.capture = null;
+
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        window.addEventListener('keyup', (e) => this.handleKeyUp(e));
+
+        // Keys released while the window is in the background never send keyup
+        window.addEventListener('blur', () => {
+            this.keysDown.clear();
+        });
+
+        window.addEventListener('gamepadconnected', () => {
+            this.startPolling();
+        });
+
+        window.addEventListener('gamepaddisconnected', () => {
+            this.poll();
+        });
+    }
+
+    /**
+     * Load bindings and the dead zone from storage, falling back to the defaults
+     */
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(INPUT_STORAGE_KEY));
+        } catch (error) {
+            console.error('Could not load controls:', error);
+        }
+
+        const isKeyList = keys => Array.isArray(keys) && keys.every(key => typeof key === 'string');
+        const isButtonList = buttons => Array.isArray(buttons) && buttons.every(button => Number.isInteger(button) && button >= 0);
+
+        // Actions added since the bindings were saved, or saved with bad entries, get their defaults
+        Object.keys(INPUT_ACTIONS).forEach(action => {
+            const keys = saved && saved.keyboard && saved.keyboard[action];
+            const buttons = saved && saved.gamepad && saved.gamepad[action];
+
+            this.keyBindings[action] = isKeyList(keys) ? keys.slice(0, INPUT_KEY_SLOTS) : DEFAULT_KEY_BINDINGS[action].slice();
+            this.gamepadBindings[action] = isButtonList(buttons) ? buttons.slice(0, 1) : DEFAULT_GAMEPAD_BINDINGS[action].slice();
+        });
+
+        if (saved && typeof saved.deadZone === 'number') {
+            this.deadZone = clamp(saved.deadZone, 0, INPUT_MAX_DEAD_ZONE);
+        }
+    }
+
+    /**
+     * Save bindings and the dead zone to storage
+     */
+    save() {
+        try {
+            localStorage.setItem(INPUT_STORAGE_KEY, JSON.stringify({
+                keyboard: this.keyBindings,
+                gamepad: this.gamepadBindings,
+                deadZone: this.deadZone
+            }));
+        } catch (error) {
+            console.error('Could not save controls:', error);
+        }
+    }
+
+    /**
+     * Normalize a KeyboardEvent.key so Shift and Caps Lock do not change bindings
+     * @param {string} key - KeyboardEvent.key value
+     * @returns {string} - Key as stored in bindings
+     */
+    static normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    /**
+     * Handle a key being pressed
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeyDown(e) {
+        // Typing into the seed box must not move the player
+        if (e.target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
+        const key = InputManager.normalizeKey(e.key);
+
+        // Escape cancels and Backspace clears the slot being bound, on either device
+        if (this.capture && (this.capture.device === 'keyboard' || key === 'Escape' || key === 'Backspace')) {
+            e.preventDefault();
+
+            if (key === 'Escape') {
+                this.finishCapture(undefined);
+            } else {
+                this.finishCapture(key === 'Backspace' ? null : key);
+            }
+            return;
+        }
+
+        const actions = this.getActionsForBinding('keyboard', key);
+        if (actions.length === 0) return;
+
+        // Keep bound keys from scrolling the page or opening browser tools
+        e.preventDefault();
+
+        const isNewPress = !this.keysDown.has(key) && !e.repeat;
+        this.keysDown.add(key);
+
+        if (isNewPress) {
+            actions.forEach(action => this.emitPress(action, 'keyboard'));
+        }
+    }
+
+    /**
+     * Handle a key being released
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeyUp(e) {
+        this.keysDown.delete(InputManager.normalizeKey(e.key));
+    }
+
+    /**
+     * Poll gamepads every animation frame until none are connected
+     */
+    startPolling() {
+        if (this.isPolling) return;
+
+        this.isPolling = true;
+        const loop = () => {
+            this.poll();
+
+            if (this.isPolling) {
+                requestAnimationFrame(loop);
+            }
+        };
+        requestAnimationFrame(loop);
+    }
+
+    /**
+     * Get the gamepad to read, the first one connected
+     * @returns {Gamepad|null} - Connected gamepad, or null if there is none
+     */
+    getGamepad() {
+        const gamepads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+        return gamepads.find(gamepad => gamepad && gamepad.connected) || null;
+    }
+
+    /**
+     * Read the gamepad's buttons and stick, announcing new presses
+     */
+    poll() {
+        const gamepad = this.getGamepad();
+
+        if (!gamepad) {
+            if (this.gamepadId !== null) {
+                eventEmitter.emit('input:gamepadDisconnected', { id: this.gamepadId });
+            }
+
+            this.gamepadId = null;
+            this.isPolling = false;
+            this.buttonsDown.clear();
+            this.stick = { x: 0, y: 0 };
+            this.stickDirection = null;
+            return;
+        }
+
+        if (gamepad.id !== this.gamepadId) {
+            this.gamepadId = gamepad.id;
+            eventEmitter.emit('input:gamepadConnected', { id: gamepad.id });
+        }
+
+        gamepad.buttons.forEach((button, index) => {
+            const isDown = button.pressed;
+
+            if (isDown && !this.buttonsDown.has(index)) {
+                this.buttonsDown.add(index);
+                this.handleButtonPress(index);
+            } else if (!isDown) {
+                this.buttonsDown.delete(index);
+            }
+        });
+
+        this.stick = this.applyDeadZone(gamepad.axes[0] || 0, gamepad.axes[1] || 0);
+        this.updateStickDirection();
+    }
+
+    /**
+     * Handle a gamepad button being pressed
+     * @param {number} index - Standard mapping button index
+     */
+    handleButtonPress(index) {
+        if (this.capture && this.capture.device === 'gamepad') {
+            this.finishCapture(index);
+            return;
+        }
+
+        this.getActionsForBinding('gamepad', index).forEach(action => this.emitPress(action, 'gamepad'));
+    }
+
+    /**
+     * Scale a stick position so the dead zone reads as centred and the rest spans 0-1
+     * @param {number} x - Raw horizontal axis (-1 to 1)
+     * @param {number} y - Raw vertical axis (-1 to 1)
+     * @returns {Object} - Stick direction {x, y} with length 0-1
+     */
+    applyDeadZone(x, y) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude <= this.deadZone) {
+            return { x: 0, y: 0 };
+        }
+
+        // Rounding keeps stick noise from breaking up the replay's run-length encoding
+        const scale = Math.min(1, (magnitude - this.deadZone) / (1 - this.deadZone)) / magnitude;
+        const round = value => Math.round(value * INPUT_ANALOG_PRECISION) / INPUT_ANALOG_PRECISION;
+
+        return { x: round(x * scale), y: round(y * scale) };
+    }
+
+    /**
+     * Announce a direction press when the stick is pushed out, so menus can be navigated with it
+     */
+    updateStickDirection() {
+        const { x, y } = this.stick;
+        let direction = null;
+
+        if (Math.max(Math.abs(x), Math.abs(y)) >= INPUT_STICK_PRESS_THRESHOLD) {
+            if (Math.abs(x) > Math.abs(y)) {
+                direction = x > 0 ? 'moveRight' : 'moveLeft';
+            } else {
+                direction = y > 0 ? 'moveDown' : 'moveUp';
+            }
+        }
+
+        if (direction && direction !== this.stickDirection) {
+            this.emitPress(direction, 'gamepad');
+        }
+        this.stickDirection = direction;
+    }
+
+    /**
+     * Announce an action press
+     * @param {string} action - Action id from INPUT_ACTIONS
+     * @param {string} source - 'keyboard', 'gamepad' or 'touch'
+     */
+    emitPress(action, source) {
+        // Emit pressed event
+        eventEmitter.emit('input:pressed', {
+            action: action,
+            source: source
+        });
+    }
+
+    /**
+     * Get the actions a key or button is bound to
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string|number} binding - Key or button index
+     * @returns {Array} - Action ids
+     */
+    getActionsForBinding(device, binding) {
+        const bindings = device === 'keyboard' ? this.keyBindings : this.gamepadBindings;
+        return Object.keys(bindings).filter(action => bindings[action].includes(binding));
+    }
+
+    /**
+     * Check if an action is held on any device
+     * @param {string} action - Action id from INPUT_ACTIONS
+     * @returns {boolean} - True while a bound key or button is down
+     */
+    isActionDown(action) {
+        return this.keyBindings[action].some(key => this.keysDown.has(key)) ||
+            this.gamepadBindings[action].some(button => this.buttonsDown.has(button));
+    }
+
+    /**
+     * Set the on-screen joystick's direction
+     * @param {number} x - Horizontal direction (-1 to 1)
+     * @param {number} y - Vertical direction (-1 to 1)
+     */
+    setTouchStick(x, y) {
+        const round = value => Math.round(value * INPUT_ANALOG_PRECISION) / INPUT_ANALOG_PRECISION;
+        this.touchStick = { x: round(x), y: round(y) };
+    }
+
+    /**
+     * Get the movement direction for this step
+     * Sticks keep their magnitude for analog speed; keys and the D-pad give full deflection
+     * @returns {Object} - Movement {x, y}, each -1 to 1
+     */
+    getMovement() {
+        const stick = [this.stick, this.touchStick].find(analog => analog.x !== 0 || analog.y !== 0);
+        if (stick) {
+            return { x: stick.x, y: stick.y };
+        }
+
+        const axis = (negative, positive) => (this.isActionDown(positive) ? 1 : 0) - (this.isActionDown(negative) ? 1 : 0);
+
+        return {
+            x: axis('moveLeft', 'moveRight'),
+            y: axis('moveUp', 'moveDown')
+        };
+    }
+
+    /**
+     * Check if two actions can be in use at the same time
+     * @param {string} first - Action id
+     * @param {string} second - Action id
+     * @returns {boolean} - True if they must not share a binding
+     */
+    static actionsOverlap(first, second) {
+        const a = INPUT_ACTIONS[first].context;
+        const b = INPUT_ACTIONS[second].context;
+
+        return a === 'both' || b === 'both' || a === b;
+    }
+
+    /**
+     * Bind a key or button to an action, taking it away from actions it would clash with
+     * @param {string} action - Action id from INPUT_ACTIONS
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {number} slot - Binding slot (keyboard: 0 to INPUT_KEY_SLOTS - 1, gamepad: 0)
+     * @param {string|number|null} binding - Key or button index, or null to clear the slot
+     */
+    setBinding(action, device, slot, binding) {
+        const bindings = device === 'keyboard' ? this.keyBindings : this.gamepadBindings;
+
+        if (binding !== null) {
+            Object.keys(bindings).forEach(other => {
+                if (other !== action && InputManager.actionsOverlap(action, other)) {
+                    bindings[other] = bindings[other].filter(existing => existing !== binding);
+                }
+            });
+
+            // The same key in both slots would only waste one
+            bindings[action] = bindings[action].filter(existing => existing !== binding);
+        }
+
+        const slots = bindings[action].slice();
+        if (binding === null) {
+            slots.splice(slot, 1);
+        } else {
+            slots[Math.min(slot, slots.length)] = binding;
+        }
+        bindings[action] = slots;
+
+        this.save();
+        this.emitBindingsChanged();
+    }
+
+    /**
+     * Set the stick dead zone
+     * @param {number} deadZone - Deflection ignored as drift (0 to INPUT_MAX_DEAD_ZONE)
+     */
+    setDeadZone(deadZone) {
+        this.deadZone = clamp(deadZone, 0, INPUT_MAX_DEAD_ZONE);
+        this.save();
+        this.emitBindingsChanged();
+    }
+
+    /**
+     * Restore every default binding and the default dead zone
+     */
+    resetToDefaults() {
+        Object.keys(INPUT_ACTIONS).forEach(action => {
+            this.keyBindings[action] = DEFAULT_KEY_BINDINGS[action].slice();
+            this.gamepadBindings[action] = DEFAULT_GAMEPAD_BINDINGS[action].slice();
+        });
+        this.deadZone = INPUT_DEFAULT_DEAD_ZONE;
+
+        this.save();
+        this.emitBindingsChanged();
+    }
+
+    /**
+     * Announce that bindings or the dead zone changed
+     */
+    emitBindingsChanged() {
+        // Emit bindings changed event
+        eventEmitter.emit('input:bindingsChanged', {
+            input: this
+        });
+    }
+
+    /**
+     * Send the next key or button press to a callback instead of the game
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {Function} callback - Called with the key or button index, null to clear, or undefined if cancelled
+     */
+    captureNext(device, callback) {
+        this.cancelCapture();
+        this.capture = { device, callback };
+    }
+
+    /**
+     * Stop waiting for a binding, telling the waiting callback it was cancelled
+     */
+    cancelCapture() {
+        if (this.capture) {
+            this.finishCapture(undefined);
+        }
+    }
+
+    /**
+     * End a capture with its result
+     * @param {string|number|null|undefined} binding - Captured binding, null to clear, undefined if cancelled
+     */
+    finishCapture(binding) {
+        const callback = this.capture.callback;
+        this.capture = null;
+        callback(binding);
+    }
+
+    /**
+     * Get a readable name for a key or button
+     * @param {string} device - 'keyboard' or 'gamepad'
+     * @param {string|number} binding - Key or button index
+     * @returns {string} - Display name
+     */
+    static getBindingLabel(device, binding) {
+        if (device === 'gamepad') {
+            return GAMEPAD_BUTTON_NAMES[binding] || `Button ${binding}`;
+        }
+
+        if (binding === ' ') return 'Space';
+        if (binding.startsWith('Arrow')) return `${binding.slice(5)} Arrow`;
+        return binding.length === 1 ? binding.toUpperCase() : binding;
+    }
+
+    /**
+     * Describe everything bound to an action
+     * @param {string} action - Action id from INPUT_ACTIONS
+     * @returns {string} - Bindings joined with " / ", or "Unbound"
+     */
+    describeAction(action) {
+        const labels = [
+            ...this.keyBindings[action].map(key => InputManager.getBindingLabel('keyboard', key)),
+            ...this.gamepadBindings[action].map(button => InputManager.getBindingLabel('gamepad', button))
+        ];
+
+        return labels.length > 0 ? labels.join(' / ') : 'Unbound';
+    }
+}
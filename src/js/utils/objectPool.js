@@ -0,0 +1,68 @@
+/**
+ * ObjectPool Class
+ * Recycles short-lived game objects to avoid garbage collection spikes
+ */
+
+class ObjectPool {
+    /**
+     * Create a new object pool
+     * @param {Function} createFn - Factory function that creates a new pooled object
+     * @param {number} initialSize - Number of objects to preallocate
+     * @param {number} maxSize - Maximum number of idle objects kept for reuse
+     */
+    constructor(createFn, initialSize = 0, maxSize = 1000) {
+        this.createFn = createFn;
+        this.maxSize = maxSize;
+        this.available = [];
+        this.activeCount = 0;
+
+        // Preallocate objects
+        for (let i = 0; i < initialSize; i++) {
+            this.available.push(this.createFn());
+        }
+    }
+
+    /**
+     * Take an object from the pool, creating one if none are idle
+     * @returns {Object} - Pooled object
+     */
+    acquire() {
+        const obj = this.available.length > 0 ? this.available.pop() : this.createFn();
+        this.activeCount++;
+        return obj;
+    }
+
+    /**
+     * Return an object to the pool
+     * Calls the object's reset() method if it has one
+     * @param {Object} obj - Object to release
+     */
+    release(obj) {
+        this.activeCount = Math.max(0, this.activeCount - 1);
+
+        if (typeof obj.reset === 'function') {
+            obj.reset();
+        }
+
+        // Drop the object if the pool is already full
+        if (this.available.length < this.maxSize) {
+            this.available.push(obj);
+        }
+    }
+
+    /**
+     * Return several objects to the pool
+     * @param {Array} objects - Objects to release
+     */
+    releaseAll(objects) {
+        objects.forEach(obj => this.release(obj));
+    }
+
+    /**
+     * Get the number of idle objects
+     * @returns {number} - Idle object count
+     */
+    getAvailableCount() {
+        return this.available.length;
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Seeded Random Numbers
+ * Deterministic random streams so a run seed reproduces the same waves and upgrade offers
+ *
+ * Each stream has its own state, so drawing from one never shifts another:
+ * - spawns: Spawn positions and enemy types
+ * - loot: Upgrade offers and random abilities
+ * - ai: Enemy wander, pauses and path choices
+ * - combat: Critical hit rolls
+ * - cosmetic: Particles, shakes and animation offsets
+ */
+
+class RandomStream {
+    /**
+     * Create a new random stream
+     * @param {number} seed - 32-bit seed
+     */
+    constructor(seed = 0) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Get the next number (mulberry32)
+     * @returns {number} - Number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a number in a range
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (exclusive)
+     * @returns {number} - Random number
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get an integer in a range
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (inclusive)
+     * @returns {number} - Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of success (0-1)
+     * @returns {boolean} - True on success
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element of an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} - Random element, or undefined if the array is empty
+     */
+    pick(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+}
+
+class RandomService {
+    /**
+     * Create the random service with a fresh seed
+     */
+    constructor() {
+        this.spawns = new RandomStream();
+        this.loot = new RandomStream();
+        this.ai = new RandomStream();
+        this.combat = new RandomStream();
+        this.cosmetic = new RandomStream();
+
+        this.setSeed(RandomService.createSeed());
+    }
+
+    /**
+     * Create a new unpredictable seed
+     * @returns {number} - 32-bit seed
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Hash text into a seed (FNV-1a), so seeds can be typed as words or dates
+     * @param {string} text - Text to hash
+     * @returns {number} - 32-bit seed
+     */
+    static hashSeed(text) {
+        let hash = 0x811C9DC5;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+
+    /**
+     * Turn player input into a seed; whole numbers are used as-is, anything else is hashed
+     * @param {string} text - Seed text
+     * @returns {number|null} - 32-bit seed, or null for blank input
+     */
+    static parseSeed(text) {
+        const trimmed = String(text).trim();
+        if (trimmed === '') return null;
+
+        return /^\d+$/.test(trimmed) && Number(trimmed) < 4294967296
+            ? Number(trimmed)
+            : RandomService.hashSeed(trimmed);
+    }
+
+    /**
+     * Get the seed for today's daily challenge
+     * @param {Date} date - Day of the challenge
+     * @returns {number} - 32-bit seed shared by everyone playing that day
+     */
+    static getDailySeed(date = new Date()) {
+        return RandomService.hashSeed(`daily-${date.toISOString().slice(0, 10)}`);
+    }
+
+    /**
+     * Get the streams keyed by name
+     * @returns {Object} - Stream name -> RandomStream
+     */
+    getStreams() {
+        return {
+            spawns: this.spawns,
+            loot: this.loot,
+            ai: this.ai,
+            combat: this.combat,
+            cosmetic: this.cosmetic
+        };
+    }
+
+    /**
+     * Reseed every stream from a run seed
+     * @param {number} seed - 32-bit run seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+
+        // Each stream gets its own seed derived from the run seed and its name
+        const streams = this.getStreams();
+        Object.keys(streams).forEach(name => {
+            streams[name].state = RandomService.hashSeed(`${this.seed}:${name}`);
+        });
+    }
+
+    /**
+     * Capture every stream's position for a run save
+     * @returns {Object} - Stream name -> state
+     */
+    getState() {
+        const streams = this.getStreams();
+        const state = {};
+
+        Object.keys(streams).forEach(name => {
+            state[name] = streams[name].state;
+        });
+
+        return state;
+    }
+
+    /**
+     * Restore stream positions captured by getState()
+     * @param {Object} state - Stream name -> state
+     */
+    setState(state) {
+        const streams = this.getStreams();
+
+        Object.keys(streams).forEach(name => {
+            if (typeof state[name] === 'number') {
+                streams[name].state = state[name] >>> 0;
+            }
+        });
+    }
+}
+
+// Shared random service; Game reseeds it at the start of every run
+const rng = new RandomService();
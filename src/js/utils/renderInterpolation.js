@@ -0,0 +1,67 @@
+/**
+ * Render Interpolator Class
+ * Draws moving objects between their last two fixed simulation steps
+ *
+ * The simulation advances in fixed steps, so on high refresh rate displays several
+ * frames can show the same step. Positions are captured before each step and blended
+ * with the current ones while drawing, then put back so the simulation never sees them.
+ */
+
+class RenderInterpolator {
+    /**
+     * Create a new render interpolator
+     */
+    constructor() {
+        this.previousPositions = new Map();
+        this.currentPositions = new Map();
+    }
+
+    /**
+     * Remember where objects are before a simulation step
+     * Objects created during the step have no entry and are drawn where they are
+     * @param {Array} objects - Objects with x and y properties
+     */
+    capture(objects) {
+        this.previousPositions.clear();
+
+        objects.forEach(object => {
+            if (object) {
+                this.previousPositions.set(object, { x: object.x, y: object.y });
+            }
+        });
+    }
+
+    /**
+     * Move captured objects to their blended positions for drawing
+     * @param {number} alpha - Progress towards the next step (0-1)
+     */
+    apply(alpha) {
+        this.currentPositions.clear();
+
+        this.previousPositions.forEach((previous, object) => {
+            this.currentPositions.set(object, { x: object.x, y: object.y });
+            object.x = lerp(previous.x, object.x, alpha);
+            object.y = lerp(previous.y, object.y, alpha);
+        });
+    }
+
+    /**
+     * Put objects back at their simulated positions after drawing
+     */
+    restore() {
+        this.currentPositions.forEach((current, object) => {
+            object.x = current.x;
+            object.y = current.y;
+        });
+
+        this.currentPositions.clear();
+    }
+
+    /**
+     * Forget captured positions, e.g. when a run starts or is restored
+     */
+    clear() {
+        this.previousPositions.clear();
+        this.currentPositions.clear();
+    }
+}
@@ -20,6 +20,7 @@ class ResizeHandler {
         this.maxHeight = 1080;
         this.pixelRatio = window.devicePixelRatio || 1;
         this.isFullscreen = false;
+        this.isTouchDevice = this.detectTouchDevice();
         
         // Initialize
         this.setupEventListeners();
@@ -38,6 +39,28 @@ class ResizeHandler {
         document.addEventListener('webkitfullscreenchange', () => this.handleFullscreenChange());
         document.addEventListener('mozfullscreenchange', () => this.handleFullscreenChange());
         document.addEventListener('MSFullscreenChange', () => this.handleFullscreenChange());
+        
+        // Phone browsers resize the visual viewport when their toolbars slide in and out
+        if (window.visualViewport) {
+            window.visualViewport.addEventListener('resize', () => this.handleResize());
+        }
+        
+        // Tablets with a detachable keyboard and trackpad switch between coarse and fine pointers
+        const coarsePointerQuery = window.matchMedia('(pointer: coarse)');
+        if (coarsePointerQuery.addEventListener) {
+            coarsePointerQuery.addEventListener('change', () => {
+                this.isTouchDevice = this.detectTouchDevice();
+                this.resize();
+            });
+        }
+    }
+    
+    /**
+     * Check if the main pointer is a finger
+     * @returns {boolean} - True on phones and tablets
+     */
+    detectTouchDevice() {
+        return window.matchMedia('(pointer: coarse)').matches;
     }
     
     /**
@@ -79,10 +102,18 @@ class ResizeHandler {
         
         let canvasWidth, canvasHeight;
         
+        // Zooming and moving the window between screens change the pixel ratio
+        this.pixelRatio = window.devicePixelRatio || 1;
+        
         if (this.isFullscreen) {
             // In fullscreen mode, use the screen dimensions
             canvasWidth = window.innerWidth;
             canvasHeight = window.innerHeight;
+        } else if (this.isTouchDevice) {
+            // Phones are smaller than the desktop minimum and cannot spare letterbox bars,
+            // so the canvas fills the screen in either orientation
+            canvasWidth = containerWidth;
+            canvasHeight = containerHeight;
         } else {
             // In windowed mode, fit to container while maintaining aspect ratio
             if (containerWidth / containerHeight > this.aspectRatio) {
@@ -114,8 +145,8 @@ class ResizeHandler {
             window.GAME_WIDTH = canvasWidth;
             window.GAME_HEIGHT = canvasHeight;
             
-            // If the game has a camera, update its dimensions
-            if (this.game.camera) {
+            // If the game has a camera, update its dimensions; replays keep the recorded size
+            if (this.game.camera && !this.game.replay) {
                 this.game.camera.width = canvasWidth;
                 this.game.camera.height = canvasHeight;
             }
@@ -126,13 +157,12 @@ class ResizeHandler {
         ctx.scale(this.pixelRatio, this.pixelRatio);
         
         // Emit resize event
-        if (window.eventEmitter) {
-            window.eventEmitter.emit('canvas:resize', {
-                width: canvasWidth,
-                height: canvasHeight,
-                pixelRatio: this.pixelRatio
-            });
-        }
+        eventEmitter.emit('canvas:resize', {
+            width: canvasWidth,
+            height: canvasHeight,
+            pixelRatio: this.pixelRatio,
+            isTouchDevice: this.isTouchDevice
+        });
     }
     
     /**
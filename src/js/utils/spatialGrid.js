@@ -0,0 +1,214 @@
+/**
+ * SpatialGrid Class
+ * Uniform-grid spatial hash for fast neighbour and collision queries
+ */
+
+class SpatialGrid {
+    /**
+     * Create a new spatial grid
+     * @param {number} cellSize - Width and height of each cell in world units
+     */
+    constructor(cellSize = SPATIAL_GRID_CELL_SIZE) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.usedKeys = [];
+        this.entityCount = 0;
+        this.maxEntitySize = 0; // Largest entity diameter, used to pad overlap queries
+    }
+
+    /**
+     * Get the cell coordinate for a world coordinate
+     * @param {number} value - World coordinate
+     * @returns {number} - Cell coordinate
+     */
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    /**
+     * Get the map key for a cell
+     * @param {number} cellX - Cell X coordinate
+     * @param {number} cellY - Cell Y coordinate
+     * @returns {number} - Cell key
+     */
+    getKey(cellX, cellY) {
+        // Offset keeps keys positive; exact for cell coordinates within +/-32768
+        return (cellX + 32768) * 65536 + (cellY + 32768);
+    }
+
+    /**
+     * Remove all entities while keeping cell arrays for reuse
+     */
+    clear() {
+        this.usedKeys.forEach(key => {
+            this.cells.get(key).length = 0;
+        });
+        this.usedKeys.length = 0;
+        this.entityCount = 0;
+        this.maxEntitySize = 0;
+    }
+
+    /**
+     * Insert an entity by its center position
+     * @param {Object} entity - Entity with x, y and size (or stats.size) properties
+     */
+    insert(entity) {
+        const key = this.getKey(this.toCell(entity.x), this.toCell(entity.y));
+        let cell = this.cells.get(key);
+
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+
+        if (cell.length === 0) {
+            this.usedKeys.push(key);
+        }
+
+        cell.push(entity);
+        this.entityCount++;
+        this.maxEntitySize = Math.max(this.maxEntitySize, getEntitySize(entity) || 0);
+    }
+
+    /**
+     * Clear the grid and insert every living entity
+     * @param {Array} entities - Entities to index
+     */
+    rebuild(entities) {
+        this.clear();
+
+        entities.forEach(entity => {
+            if (entity.isAlive !== false) {
+                this.insert(entity);
+            }
+        });
+    }
+
+    /**
+     * Find entities whose centers are within a radius
+     * @param {number} x - Query center X
+     * @param {number} y - Query center Y
+     * @param {number} radius - Query radius
+     * @param {Array} results - Optional array to fill (cleared first)
+     * @returns {Array} - Matching entities
+     */
+    queryRadius(x, y, radius, results = []) {
+        results.length = 0;
+
+        const minCellX = this.toCell(x - radius);
+        const maxCellX = this.toCell(x + radius);
+        const minCellY = this.toCell(y - radius);
+        const maxCellY = this.toCell(y + radius);
+        const radiusSquared = radius * radius;
+
+        for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+            for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+                const cell = this.cells.get(this.getKey(cellX, cellY));
+                if (!cell) continue;
+
+                for (let i = 0; i < cell.length; i++) {
+                    const entity = cell[i];
+                    const dx = entity.x - x;
+                    const dy = entity.y - y;
+
+                    if (dx * dx + dy * dy <= radiusSquared) {
+                        results.push(entity);
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Find the nearest entity within a maximum distance
+     * Searches rings of cells outward and stops once no closer entity can exist
+     * @param {number} x - Query center X
+     * @param {number} y - Query center Y
+     * @param {number} maxDistance - Maximum search distance
+     * @param {Function} filter - Optional predicate entities must pass
+     * @returns {Object|null} - Nearest entity or null
+     */
+    nearest(x, y, maxDistance = Infinity, filter = null) {
+        if (this.entityCount === 0) return null;
+
+        const centerX = this.toCell(x);
+        const centerY = this.toCell(y);
+        const maxRing = Number.isFinite(maxDistance) ? Math.ceil(maxDistance / this.cellSize) : this.getMaxRing(centerX, centerY);
+
+        let nearestEntity = null;
+        let nearestDistanceSquared = maxDistance * maxDistance;
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            for (let cellX = centerX - ring; cellX <= centerX + ring; cellX++) {
+                // Only the border cells of the ring are new
+                const onVerticalEdge = cellX === centerX - ring || cellX === centerX + ring;
+                const step = onVerticalEdge ? 1 : ring * 2;
+
+                for (let cellY = centerY - ring; cellY <= centerY + ring; cellY += Math.max(step, 1)) {
+                    const cell = this.cells.get(this.getKey(cellX, cellY));
+                    if (!cell) continue;
+
+                    for (let i = 0; i < cell.length; i++) {
+                        const entity = cell[i];
+                        if (filter && !filter(entity)) continue;
+
+                        const dx = entity.x - x;
+                        const dy = entity.y - y;
+                        const distanceSquared = dx * dx + dy * dy;
+
+                        if (distanceSquared <= nearestDistanceSquared) {
+                            nearestEntity = entity;
+                            nearestDistanceSquared = distanceSquared;
+                        }
+                    }
+                }
+            }
+
+            // Anything in the next ring is at least ring * cellSize away
+            const ringDistance = ring * this.cellSize;
+            if (nearestEntity && nearestDistanceSquared <= ringDistance * ringDistance) {
+                break;
+            }
+        }
+
+        return nearestEntity;
+    }
+
+    /**
+     * Get the ring count needed to cover every occupied cell from a center cell
+     * @param {number} centerX - Center cell X
+     * @param {number} centerY - Center cell Y
+     * @returns {number} - Ring count
+     */
+    getMaxRing(centerX, centerY) {
+        let maxRing = 0;
+
+        this.usedKeys.forEach(key => {
+            const cellX = Math.floor(key / 65536) - 32768;
+            const cellY = (key % 65536) - 32768;
+            maxRing = Math.max(maxRing, Math.abs(cellX - centerX), Math.abs(cellY - centerY));
+        });
+
+        return maxRing;
+    }
+
+    /**
+     * Get occupied cells for debugging
+     * @returns {Array} - Cells as {x, y, size, count} in world units
+     */
+    getOccupiedCells() {
+        return this.usedKeys.map(key => {
+            const cellX = Math.floor(key / 65536) - 32768;
+            const cellY = (key % 65536) - 32768;
+
+            return {
+                x: cellX * this.cellSize,
+                y: cellY * this.cellSize,
+                size: this.cellSize,
+                count: this.cells.get(key).length
+            };
+        });
+    }
+}
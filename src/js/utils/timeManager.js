@@ -22,7 +22,8 @@ class TimeManager {
         this.maxDeltaTime = 0.1; // Cap delta time to prevent physics issues on slow frames
         this.timeScale = 1.0; // For slow-motion or speed-up effects
         this.accumulatedTime = 0;
-        this.fixedTimeStep = 1 / 60; // For fixed update steps
+        this.fixedTimeStep = 1 / targetFPS; // Seconds simulated by each fixed update step
+        this.maxFixedStepsPerFrame = 10; // Drop backlog beyond this so a stalled tab cannot spiral
     }
 
     /**
@@ -79,6 +80,39 @@ class TimeManager {
         return false;
     }
 
+    /**
+     * Count the fixed update steps due this frame, consuming their time
+     * Backlog beyond maxFixedStepsPerFrame is dropped so the game slows down instead of freezing
+     * @returns {number} - Number of fixed steps to simulate
+     */
+    consumeFixedSteps() {
+        let steps = 0;
+        while (steps < this.maxFixedStepsPerFrame && this.shouldFixedUpdate()) {
+            steps++;
+        }
+
+        if (steps === this.maxFixedStepsPerFrame) {
+            this.accumulatedTime = Math.min(this.accumulatedTime, this.fixedTimeStep);
+        }
+
+        return steps;
+    }
+
+    /**
+     * Get how far the accumulator is towards the next fixed step
+     * @returns {number} - Interpolation factor between the last two steps (0-1)
+     */
+    getInterpolationAlpha() {
+        return Math.min(this.accumulatedTime / this.fixedTimeStep, 1);
+    }
+
+    /**
+     * Discard time waiting in the accumulator, e.g. while paused
+     */
+    clearAccumulatedTime() {
+        this.accumulatedTime = 0;
+    }
+
     /**
      * Get the current FPS
      * @returns {number} - Current FPS
@@ -103,7 +137,7 @@ class TimeManager {
      * @param {number} scale - New time scale (1.0 is normal speed)
      */
     setTimeScale(scale) {
-        this.timeScale = Math.max(0.1, Math.min(scale, 3.0)); // Clamp between 0.1 and 3.0
+        this.timeScale = Math.max(0.1, Math.min(scale, 4.0)); // Clamp between 0.1 and 4.0
     }
 
     /**
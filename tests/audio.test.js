@@ -0,0 +1,284 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+/**
+ * Create an audio param that jumps straight to scheduled values
+ * @param {number} value - Starting value
+ * @returns {Object} - Stub AudioParam
+ */
+function createParam(value) {
+    return {
+        value,
+        setTargetAtTime(target) {
+            this.value = target;
+        }
+    };
+}
+
+/**
+ * Stub AudioContext that records the nodes it creates and plays nothing
+ */
+class StubAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.currentTime = 0;
+        this.sampleRate = 8000;
+        this.destination = {};
+        this.sources = [];
+    }
+
+    createGain() {
+        return { gain: createParam(1), connect() {} };
+    }
+
+    createStereoPanner() {
+        return { pan: createParam(0), connect() {} };
+    }
+
+    createBufferSource() {
+        const source = {
+            buffer: null,
+            loop: false,
+            playbackRate: createParam(1),
+            isStopped: false,
+            connect() {},
+            start() {},
+            stop() {
+                source.isStopped = true;
+            }
+        };
+        this.sources.push(source);
+        return source;
+    }
+
+    createBuffer(channels, length, sampleRate) {
+        const data = new Float32Array(length);
+        return { length, duration: length / sampleRate, getChannelData: () => data };
+    }
+
+    resume() {
+        this.state = 'running';
+    }
+}
+
+describe('Sound synthesis', () => {
+    let game;
+    let AudioManager;
+
+    beforeEach(() => {
+        game = loadGame();
+        AudioManager = game.globals.AudioManager;
+    });
+
+    it('renders tones to the end of the last one, within [-1, 1]', () => {
+        const samples = AudioManager.renderTones([
+            { wave: 'square', frequency: 440, start: 0, duration: 0.1, volume: 1 },
+            { wave: 'square', frequency: 440, start: 0.05, duration: 0.1, volume: 1 }
+        ], 8000, game.run('new RandomStream(1)'));
+
+        assert.strictEqual(samples.length, 1200);
+        assert.ok(samples.every(sample => sample >= -1 && sample <= 1));
+        assert.ok(samples.some(sample => sample !== 0));
+    });
+
+    it('fades tones in over the attack and out by the end', () => {
+        const samples = AudioManager.renderTones([
+            { wave: 'sine', frequency: 200, start: 0, duration: 0.5, attack: 0.1, release: 0.1 }
+        ], 8000, game.run('new RandomStream(1)'));
+
+        const peak = (from, to) => Math.max(...Array.from(samples.slice(from, to), Math.abs));
+        assert.ok(peak(0, 40) < 0.1);
+        assert.ok(peak(1600, 2400) > 0.9);
+        assert.ok(peak(3960, 4000) < 0.01);
+    });
+
+    it('synthesizes the same noise from the same seed', () => {
+        const tones = [{ wave: 'noise', frequency: 0, start: 0, duration: 0.05 }];
+        const first = AudioManager.renderTones(tones, 8000, game.run('new RandomStream(7)'));
+        const second = AudioManager.renderTones(tones, 8000, game.run('new RandomStream(7)'));
+
+        assert.strictEqual(first.join(','), second.join(','));
+    });
+
+    it('keeps every music layer inside one loop', () => {
+        const { MUSIC_LAYER_DEFINITIONS, AUDIO_MUSIC_LOOP_STEPS } = game.globals;
+        const loopDuration = AudioManager.getMusicLoopDuration();
+
+        assert.strictEqual(loopDuration, AUDIO_MUSIC_LOOP_STEPS * AudioManager.getMusicStepDuration());
+        Object.keys(MUSIC_LAYER_DEFINITIONS).forEach(id => {
+            const tones = AudioManager.getMusicTones(MUSIC_LAYER_DEFINITIONS[id]);
+            assert.ok(tones.every(tone => tone.start + tone.duration <= loopDuration + 1e-9), id);
+        });
+    });
+
+    it('places music notes by step and semitone', () => {
+        const { AUDIO_MUSIC_ROOT_FREQUENCY } = game.globals;
+        const [tone] = AudioManager.getMusicTones({ wave: 'sine', slide: -12, notes: [[4, 2, 12]] });
+
+        assert.strictEqual(tone.start, 4 * AudioManager.getMusicStepDuration());
+        assert.strictEqual(tone.duration, 2 * AudioManager.getMusicStepDuration());
+        assert.strictEqual(tone.frequency, AUDIO_MUSIC_ROOT_FREQUENCY * 2);
+        assert.strictEqual(tone.endFrequency, AUDIO_MUSIC_ROOT_FREQUENCY);
+    });
+});
+
+describe('Audio manager', () => {
+    let game;
+    let instance;
+    let audio;
+
+    beforeEach(() => {
+        game = loadGame();
+        game.context.AudioContext = StubAudioContext;
+        instance = game.run('new Game()');
+        audio = instance.audio;
+        audio.start(StubAudioContext);
+    });
+
+    it('stays silent until the first interaction creates the audio context', () => {
+        const silent = game.run('new AudioManager(new Camera(1280, 720))');
+
+        assert.strictEqual(silent.isSupported, true);
+        assert.strictEqual(silent.play('attack'), false);
+    });
+
+    it('synthesizes every sound and music layer', () => {
+        const { SOUND_DEFINITIONS, MUSIC_LAYER_DEFINITIONS } = game.globals;
+
+        Object.keys(SOUND_DEFINITIONS).forEach(id => assert.ok(audio.buffers[id].length > 0, id));
+        Object.keys(MUSIC_LAYER_DEFINITIONS).forEach(id => {
+            assert.strictEqual(audio.musicBuffers[id].length, Math.round(game.globals.AudioManager.getMusicLoopDuration() * 8000), id);
+        });
+    });
+
+    it('plays sounds for game events', () => {
+        const { eventEmitter } = game.globals;
+        const enemy = { x: 0, y: 0 };
+
+        eventEmitter.emit('enemy:death', { enemy, xpValue: 1 });
+        eventEmitter.emit('wave:start', { wave: 2 });
+
+        assert.strictEqual(audio.voices.enemyDeath.length, 1);
+        assert.strictEqual(audio.voices.waveStart.length, 1);
+    });
+
+    it('does not restart a sound within its minimum interval', () => {
+        assert.strictEqual(audio.play('playerDamage'), true);
+        assert.strictEqual(audio.play('playerDamage'), false);
+
+        audio.context.currentTime = 0.5;
+        assert.strictEqual(audio.play('playerDamage'), true);
+    });
+
+    it('cuts off the oldest voice beyond the voice limit', () => {
+        const sound = game.globals.SOUND_DEFINITIONS.enemyDeath;
+
+        // Start every voice at once so none has finished by itself
+        sound.minInterval = 0;
+        for (let i = 0; i <= sound.maxVoices; i++) {
+            audio.play('enemyDeath');
+        }
+
+        const voices = audio.voices.enemyDeath;
+        assert.strictEqual(voices.length, sound.maxVoices);
+        assert.strictEqual(audio.context.sources.filter(source => source.isStopped).length, 1);
+        assert.strictEqual(voices.some(voice => voice.source.isStopped), false);
+    });
+
+    it('pans sounds by their position on screen', () => {
+        const { camera } = instance;
+        const { AUDIO_PAN_WIDTH } = game.globals;
+        camera.x = 100;
+        camera.y = 50;
+
+        assert.strictEqual(audio.getPan({ x: 100, y: 300 }), -AUDIO_PAN_WIDTH);
+        assert.strictEqual(audio.getPan({ x: 100 + camera.width / 2, y: 300 }), 0);
+        assert.strictEqual(audio.getPan({ x: 5000, y: 300 }), AUDIO_PAN_WIDTH);
+        assert.strictEqual(audio.getPan(null), 0);
+    });
+
+    it('saves volumes and applies them to the buses', () => {
+        audio.setVolume('music', 0.25);
+        audio.setVolume('sfx', 3);
+
+        assert.strictEqual(audio.buses.music.gain.value, 0.25);
+        assert.strictEqual(audio.buses.sfx.gain.value, 1);
+
+        const reloaded = game.run('new AudioManager(new Camera(1280, 720))');
+        assert.strictEqual(reloaded.volumes.music, 0.25);
+        assert.strictEqual(reloaded.volumes.sfx, 1);
+        assert.strictEqual(reloaded.volumes.master, game.globals.AUDIO_DEFAULT_VOLUMES.master);
+    });
+
+    it('brings music layers in as enemies crowd the screen', () => {
+        const { MUSIC_LAYER_DEFINITIONS, AUDIO_MUSIC_FULL_INTENSITY_ENEMIES } = game.globals;
+        const playing = () => Object.keys(audio.music).filter(id => audio.music[id].level > 0).join(',');
+
+        instance.startGame('warrior', 12345);
+        instance.enemies = [];
+        audio.update(instance);
+        assert.strictEqual(playing(), 'pad');
+        assert.strictEqual(audio.music.pad.gain.gain.value, MUSIC_LAYER_DEFINITIONS.pad.volume);
+
+        instance.enemies = new Array(Math.ceil(AUDIO_MUSIC_FULL_INTENSITY_ENEMIES / 2)).fill({});
+        audio.update(instance);
+        assert.strictEqual(playing(), 'pad,bass,kick');
+
+        instance.activeBoss = {};
+        audio.update(instance);
+        assert.strictEqual(playing(), Object.keys(MUSIC_LAYER_DEFINITIONS).join(','));
+
+        // Pausing drops back to the calmest layer
+        instance.isPaused = true;
+        audio.update(instance);
+        assert.strictEqual(playing(), 'pad');
+    });
+
+    it('stops the music when the run ends', () => {
+        instance.startGame('warrior', 12345);
+        audio.update(instance);
+        const sources = Object.values(audio.music).map(layer => layer.source);
+
+        instance.state = game.globals.GAME_STATES.GAME_OVER;
+        audio.update(instance);
+
+        assert.strictEqual(audio.music, null);
+        assert.ok(sources.every(source => source.isStopped));
+    });
+});
+
+describe('Audio without Web Audio', () => {
+    it('runs the game silently', () => {
+        const game = loadGame();
+        const instance = game.run('new Game()');
+
+        assert.strictEqual(instance.audio.isSupported, false);
+
+        instance.startGame('warrior', 12345);
+        instance.audio.update(instance);
+        assert.strictEqual(instance.audio.play('attack'), false);
+    });
+});
+
+describe('Audio files', () => {
+    it('fetches only the files listed in the manifest', () => {
+        const game = loadGame();
+        const requested = [];
+        game.context.fetch = file => {
+            requested.push(file);
+            return new Promise(() => {});
+        };
+
+        const audio = game.run('new AudioManager(new Camera(1280, 720))');
+        audio.start(StubAudioContext);
+        assert.strictEqual(requested.length, 0);
+
+        game.globals.AUDIO_FILES.sounds.attack = 'assets/audio/attack.ogg';
+        const withFile = game.run('new AudioManager(new Camera(1280, 720))');
+        withFile.start(StubAudioContext);
+        assert.strictEqual(requested.join(','), 'assets/audio/attack.ogg');
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { BalanceRun } = require('../tools/balance/balanceRun');
+const { percentile, summarizeSurvival, summarizeDps, summarizeDeaths, toCsv } = require('../tools/balance/report');
+
+/**
+ * Create a run result like BalanceRun.play() returns
+ * @param {Object} fields - Fields to set
+ * @returns {Object} - Run result
+ */
+function createResult(fields) {
+    return {
+        characterType: 'warrior',
+        policy: 'kite',
+        seed: 1,
+        survived: false,
+        time: 60,
+        wave: 2,
+        level: 3,
+        kills: 10,
+        bossesDefeated: 0,
+        damageDealt: 600,
+        deathCause: 'basic contact',
+        damageByBucket: [300, 300],
+        ...fields
+    };
+}
+
+describe('Balance report', () => {
+    it('interpolates percentiles between values', () => {
+        assert.strictEqual(percentile([10, 20, 30, 40], 0.5), 25);
+        assert.strictEqual(percentile([10, 20, 30, 40], 1), 40);
+        assert.strictEqual(percentile([], 0.5), 0);
+    });
+
+    it('summarizes survival per character and policy', () => {
+        const rows = summarizeSurvival([
+            createResult({ time: 30 }),
+            createResult({ time: 90, survived: true }),
+            createResult({ policy: 'stand', time: 45 })
+        ]);
+
+        assert.strictEqual(rows.length, 2);
+        assert.strictEqual(rows[0].runs, 2);
+        assert.strictEqual(rows[0].survived, 1);
+        assert.strictEqual(rows[0].median, 60);
+        assert.strictEqual(rows[1].policy, 'stand');
+    });
+
+    it('averages DPS over the runs still alive in each interval', () => {
+        const rows = summarizeDps([
+            createResult({ time: 60, damageByBucket: [300, 600] }),
+            createResult({ time: 45, damageByBucket: [600, 300] })
+        ], 30);
+
+        assert.strictEqual(rows.length, 2);
+        assert.strictEqual(rows[0].meanDps, 15);
+        assert.strictEqual(rows[1].runsAlive, 2);
+
+        // 20 DPS over the full interval and 20 DPS over the 15 seconds survived
+        assert.strictEqual(rows[1].meanDps, 20);
+    });
+
+    it('counts deaths by wave and cause, leaving out survivors', () => {
+        const rows = summarizeDeaths([
+            createResult({ wave: 3, deathCause: 'tank contact' }),
+            createResult({ wave: 3, deathCause: 'caster projectile' }),
+            createResult({ wave: 3, deathCause: 'caster projectile' }),
+            createResult({ wave: 1 }),
+            createResult({ survived: true, deathCause: null })
+        ]);
+
+        assert.strictEqual(rows.map(row => `${row.wave} ${row.cause} ${row.deaths}`).join('; '),
+            '1 basic contact 1; 3 caster projectile 2; 3 tank contact 1');
+    });
+
+    it('quotes CSV fields that need it', () => {
+        assert.strictEqual(toCsv([{ name: 'a,b', note: 'say "hi"', empty: null }]),
+            'name,note,empty\n"a,b","say ""hi""",\n');
+    });
+});
+
+describe('Balance run', () => {
+    let runner;
+
+    before(() => {
+        runner = new BalanceRun({ maxTime: 20, bucketSeconds: 10 });
+    });
+
+    it('plays a run with each policy until the time limit', () => {
+        ['kite', 'stand', 'orbit'].forEach(policy => {
+            const result = runner.play({ characterType: 'warrior', policy, seed: 5 });
+
+            assert.strictEqual(result.survived, true);
+            assert.strictEqual(result.time, 20);
+            assert.ok(result.kills > 0);
+            assert.strictEqual(result.damageByBucket.length, 2);
+        });
+    });
+
+    it('plays the same seed the same way twice', () => {
+        const first = runner.play({ characterType: 'rogue', policy: 'kite', seed: 9 });
+        const second = runner.play({ characterType: 'rogue', policy: 'kite', seed: 9 });
+
+        assert.strictEqual(JSON.stringify(second), JSON.stringify(first));
+    });
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+describe('Character leveling', () => {
+    let game;
+    let character;
+
+    beforeEach(() => {
+        game = loadGame();
+        character = game.globals.CharacterFactory.createCharacter('warrior');
+    });
+
+    it('starts at level 1 needing the base experience', () => {
+        assert.strictEqual(character.level, 1);
+        assert.strictEqual(character.experience, 0);
+        assert.strictEqual(character.experienceToNextLevel, game.globals.PLAYER_XP_TO_LEVEL);
+    });
+
+    it('keeps experience below the threshold without leveling', () => {
+        character.gainExperience(99);
+
+        assert.strictEqual(character.level, 1);
+        assert.strictEqual(character.experience, 99);
+    });
+
+    it('carries excess experience into the next level', () => {
+        character.gainExperience(130);
+
+        assert.strictEqual(character.level, 2);
+        assert.strictEqual(character.experience, 30);
+    });
+
+    it('raises the threshold by half the base per level', () => {
+        const base = game.globals.PLAYER_XP_TO_LEVEL;
+
+        character.gainExperience(base);
+        assert.strictEqual(character.experienceToNextLevel, Math.floor(base * 2));
+
+        character.gainExperience(character.experienceToNextLevel);
+        assert.strictEqual(character.experienceToNextLevel, Math.floor(base * 2.5));
+    });
+
+    it('levels more than once for a large gain', () => {
+        const levels = [];
+        game.globals.eventEmitter.on('player:levelUp', data => levels.push(data.level));
+
+        // 100 to reach level 2, 200 to reach level 3, 50 left over
+        character.gainExperience(350);
+
+        assert.strictEqual(character.level, 3);
+        assert.strictEqual(character.experience, 50);
+        assert.strictEqual(levels.join(','), '2,3');
+    });
+
+    it('restores health on level up', () => {
+        character.stats.health = 1;
+        character.gainExperience(character.experienceToNextLevel);
+
+        assert.strictEqual(character.stats.health, character.stats.maxHealth);
+    });
+});
+
+describe('Character dash', () => {
+    let game;
+    let character;
+
+    beforeEach(() => {
+        game = loadGame();
+        character = game.globals.CharacterFactory.createCharacter('warrior');
+    });
+
+    /**
+     * Run the character's update for a number of fixed steps
+     * @param {number} steps - Number of 1/60 s steps
+     */
+    function simulate(steps) {
+        for (let i = 0; i < steps; i++) {
+            character.update(1 / 60, []);
+        }
+    }
+
+    it('dashes in the movement direction', () => {
+        character.setMovement(1, 1);
+
+        assert.strictEqual(character.dash(), true);
+        assert.strictEqual(character.isDashing, true);
+        assert.ok(Math.abs(character.dashDirection.x - Math.SQRT1_2) < 1e-9);
+        assert.ok(Math.abs(character.dashDirection.y - Math.SQRT1_2) < 1e-9);
+    });
+
+    it('dashes in the facing direction when standing still', () => {
+        assert.strictEqual(character.dash(), true);
+        assert.strictEqual(character.dashDirection.x, 0);
+        assert.strictEqual(character.dashDirection.y, 1);
+    });
+
+    it('is invulnerable while dashing', () => {
+        character.setMovement(1, 0);
+        character.dash();
+
+        const health = character.stats.health;
+        assert.strictEqual(character.takeDamage(10), false);
+        assert.strictEqual(character.stats.health, health);
+    });
+
+    it('ends the dash after its duration and keeps momentum', () => {
+        const { PLAYER_DASH_DURATION, PLAYER_MOMENTUM_FACTOR } = game.globals;
+        character.setMovement(1, 0);
+        character.dash();
+
+        simulate(Math.ceil(PLAYER_DASH_DURATION * 60) + 1);
+
+        assert.strictEqual(character.isDashing, false);
+        assert.strictEqual(character.maxSpeed, character.stats.speed);
+        assert.ok(character.momentum.x > 0 && character.momentum.x <= PLAYER_MOMENTUM_FACTOR);
+    });
+
+    it('cannot dash again until the cooldown has passed', () => {
+        const { PLAYER_DASH_COOLDOWN } = game.globals;
+        character.setMovement(1, 0);
+        character.dash();
+
+        simulate(30);
+        assert.strictEqual(character.dash(), false);
+
+        simulate(Math.ceil(PLAYER_DASH_COOLDOWN * 60));
+        assert.strictEqual(character.dashCooldown, 0);
+        assert.strictEqual(character.dash(), true);
+    });
+
+    it('moves further while dashing than while walking', () => {
+        character.setMovement(1, 0);
+        simulate(30);
+        const walkStart = character.x;
+        simulate(6);
+        const walked = character.x - walkStart;
+
+        const dashStart = character.x;
+        character.dash();
+        simulate(6);
+        const dashed = character.x - dashStart;
+
+        assert.ok(dashed > walked * 2, `dashed ${dashed} vs walked ${walked}`);
+    });
+});
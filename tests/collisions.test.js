@@ -0,0 +1,89 @@
+'use strict';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+describe('Collision helpers', () => {
+    let globals;
+
+    before(() => {
+        globals = loadGame().globals;
+    });
+
+    it('measures the distance between two points', () => {
+        assert.strictEqual(globals.distance({ x: 0, y: 0 }, { x: 3, y: 4 }), 5);
+    });
+
+    it('treats touching circles as not colliding', () => {
+        const a = { x: 0, y: 0, radius: 10 };
+
+        assert.strictEqual(globals.circleCollision(a, { x: 19.9, y: 0, radius: 10 }), true);
+        assert.strictEqual(globals.circleCollision(a, { x: 20, y: 0, radius: 10 }), false);
+    });
+
+    it('finds points strictly inside a circle', () => {
+        const circle = { x: 10, y: 10, radius: 5 };
+
+        assert.strictEqual(globals.pointInCircle({ x: 12, y: 13 }, circle), true);
+        assert.strictEqual(globals.pointInCircle({ x: 15, y: 10 }, circle), false);
+    });
+
+    it('reads the size from stats for characters and from the entity otherwise', () => {
+        assert.strictEqual(globals.getEntitySize({ stats: { size: 32 }, size: 99 }), 32);
+        assert.strictEqual(globals.getEntitySize({ size: 28 }), 28);
+    });
+
+    it('treats entity sizes as diameters', () => {
+        const player = { x: 0, y: 0, stats: { size: 32 } };
+
+        // Radii 16 + 14 = 30
+        assert.strictEqual(globals.checkCollision(player, { x: 29, y: 0, size: 28 }), true);
+        assert.strictEqual(globals.checkCollision(player, { x: 31, y: 0, size: 28 }), false);
+    });
+
+    it('collides a character with an enemy that reaches it', () => {
+        const player = globals.CharacterFactory.createCharacter('warrior');
+        const enemy = globals.EnemyFactory.createEnemyOfType('basic', 1, { x: player.x + 1000, y: player.y });
+
+        assert.strictEqual(globals.checkCollision(player, enemy), false);
+
+        enemy.x = player.x + (player.stats.size + enemy.size) / 2 - 1;
+        assert.strictEqual(globals.checkCollision(player, enemy), true);
+    });
+
+    it('wraps angle differences to the shorter way around', () => {
+        const difference = globals.angleDifference(Math.PI * 0.9, -Math.PI * 0.9);
+
+        assert.ok(Math.abs(difference - Math.PI * 0.2) < 1e-9);
+    });
+
+    it('clamps and interpolates values', () => {
+        assert.strictEqual(globals.clamp(5, 0, 3), 3);
+        assert.strictEqual(globals.clamp(-1, 0, 3), 0);
+        assert.strictEqual(globals.lerp(10, 20, 0.25), 12.5);
+    });
+});
+
+describe('Enemy grid', () => {
+    it('indexes enemies where they moved to before collisions are resolved', () => {
+        const game = loadGame();
+        const instance = game.run('new Game()');
+        instance.startGame('warrior', 12345);
+
+        const player = instance.player;
+        const enemy = game.globals.EnemyFactory.createEnemyOfType('basic', 1, { x: player.x + 1000, y: player.y });
+        instance.enemies = [enemy];
+
+        // Land the enemy on the player during this step's movement
+        enemy.update = function() {
+            this.x = player.x + 5;
+            this.y = player.y;
+        };
+        const startX = player.x;
+        instance.fixedUpdate(instance.timeManager.fixedTimeStep);
+
+        assert.ok(instance.enemyGrid.queryRadius(enemy.x, enemy.y, 1).includes(enemy));
+        assert.ok(player.x < startX);
+    });
+});
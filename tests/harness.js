@@ -0,0 +1,254 @@
+/**
+ * Test Harness
+ * Loads the game's browser scripts into a Node VM context so game logic can be tested headlessly
+ *
+ * The scripts are plain global-scope files, so they are run in the order index.html lists
+ * them inside one shared context, the same way the browser runs them. Browser globals are
+ * replaced with small stubs: a DOM whose elements accept any UI call, a canvas whose 2D
+ * context ignores drawing, an in-memory localStorage and a clock the test controls.
+ *
+ * Each call to loadGame() builds a fresh context, so tests never share globals such as
+ * eventEmitter, rng or the object pools.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Browser entry point; it only wires DOM buttons once the page has loaded
+const EXCLUDED_SCRIPTS = ['src/js/main.js'];
+
+/**
+ * Get the game's scripts in load order
+ * @returns {Array} - Script paths relative to the repository root
+ */
+function getScriptPaths() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+
+    return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+        .map(match => match[1])
+        .filter(script => !EXCLUDED_SCRIPTS.includes(script));
+}
+
+/**
+ * Create a clock for performance.now() that only moves when told to
+ * @param {number} start - Starting time in milliseconds
+ * @returns {Object} - Clock with now(), advance(ms) and set(ms)
+ */
+function createClock(start = 0) {
+    let time = start;
+
+    return {
+        now: () => time,
+        advance(ms) {
+            time += ms;
+        },
+        set(ms) {
+            time = ms;
+        }
+    };
+}
+
+/**
+ * Create a 2D context that accepts every drawing call and draws nothing
+ * @param {Object} canvas - Canvas the context belongs to
+ * @returns {Object} - Stub CanvasRenderingContext2D
+ */
+function createStubContext2D(canvas) {
+    const gradient = { addColorStop() {} };
+    const context = {
+        canvas,
+        measureText: text => ({ width: String(text).length * 6 }),
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        getImageData: () => ({ data: [] })
+    };
+
+    // Any other method is a no-op and any property can be set
+    return new Proxy(context, {
+        get: (target, key) => (key in target ? target[key] : () => {})
+    });
+}
+
+/**
+ * Create a DOM element that accepts the calls the UI makes
+ * @param {string} tagOrId - Tag name or id, for debugging only
+ * @returns {Object} - Stub element
+ */
+function createStubElement(tagOrId) {
+    const classes = new Set();
+
+    const element = {
+        id: tagOrId,
+        style: {},
+        dataset: {},
+        children: [],
+        innerHTML: '',
+        textContent: '',
+        value: '',
+        disabled: false,
+        checked: false,
+        parentElement: null,
+        clientWidth: 0,
+        clientHeight: 0,
+        classList: {
+            add: name => classes.add(name),
+            remove: name => classes.delete(name),
+            contains: name => classes.has(name),
+            toggle: (name, force = !classes.has(name)) => {
+                if (force) {
+                    classes.add(name);
+                } else {
+                    classes.delete(name);
+                }
+                return force;
+            }
+        },
+        addEventListener() {},
+        removeEventListener() {},
+        setAttribute() {},
+        focus() {},
+        click() {},
+        remove() {},
+        appendChild(child) {
+            element.children.push(child);
+            return child;
+        },
+        querySelector: () => createStubElement('query'),
+        querySelectorAll: () => [],
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: element.clientWidth, height: element.clientHeight })
+    };
+
+    return element;
+}
+
+/**
+ * Create the browser globals the scripts expect
+ * @param {Object} options - Viewport size, clock, storage and logging
+ * @returns {Object} - Sandbox for vm.createContext
+ */
+function createBrowserGlobals({ width, height, clock, storage, logs }) {
+    const elements = {};
+
+    const container = createStubElement('game-container');
+    container.clientWidth = width;
+    container.clientHeight = height;
+
+    const canvas = createStubElement('game-canvas');
+    const context2D = createStubContext2D(canvas);
+    canvas.width = width;
+    canvas.height = height;
+    canvas.parentElement = container;
+    canvas.getContext = () => context2D;
+    elements['game-canvas'] = canvas;
+
+    // The scripts log chatty progress messages; warnings and errors are always shown
+    const sandboxConsole = logs ? console : {
+        log() {},
+        info() {},
+        debug() {},
+        warn: console.warn.bind(console),
+        error: console.error.bind(console)
+    };
+
+    const sandbox = {
+        console: sandboxConsole,
+        setTimeout: () => 0,
+        clearTimeout() {},
+        requestAnimationFrame: () => 0,
+        cancelAnimationFrame() {},
+        performance: { now: () => clock.now() },
+        innerWidth: width,
+        innerHeight: height,
+        devicePixelRatio: 1,
+        addEventListener() {},
+        removeEventListener() {},
+        alert() {},
+        navigator: { getGamepads: () => [], maxTouchPoints: 0 },
+        matchMedia: () => ({ matches: false, addEventListener() {} }),
+        localStorage: {
+            getItem: key => (key in storage ? storage[key] : null),
+            setItem: (key, value) => {
+                storage[key] = String(value);
+            },
+            removeItem: key => {
+                delete storage[key];
+            }
+        },
+        document: {
+            body: createStubElement('body'),
+            visibilityState: 'visible',
+            getElementById: id => (elements[id] = elements[id] || createStubElement(id)),
+            createElement: tag => createStubElement(tag),
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener() {},
+            removeEventListener() {}
+        }
+    };
+
+    sandbox.window = sandbox;
+    return sandbox;
+}
+
+/**
+ * Replace the values of top-level const declarations in a script's source
+ * @param {string} source - Script source
+ * @param {Object} constants - New values by constant name; names found are removed
+ * @returns {string} - Source with the declarations replaced
+ */
+function overrideConstants(source, constants) {
+    Object.keys(constants).forEach(name => {
+        const declaration = new RegExp(`^const ${name} = [^;]*;`, 'm');
+        if (!declaration.test(source)) return;
+
+        source = source.replace(declaration, () => `const ${name} = ${JSON.stringify(constants[name])};`);
+        delete constants[name];
+    });
+
+    return source;
+}
+
+/**
+ * Load the game's scripts into a fresh context
+ * @param {Object} options - Optional settings
+ * @param {Object} options.clock - Clock from createClock(), used for performance.now()
+ * @param {Object} options.storage - Backing object for localStorage
+ * @param {number} options.width - Viewport width
+ * @param {number} options.height - Viewport height
+ * @param {boolean} options.logs - Show the scripts' console.log output
+ * @param {Object} options.constants - Values replacing top-level consts, e.g. {ENEMY_HEALTH_INCREASE_RATE: 0.15}
+ * @returns {Object} - {context, clock, storage, globals, run(code)}; globals.Name reads a global from the context
+ */
+function loadGame({ clock = createClock(), storage = {}, width = 1280, height = 720, logs = false, constants = {} } = {}) {
+    const context = vm.createContext(createBrowserGlobals({ width, height, clock, storage, logs }));
+    const pending = { ...constants };
+
+    getScriptPaths().forEach(script => {
+        const source = overrideConstants(fs.readFileSync(path.join(ROOT, script), 'utf8'), pending);
+        vm.runInContext(source, context, { filename: script });
+    });
+
+    const unknown = Object.keys(pending);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown constants: ${unknown.join(', ')}`);
+    }
+
+    // Top-level classes and consts live in the context's scope, not on its global object
+    const run = code => vm.runInContext(code, context);
+    const globals = new Proxy({}, {
+        get: (target, name) => (typeof name === 'symbol' ? undefined : run(name))
+    });
+
+    return { context, clock, storage, globals, run };
+}
+
+module.exports = {
+    loadGame,
+    createClock,
+    getScriptPaths
+};
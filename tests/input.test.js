@@ -0,0 +1,242 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+/**
+ * Build a key event the input manager can handle
+ * @param {string} key - KeyboardEvent.key value
+ * @param {Object} options - Extra event fields
+ * @returns {Object} - Stub key event
+ */
+function keyEvent(key, options = {}) {
+    return { key, target: null, repeat: false, preventDefault() {}, ...options };
+}
+
+/**
+ * Build a standard mapping gamepad
+ * @param {Array} pressed - Indices of the buttons held down
+ * @param {Array} axes - Axis values
+ * @returns {Object} - Stub gamepad
+ */
+function gamepad(pressed = [], axes = [0, 0, 0, 0]) {
+    return {
+        id: 'Test Pad',
+        connected: true,
+        buttons: Array.from({ length: 17 }, (_, index) => ({ pressed: pressed.includes(index) })),
+        axes
+    };
+}
+
+describe('Input manager', () => {
+    let game;
+    let input;
+    let presses;
+
+    beforeEach(() => {
+        game = loadGame();
+        input = game.run('new InputManager()');
+        presses = [];
+        game.globals.eventEmitter.on('input:pressed', data => presses.push(`${data.action}:${data.source}`));
+    });
+
+    /**
+     * Report a gamepad state and poll it
+     * @param {Object} pad - Stub gamepad, or null for none
+     */
+    function pollPad(pad) {
+        game.context.navigator.getGamepads = () => [pad];
+        input.poll();
+    }
+
+    it('combines held keys into diagonal movement', () => {
+        input.handleKeyDown(keyEvent('w'));
+        input.handleKeyDown(keyEvent('ArrowRight'));
+
+        assert.strictEqual(JSON.stringify(input.getMovement()), '{"x":1,"y":-1}');
+
+        input.handleKeyUp(keyEvent('w'));
+        assert.strictEqual(JSON.stringify(input.getMovement()), '{"x":1,"y":0}');
+    });
+
+    it('treats shifted letters as the same key', () => {
+        input.handleKeyDown(keyEvent('D'));
+
+        assert.strictEqual(input.getMovement().x, 1);
+    });
+
+    it('announces presses once per key down, ignoring repeats', () => {
+        input.handleKeyDown(keyEvent(' '));
+        input.handleKeyDown(keyEvent(' ', { repeat: true }));
+        input.handleKeyUp(keyEvent(' '));
+        input.handleKeyDown(keyEvent(' '));
+
+        assert.strictEqual(presses.join(','), 'dash:keyboard,dash:keyboard');
+    });
+
+    it('ignores keys typed into form fields', () => {
+        input.handleKeyDown(keyEvent('w', { target: { tagName: 'INPUT' } }));
+
+        assert.strictEqual(input.getMovement().y, 0);
+    });
+
+    it('ignores stick drift inside the dead zone', () => {
+        pollPad(gamepad([], [0.15, -0.1, 0, 0]));
+
+        assert.strictEqual(JSON.stringify(input.getMovement()), '{"x":0,"y":0}');
+    });
+
+    it('rescales the stick beyond the dead zone and keeps its magnitude', () => {
+        // Halfway between the 0.2 dead zone and full deflection
+        pollPad(gamepad([], [0.6, 0, 0, 0]));
+        assert.strictEqual(JSON.stringify(input.getMovement()), '{"x":0.5,"y":0}');
+
+        pollPad(gamepad([], [0, 1, 0, 0]));
+        assert.strictEqual(JSON.stringify(input.getMovement()), '{"x":0,"y":1}');
+    });
+
+    it('announces gamepad button presses on their first poll only', () => {
+        pollPad(gamepad([0]));
+        pollPad(gamepad([0]));
+        pollPad(gamepad([]));
+        pollPad(gamepad([9]));
+
+        assert.strictEqual(presses.join(','), 'dash:gamepad,confirm:gamepad,pause:gamepad');
+    });
+
+    it('announces a stick push as a single direction press for menus', () => {
+        pollPad(gamepad([], [0, -0.9, 0, 0]));
+        pollPad(gamepad([], [0, -1, 0, 0]));
+        pollPad(gamepad([], [0, 0, 0, 0]));
+        pollPad(gamepad([], [0.9, 0, 0, 0]));
+
+        assert.strictEqual(presses.join(','), 'moveUp:gamepad,moveRight:gamepad');
+    });
+
+    it('reports connecting and disconnecting gamepads', () => {
+        const events = [];
+        game.globals.eventEmitter.on('input:gamepadConnected', data => events.push(`connected:${data.id}`));
+        game.globals.eventEmitter.on('input:gamepadDisconnected', data => events.push(`disconnected:${data.id}`));
+
+        pollPad(gamepad());
+        pollPad(gamepad());
+        pollPad(null);
+
+        assert.strictEqual(events.join(','), 'connected:Test Pad,disconnected:Test Pad');
+        assert.strictEqual(input.isPolling, false);
+    });
+
+    it('takes a rebound key away from actions it would clash with', () => {
+        input.setBinding('dash', 'keyboard', 0, 'w');
+
+        assert.strictEqual(input.keyBindings.dash.join(','), 'w');
+        assert.strictEqual(input.keyBindings.moveUp.join(','), 'ArrowUp');
+    });
+
+    it('lets a play action and a menu action share a binding', () => {
+        input.setBinding('confirm', 'keyboard', 1, ' ');
+
+        assert.strictEqual(input.keyBindings.confirm.join(','), 'Enter, ');
+        assert.strictEqual(input.keyBindings.dash.join(','), ' ');
+        assert.strictEqual(input.gamepadBindings.dash.join(','), '0');
+        assert.strictEqual(input.gamepadBindings.confirm.join(','), '0');
+    });
+
+    it('clears a binding slot', () => {
+        input.setBinding('moveUp', 'keyboard', 0, null);
+
+        assert.strictEqual(input.keyBindings.moveUp.join(','), 'ArrowUp');
+    });
+
+    it('captures the next key for rebinding instead of announcing it', () => {
+        let captured;
+        input.captureNext('keyboard', binding => {
+            captured = binding;
+        });
+        input.handleKeyDown(keyEvent('Q'));
+
+        assert.strictEqual(captured, 'q');
+        assert.strictEqual(presses.length, 0);
+    });
+
+    it('cancels a capture with Escape', () => {
+        let captured = 'unset';
+        input.captureNext('gamepad', binding => {
+            captured = binding;
+        });
+        input.handleKeyDown(keyEvent('Escape'));
+
+        assert.strictEqual(captured, undefined);
+        assert.strictEqual(input.capture, null);
+    });
+
+    it('saves bindings and the dead zone and loads them back', () => {
+        input.setBinding('dash', 'gamepad', 0, 2);
+        input.setDeadZone(0.3);
+
+        const reloaded = game.run('new InputManager()');
+        assert.strictEqual(reloaded.gamepadBindings.dash.join(','), '2');
+        assert.strictEqual(reloaded.deadZone, 0.3);
+        assert.strictEqual(reloaded.keyBindings.moveUp.join(','), 'w,ArrowUp');
+    });
+
+    it('falls back to the defaults for actions saved with bad bindings', () => {
+        game.storage[game.globals.INPUT_STORAGE_KEY] = JSON.stringify({
+            keyboard: { moveUp: [42, 'ArrowUp'], dash: ['x'] },
+            gamepad: { dash: ['A'] }
+        });
+
+        const reloaded = game.run('new InputManager()');
+        assert.strictEqual(reloaded.keyBindings.moveUp.join(','), 'w,ArrowUp');
+        assert.strictEqual(reloaded.keyBindings.dash.join(','), 'x');
+        assert.strictEqual(reloaded.gamepadBindings.dash.join(','), '0');
+        assert.strictEqual(reloaded.describeAction('moveUp'), 'W / Up Arrow / D-pad Up');
+    });
+
+    it('restores the defaults', () => {
+        input.setBinding('dash', 'keyboard', 0, 'w');
+        input.setDeadZone(0.5);
+        input.resetToDefaults();
+
+        assert.strictEqual(input.keyBindings.dash.join(','), ' ');
+        assert.strictEqual(input.keyBindings.moveUp.join(','), 'w,ArrowUp');
+        assert.strictEqual(input.deadZone, game.globals.INPUT_DEFAULT_DEAD_ZONE);
+    });
+
+    it('describes an action by all its bindings', () => {
+        assert.strictEqual(input.describeAction('moveUp'), 'W / Up Arrow / D-pad Up');
+        assert.strictEqual(input.describeAction('debug'), 'F1');
+    });
+});
+
+describe('Analog movement', () => {
+    it('keeps partial stick deflection instead of forcing full speed', () => {
+        const game = loadGame();
+        const character = game.globals.CharacterFactory.createCharacter('warrior');
+
+        character.setMovement(0.5, 0);
+        assert.strictEqual(character.targetVelocityX, 0.5);
+
+        character.setMovement(1, 1);
+        assert.ok(Math.abs(Math.hypot(character.targetVelocityX, character.targetVelocityY) - 1) < 1e-9);
+    });
+});
+
+describe('Upgrade panel input', () => {
+    it('keeps the game paused when pause is pressed over the panel', () => {
+        const game = loadGame();
+        const instance = game.run('new Game()');
+        instance.startGame('warrior', 12345);
+        instance.ui.showUpgradePanel();
+
+        instance.input.emitPress('pause', 'keyboard');
+
+        assert.strictEqual(instance.ui.isUpgradePanelOpen, true);
+        assert.strictEqual(instance.isPaused, true);
+
+        // The game resumes once the choice is made
+        instance.ui.skipUpgrades();
+        assert.strictEqual(instance.isPaused, false);
+    });
+});
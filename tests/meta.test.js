@@ -0,0 +1,62 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+const STATS = { timeSurvived: 120, wavesCompleted: 2, enemiesDefeated: 40, levelReached: 4, bossesDefeated: 0 };
+
+/**
+ * Load a game whose storage already holds a meta progression save
+ * @param {Object} data - Save data to store
+ * @returns {Object} - Game loaded with loadGame()
+ */
+function loadWithSave(data) {
+    const storage = { 'lastOfTheWeave.meta': JSON.stringify(data) };
+    return loadGame({ storage });
+}
+
+describe('Meta progression saves', () => {
+    it('migrates an older save to the current version', () => {
+        const game = loadWithSave({ version: 1, threads: 30, lifetimeThreads: 50, runs: 2, upgrades: { might: 1 } });
+        const { metaProgression, META_SAVE_VERSION } = game.globals;
+
+        assert.strictEqual(metaProgression.data.version, META_SAVE_VERSION);
+        assert.strictEqual(metaProgression.data.threads, 30);
+        assert.strictEqual(metaProgression.data.upgrades.might, 1);
+        assert.strictEqual(JSON.stringify(metaProgression.data.records), '{}');
+    });
+
+    it('leaves a save from a newer version untouched and plays on defaults', () => {
+        const newer = { version: 99, threads: 500, lifetimeThreads: 900, runs: 40, upgrades: { might: 5 }, records: {} };
+        const game = loadWithSave(newer);
+        const { metaProgression, META_STORAGE_KEY } = game.globals;
+
+        assert.strictEqual(metaProgression.isReadOnly, true);
+        assert.strictEqual(metaProgression.data.threads, 0);
+
+        metaProgression.awardRun(STATS, 'warrior');
+
+        assert.ok(metaProgression.data.threads > 0);
+        assert.strictEqual(game.storage[META_STORAGE_KEY], JSON.stringify(newer));
+    });
+});
+
+describe('Meta upgrades in saved runs', () => {
+    it('continues a run with the upgrades it started with', () => {
+        const game = loadWithSave({ version: 2, threads: 100, lifetimeThreads: 100, runs: 1, upgrades: { might: 1 }, records: {} });
+        const { metaProgression } = game.globals;
+        const instance = game.run('new Game()');
+        instance.startGame('warrior', 42);
+
+        const damage = instance.player.stats.damage;
+        assert.strictEqual(instance.saveRun(), true);
+
+        // Bought between saving and continuing, so it applies from the next run
+        assert.strictEqual(metaProgression.purchase('might'), true);
+        assert.strictEqual(instance.continueRun(), true);
+
+        assert.strictEqual(instance.player.stats.damage, damage);
+        assert.strictEqual(instance.player.metaUpgradeLevels.might, 1);
+    });
+});
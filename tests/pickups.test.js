@@ -0,0 +1,48 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+describe('XP gem drops', () => {
+    let game;
+    let instance;
+
+    beforeEach(() => {
+        game = loadGame();
+        instance = game.run('new Game()');
+        instance.startGame('warrior', 12345);
+    });
+
+    it('merges a drop into a resting gem nearby', () => {
+        instance.dropXpGem(100, 100, 2);
+        instance.dropXpGem(110, 100, 3);
+
+        assert.strictEqual(instance.xpGems.length, 1);
+        assert.strictEqual(instance.xpGems[0].value, 5);
+    });
+
+    it('does not merge into a gem already flying to the player', () => {
+        instance.dropXpGem(100, 100, 2);
+        instance.xpGems[0].isMagnetized = true;
+        instance.dropXpGem(110, 100, 3);
+
+        assert.strictEqual(instance.xpGems.length, 2);
+        assert.strictEqual(instance.xpGems[0].value, 2);
+    });
+
+    it('folds drops beyond the cap into the closest resting gem', () => {
+        const { XP_GEM_MAX_COUNT } = game.globals;
+        for (let i = 0; i < XP_GEM_MAX_COUNT; i++) {
+            instance.dropXpGem(i * 100, 0, 1);
+        }
+
+        // The closest gem is being pulled in, so the next closest takes the drop
+        instance.xpGems[0].isMagnetized = true;
+        instance.dropXpGem(45, 0, 4);
+
+        assert.strictEqual(instance.xpGems.length, XP_GEM_MAX_COUNT);
+        assert.strictEqual(instance.xpGems[0].value, 1);
+        assert.strictEqual(instance.xpGems[1].value, 5);
+    });
+});
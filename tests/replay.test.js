@@ -0,0 +1,124 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+describe('Replays', () => {
+    let game;
+    let instance;
+    let replay;
+
+    beforeEach(() => {
+        game = loadGame();
+        instance = game.run('new Game()');
+        instance.startGame('warrior', 12345);
+
+        const step = instance.timeManager.fixedTimeStep;
+        for (let i = 0; i < 120; i++) {
+            instance.fixedUpdate(step);
+        }
+        replay = instance.recorder.export();
+    });
+
+    it('accepts a recorded run', () => {
+        assert.strictEqual(game.globals.ReplayPlayer.validate(replay), null);
+        assert.strictEqual(instance.startReplay(replay), true);
+        assert.strictEqual(instance.replay.length, 120);
+    });
+
+    it('rejects input runs longer than a replay may be', () => {
+        const { REPLAY_MAX_DURATION, FPS } = game.globals;
+
+        replay.inputs[0][0] = REPLAY_MAX_DURATION * FPS + 1;
+        assert.strictEqual(instance.startReplay(replay), false);
+
+        replay.inputs[0][0] = 1.5;
+        assert.strictEqual(instance.startReplay(replay), false);
+        assert.strictEqual(instance.replay, null);
+    });
+
+    it('rejects replays whose runs add up to too many steps', () => {
+        const { REPLAY_MAX_DURATION, FPS } = game.globals;
+        const run = replay.inputs[0];
+
+        replay.inputs = [[REPLAY_MAX_DURATION * FPS, ...run.slice(1)], run];
+        assert.strictEqual(instance.startReplay(replay), false);
+    });
+
+    it('does not discover codex entries while a replay plays', () => {
+        const { eventEmitter, CODEX_STORAGE_KEY } = game.globals;
+        instance.startReplay(replay);
+
+        eventEmitter.emit('ability:evolved', { evolved: { recipeId: 'volley' } });
+
+        assert.strictEqual(instance.ui.codex.discovered.size, 0);
+        assert.strictEqual(game.storage[CODEX_STORAGE_KEY], undefined);
+    });
+});
+
+describe('Replays across resizes', () => {
+    /**
+     * Summarize where a run stands
+     * @param {Object} instance - Game instance
+     * @returns {string} - Player and enemy positions, kills and camera size
+     */
+    function snapshot(instance) {
+        return JSON.stringify({
+            player: [instance.player.x, instance.player.y],
+            enemies: instance.enemies.map(enemy => [enemy.type, enemy.x, enemy.y]),
+            kills: instance.stats.enemiesDefeated,
+            camera: [instance.camera.width, instance.camera.height]
+        });
+    }
+
+    /**
+     * Resize the game's container and let the resize handler apply it
+     * @param {Object} instance - Game instance
+     * @param {number} width - Container width
+     * @param {number} height - Container height
+     */
+    function resize(instance, width, height) {
+        const container = instance.canvas.parentElement;
+        container.clientWidth = width;
+        container.clientHeight = height;
+        instance.resizeHandler.resize();
+    }
+
+    /**
+     * Simulate steps up to a tick
+     * @param {Object} instance - Game instance
+     * @param {number} tick - Step to stop after
+     */
+    function runTo(instance, tick) {
+        const step = instance.timeManager.fixedTimeStep;
+        while (instance.tick < tick) {
+            instance.fixedUpdate(step);
+        }
+    }
+
+    it('plays back the same run when the window is resized during the recording and the playback', () => {
+        const game = loadGame();
+        const instance = game.run('new Game()');
+        instance.startGame('warrior', 777);
+
+        runTo(instance, 200);
+        resize(instance, 1000, 1000);
+        runTo(instance, 900);
+        const recorded = snapshot(instance);
+        const replay = instance.recorder.export();
+
+        assert.strictEqual(replay.viewports.length, 1);
+        assert.ok(instance.enemies.length > 0);
+
+        // Back to the original size before playing, then resize again part way through
+        resize(instance, 1280, 720);
+        instance.startReplay(replay);
+        runTo(instance, 100);
+        resize(instance, 1600, 900);
+        assert.strictEqual(instance.camera.width, replay.viewport.width);
+
+        runTo(instance, 900);
+        assert.strictEqual(snapshot(instance), recorded);
+    });
+});
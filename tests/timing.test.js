@@ -0,0 +1,103 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadGame, createClock } = require('./harness');
+
+describe('TimeManager fixed steps', () => {
+    let timeManager;
+
+    beforeEach(() => {
+        timeManager = loadGame().run('new TimeManager(60)');
+    });
+
+    it('turns frame time into whole fixed steps and keeps the remainder', () => {
+        timeManager.update(1000);
+        timeManager.clearAccumulatedTime();
+
+        // 2.5 steps of 1/60 s
+        timeManager.update(1000 + 2.5 * 1000 / 60);
+
+        assert.strictEqual(timeManager.consumeFixedSteps(), 2);
+        assert.ok(Math.abs(timeManager.getInterpolationAlpha() - 0.5) < 1e-6);
+    });
+
+    it('scales the simulated time with the time scale', () => {
+        timeManager.update(1000);
+        timeManager.clearAccumulatedTime();
+        timeManager.setTimeScale(2);
+
+        timeManager.update(1000 + 3 * 1000 / 60 + 1);
+
+        assert.strictEqual(timeManager.consumeFixedSteps(), 6);
+    });
+
+    it('drops backlog beyond the per-frame step limit', () => {
+        timeManager.setTimeScale(4);
+        timeManager.update(1000);
+        timeManager.update(1100);
+
+        // 0.1 s capped delta at 4x is 24 steps, but only 10 run
+        assert.strictEqual(timeManager.consumeFixedSteps(), timeManager.maxFixedStepsPerFrame);
+        assert.ok(timeManager.getInterpolationAlpha() <= 1);
+    });
+});
+
+describe('Headless harness', () => {
+    it('drives performance.now() from the injected clock', () => {
+        const clock = createClock(500);
+        const game = loadGame({ clock });
+
+        assert.strictEqual(game.run('performance.now()'), 500);
+        clock.advance(250);
+        assert.strictEqual(game.run('performance.now()'), 750);
+    });
+
+    it('gives every loaded game its own event emitter', () => {
+        const first = loadGame();
+        const second = loadGame();
+        let calls = 0;
+
+        first.globals.eventEmitter.on('test:event', () => calls++);
+        second.globals.eventEmitter.emit('test:event');
+        first.globals.eventEmitter.emit('test:event');
+
+        assert.strictEqual(calls, 1);
+    });
+
+    it('keeps localStorage in the storage object passed in', () => {
+        const storage = {};
+        const game = loadGame({ storage });
+
+        game.run('localStorage.setItem("key", 42)');
+
+        assert.strictEqual(storage.key, '42');
+    });
+
+    it('replaces constants before the scripts run', () => {
+        const game = loadGame({ constants: { ENEMY_HEALTH_INCREASE_RATE: 0.5 } });
+        const enemy = game.globals.EnemyFactory.createEnemyOfType('basic', 3, { x: 0, y: 0 });
+
+        assert.strictEqual(enemy.health, game.globals.ENEMY_BASE_HEALTH * 2);
+        assert.throws(() => loadGame({ constants: { NOT_A_CONSTANT: 1 } }), /Unknown constants: NOT_A_CONSTANT/);
+    });
+
+    it('runs a seeded game the same way twice', () => {
+        /**
+         * Play a seeded run for a number of steps and describe where it ended up
+         * @returns {string} - Player position, health and enemy count
+         */
+        const play = () => {
+            const game = loadGame().run('new Game()');
+            game.startGame('warrior', 777);
+
+            for (let i = 0; i < 600; i++) {
+                game.fixedUpdate(game.timeManager.fixedTimeStep);
+            }
+
+            return [game.player.x, game.player.y, game.player.stats.health, game.enemies.length].join(',');
+        };
+
+        assert.strictEqual(play(), play());
+    });
+});
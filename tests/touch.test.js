@@ -0,0 +1,174 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+/**
+ * Build a pointer event the touch controls can handle
+ * @param {number} pointerId - Finger id
+ * @param {number} x - Canvas X position
+ * @param {number} y - Canvas Y position
+ * @param {string} pointerType - 'touch', 'pen' or 'mouse'
+ * @returns {Object} - Stub pointer event
+ */
+function pointer(pointerId, x, y, pointerType = 'touch') {
+    return { pointerId, pointerType, clientX: x, clientY: y, preventDefault() {} };
+}
+
+/**
+ * Make the loaded scripts see a phone or tablet's coarse pointer
+ * @param {Object} game - Game loaded with loadGame()
+ */
+function useCoarsePointer(game) {
+    game.context.matchMedia = query => ({ matches: query === '(pointer: coarse)', addEventListener() {} });
+}
+
+describe('Touch controls', () => {
+    let game;
+    let instance;
+    let touch;
+
+    beforeEach(() => {
+        game = loadGame();
+        instance = game.run('new Game()');
+        instance.startGame('warrior', 12345);
+        touch = instance.ui.touchControls;
+    });
+
+    it('stays hidden on fine-pointer devices until touched', () => {
+        assert.strictEqual(touch.isVisible, false);
+
+        touch.handlePointerDown(pointer(1, 900, 200, 'mouse'));
+        assert.strictEqual(touch.isVisible, false);
+
+        touch.handlePointerDown(pointer(1, 900, 200));
+        assert.strictEqual(touch.isVisible, true);
+    });
+
+    it('steers with a joystick placed under the thumb', () => {
+        touch.handlePointerDown(pointer(1, 200, 500));
+        touch.handlePointerMove(pointer(1, 200 + game.globals.TOUCH_JOYSTICK_RADIUS, 500));
+
+        assert.strictEqual(JSON.stringify(instance.input.getMovement()), '{"x":1,"y":0}');
+
+        touch.handlePointerUp(pointer(1, 260, 500));
+        assert.strictEqual(JSON.stringify(instance.input.getMovement()), '{"x":0,"y":0}');
+    });
+
+    it('keeps partial joystick travel for analog speed and ignores a resting thumb', () => {
+        const radius = game.globals.TOUCH_JOYSTICK_RADIUS;
+
+        touch.handlePointerDown(pointer(1, 200, 500));
+        touch.handlePointerMove(pointer(1, 200, 500 - radius * 0.05));
+        assert.strictEqual(JSON.stringify(instance.input.getMovement()), '{"x":0,"y":0}');
+
+        touch.handlePointerMove(pointer(1, 200, 500 - radius * 0.55));
+        assert.strictEqual(JSON.stringify(instance.input.getMovement()), '{"x":0,"y":-0.5}');
+
+        // Dragging past the base edge is full speed
+        touch.handlePointerMove(pointer(1, 200, 500 + radius * 3));
+        assert.strictEqual(JSON.stringify(instance.input.getMovement()), '{"x":0,"y":1}');
+    });
+
+    it('dashes with a second finger while the first one steers', () => {
+        const presses = [];
+        game.globals.eventEmitter.on('input:pressed', data => presses.push(`${data.action}:${data.source}`));
+
+        touch.handlePointerDown(pointer(1, 200, 500));
+        touch.handlePointerMove(pointer(1, 140, 500));
+        touch.handlePointerDown(pointer(2, touch.dashButton.x, touch.dashButton.y));
+
+        assert.strictEqual(presses.join(','), 'dash:touch');
+        assert.strictEqual(instance.dashRequested, true);
+        assert.strictEqual(instance.input.getMovement().x, -1);
+
+        // Lifting the dash finger leaves the joystick held
+        touch.handlePointerUp(pointer(2, touch.dashButton.x, touch.dashButton.y));
+        assert.strictEqual(touch.dashPointerId, null);
+        assert.strictEqual(instance.input.getMovement().x, -1);
+    });
+
+    it('ignores a second thumb on the left while the joystick is held', () => {
+        touch.handlePointerDown(pointer(1, 200, 500));
+        touch.handlePointerDown(pointer(2, 300, 300));
+        touch.handlePointerMove(pointer(2, 400, 300));
+
+        assert.strictEqual(touch.joystick.pointerId, 1);
+        assert.strictEqual(instance.input.getMovement().x, 0);
+    });
+
+    it('aims with touches on the right half away from the dash button', () => {
+        touch.handlePointerDown(pointer(1, 900, 200));
+
+        assert.strictEqual(instance.mouse.x, 900);
+        assert.strictEqual(instance.mouse.y, 200);
+        assert.strictEqual(touch.joystick, null);
+    });
+
+    it('releases the joystick when the run stops being played', () => {
+        touch.handlePointerDown(pointer(1, 200, 500));
+        touch.handlePointerMove(pointer(1, 260, 500));
+
+        instance.state = game.globals.GAME_STATES.UPGRADE;
+        instance.draw();
+
+        assert.strictEqual(touch.joystick, null);
+        assert.strictEqual(instance.input.getMovement().x, 0);
+    });
+
+    it('draws the controls over the game', () => {
+        touch.handlePointerDown(pointer(1, 200, 500));
+
+        assert.doesNotThrow(() => instance.draw());
+    });
+});
+
+describe('Touch layout', () => {
+    it('shows the controls and fills a phone screen on coarse-pointer devices', () => {
+        const game = loadGame({ width: 390, height: 844 });
+        useCoarsePointer(game);
+        const instance = game.run('new Game()');
+
+        assert.strictEqual(instance.ui.touchControls.isVisible, true);
+        assert.strictEqual(instance.canvas.style.width, '390px');
+        assert.strictEqual(instance.canvas.style.height, '844px');
+    });
+
+    it('keeps the desktop minimum size for fine pointers', () => {
+        const game = loadGame({ width: 390, height: 844 });
+        const instance = game.run('new Game()');
+
+        assert.strictEqual(instance.ui.touchControls.isVisible, false);
+        assert.strictEqual(instance.canvas.style.width, '800px');
+    });
+
+    it('moves the dash button when a phone rotates', () => {
+        const game = loadGame({ width: 390, height: 844 });
+        useCoarsePointer(game);
+        const instance = game.run('new Game()');
+        const { TOUCH_DASH_BUTTON_MARGIN } = game.globals;
+
+        // Rotate to landscape and let the resize handler announce it
+        const container = instance.canvas.parentElement;
+        container.clientWidth = 844;
+        container.clientHeight = 390;
+        instance.resizeHandler.resize();
+
+        const button = instance.ui.touchControls.dashButton;
+        assert.strictEqual(button.x, 844 - TOUCH_DASH_BUTTON_MARGIN);
+        assert.strictEqual(button.y, 390 - TOUCH_DASH_BUTTON_MARGIN);
+        assert.strictEqual(instance.ui.touchControls.joystickHome.y, 390 - game.globals.TOUCH_JOYSTICK_MARGIN);
+    });
+
+    it('shows the controls once the pointer turns coarse', () => {
+        const game = loadGame();
+        const instance = game.run('new Game()');
+
+        useCoarsePointer(game);
+        instance.resizeHandler.isTouchDevice = instance.resizeHandler.detectTouchDevice();
+        instance.resizeHandler.resize();
+
+        assert.strictEqual(instance.ui.touchControls.isVisible, true);
+    });
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+describe('Upgrade offers', () => {
+    let game;
+    let upgrades;
+
+    beforeEach(() => {
+        game = loadGame();
+        const player = game.globals.CharacterFactory.createCharacter('warrior');
+        upgrades = new game.globals.UpgradeManager(player);
+    });
+
+    it('describes each catalog entry by the id and kind it creates', () => {
+        const { AbilityFactory, ABILITY_TYPES } = game.globals;
+
+        AbilityFactory.getCatalog().forEach(entry => {
+            const ability = entry.create();
+            assert.strictEqual(ability.id, entry.id);
+            assert.strictEqual(ability.type === ABILITY_TYPES.PASSIVE, entry.isPassive, entry.id);
+        });
+    });
+
+    it('builds abilities only for the offers drawn', () => {
+        const candidates = upgrades.getCandidates();
+        assert.ok(candidates.filter(offer => offer.kind !== 'levelUp').every(offer => !offer.ability));
+
+        const offers = upgrades.generateOffers(3);
+        assert.strictEqual(offers.length, 3);
+        offers.forEach(offer => assert.strictEqual(offer.ability.id, offer.id));
+    });
+});
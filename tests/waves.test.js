@@ -0,0 +1,129 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadGame } = require('./harness');
+
+describe('Enemy wave scaling', () => {
+    const position = { x: 0, y: 0 };
+    let game;
+
+    beforeEach(() => {
+        game = loadGame();
+    });
+
+    it('scales health and damage by 10% per wave', () => {
+        const { EnemyFactory, ENEMY_BASE_HEALTH, ENEMY_BASE_DAMAGE } = game.globals;
+
+        const first = EnemyFactory.createEnemyOfType('basic', 1, position);
+        const eleventh = EnemyFactory.createEnemyOfType('basic', 11, position);
+
+        assert.strictEqual(first.health, ENEMY_BASE_HEALTH);
+        assert.strictEqual(first.damage, ENEMY_BASE_DAMAGE);
+        assert.strictEqual(eleventh.health, ENEMY_BASE_HEALTH * 2);
+        assert.strictEqual(eleventh.maxHealth, ENEMY_BASE_HEALTH * 2);
+        assert.strictEqual(eleventh.damage, ENEMY_BASE_DAMAGE * 2);
+    });
+
+    it('applies the archetype multipliers on top of the wave scaling', () => {
+        const { EnemyFactory, ENEMY_BASE_HEALTH, ENEMY_BASE_DAMAGE } = game.globals;
+
+        const tank = EnemyFactory.createEnemyOfType('tank', 6, position);
+        const fast = EnemyFactory.createEnemyOfType('fast', 6, position);
+
+        assert.ok(Math.abs(tank.health - ENEMY_BASE_HEALTH * 1.5 * 2) < 1e-9);
+        assert.ok(Math.abs(tank.damage - ENEMY_BASE_DAMAGE * 1.5 * 1.2) < 1e-9);
+        assert.ok(Math.abs(fast.health - ENEMY_BASE_HEALTH * 1.5 * 0.7) < 1e-9);
+        assert.ok(fast.maxSpeed > tank.maxSpeed);
+    });
+
+    it('keeps archetypes out of waves before their first wave', () => {
+        const { EnemyRegistry } = game.globals;
+
+        assert.strictEqual(EnemyRegistry.getSpawnWeight('tank', 2), 0);
+        assert.ok(EnemyRegistry.getSpawnWeight('tank', 3) > 0);
+        assert.strictEqual(EnemyRegistry.getSpawnWeight('caster', 4), 0);
+        assert.ok(EnemyRegistry.getSpawnWeight('caster', 5) > 0);
+    });
+
+    it('clamps spawn weights to their curve limits', () => {
+        const { EnemyRegistry } = game.globals;
+
+        assert.strictEqual(EnemyRegistry.getSpawnWeight('basic', 1), 8);
+        assert.strictEqual(EnemyRegistry.getSpawnWeight('basic', 5), 6);
+        assert.strictEqual(EnemyRegistry.getSpawnWeight('basic', 50), 4);
+        assert.strictEqual(EnemyRegistry.getSpawnWeight('fast', 50), 3);
+    });
+
+    it('never spawns bosses from the regular pool', () => {
+        const { EnemyRegistry } = game.globals;
+
+        for (let wave = 1; wave <= 40; wave++) {
+            assert.notStrictEqual(game.globals.ENEMY_DEFINITIONS[EnemyRegistry.pickRegularType(wave)].isBoss, true);
+        }
+        assert.strictEqual(EnemyRegistry.getSpawnWeight('boss', 10), 0);
+    });
+
+    it('rotates bosses among those already unlocked', () => {
+        const { EnemyRegistry } = game.globals;
+
+        assert.strictEqual(EnemyRegistry.getBossType(10), 'boss');
+        assert.strictEqual(EnemyRegistry.getBossType(20), 'loomwarden');
+        assert.strictEqual(EnemyRegistry.getBossType(30), 'matriarch');
+        assert.strictEqual(EnemyRegistry.getBossType(40), 'boss');
+    });
+});
+
+describe('Game waves', () => {
+    let game;
+    let instance;
+
+    beforeEach(() => {
+        game = loadGame();
+        instance = game.run('new Game()');
+        instance.startGame('warrior', 12345);
+    });
+
+    it('starts the first run on wave 1 with the base spawn rate', () => {
+        assert.strictEqual(instance.currentWave, 1);
+        assert.strictEqual(instance.waveTimer, game.globals.WAVE_DURATION);
+        assert.strictEqual(instance.enemySpawnRate, game.globals.ENEMY_SPAWN_RATE);
+    });
+
+    it('raises the spawn rate with each wave', () => {
+        const { ENEMY_SPAWN_RATE } = game.globals;
+
+        instance.startWave(6);
+        assert.ok(Math.abs(instance.enemySpawnRate - ENEMY_SPAWN_RATE * 1.5) < 1e-9);
+    });
+
+    it('opens every tenth wave with a boss', () => {
+        const bosses = [];
+        game.globals.eventEmitter.on('boss:spawn', data => bosses.push(data.boss.type));
+
+        instance.startWave(9);
+        assert.strictEqual(bosses.length, 0);
+
+        instance.startWave(10);
+        assert.strictEqual(bosses.join(','), 'boss');
+        assert.ok(instance.activeBoss instanceof game.globals.Boss);
+        assert.ok(instance.enemies.includes(instance.activeBoss));
+    });
+
+    it('moves on to the next wave when the wave timer runs out', () => {
+        const waves = [];
+        game.globals.eventEmitter.on('wave:start', data => waves.push(data.wave));
+
+        // Keep the player alive so the run is not cut short
+        instance.player.takeDamage = () => false;
+
+        const step = instance.timeManager.fixedTimeStep;
+        const steps = Math.ceil(game.globals.WAVE_DURATION / step) + 1;
+        for (let i = 0; i < steps && instance.state === game.globals.GAME_STATES.PLAYING; i++) {
+            instance.fixedUpdate(step);
+        }
+
+        assert.strictEqual(waves[0], 2);
+        assert.strictEqual(instance.currentWave, 2);
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * Balance Run
+ * Plays seeded runs headlessly with a bot and collects the numbers the balance report needs
+ *
+ * One game is loaded through the test harness and reused for every run, since
+ * Game.beginRun() resets everything a run depends on. The bot replaces the game's
+ * keyboard input and picks a random offer whenever the upgrade panel opens.
+ */
+
+'use strict';
+
+const { loadGame } = require('../../tests/harness');
+const { BOT_POLICIES } = require('./botPolicies');
+
+class BalanceRun {
+    /**
+     * Load a game to simulate runs in
+     * @param {Object} options - Settings
+     * @param {Object} options.constants - Top-level const overrides passed to loadGame()
+     * @param {Object} options.assignments - Values to assign after loading by global path, e.g. {'CHARACTER_DEFINITIONS.warrior.statMultipliers.damage': 1.4}
+     * @param {number} options.maxTime - Simulated seconds after which a run counts as survived
+     * @param {number} options.bucketSeconds - Length of the intervals damage is summed over
+     */
+    constructor({ constants = {}, assignments = {}, maxTime = 900, bucketSeconds = 30 } = {}) {
+        this.loaded = loadGame({ constants });
+        this.maxTime = maxTime;
+        this.bucketSeconds = bucketSeconds;
+
+        Object.keys(assignments).forEach(path => {
+            try {
+                this.loaded.run(`${path} = ${JSON.stringify(assignments[path])}`);
+            } catch (error) {
+                throw new Error(`Cannot set ${path}: ${error.message}`);
+            }
+        });
+
+        this.game = this.loaded.run('new Game()');
+        this.bot = null;
+
+        // Keyboard input is replaced by whichever bot is playing
+        this.game.readInput = () => this.bot.getInput();
+
+        this.subscribe();
+    }
+
+    /**
+     * Track damage dealt and the last hit taken during a run
+     */
+    subscribe() {
+        const eventEmitter = this.loaded.globals.eventEmitter;
+
+        eventEmitter.on('enemy:damage', (data) => {
+            if (!this.result) return;
+
+            const bucket = Math.floor(this.game.gameTime / this.bucketSeconds);
+            this.result.damageByBucket[bucket] = (this.result.damageByBucket[bucket] || 0) + data.damage;
+            this.result.damageDealt += data.damage;
+        });
+
+        // Hit events follow the damage that caused them, so the last one names the killer
+        eventEmitter.on('enemy:attack', (data) => {
+            this.lastHit = `${data.enemy.type} contact`;
+        });
+
+        eventEmitter.on('enemy:projectileHit', (data) => {
+            this.lastHit = `${data.enemy ? data.enemy.type : 'unknown'} projectile`;
+        });
+    }
+
+    /**
+     * Play one run to the player's death or the time limit
+     * @param {Object} settings - Run settings
+     * @param {string} settings.characterType - Character type id
+     * @param {string} settings.policy - Bot policy name from BOT_POLICIES
+     * @param {number} settings.seed - Run seed
+     * @returns {Object} - Run result; damageByBucket holds damage dealt per bucketSeconds interval
+     */
+    play({ characterType, policy, seed }) {
+        const { GAME_STATES, RandomStream } = this.loaded.globals;
+        const game = this.game;
+        const step = game.timeManager.fixedTimeStep;
+
+        // Count whole steps, since summing float steps overshoots the limit
+        const maxTicks = Math.round(this.maxTime / step);
+
+        this.bot = new BOT_POLICIES[policy](game);
+        this.bot.reset();
+        this.lastHit = null;
+
+        // Upgrade picks get their own stream so they never shift the game's
+        const picks = new RandomStream(seed ^ 0x5bd1e995);
+
+        this.result = { damageByBucket: [], damageDealt: 0 };
+        game.beginRun(characterType, seed, {});
+
+        while (game.state === GAME_STATES.PLAYING && game.tick < maxTicks) {
+            if (game.ui.isUpgradePanelOpen) {
+                game.ui.chooseUpgrade(picks.pick(game.upgrades.currentOffers));
+                continue;
+            }
+
+            game.fixedUpdate(step);
+        }
+
+        const stats = game.getStats();
+        const survived = game.player.isAlive;
+        const result = {
+            characterType,
+            policy,
+            seed,
+            survived,
+            time: survived ? this.maxTime : game.gameTime,
+            wave: game.currentWave,
+            level: stats.levelReached,
+            kills: stats.enemiesDefeated,
+            bossesDefeated: stats.bossesDefeated,
+            damageDealt: this.result.damageDealt,
+            deathCause: survived ? null : (this.lastHit || 'unknown'),
+            damageByBucket: Array.from(this.result.damageByBucket, damage => damage || 0)
+        };
+
+        this.result = null;
+        return result;
+    }
+}
+
+module.exports = {
+    BalanceRun
+};
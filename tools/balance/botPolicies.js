@@ -0,0 +1,265 @@
+/**
+ * Bot Policies
+ * Scripted players for the balance simulator
+ *
+ * A policy stands in for Game.readInput(): every simulation step it looks at the
+ * game and returns the input a player would have given, {moveX, moveY, mouseX,
+ * mouseY, dash}. All policies aim at the nearest enemy; they differ in how they move.
+ */
+
+'use strict';
+
+// Enemies closer than this are treated as threats by the kite policy
+const KITE_THREAT_RADIUS = 260;
+
+// The kite policy dashes away when an enemy gets this close
+const KITE_DASH_RADIUS = 70;
+
+// Distance from the world edge at which bots start steering back inwards
+const WALL_MARGIN = 150;
+
+// Radius of the circle the orbit policy runs around its starting point
+const ORBIT_RADIUS = 300;
+
+class BotPolicy {
+    /**
+     * Create a new bot policy
+     * @param {Game} game - Game the bot plays
+     */
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Prepare for a new run
+     */
+    reset() {}
+
+    /**
+     * Get this step's input
+     * @returns {Object} - Input {moveX, moveY, mouseX, mouseY, dash}
+     */
+    getInput() {
+        const player = this.game.player;
+        const target = this.findNearestEnemy(player);
+        const move = this.getMovement(player, target);
+
+        // Aim where the player faces when there is nothing to aim at
+        const aim = target || { x: player.x + player.direction.x * 100, y: player.y + player.direction.y * 100 };
+        const screen = this.game.camera.worldToScreen(aim.x, aim.y);
+
+        return {
+            moveX: move.x,
+            moveY: move.y,
+            mouseX: Math.round(screen.x),
+            mouseY: Math.round(screen.y),
+            dash: this.shouldDash(player, target)
+        };
+    }
+
+    /**
+     * Get the direction to move in
+     * @param {Character} player - Player being controlled
+     * @param {Enemy|null} target - Nearest enemy, if any
+     * @returns {Object} - Direction {x, y}, zero to stand still
+     */
+    getMovement(player, target) {
+        return { x: 0, y: 0 };
+    }
+
+    /**
+     * Check if the bot should dash this step
+     * @param {Character} player - Player being controlled
+     * @param {Enemy|null} target - Nearest enemy, if any
+     * @returns {boolean} - True to dash
+     */
+    shouldDash(player, target) {
+        return false;
+    }
+
+    /**
+     * Find the nearest living enemy
+     * @param {Character} player - Player being controlled
+     * @returns {Enemy|null} - Nearest enemy, or null if there are none
+     */
+    findNearestEnemy(player) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.game.enemies.forEach(enemy => {
+            if (!enemy.isAlive) return;
+
+            const dist = Math.hypot(enemy.x - player.x, enemy.y - player.y);
+            if (dist < nearestDistance) {
+                nearest = enemy;
+                nearestDistance = dist;
+            }
+        });
+
+        return nearest;
+    }
+
+    /**
+     * Get a push away from the world edges, stronger the closer the player is
+     * @param {Character} player - Player being controlled
+     * @returns {Object} - Push {x, y}
+     */
+    getWallPush(player) {
+        const bounds = this.game.worldBounds;
+        const push = (distanceToEdge) => Math.max(0, 1 - distanceToEdge / WALL_MARGIN);
+
+        return {
+            x: push(player.x - bounds.minX) - push(bounds.maxX - player.x),
+            y: push(player.y - bounds.minY) - push(bounds.maxY - player.y)
+        };
+    }
+
+    /**
+     * Scale a vector to unit length, leaving zero vectors alone
+     * @param {number} x - X component
+     * @param {number} y - Y component
+     * @returns {Object} - Direction {x, y}
+     */
+    static normalize(x, y) {
+        const length = Math.hypot(x, y);
+        return length > 1e-6 ? { x: x / length, y: y / length } : { x: 0, y: 0 };
+    }
+}
+
+/**
+ * Stands still and lets the weapon and abilities do the work
+ */
+class StandBot extends BotPolicy {}
+
+/**
+ * Keeps away from nearby enemies and hostile projectiles, collecting experience when it is safe
+ */
+class KiteBot extends BotPolicy {
+    /**
+     * Get the direction to move in
+     * @param {Character} player - Player being controlled
+     * @param {Enemy|null} target - Nearest enemy, if any
+     * @returns {Object} - Direction {x, y}
+     */
+    getMovement(player, target) {
+        let x = 0;
+        let y = 0;
+
+        // Each threat pushes harder the closer it is
+        const addThreat = (threat) => {
+            const dx = player.x - threat.x;
+            const dy = player.y - threat.y;
+            const dist = Math.hypot(dx, dy);
+            if (dist === 0 || dist > KITE_THREAT_RADIUS) return;
+
+            const weight = (KITE_THREAT_RADIUS - dist) / (KITE_THREAT_RADIUS * dist);
+            x += dx * weight;
+            y += dy * weight;
+        };
+
+        this.game.enemies.forEach(enemy => {
+            if (enemy.isAlive) addThreat(enemy);
+        });
+        this.game.enemyProjectiles.forEach(addThreat);
+
+        // Nothing close: go for the nearest experience gem
+        if (x === 0 && y === 0) {
+            const gem = this.findNearestGem(player);
+            if (gem) {
+                return BotPolicy.normalize(gem.x - player.x, gem.y - player.y);
+            }
+        }
+
+        const wall = this.getWallPush(player);
+        return BotPolicy.normalize(x + wall.x * 2, y + wall.y * 2);
+    }
+
+    /**
+     * Dash away when an enemy is about to connect
+     * @param {Character} player - Player being controlled
+     * @param {Enemy|null} target - Nearest enemy, if any
+     * @returns {boolean} - True to dash
+     */
+    shouldDash(player, target) {
+        if (!target || player.isDashing || player.dashCooldown > 0) return false;
+
+        return Math.hypot(target.x - player.x, target.y - player.y) < KITE_DASH_RADIUS;
+    }
+
+    /**
+     * Find the nearest uncollected experience gem
+     * @param {Character} player - Player being controlled
+     * @returns {XPGem|null} - Nearest gem, or null if there are none
+     */
+    findNearestGem(player) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.game.xpGems.forEach(gem => {
+            if (gem.isCollected) return;
+
+            const dist = Math.hypot(gem.x - player.x, gem.y - player.y);
+            if (dist < nearestDistance) {
+                nearest = gem;
+                nearestDistance = dist;
+            }
+        });
+
+        return nearest;
+    }
+}
+
+/**
+ * Runs in a circle around where the run started, drawing enemies into a trailing crowd
+ */
+class OrbitBot extends BotPolicy {
+    /**
+     * Remember the centre of the circle for a new run
+     */
+    reset() {
+        this.center = null;
+    }
+
+    /**
+     * Get the direction to move in
+     * @param {Character} player - Player being controlled
+     * @param {Enemy|null} target - Nearest enemy, if any
+     * @returns {Object} - Direction {x, y}
+     */
+    getMovement(player, target) {
+        if (!this.center) {
+            this.center = { x: player.x, y: player.y };
+        }
+
+        const dx = player.x - this.center.x;
+        const dy = player.y - this.center.y;
+        const dist = Math.hypot(dx, dy);
+
+        // Head out to the circle first
+        if (dist < 1) return { x: 1, y: 0 };
+
+        // Run along the circle clockwise, correcting back towards its radius
+        const correction = (ORBIT_RADIUS - dist) / ORBIT_RADIUS;
+        const wall = this.getWallPush(player);
+
+        return BotPolicy.normalize(
+            -dy / dist + (dx / dist) * correction + wall.x,
+            dx / dist + (dy / dist) * correction + wall.y
+        );
+    }
+}
+
+// Policies by the name used on the command line
+const BOT_POLICIES = {
+    kite: KiteBot,
+    stand: StandBot,
+    orbit: OrbitBot
+};
+
+module.exports = {
+    BotPolicy,
+    StandBot,
+    KiteBot,
+    OrbitBot,
+    BOT_POLICIES
+};
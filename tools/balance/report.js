@@ -0,0 +1,213 @@
+/**
+ * Balance Report
+ * Aggregates balance run results into survival, DPS and death cause tables
+ *
+ * Results are grouped by character and bot policy. Every table is a list of flat
+ * rows so it can be written both as CSV and as JSON.
+ */
+
+'use strict';
+
+// Width of the survival time histogram bins in seconds
+const SURVIVAL_BIN_SECONDS = 60;
+
+/**
+ * Get a percentile of sorted values, interpolating between neighbours
+ * @param {Array} sorted - Values in ascending order
+ * @param {number} fraction - Percentile as a fraction (0-1)
+ * @returns {number} - Percentile value, or 0 for no values
+ */
+function percentile(sorted, fraction) {
+    if (sorted.length === 0) return 0;
+
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Group run results by character and policy, keeping first-seen order
+ * @param {Array} runs - Results from BalanceRun.play()
+ * @returns {Map} - Runs by "character/policy"
+ */
+function groupRuns(runs) {
+    const groups = new Map();
+
+    runs.forEach(run => {
+        const key = `${run.characterType}/${run.policy}`;
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(run);
+    });
+
+    return groups;
+}
+
+/**
+ * Summarize how long runs lasted
+ * @param {Array} runs - Results from BalanceRun.play()
+ * @returns {Array} - One row per character and policy
+ */
+function summarizeSurvival(runs) {
+    return [...groupRuns(runs).values()].map(group => {
+        const times = group.map(run => run.time).sort((a, b) => a - b);
+        const round = value => Math.round(value * 10) / 10;
+
+        return {
+            character: group[0].characterType,
+            policy: group[0].policy,
+            runs: group.length,
+            survived: group.filter(run => run.survived).length,
+            mean: round(times.reduce((sum, time) => sum + time, 0) / times.length),
+            min: round(times[0]),
+            p10: round(percentile(times, 0.1)),
+            p25: round(percentile(times, 0.25)),
+            median: round(percentile(times, 0.5)),
+            p75: round(percentile(times, 0.75)),
+            p90: round(percentile(times, 0.9)),
+            max: round(times[times.length - 1]),
+            meanWave: round(group.reduce((sum, run) => sum + run.wave, 0) / group.length),
+            meanLevel: round(group.reduce((sum, run) => sum + run.level, 0) / group.length)
+        };
+    });
+}
+
+/**
+ * Count runs ending in each survival time bin
+ * @param {Array} runs - Results from BalanceRun.play()
+ * @returns {Array} - One row per character, policy and bin that has runs
+ */
+function summarizeSurvivalHistogram(runs) {
+    const rows = [];
+
+    groupRuns(runs).forEach(group => {
+        const counts = new Map();
+        group.forEach(run => {
+            const bin = Math.floor(run.time / SURVIVAL_BIN_SECONDS);
+            counts.set(bin, (counts.get(bin) || 0) + 1);
+        });
+
+        [...counts.keys()].sort((a, b) => a - b).forEach(bin => {
+            rows.push({
+                character: group[0].characterType,
+                policy: group[0].policy,
+                from: bin * SURVIVAL_BIN_SECONDS,
+                to: (bin + 1) * SURVIVAL_BIN_SECONDS,
+                runs: counts.get(bin)
+            });
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Average damage per second over time, among the runs still going
+ * @param {Array} runs - Results from BalanceRun.play()
+ * @param {number} bucketSeconds - Interval length used when the runs were played
+ * @returns {Array} - One row per character, policy and interval
+ */
+function summarizeDps(runs, bucketSeconds) {
+    const rows = [];
+
+    groupRuns(runs).forEach(group => {
+        const bucketCount = Math.max(...group.map(run => Math.ceil(run.time / bucketSeconds)));
+
+        for (let bucket = 0; bucket < bucketCount; bucket++) {
+            const start = bucket * bucketSeconds;
+            const samples = group
+                .filter(run => run.time > start)
+                .map(run => (run.damageByBucket[bucket] || 0) / Math.min(bucketSeconds, run.time - start))
+                .sort((a, b) => a - b);
+
+            rows.push({
+                character: group[0].characterType,
+                policy: group[0].policy,
+                from: start,
+                to: start + bucketSeconds,
+                runsAlive: samples.length,
+                meanDps: Math.round(samples.reduce((sum, dps) => sum + dps, 0) / samples.length),
+                medianDps: Math.round(percentile(samples, 0.5))
+            });
+        }
+    });
+
+    return rows;
+}
+
+/**
+ * Count deaths by wave and cause
+ * @param {Array} runs - Results from BalanceRun.play()
+ * @returns {Array} - One row per character, policy, wave and cause, most common first within a wave
+ */
+function summarizeDeaths(runs) {
+    const rows = [];
+
+    groupRuns(runs).forEach(group => {
+        const counts = new Map();
+        group.filter(run => !run.survived).forEach(run => {
+            const key = `${run.wave}|${run.deathCause}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        [...counts.entries()]
+            .map(([key, deaths]) => {
+                const [wave, cause] = key.split('|');
+                return { character: group[0].characterType, policy: group[0].policy, wave: Number(wave), cause, deaths };
+            })
+            .sort((a, b) => a.wave - b.wave || b.deaths - a.deaths)
+            .forEach(row => rows.push(row));
+    });
+
+    return rows;
+}
+
+/**
+ * Write rows as CSV, using the first row's keys as the header
+ * @param {Array} rows - Flat objects
+ * @returns {string} - CSV text
+ */
+function toCsv(rows) {
+    if (rows.length === 0) return '';
+
+    const columns = Object.keys(rows[0]);
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * Build every table of the balance report
+ * @param {Array} runs - Results from BalanceRun.play()
+ * @param {number} bucketSeconds - Interval length used when the runs were played
+ * @returns {Object} - Tables {runs, survival, survivalHistogram, dps, deaths}
+ */
+function buildReport(runs, bucketSeconds) {
+    return {
+        runs: runs.map(({ damageByBucket, ...run }) => ({
+            ...run,
+            time: Math.round(run.time * 100) / 100,
+            damageDealt: Math.round(run.damageDealt)
+        })),
+        survival: summarizeSurvival(runs),
+        survivalHistogram: summarizeSurvivalHistogram(runs),
+        dps: summarizeDps(runs, bucketSeconds),
+        deaths: summarizeDeaths(runs)
+    };
+}
+
+module.exports = {
+    percentile,
+    summarizeSurvival,
+    summarizeSurvivalHistogram,
+    summarizeDps,
+    summarizeDeaths,
+    toCsv,
+    buildReport
+};
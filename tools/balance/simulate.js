@@ -0,0 +1,249 @@
+/**
+ * Balance Simulator
+ * Plays many seeded runs per character with bot players and writes a balance report
+ *
+ * Usage: node tools/balance/simulate.js [options]
+ *   --runs N             Runs per character and policy (default 100)
+ *   --characters a,b     Character types to simulate (default all)
+ *   --policies a,b       Bot policies: kite, stand, orbit (default all)
+ *   --seed N             Seed of the first run; run i uses seed + i (default 1)
+ *   --max-time S         Simulated seconds after which a run counts as survived (default 900)
+ *   --bucket S           Interval length for DPS over time (default 30)
+ *   --set NAME=VALUE     Override a constant, e.g. ENEMY_HEALTH_INCREASE_RATE=0.15, or assign a
+ *                        global path, e.g. CHARACTER_DEFINITIONS.warrior.statMultipliers.damage=1.4
+ *   --workers N          Worker threads to spread runs over (default: CPU count)
+ *   --out DIR            Output directory (default balance-results)
+ *
+ * Every character and policy plays the same seeds, so two reports made before and
+ * after a balance change compare like for like.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const { BalanceRun } = require('./balanceRun');
+const { BOT_POLICIES } = require('./botPolicies');
+const { buildReport, toCsv } = require('./report');
+const { loadGame } = require('../../tests/harness');
+
+// Report tables and the CSV file each one is written to
+const CSV_FILES = {
+    runs: 'runs.csv',
+    survival: 'survival.csv',
+    survivalHistogram: 'survival-histogram.csv',
+    dps: 'dps.csv',
+    deaths: 'deaths.csv'
+};
+
+/**
+ * Parse a positive number option
+ * @param {string} name - Option name, for the error message
+ * @param {string} text - Option value
+ * @param {boolean} integer - Whether the value must be a whole number
+ * @returns {number} - Parsed value
+ */
+function parsePositive(name, text, integer) {
+    const value = Number(text);
+    if (!Number.isFinite(value) || value <= 0 || (integer && !Number.isInteger(value))) {
+        throw new Error(`Expected --${name} to be a positive ${integer ? 'integer' : 'number'}, got ${text}`);
+    }
+
+    return value;
+}
+
+/**
+ * Parse the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - Simulation settings
+ */
+function parseSettings(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            runs: { type: 'string', default: '100' },
+            characters: { type: 'string' },
+            policies: { type: 'string', default: Object.keys(BOT_POLICIES).join(',') },
+            seed: { type: 'string', default: '1' },
+            'max-time': { type: 'string', default: '900' },
+            bucket: { type: 'string', default: '30' },
+            set: { type: 'string', multiple: true, default: [] },
+            workers: { type: 'string', default: String(os.cpus().length) },
+            out: { type: 'string', default: 'balance-results' }
+        }
+    });
+
+    const constants = {};
+    const assignments = {};
+    values.set.forEach(entry => {
+        const separator = entry.indexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Expected --set NAME=VALUE, got ${entry}`);
+        }
+
+        const name = entry.slice(0, separator);
+        const text = entry.slice(separator + 1);
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (error) {
+            value = text;
+        }
+
+        // Dotted paths reach into objects after loading; plain names replace const declarations
+        if (name.includes('.')) {
+            assignments[name] = value;
+        } else {
+            constants[name] = value;
+        }
+    });
+
+    const policies = values.policies.split(',');
+    const unknownPolicy = policies.find(policy => !BOT_POLICIES[policy]);
+    if (unknownPolicy) {
+        throw new Error(`Unknown policy: ${unknownPolicy}`);
+    }
+
+    const characterTypes = Array.from(loadGame().run('CharacterRegistry.getTypes()'));
+    const characters = values.characters ? values.characters.split(',') : characterTypes;
+    const unknownCharacter = characters.find(type => !characterTypes.includes(type));
+    if (unknownCharacter) {
+        throw new Error(`Unknown character: ${unknownCharacter}`);
+    }
+
+    return {
+        runs: parsePositive('runs', values.runs, true),
+        characters,
+        policies,
+        seed: parsePositive('seed', values.seed, true),
+        maxTime: parsePositive('max-time', values['max-time'], false),
+        bucketSeconds: parsePositive('bucket', values.bucket, false),
+        constants,
+        assignments,
+        workers: parsePositive('workers', values.workers, true),
+        out: values.out
+    };
+}
+
+/**
+ * List every run to play
+ * @param {Object} settings - Simulation settings
+ * @returns {Array} - Jobs {index, characterType, policy, seed}
+ */
+function createJobs(settings) {
+    const jobs = [];
+
+    settings.characters.forEach(characterType => {
+        settings.policies.forEach(policy => {
+            for (let i = 0; i < settings.runs; i++) {
+                jobs.push({ index: jobs.length, characterType, policy, seed: settings.seed + i });
+            }
+        });
+    });
+
+    return jobs;
+}
+
+/**
+ * Get the options each BalanceRun is created with
+ * @param {Object} settings - Simulation settings
+ * @returns {Object} - BalanceRun options
+ */
+function getRunOptions(settings) {
+    return {
+        constants: settings.constants,
+        assignments: settings.assignments,
+        maxTime: settings.maxTime,
+        bucketSeconds: settings.bucketSeconds
+    };
+}
+
+/**
+ * Play jobs on worker threads, dealing them out round-robin
+ * @param {Array} jobs - Jobs from createJobs()
+ * @param {Object} settings - Simulation settings
+ * @param {Function} onResult - Called with each finished run's result
+ * @returns {Promise} - Resolves once every worker has finished
+ */
+function runOnWorkers(jobs, settings, onResult) {
+    const workerCount = Math.min(settings.workers, jobs.length);
+    const shares = Array.from({ length: workerCount }, (_, i) => jobs.filter(job => job.index % workerCount === i));
+
+    return Promise.all(shares.map(share => new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { jobs: share, options: getRunOptions(settings) } });
+
+        worker.on('message', onResult);
+        worker.on('error', reject);
+        worker.on('exit', code => (code === 0 ? resolve() : reject(new Error(`Worker exited with code ${code}`))));
+    })));
+}
+
+/**
+ * Write the report's tables as CSV files and the whole report as JSON
+ * @param {Object} report - Report from buildReport()
+ * @param {Object} settings - Simulation settings, stored with the JSON report
+ */
+function writeReport(report, settings) {
+    fs.mkdirSync(settings.out, { recursive: true });
+
+    Object.keys(CSV_FILES).forEach(table => {
+        fs.writeFileSync(path.join(settings.out, CSV_FILES[table]), toCsv(report[table]));
+    });
+
+    const { workers, out, ...recorded } = settings;
+    fs.writeFileSync(path.join(settings.out, 'report.json'), JSON.stringify({ settings: recorded, ...report }, null, 2) + '\n');
+}
+
+/**
+ * Run the simulator from the command line
+ * @returns {Promise} - Resolves once the report is written
+ */
+async function main() {
+    const settings = parseSettings(process.argv.slice(2));
+    const jobs = createJobs(settings);
+    const results = new Array(jobs.length);
+    let finished = 0;
+
+    const onResult = ({ index, result }) => {
+        results[index] = result;
+        finished++;
+        process.stderr.write(`\rSimulated ${finished}/${jobs.length} runs`);
+    };
+
+    const startTime = Date.now();
+    if (settings.workers > 1) {
+        await runOnWorkers(jobs, settings, onResult);
+    } else {
+        const runner = new BalanceRun(getRunOptions(settings));
+        jobs.forEach(job => onResult({ index: job.index, result: runner.play(job) }));
+    }
+    process.stderr.write(` in ${((Date.now() - startTime) / 1000).toFixed(1)}s\n`);
+
+    const report = buildReport(results, settings.bucketSeconds);
+    writeReport(report, settings);
+
+    console.table(report.survival.map(row => ({
+        character: row.character,
+        policy: row.policy,
+        median: row.median,
+        p10: row.p10,
+        p90: row.p90,
+        survived: `${row.survived}/${row.runs}`,
+        wave: row.meanWave
+    })));
+    console.log(`Report written to ${path.resolve(settings.out)}`);
+}
+
+if (isMainThread) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+} else {
+    const runner = new BalanceRun(workerData.options);
+    workerData.jobs.forEach(job => parentPort.postMessage({ index: job.index, result: runner.play(job) }));
+}